@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
 const { STANDARD_PROJECT_TASKS, GENERAL_PROJECT_TASKS } = require('../src/utils/constants');
+const { getMexicanNationalHolidays } = require('../src/utils/dateUtils');
 
 const prisma = new PrismaClient();
 
@@ -8,16 +9,32 @@ async function main() {
     console.log('🌱 Iniciando seed simplificado de la base de datos...');
 
     // Limpiar datos existentes en orden inverso de dependencias
+    await prisma.timeEntryHistory.deleteMany();
+    await prisma.timer.deleteMany();
     await prisma.timeEntry.deleteMany();
+    await prisma.timeEntryTemplate.deleteMany();
+    await prisma.timesheet.deleteMany();
+    await prisma.timePeriodLockLog.deleteMany();
+    await prisma.periodHoursRollup.deleteMany();
+    await prisma.emailLog.deleteMany();
+    await prisma.timeEntryUnlock.deleteMany();
+    await prisma.absence.deleteMany();
     await prisma.timePeriod.deleteMany();
     await prisma.task.deleteMany();
     await prisma.projectAssignment.deleteMany();
+    await prisma.billingRate.deleteMany();
     await prisma.excelProjectSupplier.deleteMany();
     await prisma.excelProject.deleteMany();
     await prisma.project.deleteMany();
     await prisma.catalog.deleteMany();
     await prisma.supplier.deleteMany();
+    await prisma.workSchedule.deleteMany();
+    await prisma.jobRun.deleteMany();
+    await prisma.jobLock.deleteMany();
+    await prisma.systemConfigHistory.deleteMany();
+    await prisma.systemConfigOverride.deleteMany();
     await prisma.systemConfig.deleteMany();
+    await prisma.holiday.deleteMany();
     await prisma.area.deleteMany();
     await prisma.user.deleteMany();
 
@@ -191,7 +208,16 @@ async function main() {
         }),
     ]);
 
-    // 7. Crear períodos de tiempo solo para el primer trimestre 2025
+    // 7. Registrar los días de descanso obligatorio de México de 2025
+    await prisma.holiday.createMany({
+        data: getMexicanNationalHolidays(2025).map(holiday => ({
+            date: new Date(`${holiday.date}T00:00:00.000Z`),
+            name: holiday.name,
+            createdBy: admin.id,
+        })),
+    });
+
+    // 8. Crear períodos de tiempo solo para el primer trimestre 2025
     const periodos = [];
     for (let month = 1; month <= 3; month++) {
         // Primera quincena (1-15)
@@ -234,6 +260,7 @@ async function main() {
     console.log('- 2 proyectos generales con 6 tareas estándar cada uno');
     console.log('- Colaboradores asignados a sus proyectos generales');
     console.log('- Períodos de tiempo para Q1 2025');
+    console.log('- Feriados nacionales de México 2025');
     console.log('- Sin entradas de tiempo (listo para pruebas)');
 }
 
@@ -23,6 +23,23 @@ module.exports = {
     // Bcrypt Configuration
     BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
 
+    // Email (SMTP) Configuration
+    SMTP_HOST: process.env.SMTP_HOST || 'localhost',
+    SMTP_PORT: parseInt(process.env.SMTP_PORT) || 1025,
+    SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+    SMTP_USER: process.env.SMTP_USER,
+    SMTP_PASS: process.env.SMTP_PASS,
+    SMTP_FROM: process.env.SMTP_FROM || 'TeamTime <noreply@teamtime.com>',
+    EMAIL_ENABLED: process.env.EMAIL_ENABLED !== 'false',
+
+    // Recordatorios programados
+    REMINDERS_ENABLED: process.env.REMINDERS_ENABLED === 'true',
+    REMINDER_HOUR: parseInt(process.env.REMINDER_HOUR) || 9, // Hora local de envío diario
+
+    // Tareas programadas
+    JOBS_ENABLED: process.env.JOBS_ENABLED !== 'false',
+    UPLOADS_RETENTION_HOURS: parseInt(process.env.UPLOADS_RETENTION_HOURS) || 24, // Antigüedad de archivos en uploads/ a eliminar
+
     // Logging Configuration
     LOG_LEVEL: process.env.LOG_LEVEL || 'info',
     LOG_FILE: process.env.LOG_FILE || 'logs/app.log',
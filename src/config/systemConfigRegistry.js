@@ -0,0 +1,135 @@
+const { NON_WORKING_DAY_POLICY, TIME_PERIOD_TYPE, WEEK_MONTH_RULE, FISCAL_CALENDAR_TYPE, LIMITS } = require('../utils/constants');
+
+/**
+ * Claves de configuración del sistema conocidas
+ * Cada clave define su tipo (integer, number, boolean o enum), el rango o los valores admitidos,
+ * el valor por defecto y su descripción. Los valores se guardan como texto en system_configs.
+ * Los límites de horas solo se pueden ajustar dentro de LIMITS, que siguen validando las solicitudes.
+ */
+const SYSTEM_CONFIG_REGISTRY = {
+    TIME_ENTRY_FUTURE_DAYS: {
+        type: 'integer',
+        min: 0,
+        max: 365,
+        default: 7,
+        description: 'Número de días en el futuro permitidos para registro de tiempo',
+    },
+    TIME_ENTRY_PAST_DAYS: {
+        type: 'integer',
+        min: 0,
+        max: 365,
+        default: 30,
+        description: 'Número de días en el pasado permitidos para registro de tiempo',
+    },
+    TIME_ENTRY_DATE_RESTRICTIONS_ENABLED: {
+        type: 'boolean',
+        default: true,
+        description: 'Habilitar restricciones de fecha para registro de tiempo',
+    },
+    TIME_ENTRY_MAX_HOURS_PER_DAY: {
+        type: 'number',
+        min: 1,
+        max: LIMITS.MAX_HOURS_PER_DAY,
+        default: LIMITS.MAX_HOURS_PER_DAY,
+        description: 'Máximo número de horas que se pueden registrar por día',
+    },
+    TIME_ENTRY_MIN_HOURS: {
+        type: 'number',
+        min: LIMITS.MIN_HOURS_PER_ENTRY,
+        max: LIMITS.MAX_HOURS_PER_DAY,
+        default: LIMITS.MIN_HOURS_PER_ENTRY,
+        description: 'Mínimo número de horas que se pueden registrar en una entrada',
+    },
+    TIME_ENTRY_UNLOCK_DAYS: {
+        type: 'integer',
+        min: 1,
+        max: 365,
+        default: 7,
+        description: 'Días que dura por defecto un desbloqueo de fechas aprobado',
+    },
+    MISSING_TIMESHEET_THRESHOLD_PERCENT: {
+        type: 'number',
+        min: 0,
+        max: 100,
+        default: 100,
+        description: 'Porcentaje de las horas de referencia por debajo del cual se reporta una hoja de tiempo incompleta',
+    },
+    REMINDER_DAYS_BEFORE_PERIOD_END: {
+        type: 'integer',
+        min: 0,
+        max: 31,
+        default: 1,
+        description: 'Días antes del fin del período en que se envían recordatorios de hoja de tiempo',
+    },
+    NON_WORKING_DAY_POLICY: {
+        type: 'enum',
+        values: Object.values(NON_WORKING_DAY_POLICY),
+        default: NON_WORKING_DAY_POLICY.WARN,
+        description: 'Política ante registros de tiempo en fines de semana y feriados (ALLOW, WARN o BLOCK)',
+    },
+    WORKING_HOURS_PER_DAY: {
+        type: 'number',
+        min: 1,
+        max: 24,
+        default: 8,
+        description: 'Horas de una jornada laboral para calcular las horas de referencia de los períodos',
+    },
+    TIME_PERIOD_WEEK_MONTH_RULE: {
+        type: 'enum',
+        values: Object.values(WEEK_MONTH_RULE),
+        default: WEEK_MONTH_RULE.MAJORITY,
+        description: 'Mes al que pertenecen las semanas que cruzan el cambio de mes al generar períodos (START, END, MAJORITY o SPLIT)',
+    },
+    TIME_PERIOD_GENERATION_TYPE: {
+        type: 'enum',
+        values: Object.values(TIME_PERIOD_TYPE),
+        default: TIME_PERIOD_TYPE.WEEKLY,
+        description: 'Tipo de los períodos que genera la tarea programada (weekly, biweekly o monthly)',
+    },
+    TIME_PERIOD_AUTO_CLOSE_DAYS: {
+        type: 'integer',
+        min: 0,
+        max: 365,
+        default: 0,
+        description: 'Días después de su fin en que la tarea programada cierra un período (0 = no cerrar automáticamente)',
+    },
+    FISCAL_YEAR_START_MONTH: {
+        type: 'integer',
+        min: 1,
+        max: 12,
+        default: 1,
+        description: 'Mes en que inicia el año fiscal (1 = enero); el año fiscal se identifica por el año en que inicia',
+    },
+    FISCAL_CALENDAR_TYPE: {
+        type: 'enum',
+        values: Object.values(FISCAL_CALENDAR_TYPE),
+        default: FISCAL_CALENDAR_TYPE.CALENDAR,
+        description: 'Meses fiscales: calendar (meses naturales) o 4-4-5 (semanas de lunes a domingo desde el lunes más cercano al inicio del año fiscal)',
+    },
+    OVERTIME_DAILY_HOURS: {
+        type: 'number',
+        min: 0,
+        max: 24,
+        default: 0,
+        description: 'Horas por día a partir de las cuales se calculan horas extra (0 = sin límite diario)',
+    },
+    OVERTIME_WEEKLY_ENABLED: {
+        type: 'boolean',
+        default: false,
+        description: 'Calcular horas extra sobre las horas de referencia de la semana',
+    },
+    OVERTIME_NON_WORKING_DAYS_ENABLED: {
+        type: 'boolean',
+        default: false,
+        description: 'Considerar horas extra todas las horas registradas en días inhábiles',
+    },
+    PROJECT_COST_ALERT_PERCENT: {
+        type: 'number',
+        min: 1,
+        max: 1000,
+        default: 80,
+        description: 'Porcentaje del monto del contrato a partir del cual se alerta el costo de un proyecto',
+    },
+};
+
+module.exports = { SYSTEM_CONFIG_REGISTRY };
@@ -0,0 +1,72 @@
+const AbsenceService = require('../services/absence.service');
+const ApiResponse = require('../utils/response');
+const { SUCCESS_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para las ausencias de los usuarios
+ */
+class AbsenceController {
+    constructor() {
+        this.absenceService = new AbsenceService();
+    }
+
+    /**
+     * Listar ausencias
+     */
+    getAbsences = async (req, res) => {
+        try {
+            const absences = await this.absenceService.getAbsences(req.query, req.user);
+
+            return ApiResponse.success(res, absences, 'Ausencias obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener ausencias:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Solicitar ausencia
+     */
+    requestAbsence = async (req, res) => {
+        try {
+            const absence = await this.absenceService.requestAbsence(req.body, req.user);
+
+            return ApiResponse.success(res, absence, SUCCESS_MESSAGES.RESOURCE_CREATED, 201);
+        } catch (error) {
+            logger.error('Error al solicitar ausencia:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Aprobar o rechazar una solicitud de ausencia
+     */
+    reviewAbsence = async (req, res) => {
+        try {
+            const absence = await this.absenceService.reviewAbsence(req.params.id, req.body, req.user);
+            const message = req.body.isApproved ? 'Ausencia aprobada exitosamente' : 'Ausencia rechazada';
+
+            return ApiResponse.success(res, absence, message);
+        } catch (error) {
+            logger.error('Error al revisar ausencia:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Cancelar ausencia
+     */
+    cancelAbsence = async (req, res) => {
+        try {
+            const absence = await this.absenceService.cancelAbsence(req.params.id, req.user);
+
+            return ApiResponse.success(res, absence, 'Ausencia cancelada exitosamente');
+        } catch (error) {
+            logger.error('Error al cancelar ausencia:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new AbsenceController();
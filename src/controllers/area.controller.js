@@ -185,7 +185,7 @@ class AreaController {
     getAreaStats = async (req, res) => {
         try {
             const { id } = req.params;
-            const stats = await this.areaService.getAreaStats(id);
+            const stats = await this.areaService.getAreaStats(id, req.query.timePeriodId);
 
             return ApiResponse.success(res, stats, 'Estadísticas del área obtenidas exitosamente');
         } catch (error) {
@@ -0,0 +1,71 @@
+const BillingRateService = require('../services/billingRate.service');
+const ApiResponse = require('../utils/response');
+const { SUCCESS_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para las tarifas de costo y venta por hora
+ */
+class BillingRateController {
+    constructor() {
+        this.billingRateService = new BillingRateService();
+    }
+
+    /**
+     * Listar tarifas
+     */
+    getRates = async (req, res) => {
+        try {
+            const rates = await this.billingRateService.getRates(req.query);
+
+            return ApiResponse.success(res, rates, 'Tarifas obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener tarifas:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Registrar tarifa
+     */
+    createRate = async (req, res) => {
+        try {
+            const rate = await this.billingRateService.createRate(req.body, req.user);
+
+            return ApiResponse.success(res, rate, SUCCESS_MESSAGES.RESOURCE_CREATED, 201);
+        } catch (error) {
+            logger.error('Error al registrar tarifa:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Actualizar tarifa
+     */
+    updateRate = async (req, res) => {
+        try {
+            const rate = await this.billingRateService.updateRate(req.params.id, req.body, req.user);
+
+            return ApiResponse.success(res, rate, SUCCESS_MESSAGES.RESOURCE_UPDATED);
+        } catch (error) {
+            logger.error('Error al actualizar tarifa:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Eliminar tarifa
+     */
+    deleteRate = async (req, res) => {
+        try {
+            await this.billingRateService.deleteRate(req.params.id, req.user);
+
+            return ApiResponse.success(res, null, SUCCESS_MESSAGES.RESOURCE_DELETED);
+        } catch (error) {
+            logger.error('Error al eliminar tarifa:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new BillingRateController();
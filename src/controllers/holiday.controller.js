@@ -0,0 +1,85 @@
+const HolidayService = require('../services/holiday.service');
+const ApiResponse = require('../utils/response');
+const { SUCCESS_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para el calendario de días feriados
+ */
+class HolidayController {
+    constructor() {
+        this.holidayService = new HolidayService();
+    }
+
+    /**
+     * Listar feriados
+     */
+    getHolidays = async (req, res) => {
+        try {
+            const holidays = await this.holidayService.getHolidays(req.query);
+
+            return ApiResponse.success(res, holidays, 'Días feriados obtenidos exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener días feriados:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Registrar feriado global o excepción de área
+     */
+    createHoliday = async (req, res) => {
+        try {
+            const holiday = await this.holidayService.createHoliday(req.body, req.user);
+
+            return ApiResponse.success(res, holiday, SUCCESS_MESSAGES.RESOURCE_CREATED, 201);
+        } catch (error) {
+            logger.error('Error al registrar día feriado:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Registrar los feriados nacionales de México de un año
+     */
+    importNationalHolidays = async (req, res) => {
+        try {
+            const result = await this.holidayService.importNationalHolidays(req.body.year, req.user);
+
+            return ApiResponse.success(res, result, `Feriados nacionales ${result.year}: ${result.created.length} registrados, ${result.skipped.length} ya existían`, 201);
+        } catch (error) {
+            logger.error('Error al registrar feriados nacionales:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Actualizar feriado
+     */
+    updateHoliday = async (req, res) => {
+        try {
+            const holiday = await this.holidayService.updateHoliday(req.params.id, req.body, req.user);
+
+            return ApiResponse.success(res, holiday, SUCCESS_MESSAGES.RESOURCE_UPDATED);
+        } catch (error) {
+            logger.error('Error al actualizar día feriado:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Eliminar feriado
+     */
+    deleteHoliday = async (req, res) => {
+        try {
+            await this.holidayService.deleteHoliday(req.params.id, req.user);
+
+            return ApiResponse.success(res, null, SUCCESS_MESSAGES.RESOURCE_DELETED);
+        } catch (error) {
+            logger.error('Error al eliminar día feriado:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new HolidayController();
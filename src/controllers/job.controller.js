@@ -0,0 +1,68 @@
+const JobService = require('../services/job.service');
+const ApiResponse = require('../utils/response');
+const { JOB_RUN_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para las tareas programadas
+ */
+class JobController {
+    constructor() {
+        this.jobService = new JobService();
+    }
+
+    /**
+     * Listar tareas programadas
+     */
+    getJobs = async (req, res) => {
+        try {
+            const jobs = await this.jobService.getJobs();
+
+            return ApiResponse.success(res, jobs, 'Tareas programadas obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener tareas programadas:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Historial de ejecuciones
+     */
+    getJobRuns = async (req, res) => {
+        try {
+            const { page = 1, limit = 10, ...filters } = req.query;
+
+            const pagination = {
+                page,
+                limit,
+                skip: (page - 1) * limit,
+            };
+
+            const result = await this.jobService.getJobRuns(filters, pagination);
+
+            return ApiResponse.paginated(res, result.runs, { page, limit, total: result.total }, 'Ejecuciones obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener ejecuciones de tareas programadas:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Ejecutar una tarea manualmente
+     */
+    triggerJob = async (req, res) => {
+        try {
+            const run = await this.jobService.triggerJob(req.params.name, req.user);
+            const message = run.status === JOB_RUN_STATUS.SUCCESS
+                ? 'Tarea ejecutada exitosamente'
+                : `La tarea terminó con error: ${run.error}`;
+
+            return ApiResponse.success(res, run, message);
+        } catch (error) {
+            logger.error('Error al ejecutar tarea programada:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new JobController();
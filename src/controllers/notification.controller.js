@@ -0,0 +1,66 @@
+const EmailService = require('../services/email.service');
+const ReminderService = require('../services/reminder.service');
+const ApiResponse = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para notificaciones y recordatorios por correo
+ */
+class NotificationController {
+    constructor() {
+        this.emailService = new EmailService();
+        this.reminderService = new ReminderService();
+    }
+
+    /**
+     * Consultar la bitácora de correos enviados
+     */
+    getEmailLogs = async (req, res) => {
+        try {
+            const { page = 1, limit = 10, ...filters } = req.query;
+
+            const pagination = {
+                page,
+                limit,
+                skip: (page - 1) * limit,
+            };
+
+            const result = await this.emailService.getEmailLogs(filters, pagination);
+
+            return ApiResponse.paginated(res, result.logs, { page, limit, total: result.total }, 'Bitácora de correos obtenida exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener bitácora de correos:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Enviar ahora los recordatorios de hoja de tiempo
+     */
+    sendTimesheetReminders = async (req, res) => {
+        try {
+            const result = await this.reminderService.sendTimesheetReminders(req.body);
+
+            return ApiResponse.success(res, result, `Recordatorios de hoja de tiempo: ${result.sent} enviados, ${result.failed} fallidos`);
+        } catch (error) {
+            logger.error('Error al enviar recordatorios de hoja de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Enviar ahora los recordatorios de aprobación a coordinadores
+     */
+    sendApprovalReminders = async (req, res) => {
+        try {
+            const result = await this.reminderService.sendApprovalReminders();
+
+            return ApiResponse.success(res, result, `Recordatorios de aprobación: ${result.sent} enviados, ${result.failed} fallidos`);
+        } catch (error) {
+            logger.error('Error al enviar recordatorios de aprobación:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new NotificationController();
@@ -1,4 +1,5 @@
 const ProjectService = require('../services/project.service');
+const ProjectFinancialService = require('../services/projectFinancial.service');
 const ApiResponse = require('../utils/response');
 const { LIMITS } = require('../utils/constants');
 const logger = require('../utils/logger');
@@ -9,6 +10,7 @@ const logger = require('../utils/logger');
 class ProjectController {
     constructor() {
         this.projectService = new ProjectService();
+        this.projectFinancialService = new ProjectFinancialService();
     }
 
     /**
@@ -255,6 +257,21 @@ class ProjectController {
         }
     };
 
+    /**
+     * Obtener la vista financiera de un proyecto
+     */
+    getProjectFinancials = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const financials = await this.projectFinancialService.getProjectFinancials(id, req.query, req.user);
+
+            return ApiResponse.success(res, financials, 'Vista financiera del proyecto obtenida exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener vista financiera del proyecto:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
     /**
      * Crear tareas estándar para un proyecto
      */
@@ -0,0 +1,102 @@
+const ReportService = require('../services/report.service');
+const ApiResponse = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para reportes operativos
+ */
+class ReportController {
+    constructor() {
+        this.reportService = new ReportService();
+    }
+
+    /**
+     * Usuarios con horas por debajo del umbral en un período, por área y coordinador
+     */
+    getMissingTimesheets = async (req, res) => {
+        try {
+            const report = await this.reportService.getMissingTimesheets(req.query, req.user);
+
+            return ApiResponse.success(res, report, 'Reporte de hojas de tiempo faltantes obtenido exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener reporte de hojas de tiempo faltantes:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Horas esperadas según la jornada de cada usuario contra las registradas en un período
+     */
+    getCapacity = async (req, res) => {
+        try {
+            const report = await this.reportService.getCapacity(req.query, req.user);
+
+            return ApiResponse.success(res, report, 'Reporte de capacidad obtenido exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener reporte de capacidad:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Horas consolidadas por usuario y proyecto en un período
+     */
+    getPeriodHours = async (req, res) => {
+        try {
+            const report = await this.reportService.getPeriodHours(req.query, req.user);
+
+            return ApiResponse.success(res, report, 'Horas consolidadas del período obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener horas consolidadas del período:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Horas facturables, ingreso y costo por proyecto comparados con los montos del contrato
+     */
+    getBilling = async (req, res) => {
+        try {
+            const report = await this.reportService.getBilling(req.query, req.user);
+
+            return ApiResponse.success(res, report, 'Reporte de facturación obtenido exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener reporte de facturación:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Matriz de utilización por usuario y período
+     */
+    getUtilization = async (req, res) => {
+        try {
+            const report = await this.reportService.getUtilization(req.query, req.user);
+
+            return ApiResponse.success(res, report, 'Reporte de utilización obtenido exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener reporte de utilización:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Exportar la matriz de utilización a Excel
+     */
+    exportUtilization = async (req, res) => {
+        try {
+            const file = await this.reportService.exportUtilization(req.query, req.user);
+
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+            res.setHeader('Content-Length', file.buffer.length);
+
+            return res.send(file.buffer);
+        } catch (error) {
+            logger.error('Error al exportar reporte de utilización:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new ReportController();
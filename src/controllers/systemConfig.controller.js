@@ -23,6 +23,37 @@ class SystemConfigController {
         }
     };
 
+    /**
+     * Obtener las claves registradas con su tipo, rango, valor por defecto y valor vigente
+     */
+    getConfigRegistry = async (req, res) => {
+        try {
+            const registry = await this.systemConfigService.getConfigRegistry();
+            return ApiResponse.success(res, registry, 'Registro de configuraciones obtenido exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener registro de configuraciones:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Obtener el historial de cambios de configuración
+     */
+    getConfigHistory = async (req, res) => {
+        try {
+            // Solo administradores pueden consultar el historial
+            if (req.user.role !== 'ADMINISTRADOR') {
+                return ApiResponse.error(res, 'Acceso denegado. Solo administradores pueden consultar el historial de configuraciones.', 403);
+            }
+
+            const history = await this.systemConfigService.getConfigHistory(req.query);
+            return ApiResponse.success(res, history, 'Historial de configuraciones obtenido exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener historial de configuraciones:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
     /**
      * Obtener una configuración específica por clave
      */
@@ -76,7 +107,7 @@ class SystemConfigController {
                 return ApiResponse.error(res, 'Acceso denegado. Solo administradores pueden eliminar configuraciones del sistema.', 403);
             }
 
-            const deleted = await this.systemConfigService.deleteConfig(key);
+            const deleted = await this.systemConfigService.deleteConfig(key, req.user.userId);
             
             if (!deleted) {
                 return ApiResponse.error(res, 'Configuración no encontrada', 404);
@@ -91,12 +122,12 @@ class SystemConfigController {
     };
 
     /**
-     * Obtener configuración de días futuros permitidos
+     * Obtener configuración de días futuros permitidos para el usuario autenticado
      */
     getFutureDaysConfig = async (req, res) => {
         try {
-            const days = await this.systemConfigService.getFutureDaysAllowed();
-            return ApiResponse.success(res, { futureDaysAllowed: days }, 'Configuración de días futuros obtenida exitosamente');
+            const { futureDaysAllowed } = await this.systemConfigService.getUserDateRestrictionConfigs(req.user.userId);
+            return ApiResponse.success(res, { futureDaysAllowed }, 'Configuración de días futuros obtenida exitosamente');
         } catch (error) {
             logger.error('Error al obtener configuración de días futuros:', error);
             return ApiResponse.error(res, error.message, 400);
@@ -136,8 +167,20 @@ class SystemConfigController {
      */
     getDateRestrictionConfigs = async (req, res) => {
         try {
-            const configs = await this.systemConfigService.getDateRestrictionConfigs();
-            return ApiResponse.success(res, configs, 'Configuraciones de restricción de fecha obtenidas exitosamente');
+            const userId = req.query.userId || req.user.userId;
+
+            // Solo administradores pueden consultar los valores efectivos de otro usuario
+            if (userId !== req.user.userId && req.user.role !== 'ADMINISTRADOR') {
+                return ApiResponse.error(res, 'Acceso denegado. Solo administradores pueden consultar la configuración de otros usuarios.', 403);
+            }
+
+            const scope = await this.systemConfigService.getUserConfigScope(userId);
+            if (!scope) {
+                return ApiResponse.error(res, 'Usuario no encontrado', 404);
+            }
+
+            const configs = await this.systemConfigService.getDateRestrictionConfigs(scope);
+            return ApiResponse.success(res, { userId, ...configs }, 'Configuraciones de restricción de fecha obtenidas exitosamente');
         } catch (error) {
             logger.error('Error al obtener configuraciones de restricción de fecha:', error);
             return ApiResponse.error(res, error.message, 400);
@@ -195,6 +238,68 @@ class SystemConfigController {
         }
     };
 
+    /**
+     * Obtener restricciones de fecha definidas por área y por rol
+     */
+    getDateRestrictionOverrides = async (req, res) => {
+        try {
+            // Solo administradores pueden consultar esta configuración
+            if (req.user.role !== 'ADMINISTRADOR') {
+                return ApiResponse.error(res, 'Acceso denegado. Solo administradores pueden consultar esta configuración.', 403);
+            }
+
+            const overrides = await this.systemConfigService.getDateRestrictionOverrides();
+            return ApiResponse.success(res, overrides, 'Restricciones de fecha por área y rol obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener restricciones de fecha por área y rol:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Configurar restricciones de fecha para un área, un rol o ambos
+     */
+    setDateRestrictionOverrides = async (req, res) => {
+        try {
+            // Solo administradores pueden modificar esta configuración
+            if (req.user.role !== 'ADMINISTRADOR') {
+                return ApiResponse.error(res, 'Acceso denegado. Solo administradores pueden modificar esta configuración.', 403);
+            }
+
+            const overrides = await this.systemConfigService.setDateRestrictionOverrides(req.body, req.user.userId);
+
+            logger.info(`Restricciones de fecha por área y rol actualizadas por ${req.user.email}`);
+            return ApiResponse.success(res, overrides, 'Restricciones de fecha por área y rol actualizadas exitosamente');
+        } catch (error) {
+            logger.error('Error al configurar restricciones de fecha por área y rol:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Eliminar una restricción de fecha por área o rol
+     */
+    deleteDateRestrictionOverride = async (req, res) => {
+        try {
+            // Solo administradores pueden eliminar esta configuración
+            if (req.user.role !== 'ADMINISTRADOR') {
+                return ApiResponse.error(res, 'Acceso denegado. Solo administradores pueden eliminar esta configuración.', 403);
+            }
+
+            const deleted = await this.systemConfigService.deleteConfigOverride(req.params.id, req.user.userId);
+
+            if (!deleted) {
+                return ApiResponse.error(res, 'Configuración no encontrada', 404);
+            }
+
+            logger.info(`Restricción de fecha ${req.params.id} eliminada por ${req.user.email}`);
+            return ApiResponse.success(res, null, 'Restricción de fecha eliminada exitosamente');
+        } catch (error) {
+            logger.error('Error al eliminar restricción de fecha:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
     /**
      * Validar si una fecha es permitida para registro de tiempo
      */
@@ -211,7 +316,7 @@ class SystemConfigController {
                 return ApiResponse.error(res, 'Fecha inválida', 400);
             }
 
-            const validation = await this.systemConfigService.validateDateForTimeEntry(targetDate);
+            const validation = await this.systemConfigService.validateDateForTimeEntry(targetDate, req.user.userId);
             
             return ApiResponse.success(res, validation, 'Validación de fecha completada');
         } catch (error) {
@@ -1,6 +1,7 @@
 const TimeEntryService = require('../services/timeEntry.service');
+const TimeEntryExportService = require('../services/timeEntryExport.service');
 const ApiResponse = require('../utils/response');
-const { LIMITS } = require('../utils/constants');
+const { LIMITS, APPROVAL_STATUS, SUCCESS_MESSAGES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
 /**
@@ -9,6 +10,7 @@ const logger = require('../utils/logger');
 class TimeEntryController {
     constructor() {
         this.timeEntryService = new TimeEntryService();
+        this.timeEntryExportService = new TimeEntryExportService();
     }
 
     /**
@@ -27,6 +29,60 @@ class TimeEntryController {
         }
     };
 
+    /**
+     * Guardar en bloque la cuadrícula semanal de registros de tiempo
+     */
+    bulkSaveTimeEntries = async (req, res) => {
+        try {
+            const result = await this.timeEntryService.bulkSaveTimeEntries(req.body, req.user);
+
+            if (!result.success) {
+                return ApiResponse.error(res, 'No se guardó ningún cambio: hay celdas con errores', 400, result.errors);
+            }
+
+            const { success, ...summary } = result;
+            return ApiResponse.success(res, summary, 'Registros de tiempo guardados exitosamente');
+        } catch (error) {
+            logger.error('Error en guardado en bloque de registros de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Copiar la estructura de un período (o rango de fechas) a otro período
+     */
+    copyTimeEntries = async (req, res) => {
+        try {
+            const result = await this.timeEntryService.copyTimeEntries(req.body, req.user);
+
+            const message = result.skipped.length > 0
+                ? `Se copiaron ${result.created.length} registros; ${result.skipped.length} fueron omitidos`
+                : `Se copiaron ${result.created.length} registros exitosamente`;
+            return ApiResponse.success(res, result, message, 201);
+        } catch (error) {
+            logger.error('Error al copiar registros de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Exportar registros de tiempo a CSV o Excel
+     */
+    exportTimeEntries = async (req, res) => {
+        try {
+            const file = await this.timeEntryExportService.exportTimeEntries(req.query, req.user);
+
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+            res.setHeader('Content-Length', file.buffer.length);
+
+            return res.send(file.buffer);
+        } catch (error) {
+            logger.error('Error al exportar registros de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
     /**
      * Obtener registro de tiempo por ID
      */
@@ -54,7 +110,8 @@ class TimeEntryController {
                 taskId,
                 projectId,
                 startDate,
-                endDate
+                endDate,
+                approvalStatus
             } = req.query;
 
             // Validar límites de paginación
@@ -67,6 +124,9 @@ class TimeEntryController {
             if (projectId) filters.projectId = projectId;
             if (startDate) filters.startDate = startDate;
             if (endDate) filters.endDate = endDate;
+            if (approvalStatus && Object.values(APPROVAL_STATUS).includes(approvalStatus)) {
+                filters.approvalStatus = approvalStatus;
+            }
 
             const pagination = {
                 page: pageNumber,
@@ -105,6 +165,35 @@ class TimeEntryController {
         }
     };
 
+    /**
+     * Obtener la bitácora de cambios de un registro de tiempo, incluso si fue eliminado
+     */
+    getTimeEntryHistory = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const history = await this.timeEntryService.getTimeEntryHistory(id, req.user);
+
+            return ApiResponse.success(res, history, 'Historial del registro de tiempo obtenido exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener historial del registro de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Consultar la bitácora de cambios de registros de tiempo (permite encontrar registros eliminados)
+     */
+    getTimeEntriesHistory = async (req, res) => {
+        try {
+            const history = await this.timeEntryService.getTimeEntriesHistory(req.query, req.user);
+
+            return ApiResponse.success(res, history, 'Historial de registros de tiempo obtenido exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener historial de registros de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
     /**
      * Eliminar registro de tiempo
      */
@@ -121,6 +210,52 @@ class TimeEntryController {
         }
     };
 
+    /**
+     * Obtener registros de tiempo pendientes de aprobación
+     */
+    getPendingApprovals = async (req, res) => {
+        try {
+            const timeEntries = await this.timeEntryService.getPendingApprovals(req.query, req.user);
+
+            return ApiResponse.success(res, timeEntries, 'Registros pendientes de aprobación obtenidos exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener registros pendientes de aprobación:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Aprobar o rechazar un registro de tiempo
+     */
+    reviewTimeEntry = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const timeEntry = await this.timeEntryService.reviewTimeEntry(id, req.body, req.user);
+
+            const message = req.body.isApproved
+                ? SUCCESS_MESSAGES.TIME_ENTRY_APPROVED
+                : SUCCESS_MESSAGES.TIME_ENTRY_REJECTED;
+            return ApiResponse.success(res, timeEntry, message);
+        } catch (error) {
+            logger.error('Error al revisar registro de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Aprobar o rechazar varios registros de tiempo
+     */
+    bulkReviewTimeEntries = async (req, res) => {
+        try {
+            const result = await this.timeEntryService.bulkReviewTimeEntries(req.body, req.user);
+
+            return ApiResponse.success(res, result, `Revisión completada: ${result.processed.length} procesados, ${result.errors.length} con errores`);
+        } catch (error) {
+            logger.error('Error en revisión masiva de registros de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
     /**
      * Obtener registros de tiempo por fecha
      */
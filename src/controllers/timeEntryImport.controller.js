@@ -0,0 +1,165 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const TimeEntryImportService = require('../services/timeEntryImport.service');
+const ApiResponse = require('../utils/response');
+const logger = require('../utils/logger');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Configuración de multer para subida de archivos
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const uploadPath = path.join(__dirname, '../../uploads');
+        if (!fs.existsSync(uploadPath)) {
+            fs.mkdirSync(uploadPath, { recursive: true });
+        }
+        cb(null, uploadPath);
+    },
+    filename: (req, file, cb) => {
+        const timestamp = new Date().toISOString().replace(/:/g, '-');
+        const extension = path.extname(file.originalname);
+        cb(null, `time-entry-import-${timestamp}${extension}`);
+    }
+});
+
+const upload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+
+        if (['.xlsx', '.csv'].includes(extension)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Solo se permiten archivos Excel (.xlsx) o CSV (.csv)'), false);
+        }
+    },
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB límite
+    }
+});
+
+/**
+ * Controlador para importación de registros de tiempo desde Excel o CSV
+ */
+class TimeEntryImportController {
+    constructor() {
+        this.timeEntryImportService = new TimeEntryImportService();
+    }
+
+    /**
+     * Middleware de subida del archivo (campo "file")
+     */
+    uploadFile = (req, res, next) => {
+        upload.single('file')(req, res, (err) => {
+            if (err) {
+                if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                    return ApiResponse.error(res, 'El archivo es demasiado grande. Máximo 10MB permitido.', 400);
+                }
+                return ApiResponse.error(res, err.message, 400);
+            }
+
+            if (!req.file) {
+                return ApiResponse.error(res, 'No se proporcionó archivo para importar', 400);
+            }
+
+            next();
+        });
+    };
+
+    /**
+     * Importar registros de tiempo (o solo validarlos con dryRun)
+     */
+    importTimeEntries = async (req, res) => {
+        try {
+            const { dryRun } = req.body;
+            const result = await this.timeEntryImportService.importFromFile(req.file.path, req.user, {
+                dryRun,
+                originalName: req.file.originalname,
+            });
+
+            const data = {
+                dryRun: result.dryRun,
+                totalRows: result.totalRows,
+                valid: result.success,
+                created: result.created.length,
+                skipped: result.warnings.length,
+                errors: result.errors.length,
+                entries: result.entries,
+                warnings: result.warnings,
+                errorDetails: result.errors.map(error => ({
+                    row: error.row,
+                    errorType: error.errorType,
+                    message: error.error,
+                    missingFields: error.details?.missingFields || [],
+                    invalidFields: error.details?.invalidFields || [],
+                })),
+            };
+
+            if (result.errorReport?.buffer) {
+                data.errorReport = {
+                    reportId: this.timeEntryImportService.storeErrorReport(result.errorReport, req.user.userId),
+                    filename: result.errorReport.filename,
+                    totalErrors: result.errorReport.totalErrors,
+                };
+            }
+
+            const message = result.dryRun
+                ? `Validación completada: ${result.success}/${result.totalRows} registros se pueden importar`
+                : `Importación completada: ${result.created.length}/${result.totalRows} registros creados`;
+
+            return ApiResponse.success(res, data, message);
+        } catch (error) {
+            logger.error('Error al importar registros de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        } finally {
+            // Limpiar archivo temporal
+            fs.unlink(req.file.path, (unlinkErr) => {
+                if (unlinkErr) {
+                    logger.warn('Error eliminando archivo temporal:', unlinkErr);
+                }
+            });
+        }
+    };
+
+    /**
+     * Descargar plantilla de importación
+     */
+    downloadTemplate = async (req, res) => {
+        try {
+            const buffer = await this.timeEntryImportService.generateTemplate();
+
+            res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+            res.setHeader('Content-Disposition', 'attachment; filename="plantilla-importacion-registros.xlsx"');
+            res.setHeader('Content-Length', buffer.length);
+
+            return res.send(buffer);
+        } catch (error) {
+            logger.error('Error generando plantilla de registros:', error);
+            return ApiResponse.error(res, 'Error generando plantilla de Excel', 500);
+        }
+    };
+
+    /**
+     * Descargar reporte de errores de una importación
+     */
+    downloadErrorReport = async (req, res) => {
+        try {
+            const report = this.timeEntryImportService.getErrorReport(req.params.reportId, req.user.userId);
+            if (!report) {
+                return ApiResponse.notFound(res, 'No hay reporte de errores disponible para descargar');
+            }
+
+            res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+            res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+            res.setHeader('Content-Length', report.buffer.length);
+
+            return res.send(report.buffer);
+        } catch (error) {
+            logger.error('Error descargando reporte de errores de registros:', error);
+            return ApiResponse.error(res, error.message, 500);
+        }
+    };
+}
+
+module.exports = new TimeEntryImportController();
@@ -0,0 +1,90 @@
+const TimeEntryTemplateService = require('../services/timeEntryTemplate.service');
+const ApiResponse = require('../utils/response');
+const { USER_ROLES, SUCCESS_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para plantillas recurrentes de registros de tiempo
+ */
+class TimeEntryTemplateController {
+    constructor() {
+        this.templateService = new TimeEntryTemplateService();
+    }
+
+    /**
+     * Listar plantillas del usuario
+     */
+    getTemplates = async (req, res) => {
+        try {
+            const templates = await this.templateService.getTemplates(req.query, req.user);
+
+            return ApiResponse.success(res, templates, 'Plantillas obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener plantillas:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Crear plantilla
+     */
+    createTemplate = async (req, res) => {
+        try {
+            const template = await this.templateService.createTemplate(req.body, req.user);
+
+            return ApiResponse.success(res, template, SUCCESS_MESSAGES.RESOURCE_CREATED, 201);
+        } catch (error) {
+            logger.error('Error al crear plantilla:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Actualizar plantilla
+     */
+    updateTemplate = async (req, res) => {
+        try {
+            const template = await this.templateService.updateTemplate(req.params.id, req.body, req.user);
+
+            return ApiResponse.success(res, template, SUCCESS_MESSAGES.RESOURCE_UPDATED);
+        } catch (error) {
+            logger.error('Error al actualizar plantilla:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Eliminar plantilla
+     */
+    deleteTemplate = async (req, res) => {
+        try {
+            await this.templateService.deleteTemplate(req.params.id, req.user);
+
+            return ApiResponse.success(res, null, SUCCESS_MESSAGES.RESOURCE_DELETED);
+        } catch (error) {
+            logger.error('Error al eliminar plantilla:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Generar registros del período a partir de las plantillas
+     * Administradores pueden generar para un usuario o para todos; el resto solo para sí mismos
+     */
+    generateForPeriod = async (req, res) => {
+        try {
+            const userId = req.user.role === USER_ROLES.ADMINISTRADOR
+                ? req.body.userId || null
+                : req.user.userId;
+
+            const result = await this.templateService.generateForPeriod(req.body.timePeriodId, userId);
+
+            return ApiResponse.success(res, result, `Se generaron ${result.created.length} registros desde plantillas`);
+        } catch (error) {
+            logger.error('Error al generar registros desde plantillas:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new TimeEntryTemplateController();
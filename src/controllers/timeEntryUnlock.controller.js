@@ -0,0 +1,72 @@
+const TimeEntryUnlockService = require('../services/timeEntryUnlock.service');
+const ApiResponse = require('../utils/response');
+const { SUCCESS_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para las solicitudes de desbloqueo de fechas fuera de la ventana de captura
+ */
+class TimeEntryUnlockController {
+    constructor() {
+        this.timeEntryUnlockService = new TimeEntryUnlockService();
+    }
+
+    /**
+     * Listar solicitudes de desbloqueo
+     */
+    getUnlockRequests = async (req, res) => {
+        try {
+            const unlocks = await this.timeEntryUnlockService.getUnlockRequests(req.query, req.user);
+
+            return ApiResponse.success(res, unlocks, 'Solicitudes de desbloqueo obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener solicitudes de desbloqueo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Solicitar desbloqueo
+     */
+    requestUnlock = async (req, res) => {
+        try {
+            const unlock = await this.timeEntryUnlockService.requestUnlock(req.body, req.user);
+
+            return ApiResponse.success(res, unlock, SUCCESS_MESSAGES.RESOURCE_CREATED, 201);
+        } catch (error) {
+            logger.error('Error al solicitar desbloqueo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Aprobar o rechazar una solicitud de desbloqueo
+     */
+    reviewUnlock = async (req, res) => {
+        try {
+            const unlock = await this.timeEntryUnlockService.reviewUnlock(req.params.id, req.body, req.user);
+            const message = req.body.isApproved ? 'Desbloqueo aprobado exitosamente' : 'Desbloqueo rechazado';
+
+            return ApiResponse.success(res, unlock, message);
+        } catch (error) {
+            logger.error('Error al revisar solicitud de desbloqueo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Cancelar solicitud de desbloqueo
+     */
+    cancelUnlock = async (req, res) => {
+        try {
+            const unlock = await this.timeEntryUnlockService.cancelUnlock(req.params.id, req.user);
+
+            return ApiResponse.success(res, unlock, 'Desbloqueo cancelado exitosamente');
+        } catch (error) {
+            logger.error('Error al cancelar solicitud de desbloqueo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new TimeEntryUnlockController();
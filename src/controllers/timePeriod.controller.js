@@ -1,4 +1,9 @@
 const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const TimeEntryTemplateService = require('../services/timeEntryTemplate.service');
+const HolidayService = require('../services/holiday.service');
+const WorkScheduleService = require('../services/workSchedule.service');
+const TimePeriodService = require('../services/timePeriod.service');
+const FiscalCalendarService = require('../services/fiscalCalendar.service');
 const { timePeriodValidator } = require('../validators/timePeriod.validator');
 const logger = require('../utils/logger');
 const { USER_ROLES, ERROR_MESSAGES } = require('../utils/constants');
@@ -6,6 +11,11 @@ const { USER_ROLES, ERROR_MESSAGES } = require('../utils/constants');
 class TimePeriodController {
     constructor() {
         this.timePeriodRepository = new TimePeriodRepository();
+        this.timeEntryTemplateService = new TimeEntryTemplateService();
+        this.holidayService = new HolidayService();
+        this.workScheduleService = new WorkScheduleService();
+        this.timePeriodService = new TimePeriodService();
+        this.fiscalCalendarService = new FiscalCalendarService();
     }
 
     /**
@@ -94,13 +104,16 @@ class TimePeriodController {
                 });
             }
 
-            const period = await this.timePeriodRepository.create(value);
+            // Sin horas de referencia explícitas se calculan con días hábiles y feriados
+            const period = await this.timePeriodRepository.create(await this.holidayService.withReferenceHours(value));
             
             logger.info(`Período de tiempo creado: ${period.id}`, {
                 userId: req.user.userId,
                 periodId: period.id
             });
 
+            await this.applyTemplates([period]);
+
             res.status(201).json({
                 success: true,
                 message: 'Período de tiempo creado exitosamente',
@@ -153,7 +166,13 @@ class TimePeriodController {
                 }
             }
 
-            const result = await this.timePeriodRepository.createMany(periods);
+            const periodsWithHours = [];
+            for (const period of periods) {
+                periodsWithHours.push(await this.holidayService.withReferenceHours(period));
+            }
+
+            const result = await this.timePeriodRepository.createMany(periodsWithHours);
+            await this.applyTemplates(result.created);
             
             logger.info(`Períodos creados masivamente: ${result.created.length} creados, ${result.skipped.length} omitidos, ${result.errors.length} errores`, {
                 userId: req.user.userId
@@ -174,6 +193,53 @@ class TimePeriodController {
         }
     }
 
+    /**
+     * Generar los períodos semanales, quincenales o mensuales de un año
+     */
+    async generate(req, res) {
+        try {
+            // Solo administradores pueden crear períodos
+            if (req.user.role !== USER_ROLES.ADMINISTRADOR) {
+                return res.status(403).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FORBIDDEN
+                });
+            }
+
+            const { error, value } = timePeriodValidator.generate.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Error de validación en los datos enviados',
+                    errors: error.details.map(detail => ({
+                        field: detail.path.join('.'),
+                        message: detail.message
+                    }))
+                });
+            }
+
+            const result = await this.timePeriodService.generateYear(value, req.user);
+            if (!result.dryRun) {
+                await this.applyTemplates(result.created);
+            }
+
+            res.status(result.dryRun ? 200 : 201).json({
+                success: true,
+                message: result.dryRun
+                    ? `Se crearían ${result.created.length} períodos`
+                    : `${result.created.length} períodos creados exitosamente`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Error al generar períodos:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
     /**
      * Actualizar período de tiempo
      */
@@ -201,7 +267,23 @@ class TimePeriodController {
                 });
             }
 
-            const period = await this.timePeriodRepository.update(id, value);
+            const existing = await this.timePeriodRepository.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Período de tiempo no encontrado'
+                });
+            }
+
+            // Mover las fechas de un período cerrado cambiaría qué registros quedan bloqueados sin pasar por la bitácora
+            if (existing.isClosed) {
+                return res.status(400).json({
+                    success: false,
+                    message: ERROR_MESSAGES.PERIOD_CLOSED
+                });
+            }
+
+            const period = await this.timePeriodRepository.update(id, await this.holidayService.withUpdatedReferenceHours(existing, value));
             
             logger.info(`Período de tiempo actualizado: ${id}`, {
                 userId: req.user.userId,
@@ -244,6 +326,14 @@ class TimePeriodController {
             }
 
             const { id } = req.params;
+
+            const existing = await this.timePeriodRepository.findById(id);
+            if (existing && existing.isClosed) {
+                return res.status(400).json({
+                    success: false,
+                    message: ERROR_MESSAGES.PERIOD_CLOSED
+                });
+            }
             
             await this.timePeriodRepository.delete(id);
             
@@ -274,7 +364,168 @@ class TimePeriodController {
     }
 
     /**
-     * Obtener período actual
+     * Cerrar período de tiempo
+     */
+    async close(req, res) {
+        try {
+            // Solo administradores pueden cerrar períodos
+            if (req.user.role !== USER_ROLES.ADMINISTRADOR) {
+                return res.status(403).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FORBIDDEN
+                });
+            }
+
+            const { id } = req.params;
+            const { error, value } = timePeriodValidator.close.validate(req.body || {});
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Error de validación en los datos enviados',
+                    errors: error.details.map(detail => ({
+                        field: detail.path.join('.'),
+                        message: detail.message
+                    }))
+                });
+            }
+
+            const existing = await this.timePeriodRepository.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Período de tiempo no encontrado'
+                });
+            }
+
+            if (existing.isClosed) {
+                return res.status(400).json({
+                    success: false,
+                    message: ERROR_MESSAGES.PERIOD_ALREADY_CLOSED
+                });
+            }
+
+            const period = await this.timePeriodRepository.close(id, req.user.userId, value.justification || null);
+
+            logger.info(`Período de tiempo cerrado: ${id}`, {
+                userId: req.user.userId,
+                periodId: id
+            });
+
+            res.json({
+                success: true,
+                message: 'Período de tiempo cerrado exitosamente',
+                data: period
+            });
+
+        } catch (error) {
+            logger.error('Error al cerrar período de tiempo:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Reabrir período de tiempo cerrado
+     */
+    async reopen(req, res) {
+        try {
+            // Solo administradores pueden reabrir períodos
+            if (req.user.role !== USER_ROLES.ADMINISTRADOR) {
+                return res.status(403).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FORBIDDEN
+                });
+            }
+
+            const { id } = req.params;
+            const { error, value } = timePeriodValidator.reopen.validate(req.body || {});
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Error de validación en los datos enviados',
+                    errors: error.details.map(detail => ({
+                        field: detail.path.join('.'),
+                        message: detail.message
+                    }))
+                });
+            }
+
+            const existing = await this.timePeriodRepository.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Período de tiempo no encontrado'
+                });
+            }
+
+            if (!existing.isClosed) {
+                return res.status(400).json({
+                    success: false,
+                    message: ERROR_MESSAGES.PERIOD_NOT_CLOSED
+                });
+            }
+
+            const period = await this.timePeriodRepository.reopen(id, req.user.userId, value.justification);
+
+            logger.info(`Período de tiempo reabierto: ${id}`, {
+                userId: req.user.userId,
+                periodId: id,
+                justification: value.justification
+            });
+
+            res.json({
+                success: true,
+                message: 'Período de tiempo reabierto exitosamente',
+                data: period
+            });
+
+        } catch (error) {
+            logger.error('Error al reabrir período de tiempo:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Obtener bitácora de cierres y reaperturas de un período
+     */
+    async getLockHistory(req, res) {
+        try {
+            // Solo administradores pueden consultar la bitácora
+            if (req.user.role !== USER_ROLES.ADMINISTRADOR) {
+                return res.status(403).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FORBIDDEN
+                });
+            }
+
+            const { id } = req.params;
+
+            const logs = await this.timePeriodRepository.getLockLogs(id);
+
+            res.json({
+                success: true,
+                message: 'Bitácora del período obtenida exitosamente',
+                data: logs
+            });
+
+        } catch (error) {
+            logger.error('Error al obtener bitácora del período:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Obtener período actual con su año y mes fiscal
      */
     async getCurrent(req, res) {
         try {
@@ -287,10 +538,12 @@ class TimePeriodController {
                 });
             }
 
+            const calendar = await this.fiscalCalendarService.getCalendar();
+
             res.json({
                 success: true,
                 message: 'Período actual obtenido exitosamente',
-                data: period
+                data: { ...period, ...this.fiscalCalendarService.getPeriodFiscalMonth(period, calendar) }
             });
 
         } catch (error) {
@@ -303,19 +556,23 @@ class TimePeriodController {
     }
 
     /**
-     * Obtener períodos por rango de fecha
+     * Obtener períodos por rango de fecha o por año (y mes) fiscal, con su año y mes fiscal
      */
     async getByDateRange(req, res) {
         try {
-            const { startDate, endDate } = req.query;
-            
-            if (!startDate || !endDate) {
+            const { error, value } = timePeriodValidator.range.validate(req.query);
+            if (error) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Se requieren las fechas de inicio y fin'
+                    message: error.details[0].message
                 });
             }
 
+            const calendar = await this.fiscalCalendarService.getCalendar();
+            const { startDate, endDate } = value.fiscalYear
+                ? this.fiscalCalendarService.getRange(value.fiscalYear, value.fiscalMonth, calendar)
+                : value;
+
             const periods = await this.timePeriodRepository.findByDateRange(
                 new Date(startDate),
                 new Date(endDate)
@@ -324,7 +581,7 @@ class TimePeriodController {
             res.json({
                 success: true,
                 message: 'Períodos obtenidos exitosamente',
-                data: periods
+                data: periods.map(period => ({ ...period, ...this.fiscalCalendarService.getPeriodFiscalMonth(period, calendar) }))
             });
 
         } catch (error) {
@@ -336,14 +593,46 @@ class TimePeriodController {
         }
     }
 
+    /**
+     * Obtener los meses del año fiscal según el calendario configurado
+     */
+    async getFiscalCalendar(req, res) {
+        try {
+            const { error, value } = timePeriodValidator.fiscalCalendar.validate(req.query);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.details[0].message
+                });
+            }
+
+            const calendar = await this.fiscalCalendarService.getCalendar();
+            const fiscalYear = value.fiscalYear || this.fiscalCalendarService.findMonth(new Date(), calendar).fiscalYear;
+
+            res.json({
+                success: true,
+                message: 'Calendario fiscal obtenido exitosamente',
+                data: this.fiscalCalendarService.buildYear(fiscalYear, calendar)
+            });
+
+        } catch (error) {
+            logger.error('Error al obtener calendario fiscal:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
     /**
      * Obtener estadísticas de un período
      */
     async getStatistics(req, res) {
         try {
             const { id } = req.params;
-            
-            const statistics = await this.timePeriodRepository.getStatistics(id);
+
+            const expectedHours = await this.getExpectedHours(id);
+            const statistics = await this.timePeriodRepository.getStatistics(id, expectedHours);
 
             res.json({
                 success: true,
@@ -374,8 +663,9 @@ class TimePeriodController {
         try {
             const { id } = req.params;
             const { userId } = req.query;
-            
-            const comparison = await this.timePeriodRepository.getComparison(id, userId);
+
+            const expectedHours = await this.getExpectedHours(id, userId);
+            const comparison = await this.timePeriodRepository.getComparison(id, userId, expectedHours);
 
             res.json({
                 success: true,
@@ -398,6 +688,32 @@ class TimePeriodController {
             });
         }
     }
+
+    /**
+     * Horas esperadas por usuario en el período según su jornada laboral
+     */
+    async getExpectedHours(periodId, userId = null) {
+        const period = await this.timePeriodRepository.findById(periodId);
+        if (!period) {
+            throw new Error('Período no encontrado');
+        }
+
+        return await this.workScheduleService.getExpectedHoursForPeriod(period, userId);
+    }
+
+    /**
+     * Generar los registros de las plantillas recurrentes en los períodos recién creados
+     * Un error en la generación no impide la creación del período
+     */
+    async applyTemplates(periods) {
+        for (const period of periods) {
+            try {
+                await this.timeEntryTemplateService.generateForPeriod(period.id);
+            } catch (error) {
+                logger.warn(`No se pudieron aplicar las plantillas al período ${period.id}: ${error.message}`);
+            }
+        }
+    }
 }
 
 const controller = new TimePeriodController();
@@ -407,10 +723,15 @@ module.exports = {
     getById: controller.getById.bind(controller),
     create: controller.create.bind(controller),
     createBulk: controller.createBulk.bind(controller),
+    generate: controller.generate.bind(controller),
     update: controller.update.bind(controller),
     delete: controller.delete.bind(controller),
     getCurrent: controller.getCurrent.bind(controller),
     getByDateRange: controller.getByDateRange.bind(controller),
+    getFiscalCalendar: controller.getFiscalCalendar.bind(controller),
     getStatistics: controller.getStatistics.bind(controller),
-    getComparison: controller.getComparison.bind(controller)
+    getComparison: controller.getComparison.bind(controller),
+    close: controller.close.bind(controller),
+    reopen: controller.reopen.bind(controller),
+    getLockHistory: controller.getLockHistory.bind(controller)
 };
\ No newline at end of file
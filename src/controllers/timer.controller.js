@@ -0,0 +1,133 @@
+const TimerService = require('../services/timer.service');
+const ApiResponse = require('../utils/response');
+const { TIMER_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para cronómetros de captura de tiempo
+ */
+class TimerController {
+    constructor() {
+        this.timerService = new TimerService();
+    }
+
+    /**
+     * Obtener el cronómetro activo del usuario autenticado
+     */
+    getActiveTimer = async (req, res) => {
+        try {
+            const timer = await this.timerService.getActiveTimer(req.user);
+
+            return ApiResponse.success(res, timer, timer ? 'Cronómetro activo obtenido exitosamente' : 'No hay cronómetro activo');
+        } catch (error) {
+            logger.error('Error al obtener cronómetro activo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Listar cronómetros del usuario autenticado
+     */
+    getTimers = async (req, res) => {
+        try {
+            const timers = await this.timerService.getTimers(req.query, req.user);
+
+            return ApiResponse.success(res, timers, 'Cronómetros obtenidos exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener cronómetros:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Iniciar cronómetro
+     */
+    startTimer = async (req, res) => {
+        try {
+            const timer = await this.timerService.startTimer(req.body, req.user);
+
+            return ApiResponse.success(res, timer, 'Cronómetro iniciado exitosamente', 201);
+        } catch (error) {
+            logger.error('Error al iniciar cronómetro:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Pausar cronómetro
+     */
+    pauseTimer = async (req, res) => {
+        try {
+            const timer = await this.timerService.pauseTimer(req.params.id, req.user);
+
+            return ApiResponse.success(res, timer, 'Cronómetro pausado exitosamente');
+        } catch (error) {
+            logger.error('Error al pausar cronómetro:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Reanudar cronómetro
+     */
+    resumeTimer = async (req, res) => {
+        try {
+            const timer = await this.timerService.resumeTimer(req.params.id, req.user);
+
+            return ApiResponse.success(res, timer, 'Cronómetro reanudado exitosamente');
+        } catch (error) {
+            logger.error('Error al reanudar cronómetro:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Detener cronómetro y generar el registro de tiempo
+     */
+    stopTimer = async (req, res) => {
+        try {
+            const result = await this.timerService.stopTimer(req.params.id, req.body, req.user);
+
+            return ApiResponse.success(res, result, this.buildStopMessage(result));
+        } catch (error) {
+            logger.error('Error al detener cronómetro:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Resolver cronómetro marcado para revisión
+     */
+    resolveTimer = async (req, res) => {
+        try {
+            const result = await this.timerService.resolveFlaggedTimer(req.params.id, req.body, req.user);
+
+            const message = result.timeEntry
+                ? 'Cronómetro resuelto y horas registradas exitosamente'
+                : 'Cronómetro descartado sin registrar horas';
+            return ApiResponse.success(res, result, message);
+        } catch (error) {
+            logger.error('Error al resolver cronómetro:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Mensaje según el resultado de detener un cronómetro
+     * @param {Object} result - { timer, timeEntry }
+     * @returns {string}
+     */
+    buildStopMessage(result) {
+        if (result.timeEntry) {
+            return 'Cronómetro detenido y horas registradas exitosamente';
+        }
+
+        if (result.timer.status === TIMER_STATUS.FLAGGED) {
+            return `El cronómetro requiere revisión: ${result.timer.flaggedReason}`;
+        }
+
+        return 'Cronómetro descartado: el tiempo transcurrido es menor al mínimo de horas por registro';
+    }
+}
+
+module.exports = new TimerController();
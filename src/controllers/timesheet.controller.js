@@ -0,0 +1,84 @@
+const TimesheetService = require('../services/timesheet.service');
+const ApiResponse = require('../utils/response');
+const { SUCCESS_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para gestión de hojas de tiempo
+ */
+class TimesheetController {
+    constructor() {
+        this.timesheetService = new TimesheetService();
+    }
+
+    /**
+     * Listar hojas de tiempo según permisos del usuario
+     */
+    getTimesheets = async (req, res) => {
+        try {
+            const { page = 1, limit = 10, ...filters } = req.query;
+
+            const pagination = {
+                page,
+                limit,
+                skip: (page - 1) * limit,
+            };
+
+            const result = await this.timesheetService.getTimesheets(filters, pagination, req.user);
+
+            return ApiResponse.paginated(res, result.timesheets, { page, limit, total: result.total }, 'Hojas de tiempo obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener hojas de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Obtener hoja de tiempo de un usuario en un período
+     */
+    getTimesheet = async (req, res) => {
+        try {
+            const { userId, timePeriodId } = req.params;
+            const result = await this.timesheetService.getTimesheet(userId, timePeriodId, req.user);
+
+            return ApiResponse.success(res, result, 'Hoja de tiempo obtenida exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener hoja de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Enviar hoja de tiempo del usuario autenticado
+     */
+    submitTimesheet = async (req, res) => {
+        try {
+            const result = await this.timesheetService.submitTimesheet(req.body.timePeriodId, req.user);
+
+            return ApiResponse.success(res, result, SUCCESS_MESSAGES.TIMESHEET_SUBMITTED);
+        } catch (error) {
+            logger.error('Error al enviar hoja de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Aprobar o devolver una hoja de tiempo
+     */
+    reviewTimesheet = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const timesheet = await this.timesheetService.reviewTimesheet(id, req.body, req.user);
+
+            const message = req.body.isApproved
+                ? SUCCESS_MESSAGES.TIMESHEET_APPROVED
+                : SUCCESS_MESSAGES.TIMESHEET_RETURNED;
+            return ApiResponse.success(res, timesheet, message);
+        } catch (error) {
+            logger.error('Error al revisar hoja de tiempo:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new TimesheetController();
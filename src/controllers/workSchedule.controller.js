@@ -0,0 +1,71 @@
+const WorkScheduleService = require('../services/workSchedule.service');
+const ApiResponse = require('../utils/response');
+const { SUCCESS_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador para las jornadas laborales de los usuarios
+ */
+class WorkScheduleController {
+    constructor() {
+        this.workScheduleService = new WorkScheduleService();
+    }
+
+    /**
+     * Listar jornadas
+     */
+    getSchedules = async (req, res) => {
+        try {
+            const schedules = await this.workScheduleService.getSchedules(req.query, req.user);
+
+            return ApiResponse.success(res, schedules, 'Jornadas laborales obtenidas exitosamente');
+        } catch (error) {
+            logger.error('Error al obtener jornadas laborales:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Registrar jornada
+     */
+    createSchedule = async (req, res) => {
+        try {
+            const schedule = await this.workScheduleService.createSchedule(req.body, req.user);
+
+            return ApiResponse.success(res, schedule, SUCCESS_MESSAGES.RESOURCE_CREATED, 201);
+        } catch (error) {
+            logger.error('Error al registrar jornada laboral:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Actualizar jornada
+     */
+    updateSchedule = async (req, res) => {
+        try {
+            const schedule = await this.workScheduleService.updateSchedule(req.params.id, req.body, req.user);
+
+            return ApiResponse.success(res, schedule, SUCCESS_MESSAGES.RESOURCE_UPDATED);
+        } catch (error) {
+            logger.error('Error al actualizar jornada laboral:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+
+    /**
+     * Eliminar jornada
+     */
+    deleteSchedule = async (req, res) => {
+        try {
+            await this.workScheduleService.deleteSchedule(req.params.id, req.user);
+
+            return ApiResponse.success(res, null, SUCCESS_MESSAGES.RESOURCE_DELETED);
+        } catch (error) {
+            logger.error('Error al eliminar jornada laboral:', error);
+            return ApiResponse.error(res, error.message, 400);
+        }
+    };
+}
+
+module.exports = new WorkScheduleController();
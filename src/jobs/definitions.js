@@ -0,0 +1,111 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const TimePeriodService = require('../services/timePeriod.service');
+const ReminderService = require('../services/reminder.service');
+const ReportService = require('../services/report.service');
+const logger = require('../utils/logger');
+
+const UPLOADS_PATH = path.join(__dirname, '../../uploads');
+
+/**
+ * Eliminar los archivos de uploads/ con más antigüedad que la retención configurada
+ * Las importaciones borran su archivo al terminar; aquí se limpian los que quedaron por errores
+ * @param {number} retentionHours
+ * @returns {Promise<Object>} - { deleted, kept }
+ */
+const cleanUploads = async (retentionHours) => {
+    let files;
+    try {
+        files = await fs.readdir(UPLOADS_PATH, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { deleted: 0, kept: 0 };
+        }
+        throw error;
+    }
+
+    const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+    let deleted = 0;
+    let kept = 0;
+
+    for (const file of files.filter(entry => entry.isFile())) {
+        const filePath = path.join(UPLOADS_PATH, file.name);
+        const { mtimeMs } = await fs.stat(filePath);
+
+        if (mtimeMs < cutoff) {
+            await fs.unlink(filePath);
+            deleted++;
+        } else {
+            kept++;
+        }
+    }
+
+    if (deleted > 0) {
+        logger.info(`Archivos temporales eliminados de uploads/: ${deleted}`);
+    }
+
+    return { deleted, kept };
+};
+
+/**
+ * Tareas programadas del sistema
+ * schedule es una expresión cron de 5 campos en hora local del servidor (ver utils/cron);
+ * timeoutMinutes es la vigencia del candado, tras la cual otra instancia puede volver a ejecutarla.
+ * Las tareas deshabilitadas no se programan, pero se pueden ejecutar manualmente.
+ */
+const JOB_DEFINITIONS = [
+    {
+        name: 'generate-periods',
+        description: 'Generar los períodos del año fiscal próximo a iniciar con el tipo configurado',
+        schedule: '0 2 1 * *',
+        enabled: true,
+        timeoutMinutes: 30,
+        run: () => new TimePeriodService().generateUpcomingPeriods(),
+    },
+    {
+        name: 'apply-templates',
+        description: 'Aplicar las plantillas recurrentes a los períodos abiertos dentro de la ventana de captura',
+        schedule: '0 1 * * *',
+        enabled: true,
+        timeoutMinutes: 60,
+        run: () => new TimePeriodService().applyTemplatesToUpcomingPeriods(),
+    },
+    {
+        name: 'close-periods',
+        description: 'Cerrar los períodos que terminaron hace más de TIME_PERIOD_AUTO_CLOSE_DAYS días',
+        schedule: '0 3 * * *',
+        enabled: true,
+        timeoutMinutes: 30,
+        run: () => new TimePeriodService().closeExpiredPeriods(),
+    },
+    {
+        name: 'send-reminders',
+        description: 'Enviar los recordatorios diarios de hoja de tiempo y aprobaciones pendientes',
+        schedule: `0 ${config.REMINDER_HOUR} * * *`,
+        enabled: config.REMINDERS_ENABLED,
+        timeoutMinutes: 60,
+        run: () => new ReminderService().runDailyReminders(),
+    },
+    {
+        name: 'report-rollups',
+        description: 'Consolidar las horas por usuario y proyecto de los períodos recientes',
+        schedule: '30 1 * * *',
+        enabled: true,
+        timeoutMinutes: 60,
+        run: () => new ReportService().rollupPeriodHours(),
+    },
+    {
+        name: 'clean-uploads',
+        description: 'Eliminar los archivos temporales de uploads/ con más de UPLOADS_RETENTION_HOURS horas',
+        schedule: '0 4 * * *',
+        enabled: true,
+        timeoutMinutes: 15,
+        run: () => cleanUploads(config.UPLOADS_RETENTION_HOURS),
+    },
+];
+
+module.exports = {
+    JOB_DEFINITIONS,
+    cleanUploads,
+};
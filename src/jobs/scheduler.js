@@ -0,0 +1,54 @@
+const config = require('../config');
+const JobService = require('../services/job.service');
+const logger = require('../utils/logger');
+
+// Revisar dos veces por minuto para no perder ningún minuto programado
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Iniciar las tareas programadas (ver jobs/definitions)
+ * Cada instancia revisa las programaciones; el candado de cada tarea asegura que solo una la ejecute
+ * @returns {Object|null} Intervalo programado, o null si las tareas están deshabilitadas (JOBS_ENABLED=false)
+ */
+const startJobScheduler = () => {
+    if (!config.JOBS_ENABLED) {
+        logger.info('Tareas programadas deshabilitadas');
+        return null;
+    }
+
+    const jobService = new JobService();
+    jobService.validateSchedules();
+
+    jobService.failInterruptedRuns().catch(error => {
+        logger.error('Error al revisar ejecuciones interrumpidas:', error);
+    });
+
+    let lastMinute = null;
+
+    const tick = async () => {
+        const scheduledAt = new Date();
+        scheduledAt.setSeconds(0, 0);
+
+        if (lastMinute === scheduledAt.getTime()) {
+            return;
+        }
+
+        lastMinute = scheduledAt.getTime();
+        try {
+            await jobService.runScheduledJobs(scheduledAt);
+        } catch (error) {
+            logger.error('Error al ejecutar tareas programadas:', error);
+        }
+    };
+
+    const interval = setInterval(tick, CHECK_INTERVAL_MS);
+    interval.unref();
+
+    const enabledJobs = jobService.jobs.filter(job => job.enabled);
+    logger.info(`Tareas programadas iniciadas: ${enabledJobs.map(job => `${job.name} (${job.schedule})`).join(', ')}`);
+    return interval;
+};
+
+module.exports = {
+    startJobScheduler,
+};
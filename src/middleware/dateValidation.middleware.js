@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 
 /**
  * Middleware para validar fechas futuras basado en configuración del sistema
+ * La ventana es la del usuario del registro, con los valores de su área y rol
  */
 const validateFutureDate = async (req, res, next) => {
     try {
@@ -25,7 +26,14 @@ const validateFutureDate = async (req, res, next) => {
         }
 
         const systemConfigService = new SystemConfigService();
-        const futureDaysAllowed = await systemConfigService.getFutureDaysAllowed();
+        const { enabled, futureDaysAllowed } = await systemConfigService.getUserDateRestrictionConfigs(
+            req.body.userId || req.user.userId
+        );
+
+        // Con las restricciones deshabilitadas para el usuario se permite cualquier fecha
+        if (!enabled) {
+            return next();
+        }
         
         const maxDate = new Date(Date.now() + futureDaysAllowed * 24 * 60 * 60 * 1000);
         
@@ -0,0 +1,152 @@
+const prisma = require('../config/database');
+const { ABSENCE_STATUS } = require('../utils/constants');
+
+const absenceInclude = {
+    user: {
+        select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            areaId: true,
+        },
+    },
+    reviewer: {
+        select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+        },
+    },
+};
+
+/**
+ * Repositorio para las ausencias de los usuarios
+ */
+class AbsenceRepository {
+    /**
+     * Buscar ausencia por ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return await prisma.absence.findUnique({
+            where: { id },
+            include: absenceInclude,
+        });
+    }
+
+    /**
+     * Listar ausencias con filtros
+     * @param {Object} filters - userId, areaId, status, type, startDate, endDate
+     * @returns {Promise<Array>}
+     */
+    async findMany(filters = {}) {
+        const where = {};
+
+        if (filters.userId) {
+            where.userId = filters.userId;
+        }
+
+        if (filters.areaId) {
+            where.user = { areaId: filters.areaId };
+        }
+
+        if (filters.status) {
+            where.status = filters.status;
+        }
+
+        if (filters.type) {
+            where.type = filters.type;
+        }
+
+        // Ausencias que se cruzan con el rango solicitado
+        if (filters.startDate) {
+            where.endDate = { gte: new Date(`${filters.startDate}T00:00:00.000Z`) };
+        }
+        if (filters.endDate) {
+            where.startDate = { lte: new Date(`${filters.endDate}T00:00:00.000Z`) };
+        }
+
+        return await prisma.absence.findMany({
+            where,
+            include: absenceInclude,
+            orderBy: { startDate: 'desc' },
+        });
+    }
+
+    /**
+     * Ausencias pendientes o aprobadas del usuario que se cruzan con el rango
+     * @param {string} userId
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @param {string|null} excludeId
+     * @returns {Promise<Array>}
+     */
+    async findOverlapping(userId, startDate, endDate, excludeId = null) {
+        const where = {
+            userId,
+            status: { in: [ABSENCE_STATUS.PENDING, ABSENCE_STATUS.APPROVED] },
+            startDate: { lte: new Date(`${endDate}T00:00:00.000Z`) },
+            endDate: { gte: new Date(`${startDate}T00:00:00.000Z`) },
+        };
+
+        if (excludeId) {
+            where.id = { not: excludeId };
+        }
+
+        return await prisma.absence.findMany({ where });
+    }
+
+    /**
+     * Ausencias aprobadas de varios usuarios que se cruzan con el rango
+     * @param {Array<string>} userIds
+     * @param {Date|string} startDate
+     * @param {Date|string} endDate
+     * @returns {Promise<Array>}
+     */
+    async findApprovedForUsers(userIds, startDate, endDate) {
+        return await prisma.absence.findMany({
+            where: {
+                userId: { in: userIds },
+                status: ABSENCE_STATUS.APPROVED,
+                startDate: { lte: new Date(endDate) },
+                endDate: { gte: new Date(startDate) },
+            },
+            orderBy: { startDate: 'asc' },
+        });
+    }
+
+    /**
+     * Crear ausencia
+     * @param {Object} absenceData
+     * @returns {Promise<Object>}
+     */
+    async create(absenceData) {
+        return await prisma.absence.create({
+            data: {
+                ...absenceData,
+                startDate: new Date(`${absenceData.startDate}T00:00:00.000Z`),
+                endDate: new Date(`${absenceData.endDate}T00:00:00.000Z`),
+            },
+            include: absenceInclude,
+        });
+    }
+
+    /**
+     * Actualizar ausencia
+     * @param {string} id
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    async update(id, updateData) {
+        return await prisma.absence.update({
+            where: { id },
+            data: updateData,
+            include: absenceInclude,
+        });
+    }
+}
+
+module.exports = AbsenceRepository;
@@ -0,0 +1,155 @@
+const prisma = require('../config/database');
+
+const billingRateInclude = {
+    user: {
+        select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            role: true,
+        },
+    },
+};
+
+/**
+ * Repositorio para las tarifas de costo y venta por hora
+ */
+class BillingRateRepository {
+    /**
+     * Buscar tarifa por ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return await prisma.billingRate.findUnique({
+            where: { id },
+            include: billingRateInclude,
+        });
+    }
+
+    /**
+     * Listar tarifas con filtros
+     * @param {Object} filters - userId, role, activeOn (YYYY-MM-DD)
+     * @returns {Promise<Array>}
+     */
+    async findMany(filters = {}) {
+        const where = {};
+
+        if (filters.userId) {
+            where.userId = filters.userId;
+        }
+
+        if (filters.role) {
+            where.role = filters.role;
+        }
+
+        if (filters.activeOn) {
+            const date = new Date(`${filters.activeOn}T00:00:00.000Z`);
+            where.effectiveFrom = { lte: date };
+            where.OR = [{ effectiveTo: null }, { effectiveTo: { gte: date } }];
+        }
+
+        return await prisma.billingRate.findMany({
+            where,
+            include: billingRateInclude,
+            orderBy: [{ userId: 'asc' }, { role: 'asc' }, { effectiveFrom: 'desc' }],
+        });
+    }
+
+    /**
+     * Tarifas del mismo usuario o rol cuya vigencia se cruza con el rango indicado
+     * @param {Object} owner - { userId } o { role }
+     * @param {string} effectiveFrom - YYYY-MM-DD
+     * @param {string|null} effectiveTo - YYYY-MM-DD; null = sin fecha de término
+     * @param {string|null} excludeId - Tarifa a ignorar (la que se actualiza)
+     * @returns {Promise<Array>}
+     */
+    async findOverlapping(owner, effectiveFrom, effectiveTo = null, excludeId = null) {
+        const where = {
+            ...(owner.userId ? { userId: owner.userId } : { userId: null, role: owner.role }),
+            OR: [{ effectiveTo: null }, { effectiveTo: { gte: new Date(`${effectiveFrom}T00:00:00.000Z`) } }],
+        };
+
+        if (effectiveTo) {
+            where.effectiveFrom = { lte: new Date(`${effectiveTo}T00:00:00.000Z`) };
+        }
+
+        if (excludeId) {
+            where.id = { not: excludeId };
+        }
+
+        return await prisma.billingRate.findMany({ where });
+    }
+
+    /**
+     * Tarifas vigentes en algún día del rango, de usuarios y roles
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async findEffectiveInRange(startDate, endDate) {
+        return await prisma.billingRate.findMany({
+            where: {
+                effectiveFrom: { lte: new Date(`${endDate}T00:00:00.000Z`) },
+                OR: [{ effectiveTo: null }, { effectiveTo: { gte: new Date(`${startDate}T00:00:00.000Z`) } }],
+            },
+            orderBy: { effectiveFrom: 'asc' },
+        });
+    }
+
+    /**
+     * Crear tarifa
+     * @param {Object} rateData
+     * @returns {Promise<Object>}
+     */
+    async create(rateData) {
+        return await prisma.billingRate.create({
+            data: this.toDbDates(rateData),
+            include: billingRateInclude,
+        });
+    }
+
+    /**
+     * Actualizar tarifa
+     * @param {string} id
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    async update(id, updateData) {
+        return await prisma.billingRate.update({
+            where: { id },
+            data: this.toDbDates(updateData),
+            include: billingRateInclude,
+        });
+    }
+
+    /**
+     * Eliminar tarifa
+     * @param {string} id
+     * @returns {Promise<Object>}
+     */
+    async delete(id) {
+        return await prisma.billingRate.delete({
+            where: { id },
+        });
+    }
+
+    /**
+     * Convertir las fechas de vigencia YYYY-MM-DD al formato de la base de datos
+     * @param {Object} data
+     * @returns {Object}
+     */
+    toDbDates(data) {
+        const result = { ...data };
+        if (data.effectiveFrom) {
+            result.effectiveFrom = new Date(`${data.effectiveFrom}T00:00:00.000Z`);
+        }
+        if (data.effectiveTo) {
+            result.effectiveTo = new Date(`${data.effectiveTo}T00:00:00.000Z`);
+        }
+        return result;
+    }
+}
+
+module.exports = BillingRateRepository;
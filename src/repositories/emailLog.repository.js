@@ -0,0 +1,79 @@
+const prisma = require('../config/database');
+const { EMAIL_STATUS } = require('../utils/constants');
+
+/**
+ * Repositorio para la bitácora de correos enviados
+ */
+class EmailLogRepository {
+    /**
+     * Registrar un envío
+     * @param {Object} logData - { userId, recipient, type, subject, status, timePeriodId, messageId, error }
+     * @returns {Promise<Object>}
+     */
+    async create(logData) {
+        return await prisma.emailLog.create({
+            data: logData,
+        });
+    }
+
+    /**
+     * Listar envíos con filtros y paginación
+     * @param {Object} filters - userId, type, status, timePeriodId
+     * @param {Object} pagination
+     * @returns {Promise<Object>} { logs, total }
+     */
+    async findMany(filters = {}, pagination = {}) {
+        const where = {};
+
+        ['userId', 'type', 'status', 'timePeriodId'].forEach(field => {
+            if (filters[field]) {
+                where[field] = filters[field];
+            }
+        });
+
+        const total = await prisma.emailLog.count({ where });
+
+        const logs = await prisma.emailLog.findMany({
+            where,
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        firstName: true,
+                        lastName: true,
+                        email: true,
+                    },
+                },
+            },
+            skip: pagination.skip || 0,
+            take: pagination.limit || 10,
+            orderBy: { createdAt: 'desc' },
+        });
+
+        return { logs, total };
+    }
+
+    /**
+     * Verificar si ya se envió con éxito un correo del tipo al usuario desde una fecha
+     * @param {string} type
+     * @param {string} userId
+     * @param {string|null} timePeriodId
+     * @param {Date} since
+     * @returns {Promise<boolean>}
+     */
+    async wasSentSince(type, userId, timePeriodId, since) {
+        const count = await prisma.emailLog.count({
+            where: {
+                type,
+                userId,
+                timePeriodId,
+                status: EMAIL_STATUS.SENT,
+                createdAt: { gte: since },
+            },
+        });
+
+        return count > 0;
+    }
+}
+
+module.exports = EmailLogRepository;
@@ -0,0 +1,154 @@
+const prisma = require('../config/database');
+
+const holidayInclude = {
+    area: {
+        select: {
+            id: true,
+            name: true,
+        },
+    },
+};
+
+/**
+ * Repositorio para el calendario de días feriados
+ */
+class HolidayRepository {
+    /**
+     * Buscar feriado por ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return await prisma.holiday.findUnique({
+            where: { id },
+            include: holidayInclude,
+        });
+    }
+
+    /**
+     * Buscar el feriado registrado para una fecha y área (null = global)
+     * @param {string} date - YYYY-MM-DD
+     * @param {string|null} areaId
+     * @returns {Promise<Object|null>}
+     */
+    async findByDateAndArea(date, areaId = null) {
+        return await prisma.holiday.findFirst({
+            where: {
+                date: new Date(`${date}T00:00:00.000Z`),
+                areaId,
+            },
+        });
+    }
+
+    /**
+     * Listar feriados con filtros
+     * @param {Object} filters - year, startDate, endDate, areaId, globalOnly
+     * @returns {Promise<Array>}
+     */
+    async findMany(filters = {}) {
+        const where = {};
+
+        if (filters.year) {
+            where.date = {
+                gte: new Date(`${filters.year}-01-01T00:00:00.000Z`),
+                lte: new Date(`${filters.year}-12-31T00:00:00.000Z`),
+            };
+        }
+
+        if (filters.startDate || filters.endDate) {
+            where.date = { ...where.date };
+            if (filters.startDate) {
+                where.date.gte = new Date(`${filters.startDate}T00:00:00.000Z`);
+            }
+            if (filters.endDate) {
+                where.date.lte = new Date(`${filters.endDate}T00:00:00.000Z`);
+            }
+        }
+
+        if (filters.globalOnly) {
+            where.areaId = null;
+        } else if (filters.areaId) {
+            // Feriados globales más las excepciones del área
+            where.OR = [{ areaId: null }, { areaId: filters.areaId }];
+        }
+
+        return await prisma.holiday.findMany({
+            where,
+            include: holidayInclude,
+            orderBy: [{ date: 'asc' }, { areaId: 'asc' }],
+        });
+    }
+
+    /**
+     * Feriados globales y del área entre dos fechas (inclusive)
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @param {string|null} areaId - Sin área solo se consideran los globales
+     * @returns {Promise<Array>}
+     */
+    async findInRange(startDate, endDate, areaId = null) {
+        return await prisma.holiday.findMany({
+            where: {
+                date: {
+                    gte: new Date(`${startDate}T00:00:00.000Z`),
+                    lte: new Date(`${endDate}T00:00:00.000Z`),
+                },
+                OR: areaId ? [{ areaId: null }, { areaId }] : [{ areaId: null }],
+            },
+            select: {
+                date: true,
+                name: true,
+                areaId: true,
+                isWorkingDay: true,
+            },
+            orderBy: { date: 'asc' },
+        });
+    }
+
+    /**
+     * Crear feriado
+     * @param {Object} holidayData
+     * @returns {Promise<Object>}
+     */
+    async create(holidayData) {
+        return await prisma.holiday.create({
+            data: {
+                ...holidayData,
+                date: new Date(`${holidayData.date}T00:00:00.000Z`),
+            },
+            include: holidayInclude,
+        });
+    }
+
+    /**
+     * Actualizar feriado
+     * @param {string} id
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    async update(id, updateData) {
+        const data = { ...updateData };
+        if (data.date) {
+            data.date = new Date(`${data.date}T00:00:00.000Z`);
+        }
+
+        return await prisma.holiday.update({
+            where: { id },
+            data,
+            include: holidayInclude,
+        });
+    }
+
+    /**
+     * Eliminar feriado
+     * @param {string} id
+     * @returns {Promise<Object>}
+     */
+    async delete(id) {
+        return await prisma.holiday.delete({
+            where: { id },
+        });
+    }
+}
+
+module.exports = HolidayRepository;
@@ -0,0 +1,165 @@
+const prisma = require('../config/database');
+const { JOB_RUN_STATUS } = require('../utils/constants');
+
+/**
+ * Repositorio para las ejecuciones y los candados de las tareas programadas
+ */
+class JobRunRepository {
+    /**
+     * Registrar el inicio de una ejecución
+     * @param {Object} runData - jobName, trigger, triggeredBy, instanceId
+     * @returns {Promise<Object>}
+     */
+    async create(runData) {
+        return await prisma.jobRun.create({
+            data: runData,
+        });
+    }
+
+    /**
+     * Registrar el resultado de una ejecución
+     * @param {string} id
+     * @param {Object} data - status, finishedAt, durationMs, result, error
+     * @returns {Promise<Object>}
+     */
+    async finish(id, data) {
+        return await prisma.jobRun.update({
+            where: { id },
+            data,
+        });
+    }
+
+    /**
+     * Listar ejecuciones, de la más reciente a la más antigua
+     * @param {Object} filters - jobName, status, trigger
+     * @param {Object} pagination - skip, limit
+     * @returns {Promise<Object>} - { runs, total }
+     */
+    async findMany(filters = {}, pagination = {}) {
+        const where = {};
+
+        ['jobName', 'status', 'trigger'].forEach(field => {
+            if (filters[field]) {
+                where[field] = filters[field];
+            }
+        });
+
+        const [runs, total] = await Promise.all([
+            prisma.jobRun.findMany({
+                where,
+                include: {
+                    user: {
+                        select: {
+                            id: true,
+                            firstName: true,
+                            lastName: true,
+                            email: true,
+                        },
+                    },
+                },
+                skip: pagination.skip || 0,
+                take: pagination.limit || 10,
+                orderBy: { startedAt: 'desc' },
+            }),
+            prisma.jobRun.count({ where }),
+        ]);
+
+        return { runs, total };
+    }
+
+    /**
+     * Última ejecución de una tarea
+     * @param {string} jobName
+     * @returns {Promise<Object|null>}
+     */
+    async findLatest(jobName) {
+        return await prisma.jobRun.findFirst({
+            where: { jobName },
+            orderBy: { startedAt: 'desc' },
+        });
+    }
+
+    /**
+     * Marcar como fallidas las ejecuciones que siguen en curso desde antes de una fecha,
+     * p. ej. porque la instancia se detuvo a mitad de la ejecución
+     * @param {string} jobName
+     * @param {Date} startedBefore
+     * @returns {Promise<number>}
+     */
+    async failStale(jobName, startedBefore) {
+        const { count } = await prisma.jobRun.updateMany({
+            where: {
+                jobName,
+                status: JOB_RUN_STATUS.RUNNING,
+                startedAt: { lt: startedBefore },
+            },
+            data: {
+                status: JOB_RUN_STATUS.FAILED,
+                finishedAt: new Date(),
+                error: 'Ejecución interrumpida antes de terminar',
+            },
+        });
+
+        return count;
+    }
+
+    /**
+     * Tomar el candado de una tarea si está libre o vencido
+     * Con scheduledAt solo se toma si ninguna instancia tomó ya esa ejecución programada, para que
+     * una instancia que revisa el mismo minuto más tarde no la repita
+     * @param {string} jobName
+     * @param {string} instanceId
+     * @param {number} ttlMs - Vigencia del candado; vencido, otra instancia puede tomarlo
+     * @param {Date|null} scheduledAt
+     * @returns {Promise<boolean>}
+     */
+    async acquireLock(jobName, instanceId, ttlMs, scheduledAt = null) {
+        const now = new Date();
+        const data = {
+            lockedBy: instanceId,
+            lockedUntil: new Date(now.getTime() + ttlMs),
+            ...(scheduledAt && { lastScheduledAt: scheduledAt }),
+        };
+
+        const where = { jobName, lockedUntil: { lt: now } };
+        if (scheduledAt) {
+            where.OR = [
+                { lastScheduledAt: null },
+                { lastScheduledAt: { lt: scheduledAt } },
+            ];
+        }
+
+        const { count } = await prisma.jobLock.updateMany({ where, data });
+        if (count > 0) {
+            return true;
+        }
+
+        try {
+            await prisma.jobLock.create({
+                data: { jobName, ...data },
+            });
+            return true;
+        } catch (error) {
+            // El candado ya existe y lo tiene otra instancia (o ya tomó esta ejecución programada)
+            if (error.code === 'P2002') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Liberar el candado de una tarea tomado por la instancia
+     * @param {string} jobName
+     * @param {string} instanceId
+     * @returns {Promise<void>}
+     */
+    async releaseLock(jobName, instanceId) {
+        await prisma.jobLock.updateMany({
+            where: { jobName, lockedBy: instanceId },
+            data: { lockedBy: null, lockedUntil: new Date() },
+        });
+    }
+}
+
+module.exports = JobRunRepository;
@@ -123,6 +123,33 @@ class ProjectRepository {
         });
     }
 
+    /**
+     * Obtener proyecto con los montos y fechas de su contrato
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findWithContract(id) {
+        return await prisma.project.findUnique({
+            where: { id },
+            select: {
+                id: true,
+                name: true,
+                areaId: true,
+                status: true,
+                endDate: true,
+                excelDetails: {
+                    select: {
+                        excelId: true,
+                        income: true,
+                        totalContractAmountMXN: true,
+                        estimatedEndDate: true,
+                        updatedEstimatedEndDate: true,
+                    },
+                },
+            },
+        });
+    }
+
     /**
      * Crear nuevo proyecto
      * @param {Object} projectData 
@@ -742,6 +769,43 @@ class ProjectRepository {
         });
     }
 
+    /**
+     * Buscar proyectos activos por ID de Excel o, en su defecto, por nombre (sin distinguir mayúsculas)
+     * Incluye las tareas activas para resolver la tarea por título
+     * @param {Object} criteria - { excelId, name }
+     * @returns {Promise<Array>}
+     */
+    async findForImport({ excelId, name }) {
+        const where = excelId
+            ? { excelDetails: { excelId: String(excelId) } }
+            : { name: { equals: name, mode: 'insensitive' } };
+
+        return await prisma.project.findMany({
+            where: {
+                ...where,
+                isActive: true,
+            },
+            select: {
+                id: true,
+                name: true,
+                status: true,
+                areaId: true,
+                tasks: {
+                    where: {
+                        isActive: true,
+                    },
+                    select: {
+                        id: true,
+                        title: true,
+                        isActive: true,
+                        assignedTo: true,
+                        projectId: true,
+                    },
+                },
+            },
+        });
+    }
+
     /**
      * Asignar usuario a proyecto
      * @param {string} projectId 
@@ -1,5 +1,6 @@
 const prisma = require('../config/database');
 const { getTimePeriodForDate, parseDateOnly } = require('../utils/dateUtils');
+const { APPROVAL_STATUS, TIME_ENTRY_HISTORY_ACTION, LIMITS } = require('../utils/constants');
 
 /**
  * Repositorio para operaciones de entrada de tiempo
@@ -49,6 +50,7 @@ class TimeEntryRepository {
                         periodNumber: true,
                         startDate: true,
                         endDate: true,
+                        isClosed: true,
                     },
                 },
                 approver: {
@@ -58,16 +60,24 @@ class TimeEntryRepository {
                         lastName: true,
                     },
                 },
+                rejecter: {
+                    select: {
+                        id: true,
+                        firstName: true,
+                        lastName: true,
+                    },
+                },
             },
         });
     }
 
     /**
-     * Crear nueva entrada de tiempo
+     * Crear nueva entrada de tiempo y registrarla en la bitácora
      * @param {Object} entryData 
+     * @param {string|null} performedBy - Usuario que realiza el cambio (por defecto, el dueño)
      * @returns {Promise<Object>}
      */
-    async create(entryData) {
+    async create(entryData, performedBy = null) {
         // Convertir string date a Date object para Prisma
         const dateForDB = new Date(entryData.date + 'T00:00:00.000Z');
 
@@ -94,82 +104,100 @@ class TimeEntryRepository {
         const { year, month, day, date, ...dbFields } = entryData;
 
 
-        return await prisma.timeEntry.create({
-            data: {
-                ...dbFields,
-                date: dateForDB,
-                timePeriodId: timePeriod.id,
-            },
-            include: {
-                user: {
-                    select: {
-                        id: true,
-                        firstName: true,
-                        lastName: true,
-                    },
+        return await prisma.$transaction(async (tx) => {
+            const timeEntry = await tx.timeEntry.create({
+                data: {
+                    ...dbFields,
+                    date: dateForDB,
+                    timePeriodId: timePeriod.id,
                 },
-                project: {
-                    select: {
-                        id: true,
-                        name: true,
+                include: {
+                    user: {
+                        select: {
+                            id: true,
+                            firstName: true,
+                            lastName: true,
+                        },
                     },
-                },
-                task: {
-                    select: {
-                        id: true,
-                        title: true,
+                    project: {
+                        select: {
+                            id: true,
+                            name: true,
+                        },
                     },
-                },
-                timePeriod: {
-                    select: {
-                        id: true,
-                        year: true,
-                        month: true,
-                        periodNumber: true,
+                    task: {
+                        select: {
+                            id: true,
+                            title: true,
+                        },
+                    },
+                    timePeriod: {
+                        select: {
+                            id: true,
+                            year: true,
+                            month: true,
+                            periodNumber: true,
+                        },
                     },
                 },
-            },
+            });
+
+            await tx.timeEntryHistory.create({
+                data: this.buildHistoryData(TIME_ENTRY_HISTORY_ACTION.CREATE, null, timeEntry, performedBy),
+            });
+
+            return timeEntry;
         });
     }
 
     /**
-     * Actualizar entrada de tiempo
+     * Actualizar entrada de tiempo y registrar en la bitácora los valores anteriores y nuevos
      * @param {string} id 
      * @param {Object} updateData 
+     * @param {string|null} performedBy - Usuario que realiza el cambio (por defecto, el dueño)
      * @returns {Promise<Object>}
      */
-    async update(id, updateData) {
+    async update(id, updateData, performedBy = null) {
         // En update solo se permiten cambios a horas y descripción
         // No se recalcula período ni fecha
 
         // Extraer solo los campos que se pueden actualizar
         const { year, month, day, userId, projectId, taskId, date, timePeriodId, ...dbFields } = updateData;
 
-
-        return await prisma.timeEntry.update({
-            where: { id },
-            data: dbFields,
-            include: {
-                user: {
-                    select: {
-                        id: true,
-                        firstName: true,
-                        lastName: true,
+        return await prisma.$transaction(async (tx) => {
+            const previous = await tx.timeEntry.findUnique({ where: { id } });
+
+            const timeEntry = await tx.timeEntry.update({
+                where: { id },
+                data: dbFields,
+                include: {
+                    user: {
+                        select: {
+                            id: true,
+                            firstName: true,
+                            lastName: true,
+                        },
                     },
-                },
-                project: {
-                    select: {
-                        id: true,
-                        name: true,
+                    project: {
+                        select: {
+                            id: true,
+                            name: true,
+                        },
                     },
-                },
-                task: {
-                    select: {
-                        id: true,
-                        title: true,
+                    task: {
+                        select: {
+                            id: true,
+                            title: true,
+                        },
                     },
                 },
-            },
+            });
+
+            await tx.timeEntryHistory.create({
+                data: this.buildHistoryData(TIME_ENTRY_HISTORY_ACTION.UPDATE, previous, timeEntry, performedBy),
+            });
+
+            return timeEntry;
         });
     }
 
@@ -213,14 +241,9 @@ class TimeEntryRepository {
         }
 
 
-        // if (filters.isApproved !== undefined) {
-        //     where.isApproved = filters.isApproved;
-        // }
-
-        // if (filters.pendingApproval) {
-        //     where.isApproved = false;
-        // }
-
+        if (filters.approvalStatus) {
+            Object.assign(where, this.buildApprovalStatusWhere(filters.approvalStatus));
+        }
 
 
         // Configurar ordenamiento
@@ -265,15 +288,45 @@ class TimeEntryRepository {
      * @param {string} id 
      * @param {string} approvedBy 
      * @param {string} comments 
+     * @param {boolean} authorizeOvertime - Autorizar también sus horas extra
      * @returns {Promise<Object>}
      */
-    async approve(id, approvedBy, comments = null) {
+    async approve(id, approvedBy, comments = null, authorizeOvertime = false) {
+        const approvedAt = new Date();
+
         return await prisma.timeEntry.update({
             where: { id },
             data: {
                 isApproved: true,
                 approvedBy,
-                approvedAt: new Date(),
+                approvedAt,
+                approvalComments: comments || null,
+                rejectedBy: null,
+                rejectedAt: null,
+                rejectionReason: null,
+                ...(authorizeOvertime && {
+                    overtimeAuthorizedBy: approvedBy,
+                    overtimeAuthorizedAt: approvedAt,
+                }),
+            },
+        });
+    }
+
+    /**
+     * Actualizar las horas extra calculadas de una entrada; la autorización previa deja de ser válida
+     * @param {string} id
+     * @param {Object} overtime - { isOvertime, overtimeHours, overtimeRules }
+     * @returns {Promise<Object>}
+     */
+    async updateOvertime(id, overtime) {
+        return await prisma.timeEntry.update({
+            where: { id },
+            data: {
+                isOvertime: overtime.isOvertime,
+                overtimeHours: overtime.overtimeHours,
+                overtimeRules: overtime.overtimeRules,
+                overtimeAuthorizedBy: null,
+                overtimeAuthorizedAt: null,
             },
         });
     }
@@ -281,19 +334,43 @@ class TimeEntryRepository {
     /**
      * Rechazar entrada de tiempo
      * @param {string} id 
+     * @param {string} rejectedBy 
+     * @param {string} reason - Motivo del rechazo visible para el colaborador
      * @returns {Promise<Object>}
      */
-    async reject(id) {
+    async reject(id, rejectedBy, reason) {
         return await prisma.timeEntry.update({
             where: { id },
             data: {
                 isApproved: false,
                 approvedBy: null,
                 approvedAt: null,
+                approvalComments: null,
+                rejectedBy,
+                rejectedAt: new Date(),
+                rejectionReason: reason,
             },
         });
     }
 
+    /**
+     * Construir condición where para un estado de aprobación
+     * @param {string} approvalStatus - PENDING, APPROVED o REJECTED
+     * @returns {Object}
+     */
+    buildApprovalStatusWhere(approvalStatus) {
+        switch (approvalStatus) {
+            case APPROVAL_STATUS.APPROVED:
+                return { isApproved: true };
+            case APPROVAL_STATUS.REJECTED:
+                return { isApproved: false, rejectedAt: { not: null } };
+            case APPROVAL_STATUS.PENDING:
+                return { isApproved: false, rejectedAt: null };
+            default:
+                return {};
+        }
+    }
+
     /**
      * Verificar si existe una entrada duplicada
      * @param {string} userId 
@@ -405,9 +482,10 @@ class TimeEntryRepository {
      * @param {Date} date 
      * @param {number} newHours 
      * @param {string} excludeId - ID a excluir del cálculo
+     * @param {number} maxHours - Máximo de horas por día configurado
      * @returns {Promise<Object>}
      */
-    async checkDailyHoursLimit(userId, date, newHours, excludeId = null) {
+    async checkDailyHoursLimit(userId, date, newHours, excludeId = null, maxHours = LIMITS.MAX_HOURS_PER_DAY) {
         // date ya es un Date object, crear rango del día
         const dateObj = new Date(date);
         const year = dateObj.getUTCFullYear();
@@ -442,7 +520,7 @@ class TimeEntryRepository {
             currentHours,
             newHours: newHoursFloat,
             totalHours,
-            isValid: totalHours <= 24,
+            isValid: totalHours <= maxHours,
         };
     }
 
@@ -532,23 +610,163 @@ class TimeEntryRepository {
 
     /**
      * Obtener entradas pendientes de aprobación
-     * @param {string} coordinatorId 
+     * @param {Object} filters - areaId, userId, projectId, startDate, endDate, excludeUserId
      * @returns {Promise<Array>}
      */
-    async getPendingApproval(coordinatorId) {
+    async getPendingApproval(filters = {}) {
+        const where = this.buildApprovalStatusWhere(APPROVAL_STATUS.PENDING);
+
+        if (filters.areaId) {
+            where.project = { areaId: filters.areaId };
+        }
+
+        if (filters.userId) {
+            where.userId = filters.userId;
+        } else if (filters.excludeUserId) {
+            where.userId = { not: filters.excludeUserId };
+        }
+
+        if (filters.projectId) {
+            where.projectId = filters.projectId;
+        }
+
+        if (filters.startDate || filters.endDate) {
+            where.date = {};
+            if (filters.startDate) {
+                where.date.gte = new Date(`${filters.startDate}T00:00:00.000Z`);
+            }
+            if (filters.endDate) {
+                where.date.lte = new Date(`${filters.endDate}T23:59:59.999Z`);
+            }
+        }
+
         return await prisma.timeEntry.findMany({
-            where: {
-                isApproved: false,
+            where,
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        firstName: true,
+                        lastName: true,
+                        email: true,
+                    },
+                },
                 project: {
-                    createdBy: coordinatorId,
+                    select: {
+                        id: true,
+                        name: true,
+                        areaId: true,
+                    },
+                },
+                task: {
+                    select: {
+                        id: true,
+                        title: true,
+                    },
+                },
+            },
+            orderBy: [{ date: 'asc' }, { createdAt: 'asc' }],
+        });
+    }
+
+    /**
+     * Eliminar entrada de tiempo; la bitácora conserva sus últimos valores
+     * @param {string} id 
+     * @param {string|null} performedBy - Usuario que realiza el cambio (por defecto, el dueño)
+     * @returns {Promise<Object>}
+     */
+    async delete(id, performedBy = null) {
+        return await prisma.$transaction(async (tx) => {
+            const timeEntry = await tx.timeEntry.delete({
+                where: { id },
+            });
+
+            await tx.timeEntryHistory.create({
+                data: this.buildHistoryData(TIME_ENTRY_HISTORY_ACTION.DELETE, timeEntry, null, performedBy),
+            });
+
+            return timeEntry;
+        });
+    }
+
+    /**
+     * Obtener las entradas de un usuario en un conjunto de fechas
+     * @param {string} userId 
+     * @param {Array<string>} dates - Fechas en formato YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async findByUserAndDates(userId, dates) {
+        return await prisma.timeEntry.findMany({
+            where: {
+                userId,
+                date: {
+                    in: dates.map(date => new Date(`${date}T00:00:00.000Z`)),
                 },
             },
+            include: {
+                timePeriod: {
+                    select: {
+                        id: true,
+                        isClosed: true,
+                    },
+                },
+            },
+        });
+    }
+
+    /**
+     * Obtener entradas para exportación, sin paginar
+     * @param {Object} filters - userId, projectId, areaId (área del usuario), timePeriodId, startDate, endDate, approvalStatus
+     * @returns {Promise<Array>}
+     */
+    async findForExport(filters = {}) {
+        const where = {};
+
+        if (filters.userId) {
+            where.userId = filters.userId;
+        }
+
+        if (filters.areaId) {
+            where.user = { areaId: filters.areaId };
+        }
+
+        if (filters.projectId) {
+            where.projectId = filters.projectId;
+        }
+
+        if (filters.timePeriodId) {
+            where.timePeriodId = filters.timePeriodId;
+        }
+
+        if (filters.startDate || filters.endDate) {
+            where.date = {};
+            if (filters.startDate) {
+                where.date.gte = new Date(`${filters.startDate}T00:00:00.000Z`);
+            }
+            if (filters.endDate) {
+                where.date.lte = new Date(`${filters.endDate}T23:59:59.999Z`);
+            }
+        }
+
+        if (filters.approvalStatus) {
+            Object.assign(where, this.buildApprovalStatusWhere(filters.approvalStatus));
+        }
+
+        return await prisma.timeEntry.findMany({
+            where,
             include: {
                 user: {
                     select: {
                         id: true,
                         firstName: true,
                         lastName: true,
+                        email: true,
+                        area: {
+                            select: {
+                                id: true,
+                                name: true,
+                            },
+                        },
                     },
                 },
                 project: {
@@ -563,29 +781,195 @@ class TimeEntryRepository {
                         title: true,
                     },
                 },
+                timePeriod: {
+                    select: {
+                        id: true,
+                        year: true,
+                        month: true,
+                        periodNumber: true,
+                        startDate: true,
+                        endDate: true,
+                        referenceHours: true,
+                    },
+                },
             },
-            orderBy: { date: 'desc' },
+            orderBy: [{ userId: 'asc' }, { date: 'asc' }],
         });
     }
 
     /**
-     * Eliminar entrada de tiempo
-     * @param {string} id 
+     * Obtener entradas para el reporte de facturación y el costo de proyectos, con los valores de facturable
+     * de su tarea y proyecto y los montos del contrato del proyecto
+     * @param {Object} filters - startDate, endDate (YYYY-MM-DD; sin rango, todas), areaId (área del proyecto), projectId, approvalStatus
+     * @returns {Promise<Array>}
+     */
+    async findForBilling(filters = {}) {
+        const where = {};
+
+        if (filters.startDate || filters.endDate) {
+            where.date = {};
+            if (filters.startDate) {
+                where.date.gte = new Date(`${filters.startDate}T00:00:00.000Z`);
+            }
+            if (filters.endDate) {
+                where.date.lte = new Date(`${filters.endDate}T00:00:00.000Z`);
+            }
+        }
+
+        if (filters.areaId) {
+            where.project = { areaId: filters.areaId };
+        }
+
+        if (filters.projectId) {
+            where.projectId = filters.projectId;
+        }
+
+        if (filters.approvalStatus) {
+            Object.assign(where, this.buildApprovalStatusWhere(filters.approvalStatus));
+        }
+
+        return await prisma.timeEntry.findMany({
+            where,
+            select: {
+                id: true,
+                userId: true,
+                projectId: true,
+                date: true,
+                hours: true,
+                isBillable: true,
+                user: {
+                    select: {
+                        id: true,
+                        role: true,
+                    },
+                },
+                task: {
+                    select: {
+                        isBillable: true,
+                    },
+                },
+                project: {
+                    select: {
+                        id: true,
+                        name: true,
+                        areaId: true,
+                        isGeneral: true,
+                        isBillable: true,
+                        excelDetails: {
+                            select: {
+                                excelId: true,
+                                totalContractAmountMXN: true,
+                                monthlyBillingMXN: true,
+                            },
+                        },
+                    },
+                },
+            },
+            orderBy: [{ projectId: 'asc' }, { date: 'asc' }],
+        });
+    }
+
+    /**
+     * Obtener las entradas de un usuario en un rango de fechas con el estado de su tarea y proyecto
+     * @param {string} userId
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async findByUserAndDateRange(userId, startDate, endDate) {
+        return await prisma.timeEntry.findMany({
+            where: {
+                userId,
+                date: {
+                    gte: new Date(`${startDate}T00:00:00.000Z`),
+                    lte: new Date(`${endDate}T00:00:00.000Z`),
+                },
+            },
+            include: {
+                project: {
+                    select: {
+                        id: true,
+                        name: true,
+                        status: true,
+                        areaId: true,
+                    },
+                },
+                task: {
+                    select: {
+                        id: true,
+                        title: true,
+                        isActive: true,
+                        assignedTo: true,
+                    },
+                },
+            },
+            orderBy: [{ date: 'asc' }, { createdAt: 'asc' }],
+        });
+    }
+
+    /**
+     * Aplicar altas, cambios y bajas de entradas en una sola transacción, con su bitácora
+     * Si cualquier operación falla, no se guarda ninguna
+     * @param {Object} operations - { creates: Array, updates: Array<{id, data}>, deletes: Array<string> }
+     * @param {string|null} performedBy - Usuario que realiza los cambios (por defecto, el dueño de cada entrada)
      * @returns {Promise<Object>}
      */
-    async delete(id) {
-        return await prisma.timeEntry.delete({
-            where: { id },
+    async bulkSave({ creates = [], updates = [], deletes = [] }, performedBy = null) {
+        return await prisma.$transaction(async (tx) => {
+            const created = [];
+            const updated = [];
+            const history = [];
+
+            for (const entryData of creates) {
+                const { date, ...dbFields } = entryData;
+                const timeEntry = await tx.timeEntry.create({
+                    data: {
+                        ...dbFields,
+                        date: new Date(`${date}T00:00:00.000Z`),
+                    },
+                });
+                created.push(timeEntry);
+                history.push(this.buildHistoryData(TIME_ENTRY_HISTORY_ACTION.CREATE, null, timeEntry, performedBy));
+            }
+
+            for (const { id, data } of updates) {
+                const previous = await tx.timeEntry.findUnique({ where: { id } });
+                const timeEntry = await tx.timeEntry.update({
+                    where: { id },
+                    data,
+                });
+                updated.push(timeEntry);
+                history.push(this.buildHistoryData(TIME_ENTRY_HISTORY_ACTION.UPDATE, previous, timeEntry, performedBy));
+            }
+
+            if (deletes.length > 0) {
+                const deleted = await tx.timeEntry.findMany({
+                    where: { id: { in: deletes } },
+                });
+                await tx.timeEntry.deleteMany({
+                    where: { id: { in: deletes } },
+                });
+                deleted.forEach(timeEntry => history.push(
+                    this.buildHistoryData(TIME_ENTRY_HISTORY_ACTION.DELETE, timeEntry, null, performedBy)
+                ));
+            }
+
+            if (history.length > 0) {
+                await tx.timeEntryHistory.createMany({ data: history });
+            }
+
+            return { created, updated, deleted: deletes };
         });
     }
 
     /**
      * Crear múltiples entradas de tiempo (importación)
      * @param {Array} entries 
-     * @param {Object} options 
+     * @param {Object} options - skipDuplicates, maxHoursPerDay
+     * @param {string|null} performedBy - Usuario que realiza los cambios (por defecto, el dueño de cada entrada)
      * @returns {Promise<Object>}
      */
-    async createMany(entries, options = {}) {
+    async createMany(entries, options = {}, performedBy = null) {
         const results = {
             created: [],
             skipped: [],
@@ -613,22 +997,25 @@ class TimeEntryRepository {
                 }
 
                 // Verificar límite de horas
+                const maxHours = options.maxHoursPerDay || LIMITS.MAX_HOURS_PER_DAY;
                 const hoursCheck = await this.checkDailyHoursLimit(
                     entryData.userId,
                     entryData.date,
-                    entryData.hours
+                    entryData.hours,
+                    null,
+                    maxHours
                 );
 
                 if (!hoursCheck.isValid) {
                     results.errors.push({
                         entry: entryData,
-                        reason: `Excede límite de 24 horas (total: ${hoursCheck.totalHours})`,
+                        reason: `Excede límite de ${maxHours} horas (total: ${hoursCheck.totalHours})`,
                     });
                     continue;
                 }
 
                 // Crear entrada
-                const created = await this.create(entryData);
+                const created = await this.create(entryData, performedBy);
                 results.created.push(created);
 
             } catch (error) {
@@ -641,6 +1028,101 @@ class TimeEntryRepository {
 
         return results;
     }
+
+    /**
+     * Consultar la bitácora de cambios, incluidos los de entradas eliminadas
+     * @param {Object} filters - timeEntryId, userId, projectId, areaId (área del proyecto), action, startDate, endDate
+     * @returns {Promise<Array>}
+     */
+    async findHistory(filters = {}) {
+        const where = {};
+
+        if (filters.timeEntryId) {
+            where.timeEntryId = filters.timeEntryId;
+        }
+
+        if (filters.userId) {
+            where.userId = filters.userId;
+        }
+
+        if (filters.projectId) {
+            where.projectId = filters.projectId;
+        }
+
+        if (filters.areaId) {
+            where.project = { areaId: filters.areaId };
+        }
+
+        if (filters.action) {
+            where.action = filters.action;
+        }
+
+        if (filters.startDate || filters.endDate) {
+            where.date = {};
+            if (filters.startDate) {
+                where.date.gte = new Date(filters.startDate);
+            }
+            if (filters.endDate) {
+                where.date.lte = new Date(filters.endDate);
+            }
+        }
+
+        return await prisma.timeEntryHistory.findMany({
+            where,
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        firstName: true,
+                        lastName: true,
+                        email: true,
+                    },
+                },
+                performer: {
+                    select: {
+                        id: true,
+                        firstName: true,
+                        lastName: true,
+                        email: true,
+                    },
+                },
+                project: {
+                    select: {
+                        id: true,
+                        name: true,
+                        areaId: true,
+                    },
+                },
+            },
+            orderBy: { createdAt: 'desc' },
+        });
+    }
+
+    /**
+     * Datos de bitácora de un cambio
+     * @param {string} action - CREATE, UPDATE o DELETE
+     * @param {Object|null} previous - Entrada antes del cambio (null al crear)
+     * @param {Object|null} current - Entrada después del cambio (null al eliminar)
+     * @param {string|null} performedBy
+     * @returns {Object}
+     */
+    buildHistoryData(action, previous, current, performedBy) {
+        const entry = current || previous;
+
+        return {
+            timeEntryId: entry.id,
+            userId: entry.userId,
+            projectId: entry.projectId,
+            taskId: entry.taskId,
+            date: entry.date,
+            action,
+            oldHours: previous ? previous.hours : null,
+            newHours: current ? current.hours : null,
+            oldDescription: previous ? previous.description : null,
+            newDescription: current ? current.description : null,
+            performedBy: performedBy || entry.userId,
+        };
+    }
 }
 
 module.exports = TimeEntryRepository;
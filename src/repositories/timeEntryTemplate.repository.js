@@ -0,0 +1,128 @@
+const prisma = require('../config/database');
+
+const templateInclude = {
+    project: {
+        select: {
+            id: true,
+            name: true,
+            status: true,
+            areaId: true,
+        },
+    },
+    task: {
+        select: {
+            id: true,
+            title: true,
+            isActive: true,
+            assignedTo: true,
+        },
+    },
+};
+
+/**
+ * Repositorio para plantillas recurrentes de registros de tiempo
+ */
+class TimeEntryTemplateRepository {
+    /**
+     * Buscar plantilla por ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return await prisma.timeEntryTemplate.findUnique({
+            where: { id },
+            include: templateInclude,
+        });
+    }
+
+    /**
+     * Listar plantillas de un usuario
+     * @param {string} userId
+     * @param {Object} filters - isActive
+     * @returns {Promise<Array>}
+     */
+    async findByUser(userId, filters = {}) {
+        const where = { userId };
+
+        if (filters.isActive !== undefined) {
+            where.isActive = filters.isActive;
+        }
+
+        return await prisma.timeEntryTemplate.findMany({
+            where,
+            include: templateInclude,
+            orderBy: { createdAt: 'asc' },
+        });
+    }
+
+    /**
+     * Plantillas activas de usuarios activos, opcionalmente de un solo usuario
+     * @param {string|null} userId
+     * @returns {Promise<Array>}
+     */
+    async findActive(userId = null) {
+        const where = {
+            isActive: true,
+            user: { isActive: true },
+        };
+
+        if (userId) {
+            where.userId = userId;
+        }
+
+        return await prisma.timeEntryTemplate.findMany({
+            where,
+            include: {
+                ...templateInclude,
+                user: {
+                    select: {
+                        id: true,
+                        email: true,
+                        role: true,
+                        areaId: true,
+                    },
+                },
+            },
+            orderBy: [{ userId: 'asc' }, { createdAt: 'asc' }],
+        });
+    }
+
+    /**
+     * Crear plantilla
+     * @param {Object} templateData
+     * @returns {Promise<Object>}
+     */
+    async create(templateData) {
+        return await prisma.timeEntryTemplate.create({
+            data: templateData,
+            include: templateInclude,
+        });
+    }
+
+    /**
+     * Actualizar plantilla
+     * @param {string} id
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    async update(id, updateData) {
+        return await prisma.timeEntryTemplate.update({
+            where: { id },
+            data: updateData,
+            include: templateInclude,
+        });
+    }
+
+    /**
+     * Eliminar plantilla (los registros generados se conservan)
+     * @param {string} id
+     * @returns {Promise<Object>}
+     */
+    async delete(id) {
+        return await prisma.timeEntryTemplate.delete({
+            where: { id },
+        });
+    }
+}
+
+module.exports = TimeEntryTemplateRepository;
@@ -0,0 +1,139 @@
+const prisma = require('../config/database');
+const { TIME_ENTRY_UNLOCK_STATUS } = require('../utils/constants');
+
+const unlockInclude = {
+    user: {
+        select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            areaId: true,
+        },
+    },
+    reviewer: {
+        select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+        },
+    },
+};
+
+/**
+ * Repositorio para las solicitudes de desbloqueo de fechas fuera de la ventana de captura
+ */
+class TimeEntryUnlockRepository {
+    /**
+     * Buscar solicitud por ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return await prisma.timeEntryUnlock.findUnique({
+            where: { id },
+            include: unlockInclude,
+        });
+    }
+
+    /**
+     * Listar solicitudes con filtros
+     * @param {Object} filters - userId, areaId, status
+     * @returns {Promise<Array>}
+     */
+    async findMany(filters = {}) {
+        const where = {};
+
+        if (filters.userId) {
+            where.userId = filters.userId;
+        }
+
+        if (filters.areaId) {
+            where.user = { areaId: filters.areaId };
+        }
+
+        if (filters.status) {
+            where.status = filters.status;
+        }
+
+        return await prisma.timeEntryUnlock.findMany({
+            where,
+            include: unlockInclude,
+            orderBy: { createdAt: 'desc' },
+        });
+    }
+
+    /**
+     * Solicitudes pendientes o aprobadas sin vencer del usuario que se cruzan con el rango
+     * @param {string} userId
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async findOverlapping(userId, startDate, endDate) {
+        return await prisma.timeEntryUnlock.findMany({
+            where: {
+                userId,
+                startDate: { lte: new Date(`${endDate}T00:00:00.000Z`) },
+                endDate: { gte: new Date(`${startDate}T00:00:00.000Z`) },
+                OR: [
+                    { status: TIME_ENTRY_UNLOCK_STATUS.PENDING },
+                    { status: TIME_ENTRY_UNLOCK_STATUS.APPROVED, expiresAt: { gt: new Date() } },
+                ],
+            },
+        });
+    }
+
+    /**
+     * Desbloqueo aprobado y vigente del usuario que cubre la fecha
+     * @param {string} userId
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<Object|null>}
+     */
+    async findActiveForDate(userId, date) {
+        const day = new Date(`${date}T00:00:00.000Z`);
+
+        return await prisma.timeEntryUnlock.findFirst({
+            where: {
+                userId,
+                status: TIME_ENTRY_UNLOCK_STATUS.APPROVED,
+                expiresAt: { gt: new Date() },
+                startDate: { lte: day },
+                endDate: { gte: day },
+            },
+        });
+    }
+
+    /**
+     * Crear solicitud
+     * @param {Object} unlockData
+     * @returns {Promise<Object>}
+     */
+    async create(unlockData) {
+        return await prisma.timeEntryUnlock.create({
+            data: {
+                ...unlockData,
+                startDate: new Date(`${unlockData.startDate}T00:00:00.000Z`),
+                endDate: new Date(`${unlockData.endDate}T00:00:00.000Z`),
+            },
+            include: unlockInclude,
+        });
+    }
+
+    /**
+     * Actualizar solicitud
+     * @param {string} id
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    async update(id, updateData) {
+        return await prisma.timeEntryUnlock.update({
+            where: { id },
+            data: updateData,
+            include: unlockInclude,
+        });
+    }
+}
+
+module.exports = TimeEntryUnlockRepository;
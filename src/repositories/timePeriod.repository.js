@@ -206,6 +206,88 @@ class TimePeriodRepository {
         });
     }
 
+    /**
+     * Cerrar período y registrar la acción en la bitácora
+     * @param {string} id 
+     * @param {string|null} userId - Administrador que cierra el período; null si lo cierra la tarea programada
+     * @param {string} justification 
+     * @returns {Promise<Object>}
+     */
+    async close(id, userId, justification = null) {
+        const [period] = await prisma.$transaction([
+            prisma.timePeriod.update({
+                where: { id },
+                data: {
+                    isClosed: true,
+                    closedAt: new Date(),
+                    closedBy: userId
+                }
+            }),
+            prisma.timePeriodLockLog.create({
+                data: {
+                    timePeriodId: id,
+                    action: 'CLOSE',
+                    justification,
+                    performedBy: userId
+                }
+            })
+        ]);
+
+        return period;
+    }
+
+    /**
+     * Reabrir período cerrado y registrar la justificación en la bitácora
+     * @param {string} id 
+     * @param {string} userId - Administrador que reabre el período
+     * @param {string} justification 
+     * @returns {Promise<Object>}
+     */
+    async reopen(id, userId, justification) {
+        const [period] = await prisma.$transaction([
+            prisma.timePeriod.update({
+                where: { id },
+                data: {
+                    isClosed: false,
+                    closedAt: null,
+                    closedBy: null
+                }
+            }),
+            prisma.timePeriodLockLog.create({
+                data: {
+                    timePeriodId: id,
+                    action: 'REOPEN',
+                    justification,
+                    performedBy: userId
+                }
+            })
+        ]);
+
+        return period;
+    }
+
+    /**
+     * Obtener bitácora de cierres y reaperturas de un período
+     * @param {string} id 
+     * @returns {Promise<Array>}
+     */
+    async getLockLogs(id) {
+        return await prisma.timePeriodLockLog.findMany({
+            where: { timePeriodId: id },
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        firstName: true,
+                        lastName: true,
+                        email: true
+                    }
+                }
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+    }
+
     /**
      * Obtener período actual
      * @returns {Promise<Object|null>}
@@ -223,6 +305,42 @@ class TimePeriodRepository {
         });
     }
 
+    /**
+     * Buscar el período activo que contiene una fecha
+     * @param {string|Date} date - Fecha (YYYY-MM-DD o Date)
+     * @returns {Promise<Object|null>}
+     */
+    async findByDate(date) {
+        const dateForDB = typeof date === 'string' ? new Date(`${date}T00:00:00.000Z`) : date;
+
+        return await prisma.timePeriod.findFirst({
+            where: {
+                startDate: { lte: dateForDB },
+                endDate: { gte: dateForDB },
+                isActive: true
+            },
+            orderBy: { startDate: 'desc' }
+        });
+    }
+
+    /**
+     * Períodos abiertos con horas de referencia automáticas que contienen alguna de las fechas
+     * @param {Array<string>} dates - YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async findAutomaticByDates(dates) {
+        return await prisma.timePeriod.findMany({
+            where: {
+                isClosed: false,
+                isReferenceHoursManual: false,
+                OR: dates.map(date => ({
+                    startDate: { lte: new Date(`${date}T00:00:00.000Z`) },
+                    endDate: { gte: new Date(`${date}T00:00:00.000Z`) },
+                })),
+            },
+        });
+    }
+
     /**
      * Obtener períodos por rango de fecha
      * @param {Date} startDate 
@@ -261,12 +379,47 @@ class TimePeriodRepository {
         });
     }
 
+    /**
+     * Obtener los períodos de los meses indicados
+     * @param {Array<Object>} months - { year, month }
+     * @returns {Promise<Array>}
+     */
+    async findByMonths(months) {
+        return await prisma.timePeriod.findMany({
+            where: {
+                OR: months.map(({ year, month }) => ({ year, month }))
+            },
+            orderBy: [
+                { year: 'asc' },
+                { month: 'asc' },
+                { periodNumber: 'asc' }
+            ]
+        });
+    }
+
+    /**
+     * Períodos abiertos que terminaron antes de una fecha
+     * @param {Date} date
+     * @returns {Promise<Array>}
+     */
+    async findOpenEndedBefore(date) {
+        return await prisma.timePeriod.findMany({
+            where: {
+                isClosed: false,
+                endDate: { lt: date }
+            },
+            orderBy: { startDate: 'asc' }
+        });
+    }
+
     /**
      * Obtener estadísticas de un período
      * @param {string} periodId 
+     * @param {Map<string, number>|null} expectedHoursByUser - Horas esperadas por usuario según su jornada;
+     *   sin ellas se compara contra las horas de referencia del período
      * @returns {Promise<Object>}
      */
-    async getStatistics(periodId) {
+    async getStatistics(periodId, expectedHoursByUser = null) {
         const period = await this.findById(periodId);
         
         if (!period) {
@@ -288,6 +441,10 @@ class TimePeriodRepository {
             distinct: ['userId']
         });
 
+        const expectedHours = expectedHoursByUser
+            ? this.sumExpectedHours(expectedHoursByUser)
+            : Number(period.referenceHours || 0);
+
         return {
             period,
             totalHours: stats._sum.hours || 0,
@@ -295,8 +452,9 @@ class TimePeriodRepository {
             averageHours: stats._avg.hours || 0,
             uniqueUsers: uniqueUsers.length,
             referenceHours: period.referenceHours || 0,
-            completionPercentage: period.referenceHours && stats._sum.hours 
-                ? ((stats._sum.hours / period.referenceHours) * 100) 
+            expectedHours,
+            completionPercentage: expectedHours && stats._sum.hours 
+                ? ((stats._sum.hours / expectedHours) * 100) 
                 : 0
         };
     }
@@ -305,9 +463,11 @@ class TimePeriodRepository {
      * Comparar horas trabajadas vs referencia para un período
      * @param {string} periodId 
      * @param {string} userId - opcional, si se especifica solo para un usuario
+     * @param {Map<string, number>|null} expectedHoursByUser - Horas esperadas por usuario según su jornada;
+     *   sin ellas se compara contra las horas de referencia del período
      * @returns {Promise<Object>}
      */
-    async getComparison(periodId, userId = null) {
+    async getComparison(periodId, userId = null, expectedHoursByUser = null) {
         const period = await this.findById(periodId);
         
         if (!period) {
@@ -348,16 +508,24 @@ class TimePeriodRepository {
         });
 
         const referenceHours = period.referenceHours || 0;
+        let expectedHours = Number(referenceHours);
+        if (expectedHoursByUser) {
+            expectedHours = userId
+                ? expectedHoursByUser.get(userId) ?? expectedHours
+                : this.sumExpectedHours(expectedHoursByUser);
+        }
+
         const actualTotal = actualHours._sum.hours || 0;
         const pmoHours = horasPMO._sum.hours || 0;
         const clienteHours = horasCliente._sum.hours || 0;
-        const difference = actualTotal - referenceHours;
-        const percentage = referenceHours > 0 ? (actualTotal / referenceHours) * 100 : 0;
+        const difference = actualTotal - expectedHours;
+        const percentage = expectedHours > 0 ? (actualTotal / expectedHours) * 100 : 0;
 
         return {
             periodId,
             userId,
             referenceHours,
+            expectedHours,
             actualHours: actualTotal,
             horasPMO: pmoHours,
             horasCliente: clienteHours,
@@ -366,6 +534,175 @@ class TimePeriodRepository {
             status: difference >= 0 ? 'above' : 'below'
         };
     }
+
+    /**
+     * Horas registradas por usuario en un período
+     * @param {string} periodId
+     * @returns {Promise<Array>} [{ userId, hours }]
+     */
+    async getHoursByUser(periodId) {
+        const totals = await prisma.timeEntry.groupBy({
+            by: ['userId'],
+            where: { timePeriodId: periodId },
+            _sum: { hours: true }
+        });
+
+        return totals.map(total => ({
+            userId: total.userId,
+            hours: Number(total._sum.hours || 0)
+        }));
+    }
+
+    /**
+     * Horas registradas por período y usuario, separadas en horas Cliente (proyectos específicos)
+     * y horas PMO (proyectos generales)
+     * @param {Array<string>} periodIds
+     * @param {Array<string>} userIds
+     * @returns {Promise<Array<{timePeriodId: string, userId: string, horasCliente: number, horasPMO: number}>>}
+     */
+    async getHoursByPeriodAndUser(periodIds, userIds) {
+        const where = { timePeriodId: { in: periodIds }, userId: { in: userIds } };
+        const [cliente, pmo] = await Promise.all([
+            prisma.timeEntry.groupBy({
+                by: ['timePeriodId', 'userId'],
+                where: { ...where, project: { isGeneral: false } },
+                _sum: { hours: true }
+            }),
+            prisma.timeEntry.groupBy({
+                by: ['timePeriodId', 'userId'],
+                where: { ...where, project: { isGeneral: true } },
+                _sum: { hours: true }
+            })
+        ]);
+
+        const totals = new Map();
+        const add = (rows, field) => rows.forEach(row => {
+            const key = `${row.timePeriodId}|${row.userId}`;
+            const total = totals.get(key) || { timePeriodId: row.timePeriodId, userId: row.userId, horasCliente: 0, horasPMO: 0 };
+            total[field] = Number(row._sum.hours || 0);
+            totals.set(key, total);
+        });
+        add(cliente, 'horasCliente');
+        add(pmo, 'horasPMO');
+
+        return [...totals.values()];
+    }
+
+    /**
+     * Horas y número de registros por usuario y proyecto en un período
+     * @param {string} periodId
+     * @returns {Promise<Array>} - { userId, projectId, hours, entryCount }
+     */
+    async getHoursByUserAndProject(periodId) {
+        const totals = await prisma.timeEntry.groupBy({
+            by: ['userId', 'projectId'],
+            where: { timePeriodId: periodId },
+            _sum: { hours: true },
+            _count: { _all: true }
+        });
+
+        return totals.map(total => ({
+            userId: total.userId,
+            projectId: total.projectId,
+            hours: Number(total._sum.hours || 0),
+            entryCount: total._count._all
+        }));
+    }
+
+    /**
+     * Reemplazar las horas consolidadas de un período
+     * @param {string} periodId
+     * @param {Array} rows - { userId, projectId, hours, entryCount }
+     * @returns {Promise<number>} Filas guardadas
+     */
+    async replaceHoursRollup(periodId, rows) {
+        const computedAt = new Date();
+
+        const [, created] = await prisma.$transaction([
+            prisma.periodHoursRollup.deleteMany({ where: { timePeriodId: periodId } }),
+            prisma.periodHoursRollup.createMany({
+                data: rows.map(row => ({ ...row, timePeriodId: periodId, computedAt }))
+            })
+        ]);
+
+        return created.count;
+    }
+
+    /**
+     * Horas consolidadas de un período por usuario y proyecto
+     * @param {string} periodId
+     * @param {string|null} areaId - Área de los usuarios; null = todas
+     * @returns {Promise<Array>}
+     */
+    async findHoursRollup(periodId, areaId = null) {
+        return await prisma.periodHoursRollup.findMany({
+            where: {
+                timePeriodId: periodId,
+                ...(areaId && { user: { areaId } })
+            },
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        firstName: true,
+                        lastName: true,
+                        email: true,
+                        areaId: true
+                    }
+                },
+                project: {
+                    select: {
+                        id: true,
+                        name: true
+                    }
+                }
+            },
+            orderBy: [
+                { userId: 'asc' },
+                { hours: 'desc' }
+            ]
+        });
+    }
+
+    /**
+     * Horas extra de cada usuario en un período, separadas en autorizadas y pendientes de autorización
+     * @param {string} periodId
+     * @returns {Promise<Array<{userId: string, authorizedHours: number, pendingHours: number}>>}
+     */
+    async getOvertimeByUser(periodId) {
+        const where = { timePeriodId: periodId, isOvertime: true };
+        const [authorized, pending] = await Promise.all([
+            prisma.timeEntry.groupBy({
+                by: ['userId'],
+                where: { ...where, overtimeAuthorizedAt: { not: null } },
+                _sum: { overtimeHours: true }
+            }),
+            prisma.timeEntry.groupBy({
+                by: ['userId'],
+                where: { ...where, overtimeAuthorizedAt: null },
+                _sum: { overtimeHours: true }
+            })
+        ]);
+
+        const totals = new Map();
+        const add = (rows, field) => rows.forEach(row => {
+            const total = totals.get(row.userId) || { userId: row.userId, authorizedHours: 0, pendingHours: 0 };
+            total[field] = Number(row._sum.overtimeHours || 0);
+            totals.set(row.userId, total);
+        });
+        add(authorized, 'authorizedHours');
+        add(pending, 'pendingHours');
+
+        return [...totals.values()];
+    }
+
+    /**
+     * @param {Map<string, number>} expectedHoursByUser
+     * @returns {number}
+     */
+    sumExpectedHours(expectedHoursByUser) {
+        return [...expectedHoursByUser.values()].reduce((total, hours) => total + hours, 0);
+    }
 }
 
 module.exports = TimePeriodRepository;
\ No newline at end of file
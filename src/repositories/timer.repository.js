@@ -0,0 +1,122 @@
+const prisma = require('../config/database');
+const { TIMER_STATUS } = require('../utils/constants');
+
+const timerInclude = {
+    project: {
+        select: {
+            id: true,
+            name: true,
+        },
+    },
+    task: {
+        select: {
+            id: true,
+            title: true,
+        },
+    },
+};
+
+/**
+ * Repositorio para operaciones de cronómetros
+ */
+class TimerRepository {
+    /**
+     * Buscar cronómetro por ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return await prisma.timer.findUnique({
+            where: { id },
+            include: timerInclude,
+        });
+    }
+
+    /**
+     * Buscar el cronómetro activo (en ejecución o en pausa) de un usuario
+     * @param {string} userId
+     * @returns {Promise<Object|null>}
+     */
+    async findActiveByUser(userId) {
+        return await prisma.timer.findFirst({
+            where: {
+                userId,
+                status: { in: [TIMER_STATUS.RUNNING, TIMER_STATUS.PAUSED] },
+            },
+            include: timerInclude,
+            orderBy: { startedAt: 'desc' },
+        });
+    }
+
+    /**
+     * Listar cronómetros de un usuario
+     * @param {string} userId
+     * @param {Object} filters - status
+     * @returns {Promise<Array>}
+     */
+    async findByUser(userId, filters = {}) {
+        const where = { userId };
+
+        if (filters.status) {
+            where.status = filters.status;
+        }
+
+        return await prisma.timer.findMany({
+            where,
+            include: timerInclude,
+            orderBy: { startedAt: 'desc' },
+            take: 50,
+        });
+    }
+
+    /**
+     * Crear cronómetro si el usuario no tiene otro activo
+     * La consulta y la creación van en una transacción serializable: de dos inicios simultáneos
+     * solo uno se confirma y el otro falla por conflicto de serialización
+     * @param {Object} timerData
+     * @returns {Promise<Object|null>} - Cronómetro creado o null si ya hay uno activo
+     */
+    async createIfNoneActive(timerData) {
+        try {
+            return await prisma.$transaction(async (tx) => {
+                const active = await tx.timer.findFirst({
+                    where: {
+                        userId: timerData.userId,
+                        status: { in: [TIMER_STATUS.RUNNING, TIMER_STATUS.PAUSED] },
+                    },
+                    select: { id: true },
+                });
+                if (active) {
+                    return null;
+                }
+
+                return await tx.timer.create({
+                    data: timerData,
+                    include: timerInclude,
+                });
+            }, { isolationLevel: 'Serializable' });
+        } catch (error) {
+            // Otro inicio simultáneo del mismo usuario se confirmó primero
+            if (error.code === 'P2034') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Actualizar cronómetro
+     * @param {string} id
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    async update(id, updateData) {
+        return await prisma.timer.update({
+            where: { id },
+            data: updateData,
+            include: timerInclude,
+        });
+    }
+}
+
+module.exports = TimerRepository;
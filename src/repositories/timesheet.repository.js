@@ -0,0 +1,251 @@
+const prisma = require('../config/database');
+const { TIMESHEET_STATUS } = require('../utils/constants');
+
+const timesheetInclude = {
+    user: {
+        select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            areaId: true,
+        },
+    },
+    reviewer: {
+        select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+        },
+    },
+    timePeriod: {
+        select: {
+            id: true,
+            year: true,
+            month: true,
+            periodNumber: true,
+            startDate: true,
+            endDate: true,
+            referenceHours: true,
+        },
+    },
+};
+
+/**
+ * Repositorio para operaciones de hojas de tiempo
+ */
+class TimesheetRepository {
+    /**
+     * Buscar hoja de tiempo por ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return await prisma.timesheet.findUnique({
+            where: { id },
+            include: timesheetInclude,
+        });
+    }
+
+    /**
+     * Buscar la hoja de tiempo de un usuario en un período
+     * @param {string} userId
+     * @param {string} timePeriodId
+     * @returns {Promise<Object|null>}
+     */
+    async findByUserAndPeriod(userId, timePeriodId) {
+        return await prisma.timesheet.findUnique({
+            where: {
+                userId_timePeriodId: { userId, timePeriodId },
+            },
+            include: timesheetInclude,
+        });
+    }
+
+    /**
+     * Listar hojas de tiempo con filtros y paginación
+     * @param {Object} filters - userId, areaId, timePeriodId, status
+     * @param {Object} pagination
+     * @returns {Promise<Object>}
+     */
+    async findMany(filters = {}, pagination = {}) {
+        const where = {};
+
+        if (filters.userId) {
+            where.userId = filters.userId;
+        }
+
+        if (filters.areaId) {
+            where.user = { areaId: filters.areaId };
+        }
+
+        if (filters.timePeriodId) {
+            where.timePeriodId = filters.timePeriodId;
+        }
+
+        if (filters.status) {
+            where.status = filters.status;
+        }
+
+        const total = await prisma.timesheet.count({ where });
+
+        const timesheets = await prisma.timesheet.findMany({
+            where,
+            include: timesheetInclude,
+            skip: pagination.skip || 0,
+            take: pagination.limit || 10,
+            orderBy: [{ submittedAt: 'desc' }, { createdAt: 'desc' }],
+        });
+
+        return { timesheets, total };
+    }
+
+    /**
+     * Hojas de tiempo de un período, sin paginar
+     * @param {string} timePeriodId
+     * @returns {Promise<Array>}
+     */
+    async findByPeriod(timePeriodId) {
+        return await prisma.timesheet.findMany({
+            where: { timePeriodId },
+            select: {
+                id: true,
+                userId: true,
+                status: true,
+                submittedAt: true,
+            },
+        });
+    }
+
+    /**
+     * Registrar el envío de la hoja de tiempo (la crea si no existe)
+     * @param {string} userId
+     * @param {string} timePeriodId
+     * @param {number} submittedHours
+     * @returns {Promise<Object>}
+     */
+    async submit(userId, timePeriodId, submittedHours) {
+        const data = {
+            status: TIMESHEET_STATUS.SUBMITTED,
+            submittedAt: new Date(),
+            submittedHours,
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewComments: null,
+        };
+
+        return await prisma.timesheet.upsert({
+            where: {
+                userId_timePeriodId: { userId, timePeriodId },
+            },
+            create: {
+                userId,
+                timePeriodId,
+                ...data,
+            },
+            update: data,
+            include: timesheetInclude,
+        });
+    }
+
+    /**
+     * Aprobar hoja de tiempo y sus registros en una sola transacción
+     * Los registros con horas extra sin autorizar quedan pendientes, salvo que se autoricen en la misma aprobación
+     * @param {Object} timesheet
+     * @param {string} reviewedBy
+     * @param {string} comments
+     * @param {boolean} authorizeOvertime
+     * @returns {Promise<Object>}
+     */
+    async approve(timesheet, reviewedBy, comments = null, authorizeOvertime = false) {
+        const reviewedAt = new Date();
+        const entriesWhere = {
+            userId: timesheet.userId,
+            timePeriodId: timesheet.timePeriodId,
+            isApproved: false,
+        };
+
+        const [updated] = await prisma.$transaction([
+            prisma.timesheet.update({
+                where: { id: timesheet.id },
+                data: {
+                    status: TIMESHEET_STATUS.APPROVED,
+                    reviewedBy,
+                    reviewedAt,
+                    reviewComments: comments || null,
+                },
+                include: timesheetInclude,
+            }),
+            ...(authorizeOvertime ? [prisma.timeEntry.updateMany({
+                where: {
+                    ...entriesWhere,
+                    isOvertime: true,
+                    overtimeAuthorizedAt: null,
+                },
+                data: {
+                    overtimeAuthorizedBy: reviewedBy,
+                    overtimeAuthorizedAt: reviewedAt,
+                },
+            })] : []),
+            prisma.timeEntry.updateMany({
+                where: {
+                    ...entriesWhere,
+                    OR: [
+                        { isOvertime: false },
+                        { overtimeAuthorizedAt: { not: null } },
+                    ],
+                },
+                data: {
+                    isApproved: true,
+                    approvedBy: reviewedBy,
+                    approvedAt: reviewedAt,
+                    rejectedBy: null,
+                    rejectedAt: null,
+                    rejectionReason: null,
+                },
+            }),
+        ]);
+
+        return updated;
+    }
+
+    /**
+     * Contar los registros de la hoja con horas extra pendientes de autorización
+     * @param {string} userId
+     * @param {string} timePeriodId
+     * @returns {Promise<number>}
+     */
+    async countUnauthorizedOvertime(userId, timePeriodId) {
+        return await prisma.timeEntry.count({
+            where: {
+                userId,
+                timePeriodId,
+                isApproved: false,
+                isOvertime: true,
+                overtimeAuthorizedAt: null,
+            },
+        });
+    }
+
+    /**
+     * Devolver hoja de tiempo al colaborador con comentarios
+     * @param {string} id
+     * @param {string} reviewedBy
+     * @param {string} comments
+     * @returns {Promise<Object>}
+     */
+    async reject(id, reviewedBy, comments) {
+        return await prisma.timesheet.update({
+            where: { id },
+            data: {
+                status: TIMESHEET_STATUS.REJECTED,
+                reviewedBy,
+                reviewedAt: new Date(),
+                reviewComments: comments,
+            },
+            include: timesheetInclude,
+        });
+    }
+}
+
+module.exports = TimesheetRepository;
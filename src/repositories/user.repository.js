@@ -217,6 +217,44 @@ class UserRepository {
         });
     }
 
+    /**
+     * Usuarios activos que registran tiempo (colaboradores y coordinadores), con su área
+     * @param {string|null} areaId - Limitar a un área
+     * @returns {Promise<Array>}
+     */
+    async findActiveTimeTrackers(areaId = null) {
+        const where = {
+            isActive: true,
+            role: { in: [USER_ROLES.COLABORADOR, USER_ROLES.COORDINADOR] },
+        };
+        if (areaId) {
+            where.areaId = areaId;
+        }
+
+        return await prisma.user.findMany({
+            where,
+            select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                email: true,
+                role: true,
+                areaId: true,
+                emailNotifications: true,
+                area: {
+                    select: {
+                        id: true,
+                        name: true,
+                    },
+                },
+            },
+            orderBy: [
+                { firstName: 'asc' },
+                { lastName: 'asc' },
+            ],
+        });
+    }
+
     /**
      * Buscar usuarios por rol
      * @param {string} role 
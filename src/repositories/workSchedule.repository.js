@@ -0,0 +1,151 @@
+const prisma = require('../config/database');
+
+const workScheduleInclude = {
+    user: {
+        select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            areaId: true,
+        },
+    },
+};
+
+/**
+ * Repositorio para las jornadas laborales de los usuarios
+ */
+class WorkScheduleRepository {
+    /**
+     * Buscar jornada por ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return await prisma.workSchedule.findUnique({
+            where: { id },
+            include: workScheduleInclude,
+        });
+    }
+
+    /**
+     * Listar jornadas con filtros
+     * @param {Object} filters - userId, areaId, activeOn (YYYY-MM-DD)
+     * @returns {Promise<Array>}
+     */
+    async findMany(filters = {}) {
+        const where = {};
+
+        if (filters.userId) {
+            where.userId = filters.userId;
+        }
+
+        if (filters.areaId) {
+            where.user = { areaId: filters.areaId };
+        }
+
+        if (filters.activeOn) {
+            const date = new Date(`${filters.activeOn}T00:00:00.000Z`);
+            where.effectiveFrom = { lte: date };
+            where.OR = [{ effectiveTo: null }, { effectiveTo: { gte: date } }];
+        }
+
+        return await prisma.workSchedule.findMany({
+            where,
+            include: workScheduleInclude,
+            orderBy: [{ userId: 'asc' }, { effectiveFrom: 'desc' }],
+        });
+    }
+
+    /**
+     * Jornadas del usuario cuya vigencia se cruza con el rango indicado
+     * @param {string} userId
+     * @param {string} effectiveFrom - YYYY-MM-DD
+     * @param {string|null} effectiveTo - YYYY-MM-DD; null = sin fecha de término
+     * @param {string|null} excludeId - Jornada a ignorar (la que se actualiza)
+     * @returns {Promise<Array>}
+     */
+    async findOverlapping(userId, effectiveFrom, effectiveTo = null, excludeId = null) {
+        const where = {
+            userId,
+            OR: [{ effectiveTo: null }, { effectiveTo: { gte: new Date(`${effectiveFrom}T00:00:00.000Z`) } }],
+        };
+
+        if (effectiveTo) {
+            where.effectiveFrom = { lte: new Date(`${effectiveTo}T00:00:00.000Z`) };
+        }
+
+        if (excludeId) {
+            where.id = { not: excludeId };
+        }
+
+        return await prisma.workSchedule.findMany({ where });
+    }
+
+    /**
+     * Jornadas de varios usuarios, ordenadas por inicio de vigencia
+     * @param {Array<string>} userIds
+     * @returns {Promise<Array>}
+     */
+    async findByUsers(userIds) {
+        return await prisma.workSchedule.findMany({
+            where: { userId: { in: userIds } },
+            orderBy: [{ userId: 'asc' }, { effectiveFrom: 'asc' }],
+        });
+    }
+
+    /**
+     * Crear jornada
+     * @param {Object} scheduleData
+     * @returns {Promise<Object>}
+     */
+    async create(scheduleData) {
+        return await prisma.workSchedule.create({
+            data: this.toDbDates(scheduleData),
+            include: workScheduleInclude,
+        });
+    }
+
+    /**
+     * Actualizar jornada
+     * @param {string} id
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    async update(id, updateData) {
+        return await prisma.workSchedule.update({
+            where: { id },
+            data: this.toDbDates(updateData),
+            include: workScheduleInclude,
+        });
+    }
+
+    /**
+     * Eliminar jornada
+     * @param {string} id
+     * @returns {Promise<Object>}
+     */
+    async delete(id) {
+        return await prisma.workSchedule.delete({
+            where: { id },
+        });
+    }
+
+    /**
+     * Convertir las fechas de vigencia YYYY-MM-DD al formato de la base de datos
+     * @param {Object} data
+     * @returns {Object}
+     */
+    toDbDates(data) {
+        const result = { ...data };
+        if (data.effectiveFrom) {
+            result.effectiveFrom = new Date(`${data.effectiveFrom}T00:00:00.000Z`);
+        }
+        if (data.effectiveTo) {
+            result.effectiveTo = new Date(`${data.effectiveTo}T00:00:00.000Z`);
+        }
+        return result;
+    }
+}
+
+module.exports = WorkScheduleRepository;
@@ -0,0 +1,58 @@
+const express = require('express');
+const absenceController = require('../controllers/absence.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const {
+    absenceFiltersSchema,
+    requestAbsenceSchema,
+    reviewAbsenceSchema
+} = require('../validators/absence.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/absences
+ * @desc    Listar ausencias (colaboradores: las propias; coordinadores: las de su área)
+ * @access  Private
+ */
+router.get('/',
+    authenticateToken,
+    validate(absenceFiltersSchema, 'query'),
+    absenceController.getAbsences
+);
+
+/**
+ * @route   POST /api/absences
+ * @desc    Solicitar una ausencia; registrada por un coordinador o administrador para otro usuario queda aprobada
+ * @access  Private
+ */
+router.post('/',
+    authenticateToken,
+    validate(requestAbsenceSchema),
+    absenceController.requestAbsence
+);
+
+/**
+ * @route   PATCH /api/absences/:id/review
+ * @desc    Aprobar o rechazar una solicitud de ausencia
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.patch('/:id/review',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(reviewAbsenceSchema),
+    absenceController.reviewAbsence
+);
+
+/**
+ * @route   PATCH /api/absences/:id/cancel
+ * @desc    Cancelar una ausencia (el dueño solo mientras está pendiente)
+ * @access  Private
+ */
+router.patch('/:id/cancel',
+    authenticateToken,
+    absenceController.cancelAbsence
+);
+
+module.exports = router;
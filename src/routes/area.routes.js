@@ -556,6 +556,12 @@ router.get('/:id/projects',
  *           type: string
  *           format: date
  *         description: Fecha de fin del período para estadísticas
+ *       - in: query
+ *         name: timePeriodId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Período para la capacidad del área (por defecto el período actual)
  *     responses:
  *       200:
  *         description: Estadísticas del área obtenidas exitosamente
@@ -607,6 +613,10 @@ router.get('/:id/projects',
  *                         CANCELADA:
  *                           type: integer
  *                           example: 2
+ *                     capacity:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Horas esperadas según la jornada de cada usuario contra las registradas en el período (null si no hay período actual)
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
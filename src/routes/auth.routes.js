@@ -201,6 +201,10 @@ router.get('/profile', authenticateToken, authController.getProfile);
  *                 type: string
  *                 format: email
  *                 example: nuevo.email@ejemplo.com
+ *               emailNotifications:
+ *                 type: boolean
+ *                 description: Recibir recordatorios por correo
+ *                 example: false
  *     responses:
  *       200:
  *         description: Perfil actualizado exitosamente
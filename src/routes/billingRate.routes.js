@@ -0,0 +1,61 @@
+const express = require('express');
+const billingRateController = require('../controllers/billingRate.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const {
+    billingRateFiltersSchema,
+    createBillingRateSchema,
+    updateBillingRateSchema
+} = require('../validators/billingRate.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/billing-rates
+ * @desc    Listar tarifas de costo y venta por hora
+ * @access  Private (Administrador)
+ */
+router.get('/',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(billingRateFiltersSchema, 'query'),
+    billingRateController.getRates
+);
+
+/**
+ * @route   POST /api/billing-rates
+ * @desc    Registrar la tarifa de un usuario o de un rol con vigencia
+ * @access  Private (Administrador)
+ */
+router.post('/',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(createBillingRateSchema),
+    billingRateController.createRate
+);
+
+/**
+ * @route   PUT /api/billing-rates/:id
+ * @desc    Actualizar tarifa
+ * @access  Private (Administrador)
+ */
+router.put('/:id',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(updateBillingRateSchema),
+    billingRateController.updateRate
+);
+
+/**
+ * @route   DELETE /api/billing-rates/:id
+ * @desc    Eliminar tarifa
+ * @access  Private (Administrador)
+ */
+router.delete('/:id',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    billingRateController.deleteRate
+);
+
+module.exports = router;
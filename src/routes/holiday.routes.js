@@ -0,0 +1,73 @@
+const express = require('express');
+const holidayController = require('../controllers/holiday.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const {
+    holidayFiltersSchema,
+    createHolidaySchema,
+    updateHolidaySchema,
+    nationalHolidaysSchema
+} = require('../validators/holiday.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/holidays
+ * @desc    Listar días feriados (con areaId incluye los globales y las excepciones del área)
+ * @access  Private
+ */
+router.get('/',
+    authenticateToken,
+    validate(holidayFiltersSchema, 'query'),
+    holidayController.getHolidays
+);
+
+/**
+ * @route   POST /api/holidays
+ * @desc    Registrar feriado global o excepción de área (isWorkingDay hace laborable un feriado global)
+ * @access  Private (Administrador)
+ */
+router.post('/',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(createHolidaySchema),
+    holidayController.createHoliday
+);
+
+/**
+ * @route   POST /api/holidays/national
+ * @desc    Registrar los días de descanso obligatorio de México de un año
+ * @access  Private (Administrador)
+ */
+router.post('/national',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(nationalHolidaysSchema),
+    holidayController.importNationalHolidays
+);
+
+/**
+ * @route   PUT /api/holidays/:id
+ * @desc    Actualizar feriado
+ * @access  Private (Administrador)
+ */
+router.put('/:id',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(updateHolidaySchema),
+    holidayController.updateHoliday
+);
+
+/**
+ * @route   DELETE /api/holidays/:id
+ * @desc    Eliminar feriado
+ * @access  Private (Administrador)
+ */
+router.delete('/:id',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    holidayController.deleteHoliday
+);
+
+module.exports = router;
@@ -8,10 +8,22 @@ const projectRoutes = require('./project.routes');
 const taskRoutes = require('./task.routes');
 const timeEntryRoutes = require('./timeEntry.routes');
 const timePeriodRoutes = require('./timePeriod.routes');
+const timesheetRoutes = require('./timesheet.routes');
+const timerRoutes = require('./timer.routes');
+const timeEntryTemplateRoutes = require('./timeEntryTemplate.routes');
+const timeEntryImportRoutes = require('./timeEntryImport.routes');
+const reportRoutes = require('./report.routes');
+const notificationRoutes = require('./notification.routes');
+const holidayRoutes = require('./holiday.routes');
+const workScheduleRoutes = require('./workSchedule.routes');
+const absenceRoutes = require('./absence.routes');
+const timeEntryUnlockRoutes = require('./timeEntryUnlock.routes');
+const billingRateRoutes = require('./billingRate.routes');
 const excelProjectMigrationRoutes = require('./excelProjectMigration.routes');
 const excelImportRoutes = require('./excelImport.routes');
 const catalogRoutes = require('./catalog.routes');
 const systemConfigRoutes = require('./systemConfig.routes');
+const jobRoutes = require('./job.routes');
 
 const router = express.Router();
 
@@ -67,10 +79,22 @@ router.use('/projects', projectRoutes);
 router.use('/tasks', taskRoutes);
 router.use('/time-entries', timeEntryRoutes);
 router.use('/time-periods', timePeriodRoutes);
+router.use('/timesheets', timesheetRoutes);
+router.use('/timers', timerRoutes);
+router.use('/time-entry-templates', timeEntryTemplateRoutes);
+router.use('/time-entry-import', timeEntryImportRoutes);
+router.use('/reports', reportRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/holidays', holidayRoutes);
+router.use('/work-schedules', workScheduleRoutes);
+router.use('/absences', absenceRoutes);
+router.use('/time-entry-unlocks', timeEntryUnlockRoutes);
+router.use('/billing-rates', billingRateRoutes);
 router.use('/excel-projects', excelProjectMigrationRoutes);
 router.use('/excel-import', excelImportRoutes);
 router.use('/catalogs', catalogRoutes);
 router.use('/system-config', systemConfigRoutes);
+router.use('/jobs', jobRoutes);
 
 // 404 handler for API routes
 router.use('*', (req, res) => {
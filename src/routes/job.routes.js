@@ -0,0 +1,44 @@
+const express = require('express');
+const jobController = require('../controllers/job.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const { jobRunFiltersSchema } = require('../validators/job.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/jobs
+ * @desc    Listar tareas programadas con su programación, próxima ejecución y última ejecución
+ * @access  Private (Administrador)
+ */
+router.get('/',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    jobController.getJobs
+);
+
+/**
+ * @route   GET /api/jobs/runs
+ * @desc    Historial de ejecuciones con estado, duración y error
+ * @access  Private (Administrador)
+ */
+router.get('/runs',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(jobRunFiltersSchema, 'query'),
+    jobController.getJobRuns
+);
+
+/**
+ * @route   POST /api/jobs/:name/run
+ * @desc    Ejecutar una tarea manualmente y esperar su resultado
+ * @access  Private (Administrador)
+ */
+router.post('/:name/run',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    jobController.triggerJob
+);
+
+module.exports = router;
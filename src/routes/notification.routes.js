@@ -0,0 +1,45 @@
+const express = require('express');
+const notificationController = require('../controllers/notification.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const { emailLogFiltersSchema, timesheetRemindersSchema } = require('../validators/notification.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/notifications/email-logs
+ * @desc    Bitácora de correos enviados (recordatorios)
+ * @access  Private (Administrador)
+ */
+router.get('/email-logs',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(emailLogFiltersSchema, 'query'),
+    notificationController.getEmailLogs
+);
+
+/**
+ * @route   POST /api/notifications/reminders/timesheets
+ * @desc    Enviar ahora los recordatorios de hoja de tiempo (force ignora la ventana de días antes del fin del período)
+ * @access  Private (Administrador)
+ */
+router.post('/reminders/timesheets',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    validate(timesheetRemindersSchema),
+    notificationController.sendTimesheetReminders
+);
+
+/**
+ * @route   POST /api/notifications/reminders/approvals
+ * @desc    Enviar ahora los recordatorios de registros pendientes de aprobación a coordinadores
+ * @access  Private (Administrador)
+ */
+router.post('/reminders/approvals',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR]),
+    notificationController.sendApprovalReminders
+);
+
+module.exports = router;
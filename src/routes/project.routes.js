@@ -7,7 +7,8 @@ const {
     createProjectSchema,
     updateProjectSchema,
     changeProjectStatusSchema,
-    assignUserToProjectSchema
+    assignUserToProjectSchema,
+    projectFinancialsSchema
 } = require('../validators/project.validator');
 
 const router = express.Router();
@@ -289,6 +290,18 @@ router.get('/:id/stats',
     projectController.getProjectStats
 );
 
+/**
+ * @route   GET /api/projects/:id/financials
+ * @desc    Obtener costo acumulado, ritmo de gasto, costo proyectado y margen contra el contrato (por mes y año fiscal con fiscal=true)
+ * @access  Private (Administrador/Coordinador)
+ */
+router.get('/:id/financials',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(projectFinancialsSchema, 'query'),
+    projectController.getProjectFinancials
+);
+
 /**
  * @route   POST /api/projects/create-standard-tasks
  * @desc    Crear tareas estándar para un proyecto
@@ -0,0 +1,82 @@
+const express = require('express');
+const reportController = require('../controllers/report.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const { missingTimesheetsSchema, capacitySchema, billingSchema, utilizationSchema } = require('../validators/report.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/reports/missing-timesheets
+ * @desc    Usuarios cuyas horas del período están por debajo del umbral, agrupados por área y coordinador
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.get('/missing-timesheets',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(missingTimesheetsSchema, 'query'),
+    reportController.getMissingTimesheets
+);
+
+/**
+ * @route   GET /api/reports/capacity
+ * @desc    Horas esperadas según la jornada de cada usuario contra las registradas en el período
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.get('/capacity',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(capacitySchema, 'query'),
+    reportController.getCapacity
+);
+
+/**
+ * @route   GET /api/reports/period-hours
+ * @desc    Horas por usuario y proyecto del período según la última consolidación nocturna
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.get('/period-hours',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(capacitySchema, 'query'),
+    reportController.getPeriodHours
+);
+
+/**
+ * @route   GET /api/reports/billing
+ * @desc    Horas facturables, ingreso, costo y margen por proyecto comparados con el contrato y la facturación mensual
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.get('/billing',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(billingSchema, 'query'),
+    reportController.getBilling
+);
+
+/**
+ * @route   GET /api/reports/utilization
+ * @desc    Matriz de utilización por usuario y período: horas registradas, esperadas, % de utilización, Cliente y PMO
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.get('/utilization',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(utilizationSchema, 'query'),
+    reportController.getUtilization
+);
+
+/**
+ * @route   GET /api/reports/utilization/export
+ * @desc    Exportar la matriz de utilización a Excel (.xlsx)
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.get('/utilization/export',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(utilizationSchema, 'query'),
+    reportController.exportUtilization
+);
+
+module.exports = router;
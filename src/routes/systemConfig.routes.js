@@ -4,6 +4,8 @@ const { authenticateToken } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validation.middleware');
 const Joi = require('joi');
 
+const { USER_ROLES } = require('../utils/constants');
+
 const router = express.Router();
 
 // Esquemas de validación
@@ -23,6 +25,13 @@ const configSchema = Joi.object({
         })
 });
 
+const configHistoryQuerySchema = Joi.object({
+    key: Joi.string().max(100)
+        .messages({
+            'string.max': 'La clave no puede tener más de 100 caracteres'
+        })
+});
+
 const futureDaysSchema = Joi.object({
     days: Joi.number().integer().min(0).max(365).required()
         .messages({
@@ -66,6 +75,46 @@ const dateRestrictionSchema = Joi.object({
     })
 });
 
+const dateRestrictionQuerySchema = Joi.object({
+    userId: Joi.string().uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido'
+        })
+});
+
+const dateRestrictionOverrideSchema = Joi.object({
+    areaId: Joi.string().uuid().allow(null)
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido'
+        }),
+    role: Joi.string().valid(...Object.values(USER_ROLES)).allow(null)
+        .messages({
+            'any.only': `El rol debe ser uno de: ${Object.values(USER_ROLES).join(', ')}`
+        }),
+    enabled: Joi.boolean()
+        .messages({
+            'boolean.base': 'El campo enabled debe ser un valor booleano'
+        }),
+    futureDaysAllowed: Joi.number().integer().min(0).max(365)
+        .messages({
+            'number.base': 'Los días futuros deben ser un número',
+            'number.integer': 'Los días futuros deben ser un número entero',
+            'number.min': 'Los días futuros no pueden ser negativos',
+            'number.max': 'Los días futuros no pueden ser más de 365'
+        }),
+    pastDaysAllowed: Joi.number().integer().min(0).max(365)
+        .messages({
+            'number.base': 'Los días pasados deben ser un número',
+            'number.integer': 'Los días pasados deben ser un número entero',
+            'number.min': 'Los días pasados no pueden ser negativos',
+            'number.max': 'Los días pasados no pueden ser más de 365'
+        })
+}).or('areaId', 'role')
+    .or('enabled', 'futureDaysAllowed', 'pastDaysAllowed')
+    .messages({
+        'object.missing': 'Debe indicar el área o rol y al menos una restricción a configurar'
+    });
+
 /**
  * @swagger
  * /system-config:
@@ -116,7 +165,7 @@ router.get('/',
  * /system-config/future-days:
  *   get:
  *     summary: Obtener configuración de días futuros permitidos
- *     description: Obtiene el número de días futuros permitidos para registro de tiempo.
+ *     description: Obtiene el número de días futuros permitidos para registro de tiempo al usuario autenticado, con los valores de su área y rol.
  *     tags: [Configuración del Sistema]
  *     security:
  *       - bearerAuth: []
@@ -199,10 +248,18 @@ router.put('/future-days',
  * /system-config/date-restrictions:
  *   get:
  *     summary: Obtener configuraciones de restricciones de fecha
- *     description: Obtiene las configuraciones completas de restricciones de fecha para timesheet.
+ *     description: Obtiene los valores efectivos de restricciones de fecha para un usuario, resueltos por área y rol, junto con los globales y el alcance del que proviene cada uno.
  *     tags: [Configuración del Sistema]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Usuario a consultar (por defecto el autenticado; otros usuarios solo para administradores)
  *     responses:
  *       200:
  *         description: Configuraciones obtenidas exitosamente
@@ -226,12 +283,50 @@ router.put('/future-days',
  *                     pastDaysAllowed:
  *                       type: number
  *                       example: 30
+ *                     sources:
+ *                       type: object
+ *                       description: Alcance de cada valor (AREA_ROLE, AREA, ROLE o GLOBAL)
+ *                     global:
+ *                       type: object
+ *                       description: Valores globales
  */
 router.get('/date-restrictions',
     authenticateToken,
+    validate(dateRestrictionQuerySchema, 'query'),
     systemConfigController.getDateRestrictionConfigs
 );
 
+/**
+ * @route   GET /api/system-config/date-restrictions/overrides
+ * @desc    Obtener restricciones de fecha definidas por área y por rol
+ * @access  Private (Administrador)
+ */
+router.get('/date-restrictions/overrides',
+    authenticateToken,
+    systemConfigController.getDateRestrictionOverrides
+);
+
+/**
+ * @route   PUT /api/system-config/date-restrictions/overrides
+ * @desc    Configurar restricciones de fecha para un área, un rol o ambos
+ * @access  Private (Administrador)
+ */
+router.put('/date-restrictions/overrides',
+    authenticateToken,
+    validate(dateRestrictionOverrideSchema),
+    systemConfigController.setDateRestrictionOverrides
+);
+
+/**
+ * @route   DELETE /api/system-config/date-restrictions/overrides/:id
+ * @desc    Eliminar una restricción de fecha por área o rol
+ * @access  Private (Administrador)
+ */
+router.delete('/date-restrictions/overrides/:id',
+    authenticateToken,
+    systemConfigController.deleteDateRestrictionOverride
+);
+
 /**
  * @swagger
  * /system-config/date-restrictions:
@@ -328,6 +423,27 @@ router.post('/initialize',
     systemConfigController.initializeDefaults
 );
 
+/**
+ * @route   GET /api/system-config/registry
+ * @desc    Obtener las claves registradas con su tipo, rango, valor por defecto y valor vigente
+ * @access  Private
+ */
+router.get('/registry',
+    authenticateToken,
+    systemConfigController.getConfigRegistry
+);
+
+/**
+ * @route   GET /api/system-config/history
+ * @desc    Obtener el historial de cambios de configuración, opcionalmente de una clave
+ * @access  Private (Administrador)
+ */
+router.get('/history',
+    authenticateToken,
+    validate(configHistoryQuerySchema, 'query'),
+    systemConfigController.getConfigHistory
+);
+
 /**
  * @swagger
  * /system-config/{key}:
@@ -360,7 +476,7 @@ router.get('/:key',
  * /system-config:
  *   post:
  *     summary: Crear o actualizar configuración
- *     description: Crea una nueva configuración o actualiza una existente. Solo para administradores.
+ *     description: Crea o actualiza una configuración registrada; el valor se valida contra el tipo y rango de la clave y el cambio queda en el historial. Solo para administradores.
  *     tags: [Configuración del Sistema]
  *     security:
  *       - bearerAuth: []
@@ -377,14 +493,14 @@ router.get('/:key',
  *               key:
  *                 type: string
  *                 maxLength: 100
- *                 example: CUSTOM_CONFIG_KEY
+ *                 example: TIME_ENTRY_MAX_HOURS_PER_DAY
  *               value:
  *                 type: string
- *                 example: "custom_value"
+ *                 example: "12"
  *               description:
  *                 type: string
  *                 maxLength: 500
- *                 example: Descripción de la configuración personalizada
+ *                 example: Máximo número de horas que se pueden registrar por día
  *     responses:
  *       201:
  *         description: Configuración creada/actualizada exitosamente
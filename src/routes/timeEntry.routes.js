@@ -1,11 +1,19 @@
 const express = require('express');
 const timeEntryController = require('../controllers/timeEntry.controller');
 const { validate } = require('../middleware/validation.middleware');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
 const { validateFutureDate } = require('../middleware/dateValidation.middleware');
+const { USER_ROLES } = require('../utils/constants');
 const {
     createTimeEntrySchema,
-    updateTimeEntrySchema
+    updateTimeEntrySchema,
+    approveTimeEntrySchema,
+    bulkApproveTimeEntriesSchema,
+    pendingApprovalFiltersSchema,
+    bulkSaveTimeEntriesSchema,
+    copyTimeEntriesSchema,
+    exportTimeEntriesSchema,
+    timeEntryHistoryFiltersSchema
 } = require('../validators/timeEntry.validator');
 
 const router = express.Router();
@@ -83,6 +91,28 @@ router.post('/',
     timeEntryController.createTimeEntry
 );
 
+/**
+ * @route   POST /api/time-entries/bulk
+ * @desc    Guardar la cuadrícula semanal completa en una sola transacción (0 horas elimina la celda)
+ * @access  Private
+ */
+router.post('/bulk',
+    authenticateToken,
+    validate(bulkSaveTimeEntriesSchema),
+    timeEntryController.bulkSaveTimeEntries
+);
+
+/**
+ * @route   POST /api/time-entries/copy
+ * @desc    Copiar las filas proyecto/tarea (con o sin horas) de un período o rango de fechas a otro período; reporta lo omitido
+ * @access  Private
+ */
+router.post('/copy',
+    authenticateToken,
+    validate(copyTimeEntriesSchema),
+    timeEntryController.copyTimeEntries
+);
+
 /**
  * @swagger
  * /time-entries:
@@ -341,6 +371,30 @@ router.get('/user/:userId/date/:date',
     timeEntryController.getTimeEntriesByDate
 );
 
+/**
+ * @route   GET /api/time-entries/pending-approval
+ * @desc    Obtener registros pendientes de aprobación (coordinadores: solo su área)
+ * @access  Private (Administrador, Coordinador)
+ */
+router.get('/pending-approval',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(pendingApprovalFiltersSchema, 'query'),
+    timeEntryController.getPendingApprovals
+);
+
+/**
+ * @route   POST /api/time-entries/approval/bulk
+ * @desc    Aprobar o rechazar varios registros de tiempo
+ * @access  Private (Administrador, Coordinador)
+ */
+router.post('/approval/bulk',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(bulkApproveTimeEntriesSchema),
+    timeEntryController.bulkReviewTimeEntries
+);
+
 /**
  * @route   GET /api/time-entries/user/:userId/summary
  * @desc    Obtener resumen de tiempo por usuario
@@ -371,6 +425,28 @@ router.get('/range/:startDate/:endDate',
     timeEntryController.getTimeEntriesByDateRange
 );
 
+/**
+ * @route   GET /api/time-entries/export
+ * @desc    Exportar registros filtrados en CSV plano o Excel (una hoja por usuario con cuadrícula semanal)
+ * @access  Private
+ */
+router.get('/export',
+    authenticateToken,
+    validate(exportTimeEntriesSchema, 'query'),
+    timeEntryController.exportTimeEntries
+);
+
+/**
+ * @route   GET /api/time-entries/history
+ * @desc    Consultar la bitácora de cambios, incluidos registros eliminados (coordinadores: su área; colaboradores: los propios)
+ * @access  Private
+ */
+router.get('/history',
+    authenticateToken,
+    validate(timeEntryHistoryFiltersSchema, 'query'),
+    timeEntryController.getTimeEntriesHistory
+);
+
 /**
  * @route   GET /api/time-entries/:id
  * @desc    Obtener registro de tiempo por ID
@@ -381,6 +457,16 @@ router.get('/:id',
     timeEntryController.getTimeEntryById
 );
 
+/**
+ * @route   GET /api/time-entries/:id/history
+ * @desc    Obtener la bitácora de cambios de un registro de tiempo, aunque haya sido eliminado
+ * @access  Private
+ */
+router.get('/:id/history',
+    authenticateToken,
+    timeEntryController.getTimeEntryHistory
+);
+
 /**
  * @route   PUT /api/time-entries/:id
  * @desc    Actualizar registro de tiempo
@@ -392,6 +478,18 @@ router.put('/:id',
     timeEntryController.updateTimeEntry
 );
 
+/**
+ * @route   PATCH /api/time-entries/:id/approval
+ * @desc    Aprobar o rechazar un registro de tiempo (el rechazo requiere motivo)
+ * @access  Private (Administrador, Coordinador)
+ */
+router.patch('/:id/approval',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(approveTimeEntrySchema),
+    timeEntryController.reviewTimeEntry
+);
+
 /**
  * @route   DELETE /api/time-entries/:id
  * @desc    Eliminar registro de tiempo
@@ -0,0 +1,45 @@
+const express = require('express');
+const timeEntryImportController = require('../controllers/timeEntryImport.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const { importTimeEntriesSchema } = require('../validators/timeEntryImport.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/time-entry-import/template
+ * @desc    Descargar plantilla de Excel para importar registros de tiempo
+ * @access  Private (Administrador, Coordinador)
+ */
+router.get('/template',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    timeEntryImportController.downloadTemplate
+);
+
+/**
+ * @route   POST /api/time-entry-import/upload
+ * @desc    Importar registros de tiempo desde Excel o CSV (campo "file"); con dryRun=true solo valida
+ * @access  Private (Administrador, Coordinador)
+ */
+router.post('/upload',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    timeEntryImportController.uploadFile,
+    validate(importTimeEntriesSchema),
+    timeEntryImportController.importTimeEntries
+);
+
+/**
+ * @route   GET /api/time-entry-import/error-report/:reportId
+ * @desc    Descargar el reporte de errores de una importación (disponible 30 minutos)
+ * @access  Private (Administrador, Coordinador)
+ */
+router.get('/error-report/:reportId',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    timeEntryImportController.downloadErrorReport
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const timeEntryTemplateController = require('../controllers/timeEntryTemplate.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+    createTemplateSchema,
+    updateTemplateSchema,
+    templateFiltersSchema,
+    generateTemplatesSchema
+} = require('../validators/timeEntryTemplate.validator');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/time-entry-templates
+ * @desc    Listar plantillas recurrentes del usuario
+ * @access  Private
+ */
+router.get('/',
+    authenticateToken,
+    validate(templateFiltersSchema, 'query'),
+    timeEntryTemplateController.getTemplates
+);
+
+/**
+ * @route   POST /api/time-entry-templates
+ * @desc    Crear plantilla recurrente (proyecto, tarea, horas y días de la semana)
+ * @access  Private
+ */
+router.post('/',
+    authenticateToken,
+    validate(createTemplateSchema),
+    timeEntryTemplateController.createTemplate
+);
+
+/**
+ * @route   POST /api/time-entry-templates/generate
+ * @desc    Generar los registros de un período a partir de las plantillas activas (sin sobrescribir lo capturado)
+ * @access  Private
+ */
+router.post('/generate',
+    authenticateToken,
+    validate(generateTemplatesSchema),
+    timeEntryTemplateController.generateForPeriod
+);
+
+/**
+ * @route   PUT /api/time-entry-templates/:id
+ * @desc    Actualizar plantilla
+ * @access  Private (Dueño, Administrador)
+ */
+router.put('/:id',
+    authenticateToken,
+    validate(updateTemplateSchema),
+    timeEntryTemplateController.updateTemplate
+);
+
+/**
+ * @route   DELETE /api/time-entry-templates/:id
+ * @desc    Eliminar plantilla; los registros generados se conservan
+ * @access  Private (Dueño, Administrador)
+ */
+router.delete('/:id',
+    authenticateToken,
+    timeEntryTemplateController.deleteTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const timeEntryUnlockController = require('../controllers/timeEntryUnlock.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const {
+    unlockFiltersSchema,
+    requestUnlockSchema,
+    reviewUnlockSchema
+} = require('../validators/timeEntryUnlock.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/time-entry-unlocks
+ * @desc    Listar solicitudes de desbloqueo (colaboradores: las propias; coordinadores: las de su área)
+ * @access  Private
+ */
+router.get('/',
+    authenticateToken,
+    validate(unlockFiltersSchema, 'query'),
+    timeEntryUnlockController.getUnlockRequests
+);
+
+/**
+ * @route   POST /api/time-entry-unlocks
+ * @desc    Solicitar registrar tiempo en fechas anteriores a la ventana permitida
+ * @access  Private
+ */
+router.post('/',
+    authenticateToken,
+    validate(requestUnlockSchema),
+    timeEntryUnlockController.requestUnlock
+);
+
+/**
+ * @route   PATCH /api/time-entry-unlocks/:id/review
+ * @desc    Aprobar (con vencimiento) o rechazar una solicitud de desbloqueo
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.patch('/:id/review',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(reviewUnlockSchema),
+    timeEntryUnlockController.reviewUnlock
+);
+
+/**
+ * @route   PATCH /api/time-entry-unlocks/:id/cancel
+ * @desc    Cancelar una solicitud (el dueño solo mientras está pendiente) o revocar un desbloqueo aprobado
+ * @access  Private
+ */
+router.patch('/:id/cancel',
+    authenticateToken,
+    timeEntryUnlockController.cancelUnlock
+);
+
+module.exports = router;
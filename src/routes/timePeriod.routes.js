@@ -45,15 +45,27 @@ router.use(authenticateToken);
  *           type: number
  *           format: decimal
  *           minimum: 0
- *           maximum: 168
+ *           maximum: 744
+ *           nullable: true
+ *           description: Si se omite (o es null al actualizar) se calculan con los días hábiles y feriados del período. Máximo 168 salvo en períodos mensuales
+ *         isReferenceHoursManual:
+ *           type: boolean
+ *           readOnly: true
  *         type:
  *           type: string
- *           enum: [weekly, biweekly]
+ *           enum: [weekly, biweekly, monthly]
  *         description:
  *           type: string
  *           maxLength: 255
  *         isActive:
  *           type: boolean
+ *         isClosed:
+ *           type: boolean
+ *           readOnly: true
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -111,6 +123,7 @@ router.get('/', timePeriodController.getAll);
  * /time-periods/current:
  *   get:
  *     summary: Obtener el período actual
+ *     description: Incluye fiscalYear y fiscalMonth según el calendario fiscal configurado
  *     tags: [Time Periods]
  *     security:
  *       - BearerAuth: []
@@ -126,33 +139,69 @@ router.get('/current', timePeriodController.getCurrent);
  * @swagger
  * /time-periods/range:
  *   get:
- *     summary: Obtener períodos por rango de fecha
+ *     summary: Obtener períodos por rango de fecha o por año fiscal
+ *     description: |
+ *       Requiere startDate y endDate, o fiscalYear (y opcionalmente fiscalMonth) para usar las fechas
+ *       del año o mes fiscal según el calendario configurado. Cada período incluye fiscalYear y fiscalMonth.
  *     tags: [Time Periods]
  *     security:
  *       - BearerAuth: []
  *     parameters:
  *       - in: query
  *         name: startDate
- *         required: true
  *         schema:
  *           type: string
  *           format: date
  *         description: Fecha de inicio
  *       - in: query
  *         name: endDate
- *         required: true
  *         schema:
  *           type: string
  *           format: date
  *         description: Fecha de fin
+ *       - in: query
+ *         name: fiscalYear
+ *         schema:
+ *           type: integer
+ *         description: Año fiscal (año en que inicia)
+ *       - in: query
+ *         name: fiscalMonth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Mes fiscal dentro del año fiscal
  *     responses:
  *       200:
  *         description: Períodos obtenidos exitosamente
  *       400:
- *         description: Parámetros requeridos faltantes
+ *         description: Parámetros requeridos faltantes o inválidos
  */
 router.get('/range', timePeriodController.getByDateRange);
 
+/**
+ * @swagger
+ * /time-periods/fiscal-calendar:
+ *   get:
+ *     summary: Obtener los meses de un año fiscal
+ *     description: |
+ *       Fechas de cada mes fiscal según FISCAL_CALENDAR_TYPE (calendar o 4-4-5) y FISCAL_YEAR_START_MONTH,
+ *       con el año y mes con que se guardan sus períodos
+ *     tags: [Time Periods]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fiscalYear
+ *         schema:
+ *           type: integer
+ *         description: Año fiscal (por defecto el año fiscal en curso)
+ *     responses:
+ *       200:
+ *         description: Calendario fiscal obtenido exitosamente
+ */
+router.get('/fiscal-calendar', timePeriodController.getFiscalCalendar);
+
 /**
  * @swagger
  * /time-periods/bulk:
@@ -182,6 +231,58 @@ router.get('/range', timePeriodController.getByDateRange);
  */
 router.post('/bulk', timePeriodController.createBulk);
 
+/**
+ * @swagger
+ * /time-periods/generate:
+ *   post:
+ *     summary: Generar los períodos de un año (o año fiscal)
+ *     description: |
+ *       Calcula en el servidor los períodos de 12 meses desde startMonth, con el número de período
+ *       por mes y las horas de referencia según días hábiles y feriados. Con el calendario fiscal 4-4-5
+ *       los períodos siguen las semanas de cada mes fiscal. Es idempotente: los períodos
+ *       existentes con las mismas fechas se omiten y los que chocan con otro período se reportan en conflicts.
+ *     tags: [Time Periods]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [year, type]
+ *             properties:
+ *               year:
+ *                 type: integer
+ *                 example: 2025
+ *               type:
+ *                 type: string
+ *                 enum: [weekly, biweekly, monthly]
+ *               startMonth:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *                 description: Mes de inicio del año fiscal (por defecto FISCAL_YEAR_START_MONTH)
+ *               weekRule:
+ *                 type: string
+ *                 enum: [START, END, MAJORITY, SPLIT]
+ *                 description: Mes de las semanas que cruzan el cambio de mes; por defecto TIME_PERIOD_WEEK_MONTH_RULE
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Solo calcular los períodos, sin crearlos
+ *     responses:
+ *       200:
+ *         description: Simulación de la generación (dryRun)
+ *       201:
+ *         description: Períodos generados (created, skipped, conflicts)
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       403:
+ *         description: Sin permisos (solo administradores)
+ */
+router.post('/generate', timePeriodController.generate);
+
 /**
  * @swagger
  * /time-periods/{id}:
@@ -210,6 +311,7 @@ router.get('/:id', timePeriodController.getById);
  * /time-periods/{id}/statistics:
  *   get:
  *     summary: Obtener estadísticas de un período
+ *     description: El porcentaje de avance se calcula contra expectedHours, la suma de las horas esperadas de cada usuario según su jornada laboral.
  *     tags: [Time Periods]
  *     security:
  *       - BearerAuth: []
@@ -233,6 +335,7 @@ router.get('/:id/statistics', timePeriodController.getStatistics);
  * /time-periods/{id}/comparison:
  *   get:
  *     summary: Comparar horas trabajadas vs referencia
+ *     description: Compara contra expectedHours, las horas esperadas según la jornada laboral del usuario (o la suma de todos los usuarios). Sin jornada registrada se usan las horas de referencia del período.
  *     tags: [Time Periods]
  *     security:
  *       - BearerAuth: []
@@ -257,6 +360,107 @@ router.get('/:id/statistics', timePeriodController.getStatistics);
  */
 router.get('/:id/comparison', timePeriodController.getComparison);
 
+/**
+ * @swagger
+ * /time-periods/{id}/lock-history:
+ *   get:
+ *     summary: Obtener bitácora de cierres y reaperturas de un período
+ *     description: Los cierres automáticos de la tarea close-periods no tienen usuario (performedBy y user en null).
+ *     tags: [Time Periods]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Bitácora obtenida exitosamente
+ *       403:
+ *         description: Sin permisos (solo administradores)
+ */
+router.get('/:id/lock-history', timePeriodController.getLockHistory);
+
+/**
+ * @swagger
+ * /time-periods/{id}/close:
+ *   post:
+ *     summary: Cerrar período de tiempo
+ *     description: Un período cerrado no admite crear, modificar ni eliminar registros de tiempo.
+ *     tags: [Time Periods]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               justification:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Período cerrado exitosamente
+ *       400:
+ *         description: El período ya está cerrado
+ *       403:
+ *         description: Sin permisos (solo administradores)
+ *       404:
+ *         description: Período no encontrado
+ */
+router.post('/:id/close', timePeriodController.close);
+
+/**
+ * @swagger
+ * /time-periods/{id}/reopen:
+ *   post:
+ *     summary: Reabrir período de tiempo cerrado
+ *     tags: [Time Periods]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - justification
+ *             properties:
+ *               justification:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Período reabierto exitosamente
+ *       400:
+ *         description: Justificación faltante o el período no está cerrado
+ *       403:
+ *         description: Sin permisos (solo administradores)
+ *       404:
+ *         description: Período no encontrado
+ */
+router.post('/:id/reopen', timePeriodController.reopen);
+
 /**
  * @swagger
  * /time-periods:
@@ -286,6 +490,7 @@ router.post('/', timePeriodController.create);
  * /time-periods/{id}:
  *   put:
  *     summary: Actualizar período de tiempo
+ *     description: Un período cerrado no se puede modificar; hay que reabrirlo primero.
  *     tags: [Time Periods]
  *     security:
  *       - BearerAuth: []
@@ -306,7 +511,7 @@ router.post('/', timePeriodController.create);
  *       200:
  *         description: Período actualizado exitosamente
  *       400:
- *         description: Datos de entrada inválidos
+ *         description: Datos de entrada inválidos o período cerrado
  *       403:
  *         description: Sin permisos (solo administradores)
  *       404:
@@ -0,0 +1,88 @@
+const express = require('express');
+const timerController = require('../controllers/timer.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+    startTimerSchema,
+    stopTimerSchema,
+    resolveTimerSchema,
+    timerFiltersSchema
+} = require('../validators/timer.validator');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/timers/active
+ * @desc    Obtener el cronómetro activo del usuario; marca para revisión los que quedaron corriendo de un día a otro
+ * @access  Private
+ */
+router.get('/active',
+    authenticateToken,
+    timerController.getActiveTimer
+);
+
+/**
+ * @route   GET /api/timers
+ * @desc    Listar cronómetros del usuario (p. ej. ?status=FLAGGED)
+ * @access  Private
+ */
+router.get('/',
+    authenticateToken,
+    validate(timerFiltersSchema, 'query'),
+    timerController.getTimers
+);
+
+/**
+ * @route   POST /api/timers/start
+ * @desc    Iniciar cronómetro sobre un proyecto/tarea (solo uno activo por usuario)
+ * @access  Private
+ */
+router.post('/start',
+    authenticateToken,
+    validate(startTimerSchema),
+    timerController.startTimer
+);
+
+/**
+ * @route   POST /api/timers/:id/pause
+ * @desc    Pausar cronómetro en ejecución
+ * @access  Private
+ */
+router.post('/:id/pause',
+    authenticateToken,
+    timerController.pauseTimer
+);
+
+/**
+ * @route   POST /api/timers/:id/resume
+ * @desc    Reanudar cronómetro en pausa
+ * @access  Private
+ */
+router.post('/:id/resume',
+    authenticateToken,
+    timerController.resumeTimer
+);
+
+/**
+ * @route   POST /api/timers/:id/stop
+ * @desc    Detener cronómetro y crear o acumular el registro de tiempo del día
+ * @access  Private
+ */
+router.post('/:id/stop',
+    authenticateToken,
+    validate(stopTimerSchema),
+    timerController.stopTimer
+);
+
+/**
+ * @route   POST /api/timers/:id/resolve
+ * @desc    Resolver cronómetro marcado para revisión indicando las horas reales o descartándolo
+ * @access  Private
+ */
+router.post('/:id/resolve',
+    authenticateToken,
+    validate(resolveTimerSchema),
+    timerController.resolveTimer
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const timesheetController = require('../controllers/timesheet.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const { USER_ROLES } = require('../utils/constants');
+const {
+    submitTimesheetSchema,
+    reviewTimesheetSchema,
+    timesheetFiltersSchema
+} = require('../validators/timesheet.validator');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/timesheets
+ * @desc    Listar hojas de tiempo (coordinadores: su área, colaboradores: propias)
+ * @access  Private
+ */
+router.get('/',
+    authenticateToken,
+    validate(timesheetFiltersSchema, 'query'),
+    timesheetController.getTimesheets
+);
+
+/**
+ * @route   POST /api/timesheets/submit
+ * @desc    Enviar a revisión la hoja de tiempo del período; advierte si no alcanza las horas de referencia
+ * @access  Private
+ */
+router.post('/submit',
+    authenticateToken,
+    validate(submitTimesheetSchema),
+    timesheetController.submitTimesheet
+);
+
+/**
+ * @route   GET /api/timesheets/user/:userId/period/:timePeriodId
+ * @desc    Obtener hoja de tiempo de un usuario en un período con su resumen de horas
+ * @access  Private
+ */
+router.get('/user/:userId/period/:timePeriodId',
+    authenticateToken,
+    timesheetController.getTimesheet
+);
+
+/**
+ * @route   PATCH /api/timesheets/:id/review
+ * @desc    Aprobar o devolver con comentarios una hoja de tiempo enviada
+ * @access  Private (Administrador, Coordinador)
+ */
+router.patch('/:id/review',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(reviewTimesheetSchema),
+    timesheetController.reviewTimesheet
+);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const workScheduleController = require('../controllers/workSchedule.controller');
+const { validate } = require('../middleware/validation.middleware');
+const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const {
+    workScheduleFiltersSchema,
+    createWorkScheduleSchema,
+    updateWorkScheduleSchema
+} = require('../validators/workSchedule.validator');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/work-schedules
+ * @desc    Listar jornadas laborales (colaboradores: las propias; coordinadores: las de su área)
+ * @access  Private
+ */
+router.get('/',
+    authenticateToken,
+    validate(workScheduleFiltersSchema, 'query'),
+    workScheduleController.getSchedules
+);
+
+/**
+ * @route   POST /api/work-schedules
+ * @desc    Registrar la jornada de un usuario con horas por día y vigencia
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.post('/',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(createWorkScheduleSchema),
+    workScheduleController.createSchedule
+);
+
+/**
+ * @route   PUT /api/work-schedules/:id
+ * @desc    Actualizar jornada
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.put('/:id',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    validate(updateWorkScheduleSchema),
+    workScheduleController.updateSchedule
+);
+
+/**
+ * @route   DELETE /api/work-schedules/:id
+ * @desc    Eliminar jornada
+ * @access  Private (Administrador, Coordinador de su área)
+ */
+router.delete('/:id',
+    authenticateToken,
+    requireRole([USER_ROLES.ADMINISTRADOR, USER_ROLES.COORDINADOR]),
+    workScheduleController.deleteSchedule
+);
+
+module.exports = router;
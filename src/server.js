@@ -11,6 +11,7 @@ const { errorHandler } = require('./middleware/errorHandler.middleware');
 const logger = require('./utils/logger');
 const { specs, swaggerUi, swaggerUiOptions } = require('./config/swagger');
 const SystemConfigService = require('./services/systemConfig.service');
+const { startJobScheduler } = require('./jobs/scheduler');
 
 /**
  * Crear aplicación Express
@@ -277,6 +278,8 @@ const startServer = async () => {
 
             // Inicializar configuraciones del sistema después de que el servidor esté listo
             await initializeSystemConfigs();
+
+            startJobScheduler();
         });
     } catch (error) {
         logger.error('Error al iniciar el servidor:', error);
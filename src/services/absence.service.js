@@ -0,0 +1,237 @@
+const AbsenceRepository = require('../repositories/absence.repository');
+const UserRepository = require('../repositories/user.repository');
+const TimeEntryRepository = require('../repositories/timeEntry.repository');
+const { USER_ROLES, ABSENCE_STATUS, ABSENCE_TYPE_LABELS, ERROR_MESSAGES } = require('../utils/constants');
+const { toDateKey, buildDateKeys } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para las ausencias (vacaciones, incapacidades, capacitaciones y permisos)
+ * Los colaboradores las solicitan y los coordinadores de su área las aprueban; las aprobadas
+ * descuentan horas esperadas y bloquean el registro de tiempo en esos días.
+ */
+class AbsenceService {
+    constructor() {
+        this.absenceRepository = new AbsenceRepository();
+        this.userRepository = new UserRepository();
+        this.timeEntryRepository = new TimeEntryRepository();
+    }
+
+    /**
+     * Listar ausencias visibles para el usuario
+     * @param {Object} filters - userId, areaId, status, type, startDate, endDate
+     * @param {Object} requestingUser
+     * @returns {Promise<Array>}
+     */
+    async getAbsences(filters, requestingUser) {
+        try {
+            const scopedFilters = { ...filters };
+
+            if (requestingUser.role === USER_ROLES.COORDINADOR) {
+                scopedFilters.areaId = requestingUser.areaId;
+            } else if (requestingUser.role === USER_ROLES.COLABORADOR) {
+                scopedFilters.userId = requestingUser.userId;
+            }
+
+            return await this.absenceRepository.findMany(scopedFilters);
+        } catch (error) {
+            logger.error('Error al obtener ausencias:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Solicitar una ausencia propia o registrarla para otro usuario
+     * Registrada por quien puede revisarla (administrador o coordinador del área) queda aprobada
+     * @param {Object} absenceData - type, startDate, endDate, reason, userId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async requestAbsence(absenceData, requestingUser) {
+        try {
+            const userId = absenceData.userId || requestingUser.userId;
+            const owner = await this.userRepository.findById(userId);
+            if (!owner) {
+                throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+            }
+
+            const isOwnRequest = userId === requestingUser.userId;
+            if (!isOwnRequest && !this.canUserReviewAbsence(requestingUser, { userId, user: owner })) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            const startDate = toDateKey(absenceData.startDate);
+            const endDate = toDateKey(absenceData.endDate);
+            if (endDate < startDate) {
+                throw new Error('La fecha de fin debe ser posterior a la fecha de inicio');
+            }
+
+            const overlapping = await this.absenceRepository.findOverlapping(userId, startDate, endDate);
+            if (overlapping.length > 0) {
+                throw new Error(ERROR_MESSAGES.ABSENCE_OVERLAP);
+            }
+
+            const absence = await this.absenceRepository.create({
+                userId,
+                type: absenceData.type,
+                startDate,
+                endDate,
+                reason: absenceData.reason || null,
+                ...(isOwnRequest ? {} : {
+                    status: ABSENCE_STATUS.APPROVED,
+                    reviewedBy: requestingUser.userId,
+                    reviewedAt: new Date(),
+                }),
+            });
+
+            logger.info(`Ausencia ${absence.type} ${startDate} a ${endDate} de ${userId} registrada por ${requestingUser.email} (${absence.status})`);
+
+            return absence.status === ABSENCE_STATUS.APPROVED
+                ? await this.withLoggedHoursWarning(absence)
+                : absence;
+        } catch (error) {
+            logger.error('Error al solicitar ausencia:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aprobar o rechazar una solicitud de ausencia pendiente
+     * @param {string} absenceId
+     * @param {Object} reviewData - { isApproved, comments }
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async reviewAbsence(absenceId, reviewData, requestingUser) {
+        try {
+            const { isApproved, comments } = reviewData;
+
+            const absence = await this.absenceRepository.findById(absenceId);
+            if (!absence) {
+                throw new Error(ERROR_MESSAGES.ABSENCE_NOT_FOUND);
+            }
+
+            if (!this.canUserReviewAbsence(requestingUser, absence)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            if (absence.status !== ABSENCE_STATUS.PENDING) {
+                throw new Error(ERROR_MESSAGES.ABSENCE_NOT_PENDING);
+            }
+
+            if (!isApproved && (!comments || !comments.trim())) {
+                throw new Error(ERROR_MESSAGES.REJECTION_REASON_REQUIRED);
+            }
+
+            const reviewed = await this.absenceRepository.update(absenceId, {
+                status: isApproved ? ABSENCE_STATUS.APPROVED : ABSENCE_STATUS.REJECTED,
+                reviewedBy: requestingUser.userId,
+                reviewedAt: new Date(),
+                reviewComment: comments?.trim() || null,
+            });
+
+            logger.info(`Ausencia ${absenceId} ${isApproved ? 'aprobada' : 'rechazada'} por ${requestingUser.email}`);
+
+            return isApproved ? await this.withLoggedHoursWarning(reviewed) : reviewed;
+        } catch (error) {
+            logger.error('Error al revisar ausencia:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancelar una ausencia
+     * El dueño cancela sus solicitudes pendientes; quien puede revisarla cancela también las aprobadas
+     * @param {string} absenceId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async cancelAbsence(absenceId, requestingUser) {
+        try {
+            const absence = await this.absenceRepository.findById(absenceId);
+            if (!absence) {
+                throw new Error(ERROR_MESSAGES.ABSENCE_NOT_FOUND);
+            }
+
+            const isReviewer = this.canUserReviewAbsence(requestingUser, absence);
+            const isOwner = absence.userId === requestingUser.userId;
+
+            if (!isReviewer && !(isOwner && absence.status === ABSENCE_STATUS.PENDING)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            if (![ABSENCE_STATUS.PENDING, ABSENCE_STATUS.APPROVED].includes(absence.status)) {
+                throw new Error('Solo se pueden cancelar ausencias pendientes o aprobadas');
+            }
+
+            const cancelled = await this.absenceRepository.update(absenceId, {
+                status: ABSENCE_STATUS.CANCELLED,
+            });
+
+            logger.info(`Ausencia ${absenceId} cancelada por ${requestingUser.email}`);
+
+            return cancelled;
+        } catch (error) {
+            logger.error('Error al cancelar ausencia:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Días con ausencia aprobada de un usuario entre dos fechas
+     * @param {string} userId
+     * @param {Date|string} startDate
+     * @param {Date|string} endDate
+     * @returns {Promise<Map<string, string>>} Fecha YYYY-MM-DD -> tipo de ausencia
+     */
+    async getAbsenceDates(userId, startDate, endDate) {
+        const from = toDateKey(startDate);
+        const to = toDateKey(endDate);
+        const absences = await this.absenceRepository.findApprovedForUsers([userId], from, to);
+
+        const result = new Map();
+        absences.forEach(absence => {
+            buildDateKeys(absence.startDate, absence.endDate)
+                .filter(date => date >= from && date <= to)
+                .forEach(date => result.set(date, ABSENCE_TYPE_LABELS[absence.type]));
+        });
+
+        return result;
+    }
+
+    /**
+     * Advertir si el usuario ya tiene horas registradas en los días de una ausencia aprobada
+     * @param {Object} absence
+     * @returns {Promise<Object>}
+     */
+    async withLoggedHoursWarning(absence) {
+        const dates = buildDateKeys(absence.startDate, absence.endDate);
+        const entries = await this.timeEntryRepository.findByUserAndDates(absence.userId, dates);
+        const hours = entries.reduce((total, entry) => total + Number(entry.hours), 0);
+
+        return hours > 0
+            ? { ...absence, warnings: [`El usuario tiene ${hours}h registradas en los días de la ausencia`] }
+            : absence;
+    }
+
+    /**
+     * Verificar si un usuario puede aprobar, rechazar o cancelar una ausencia
+     * @param {Object} user
+     * @param {Object} absence - Con userId y user (dueño)
+     * @returns {boolean}
+     */
+    canUserReviewAbsence(user, absence) {
+        if (user.role === USER_ROLES.ADMINISTRADOR) {
+            return true;
+        }
+
+        // Coordinadores revisan ausencias de su área, excepto las propias
+        if (user.role === USER_ROLES.COORDINADOR) {
+            return Boolean(user.areaId) && user.areaId === absence.user?.areaId && user.userId !== absence.userId;
+        }
+
+        return false;
+    }
+}
+
+module.exports = AbsenceService;
@@ -1,5 +1,7 @@
 const AreaRepository = require('../repositories/area.repository');
 const UserRepository = require('../repositories/user.repository');
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const ReportService = require('./report.service');
 const { USER_ROLES, ERROR_MESSAGES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
@@ -10,6 +12,8 @@ class AreaService {
     constructor() {
         this.areaRepository = new AreaRepository();
         this.userRepository = new UserRepository();
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.reportService = new ReportService();
     }
 
     /**
@@ -230,10 +234,13 @@ class AreaService {
 
     /**
      * Obtener estadísticas de un área
+     * Incluye la capacidad del período (por defecto el actual): horas esperadas según la
+     * jornada de cada usuario del área contra las registradas
      * @param {string} areaId 
+     * @param {string|null} timePeriodId
      * @returns {Promise<Object>}
      */
-    async getAreaStats(areaId) {
+    async getAreaStats(areaId, timePeriodId = null) {
         try {
             // Verificar que el área existe
             const area = await this.areaRepository.findById(areaId);
@@ -241,7 +248,25 @@ class AreaService {
                 throw new Error('Área no encontrada');
             }
 
-            return await this.areaRepository.getStats(areaId);
+            const period = timePeriodId
+                ? await this.timePeriodRepository.findById(timePeriodId)
+                : await this.timePeriodRepository.getCurrentPeriod();
+            if (timePeriodId && !period) {
+                throw new Error('Período no encontrado');
+            }
+
+            const stats = await this.areaRepository.getStats(areaId);
+            const capacity = period ? await this.reportService.getPeriodCapacity(period, areaId) : null;
+
+            return {
+                ...stats,
+                capacity: capacity && {
+                    timePeriodId: period.id,
+                    startDate: period.startDate,
+                    endDate: period.endDate,
+                    ...capacity,
+                },
+            };
         } catch (error) {
             logger.error('Error al obtener estadísticas del área:', error);
             throw error;
@@ -0,0 +1,199 @@
+const BillingRateRepository = require('../repositories/billingRate.repository');
+const UserRepository = require('../repositories/user.repository');
+const { ERROR_MESSAGES } = require('../utils/constants');
+const { toDateKey } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para las tarifas de costo y venta por hora
+ * Cada tarifa pertenece a un usuario o a un rol y tiene vigencia; para un registro se usa la tarifa
+ * del usuario vigente en su fecha y, si no existe, la de su rol.
+ */
+class BillingRateService {
+    constructor() {
+        this.billingRateRepository = new BillingRateRepository();
+        this.userRepository = new UserRepository();
+    }
+
+    /**
+     * Listar tarifas
+     * @param {Object} filters - userId, role, activeOn
+     * @returns {Promise<Array>}
+     */
+    async getRates(filters) {
+        try {
+            return await this.billingRateRepository.findMany(filters);
+        } catch (error) {
+            logger.error('Error al obtener tarifas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Registrar la tarifa de un usuario o de un rol
+     * @param {Object} rateData
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async createRate(rateData, requestingUser) {
+        try {
+            if (rateData.userId) {
+                const user = await this.userRepository.findById(rateData.userId);
+                if (!user) {
+                    throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+                }
+            }
+
+            const data = {
+                ...rateData,
+                userId: rateData.userId || null,
+                role: rateData.userId ? null : rateData.role,
+                effectiveFrom: toDateKey(rateData.effectiveFrom),
+                effectiveTo: rateData.effectiveTo ? toDateKey(rateData.effectiveTo) : null,
+            };
+            await this.checkOverlap(data, data.effectiveFrom, data.effectiveTo);
+
+            const rate = await this.billingRateRepository.create({
+                ...data,
+                createdBy: requestingUser.userId,
+            });
+
+            logger.info(`Tarifa registrada para ${data.userId || data.role} desde ${data.effectiveFrom} por ${requestingUser.email}`);
+
+            return rate;
+        } catch (error) {
+            logger.error('Error al registrar tarifa:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualizar tarifa
+     * @param {string} rateId
+     * @param {Object} updateData
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async updateRate(rateId, updateData, requestingUser) {
+        try {
+            const rate = await this.billingRateRepository.findById(rateId);
+            if (!rate) {
+                throw new Error(ERROR_MESSAGES.BILLING_RATE_NOT_FOUND);
+            }
+
+            const data = { ...updateData };
+            if (data.effectiveFrom) {
+                data.effectiveFrom = toDateKey(data.effectiveFrom);
+            }
+            if (data.effectiveTo) {
+                data.effectiveTo = toDateKey(data.effectiveTo);
+            }
+
+            const effectiveFrom = data.effectiveFrom || toDateKey(rate.effectiveFrom);
+            const effectiveTo = data.effectiveTo !== undefined
+                ? data.effectiveTo
+                : rate.effectiveTo && toDateKey(rate.effectiveTo);
+
+            if (effectiveTo && effectiveTo < effectiveFrom) {
+                throw new Error('La fecha de fin de vigencia debe ser posterior a la de inicio');
+            }
+            await this.checkOverlap(rate, effectiveFrom, effectiveTo, rateId);
+
+            const updatedRate = await this.billingRateRepository.update(rateId, data);
+
+            logger.info(`Tarifa ${rateId} actualizada por ${requestingUser.email}`);
+
+            return updatedRate;
+        } catch (error) {
+            logger.error('Error al actualizar tarifa:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Eliminar tarifa
+     * @param {string} rateId
+     * @param {Object} requestingUser
+     * @returns {Promise<void>}
+     */
+    async deleteRate(rateId, requestingUser) {
+        try {
+            const rate = await this.billingRateRepository.findById(rateId);
+            if (!rate) {
+                throw new Error(ERROR_MESSAGES.BILLING_RATE_NOT_FOUND);
+            }
+
+            await this.billingRateRepository.delete(rateId);
+
+            logger.info(`Tarifa ${rateId} eliminada por ${requestingUser.email}`);
+        } catch (error) {
+            logger.error('Error al eliminar tarifa:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Tarifas vigentes en algún día del rango, para resolverlas con resolveRate
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async getRatesInRange(startDate, endDate) {
+        return await this.billingRateRepository.findEffectiveInRange(startDate, endDate);
+    }
+
+    /**
+     * Tarifa que aplica a un usuario en una fecha: la propia y, si no tiene, la de su rol
+     * @param {Array<Object>} rates - Tarifas obtenidas con getRatesInRange
+     * @param {Object} user - Con id y role
+     * @param {Date|string} date
+     * @returns {Object|null} { costRate, billRate } como números
+     */
+    resolveRate(rates, user, date) {
+        const dateKey = toDateKey(date);
+        const effective = rates.filter(rate => this.isEffectiveOn(rate, dateKey));
+        const rate = effective.find(candidate => candidate.userId === user.id)
+            || effective.find(candidate => !candidate.userId && candidate.role === user.role);
+
+        if (!rate) {
+            return null;
+        }
+
+        return {
+            costRate: Number(rate.costRate),
+            billRate: Number(rate.billRate),
+        };
+    }
+
+    /**
+     * @param {Object} rate
+     * @param {string} date - YYYY-MM-DD
+     * @returns {boolean}
+     */
+    isEffectiveOn(rate, date) {
+        return toDateKey(rate.effectiveFrom) <= date
+            && (!rate.effectiveTo || toDateKey(rate.effectiveTo) >= date);
+    }
+
+    /**
+     * Verificar que la vigencia no se cruce con otra tarifa del mismo usuario o rol
+     * @param {Object} owner - Con userId o role
+     * @param {string} effectiveFrom
+     * @param {string|null} effectiveTo
+     * @param {string|null} excludeId
+     * @returns {Promise<void>}
+     */
+    async checkOverlap(owner, effectiveFrom, effectiveTo, excludeId = null) {
+        const overlapping = await this.billingRateRepository.findOverlapping(
+            { userId: owner.userId, role: owner.role },
+            effectiveFrom,
+            effectiveTo,
+            excludeId
+        );
+        if (overlapping.length > 0) {
+            throw new Error(ERROR_MESSAGES.BILLING_RATE_OVERLAP);
+        }
+    }
+}
+
+module.exports = BillingRateService;
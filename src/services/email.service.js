@@ -0,0 +1,97 @@
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const EmailLogRepository = require('../repositories/emailLog.repository');
+const { EMAIL_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio de envío de correo por SMTP
+ * Cada envío, exitoso o fallido, queda registrado en la bitácora de correos
+ */
+class EmailService {
+    constructor() {
+        this.emailLogRepository = new EmailLogRepository();
+        this.transporter = null;
+    }
+
+    /**
+     * Transporte SMTP, creado en el primer envío
+     * @returns {Object}
+     */
+    getTransporter() {
+        if (!this.transporter) {
+            this.transporter = nodemailer.createTransport({
+                host: config.SMTP_HOST,
+                port: config.SMTP_PORT,
+                secure: config.SMTP_SECURE,
+                auth: config.SMTP_USER
+                    ? { user: config.SMTP_USER, pass: config.SMTP_PASS }
+                    : undefined,
+            });
+        }
+
+        return this.transporter;
+    }
+
+    /**
+     * Enviar un correo y registrarlo en la bitácora
+     * Los errores de envío no se propagan: quedan registrados con estado FAILED
+     * @param {Object} message - { to, subject, html, text, type, userId, timePeriodId }
+     * @returns {Promise<Object|null>} Registro de la bitácora, o null si el correo está deshabilitado
+     */
+    async send({ to, subject, html, text, type, userId = null, timePeriodId = null }) {
+        if (!config.EMAIL_ENABLED) {
+            logger.info(`Envío de correo deshabilitado; se omite "${subject}" para ${to}`);
+            return null;
+        }
+
+        const logData = {
+            userId,
+            recipient: to,
+            type,
+            subject,
+            timePeriodId,
+        };
+
+        try {
+            const info = await this.getTransporter().sendMail({
+                from: config.SMTP_FROM,
+                to,
+                subject,
+                html,
+                text,
+            });
+
+            logger.info(`Correo ${type} enviado a ${to}`);
+            return await this.emailLogRepository.create({
+                ...logData,
+                status: EMAIL_STATUS.SENT,
+                messageId: info.messageId || null,
+            });
+        } catch (error) {
+            logger.error(`Error al enviar correo ${type} a ${to}:`, error);
+            return await this.emailLogRepository.create({
+                ...logData,
+                status: EMAIL_STATUS.FAILED,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Consultar la bitácora de correos
+     * @param {Object} filters - userId, type, status, timePeriodId
+     * @param {Object} pagination
+     * @returns {Promise<Object>} { logs, total }
+     */
+    async getEmailLogs(filters = {}, pagination = {}) {
+        try {
+            return await this.emailLogRepository.findMany(filters, pagination);
+        } catch (error) {
+            logger.error('Error al obtener bitácora de correos:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = EmailService;
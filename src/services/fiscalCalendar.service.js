@@ -0,0 +1,196 @@
+const SystemConfigService = require('./systemConfig.service');
+const { FISCAL_CALENDAR_TYPE } = require('../utils/constants');
+const { toDateKey } = require('../utils/dateUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Semanas de los meses de cada trimestre en el calendario 4-4-5
+const QUARTER_WEEKS_445 = [4, 4, 5];
+
+/**
+ * Servicio del calendario fiscal configurado (FISCAL_CALENDAR_TYPE y FISCAL_YEAR_START_MONTH)
+ * El año fiscal tiene 12 meses y se identifica por el año en que inicia. Con el calendario natural cada mes
+ * fiscal es un mes del calendario; con 4-4-5 el año inicia el lunes más cercano al día 1 del mes de inicio,
+ * cada trimestre tiene meses de 4, 4 y 5 semanas y en los años de 53 semanas la sobrante va al último mes.
+ * Cada mes fiscal conserva el año y mes del calendario que representa (year, month), que son los que
+ * se guardan en los períodos de tiempo.
+ */
+class FiscalCalendarService {
+    constructor() {
+        this.systemConfigService = new SystemConfigService();
+    }
+
+    /**
+     * @returns {Promise<Object>} - { type, startMonth }
+     */
+    async getCalendar() {
+        return await this.systemConfigService.getFiscalCalendar();
+    }
+
+    /**
+     * Meses de un año fiscal
+     * @param {number} fiscalYear
+     * @param {Object} calendar - { type, startMonth }
+     * @returns {Object} - { fiscalYear, type, startMonth, startDate, endDate, months }
+     */
+    buildYear(fiscalYear, calendar) {
+        const months = calendar.type === FISCAL_CALENDAR_TYPE.WEEKS_445
+            ? this.buildWeekMonths(fiscalYear, calendar.startMonth)
+            : this.buildCalendarMonths(fiscalYear, calendar.startMonth);
+
+        return {
+            fiscalYear,
+            type: calendar.type,
+            startMonth: calendar.startMonth,
+            startDate: months[0].startDate,
+            endDate: months[months.length - 1].endDate,
+            months,
+        };
+    }
+
+    /**
+     * Mes fiscal que contiene una fecha
+     * @param {Date|string} date
+     * @param {Object} calendar
+     * @returns {Object} - { fiscalYear, fiscalMonth, year, month, startDate, endDate }
+     */
+    findMonth(date, calendar) {
+        const dateKey = toDateKey(date);
+        const year = Number(dateKey.slice(0, 4));
+
+        // Con 4-4-5 los últimos días de diciembre pueden pertenecer al año fiscal siguiente
+        for (const fiscalYear of [year - 1, year, year + 1]) {
+            const month = this.buildYear(fiscalYear, calendar).months
+                .find(candidate => candidate.startDate <= dateKey && candidate.endDate >= dateKey);
+            if (month) {
+                return month;
+            }
+        }
+
+        throw new Error(`No se encontró el mes fiscal de la fecha ${dateKey}`);
+    }
+
+    /**
+     * Meses fiscales que se traslapan con un rango de fechas
+     * @param {Date|string} startDate
+     * @param {Date|string} endDate
+     * @param {Object} calendar
+     * @returns {Array<Object>}
+     */
+    findMonthsInRange(startDate, endDate, calendar) {
+        const start = toDateKey(startDate);
+        const end = toDateKey(endDate);
+        const firstYear = this.findMonth(start, calendar).fiscalYear;
+        const lastYear = this.findMonth(end, calendar).fiscalYear;
+
+        const months = [];
+        for (let fiscalYear = firstYear; fiscalYear <= lastYear; fiscalYear++) {
+            months.push(...this.buildYear(fiscalYear, calendar).months);
+        }
+
+        return months.filter(month => month.startDate <= end && month.endDate >= start);
+    }
+
+    /**
+     * Fechas de un año fiscal o de uno de sus meses
+     * @param {number} fiscalYear
+     * @param {number|null} fiscalMonth - 1 a 12; null = el año completo
+     * @param {Object} calendar
+     * @returns {Object} - { startDate, endDate } YYYY-MM-DD
+     */
+    getRange(fiscalYear, fiscalMonth, calendar) {
+        const fiscal = this.buildYear(fiscalYear, calendar);
+        const { startDate, endDate } = fiscalMonth ? fiscal.months[fiscalMonth - 1] : fiscal;
+
+        return { startDate, endDate };
+    }
+
+    /**
+     * Año y mes fiscal de un período según el año y mes con que se guardó
+     * @param {Object} period - { year, month }
+     * @param {Object} calendar
+     * @returns {Object} - { fiscalYear, fiscalMonth }
+     */
+    getPeriodFiscalMonth(period, calendar) {
+        return {
+            fiscalYear: period.month >= calendar.startMonth ? period.year : period.year - 1,
+            fiscalMonth: (period.month - calendar.startMonth + 12) % 12 + 1,
+        };
+    }
+
+    /**
+     * @param {number} fiscalYear
+     * @param {number} startMonth
+     * @returns {Array<Object>}
+     */
+    buildCalendarMonths(fiscalYear, startMonth) {
+        return Array.from({ length: 12 }, (_, index) => this.buildMonth(
+            fiscalYear,
+            index + 1,
+            startMonth,
+            new Date(Date.UTC(fiscalYear, startMonth - 1 + index, 1)),
+            new Date(Date.UTC(fiscalYear, startMonth + index, 0))
+        ));
+    }
+
+    /**
+     * Meses 4-4-5 de un año fiscal; los meses siempre son semanas completas de lunes a domingo
+     * @param {number} fiscalYear
+     * @param {number} startMonth
+     * @returns {Array<Object>}
+     */
+    buildWeekMonths(fiscalYear, startMonth) {
+        const yearStart = this.getWeekYearStart(fiscalYear, startMonth);
+        const yearWeeks = (this.getWeekYearStart(fiscalYear + 1, startMonth) - yearStart) / (7 * DAY_MS);
+
+        let monthStart = yearStart;
+        return Array.from({ length: 12 }, (_, index) => {
+            const weeks = QUARTER_WEEKS_445[index % 3] + (index === 11 ? yearWeeks - 52 : 0);
+            const monthEnd = new Date(monthStart.getTime() + (weeks * 7 - 1) * DAY_MS);
+            const month = this.buildMonth(fiscalYear, index + 1, startMonth, monthStart, monthEnd, weeks);
+
+            monthStart = new Date(monthEnd.getTime() + DAY_MS);
+            return month;
+        });
+    }
+
+    /**
+     * Lunes más cercano al día 1 del mes de inicio; si el día 1 cae de viernes a domingo es el lunes siguiente
+     * @param {number} fiscalYear
+     * @param {number} startMonth
+     * @returns {Date}
+     */
+    getWeekYearStart(fiscalYear, startMonth) {
+        const first = new Date(Date.UTC(fiscalYear, startMonth - 1, 1));
+        const daysSinceMonday = (first.getUTCDay() + 6) % 7;
+        const offset = daysSinceMonday <= 3 ? -daysSinceMonday : 7 - daysSinceMonday;
+
+        return new Date(first.getTime() + offset * DAY_MS);
+    }
+
+    /**
+     * Mes fiscal con el año y mes del calendario que representa
+     * @param {number} fiscalYear
+     * @param {number} fiscalMonth - 1 a 12
+     * @param {number} startMonth - Mes de inicio del año fiscal
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @param {number|null} weeks - Semanas del mes en el calendario 4-4-5
+     * @returns {Object} - { fiscalYear, fiscalMonth, year, month, startDate, endDate, weeks? }
+     */
+    buildMonth(fiscalYear, fiscalMonth, startMonth, startDate, endDate, weeks = null) {
+        const label = new Date(Date.UTC(fiscalYear, startMonth + fiscalMonth - 2, 1));
+
+        return {
+            fiscalYear,
+            fiscalMonth,
+            year: label.getUTCFullYear(),
+            month: label.getUTCMonth() + 1,
+            startDate: toDateKey(startDate),
+            endDate: toDateKey(endDate),
+            ...(weeks && { weeks }),
+        };
+    }
+}
+
+module.exports = FiscalCalendarService;
@@ -0,0 +1,369 @@
+const HolidayRepository = require('../repositories/holiday.repository');
+const AreaRepository = require('../repositories/area.repository');
+const UserRepository = require('../repositories/user.repository');
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const SystemConfigService = require('./systemConfig.service');
+const { ERROR_MESSAGES, WORKING_WEEKDAYS } = require('../utils/constants');
+const { getMexicanNationalHolidays, toDateKey, buildDateKeys } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para el calendario de días feriados y días inhábiles
+ * Los feriados globales aplican a todas las áreas; un feriado de área agrega un día inhábil
+ * solo para esa área o, con isWorkingDay, hace laborable para el área un feriado global.
+ */
+class HolidayService {
+    constructor() {
+        this.holidayRepository = new HolidayRepository();
+        this.areaRepository = new AreaRepository();
+        this.userRepository = new UserRepository();
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.systemConfigService = new SystemConfigService();
+    }
+
+    /**
+     * Listar feriados
+     * @param {Object} filters - year, startDate, endDate, areaId, globalOnly
+     * @returns {Promise<Array>}
+     */
+    async getHolidays(filters = {}) {
+        try {
+            return await this.holidayRepository.findMany(filters);
+        } catch (error) {
+            logger.error('Error al obtener días feriados:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Registrar un feriado global o una excepción de área
+     * @param {Object} holidayData - date, name, areaId, isWorkingDay
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async createHoliday(holidayData, requestingUser) {
+        try {
+            const data = await this.prepareHolidayData(holidayData);
+
+            const existing = await this.holidayRepository.findByDateAndArea(data.date, data.areaId);
+            if (existing) {
+                throw new Error(ERROR_MESSAGES.HOLIDAY_ALREADY_EXISTS);
+            }
+
+            const holiday = await this.holidayRepository.create({
+                ...data,
+                createdBy: requestingUser.userId,
+            });
+
+            if (!holiday.areaId) {
+                await this.recalculateReferenceHours([data.date]);
+            }
+
+            logger.info(`Día feriado registrado: ${data.date} (${holiday.name}) por ${requestingUser.email}`);
+            return holiday;
+        } catch (error) {
+            logger.error('Error al registrar día feriado:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualizar un feriado
+     * @param {string} holidayId
+     * @param {Object} holidayData
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async updateHoliday(holidayId, holidayData, requestingUser) {
+        try {
+            const existing = await this.holidayRepository.findById(holidayId);
+            if (!existing) {
+                throw new Error(ERROR_MESSAGES.HOLIDAY_NOT_FOUND);
+            }
+
+            const previousDate = toDateKey(existing.date);
+            const data = await this.prepareHolidayData({
+                date: previousDate,
+                name: existing.name,
+                areaId: existing.areaId,
+                isWorkingDay: existing.isWorkingDay,
+                ...holidayData,
+            });
+
+            if (data.date !== previousDate || data.areaId !== existing.areaId) {
+                const duplicate = await this.holidayRepository.findByDateAndArea(data.date, data.areaId);
+                if (duplicate) {
+                    throw new Error(ERROR_MESSAGES.HOLIDAY_ALREADY_EXISTS);
+                }
+            }
+
+            const holiday = await this.holidayRepository.update(holidayId, data);
+
+            if (!existing.areaId || !holiday.areaId) {
+                await this.recalculateReferenceHours([...new Set([previousDate, data.date])]);
+            }
+
+            logger.info(`Día feriado actualizado: ${holidayId} por ${requestingUser.email}`);
+            return holiday;
+        } catch (error) {
+            logger.error('Error al actualizar día feriado:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Eliminar un feriado
+     * @param {string} holidayId
+     * @param {Object} requestingUser
+     * @returns {Promise<void>}
+     */
+    async deleteHoliday(holidayId, requestingUser) {
+        try {
+            const existing = await this.holidayRepository.findById(holidayId);
+            if (!existing) {
+                throw new Error(ERROR_MESSAGES.HOLIDAY_NOT_FOUND);
+            }
+
+            await this.holidayRepository.delete(holidayId);
+
+            if (!existing.areaId) {
+                await this.recalculateReferenceHours([toDateKey(existing.date)]);
+            }
+
+            logger.info(`Día feriado eliminado: ${holidayId} por ${requestingUser.email}`);
+        } catch (error) {
+            logger.error('Error al eliminar día feriado:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Registrar como feriados globales los días de descanso obligatorio de México del año
+     * Las fechas ya registradas se omiten
+     * @param {number} year
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} { year, created, skipped }
+     */
+    async importNationalHolidays(year, requestingUser) {
+        try {
+            const created = [];
+            const skipped = [];
+
+            for (const { date, name } of getMexicanNationalHolidays(year)) {
+                if (await this.holidayRepository.findByDateAndArea(date, null)) {
+                    skipped.push({ date, name, reason: 'Ya existe un feriado global en la fecha' });
+                    continue;
+                }
+
+                created.push(await this.holidayRepository.create({
+                    date,
+                    name,
+                    areaId: null,
+                    isWorkingDay: false,
+                    createdBy: requestingUser.userId,
+                }));
+            }
+
+            if (created.length > 0) {
+                await this.recalculateReferenceHours(created.map(holiday => toDateKey(holiday.date)));
+            }
+
+            logger.info(`Feriados nacionales ${year} registrados por ${requestingUser.email}: ${created.length} creados, ${skipped.length} omitidos`);
+            return { year, created, skipped };
+        } catch (error) {
+            logger.error('Error al registrar feriados nacionales:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Feriados que aplican a un área entre dos fechas, ya resueltas las excepciones del área
+     * @param {Date|string} startDate
+     * @param {Date|string} endDate
+     * @param {string|null} areaId - Sin área solo se consideran los feriados globales
+     * @returns {Promise<Map<string, string>>} Fecha YYYY-MM-DD -> nombre del feriado
+     */
+    async getHolidayDates(startDate, endDate, areaId = null) {
+        const holidays = await this.holidayRepository.findInRange(toDateKey(startDate), toDateKey(endDate), areaId);
+
+        const byDate = new Map();
+        holidays.forEach(holiday => {
+            const date = toDateKey(holiday.date);
+            // La excepción del área prevalece sobre el feriado global
+            if (!byDate.has(date) || holiday.areaId) {
+                byDate.set(date, holiday);
+            }
+        });
+
+        const result = new Map();
+        byDate.forEach((holiday, date) => {
+            if (!holiday.isWorkingDay) {
+                result.set(date, holiday.name);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Determinar si una fecha es inhábil (fin de semana o feriado) para un usuario
+     * @param {Date|string} date
+     * @param {string} userId - Se usan los feriados del área del usuario
+     * @returns {Promise<Object>} { isNonWorking, reason }
+     */
+    async checkNonWorkingDay(date, userId) {
+        const dateKey = toDateKey(date);
+
+        const user = userId ? await this.userRepository.findById(userId) : null;
+        const holidays = await this.getHolidayDates(dateKey, dateKey, user?.areaId || null);
+
+        if (holidays.has(dateKey)) {
+            return { isNonWorking: true, reason: `${dateKey} es día feriado (${holidays.get(dateKey)})` };
+        }
+
+        if (!this.isWorkingWeekday(dateKey)) {
+            return { isNonWorking: true, reason: `${dateKey} es fin de semana` };
+        }
+
+        return { isNonWorking: false };
+    }
+
+    /**
+     * Calcular las horas de referencia de un rango: días hábiles sin feriados globales por la jornada configurada
+     * @param {Date|string} startDate
+     * @param {Date|string} endDate
+     * @returns {Promise<number>}
+     */
+    async calculateReferenceHours(startDate, endDate) {
+        const [holidays, hoursPerDay] = await Promise.all([
+            this.getHolidayDates(startDate, endDate),
+            this.systemConfigService.getWorkingHoursPerDay(),
+        ]);
+
+        const workingDays = buildDateKeys(startDate, endDate)
+            .filter(date => this.isWorkingWeekday(date) && !holidays.has(date))
+            .length;
+
+        return workingDays * hoursPerDay;
+    }
+
+    /**
+     * Completar los datos de un período nuevo con sus horas de referencia
+     * Las horas indicadas explícitamente se conservan y se marcan como manuales
+     * @param {Object} periodData
+     * @returns {Promise<Object>}
+     */
+    async withReferenceHours(periodData) {
+        if (periodData.referenceHours !== undefined && periodData.referenceHours !== null) {
+            return { ...periodData, isReferenceHoursManual: true };
+        }
+
+        return {
+            ...periodData,
+            referenceHours: await this.calculateReferenceHours(periodData.startDate, periodData.endDate),
+            isReferenceHoursManual: false,
+        };
+    }
+
+    /**
+     * Ajustar los datos de actualización de un período a sus horas de referencia
+     * Indicar horas las vuelve manuales; null regresa al cálculo automático, que también se
+     * repite si cambian las fechas de un período automático
+     * @param {Object} period - Período actual
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    async withUpdatedReferenceHours(period, updateData) {
+        if (updateData.referenceHours !== undefined && updateData.referenceHours !== null) {
+            return { ...updateData, isReferenceHoursManual: true };
+        }
+
+        const backToAutomatic = updateData.referenceHours === null;
+        const datesChanged = Boolean(updateData.startDate || updateData.endDate);
+        if (!backToAutomatic && !(datesChanged && !period.isReferenceHoursManual)) {
+            return updateData;
+        }
+
+        return {
+            ...updateData,
+            referenceHours: await this.calculateReferenceHours(updateData.startDate || period.startDate, updateData.endDate || period.endDate),
+            isReferenceHoursManual: false,
+        };
+    }
+
+    /**
+     * Recalcular las horas de referencia automáticas de los períodos abiertos que contienen las fechas
+     * @param {Array<string>} dates - YYYY-MM-DD
+     * @returns {Promise<number>} Períodos actualizados
+     */
+    async recalculateReferenceHours(dates) {
+        const periods = await this.timePeriodRepository.findAutomaticByDates(dates);
+
+        for (const period of periods) {
+            const referenceHours = await this.calculateReferenceHours(period.startDate, period.endDate);
+            if (Number(period.referenceHours) !== referenceHours) {
+                await this.timePeriodRepository.update(period.id, { referenceHours });
+                logger.info(`Horas de referencia del período ${period.id} recalculadas: ${Number(period.referenceHours || 0)}h -> ${referenceHours}h`);
+            }
+        }
+
+        return periods.length;
+    }
+
+    /**
+     * Validar el área y la combinación de datos de un feriado
+     * @param {Object} holidayData
+     * @returns {Promise<Object>}
+     */
+    async prepareHolidayData(holidayData) {
+        const data = {
+            date: toDateKey(holidayData.date),
+            name: holidayData.name,
+            areaId: holidayData.areaId || null,
+            isWorkingDay: Boolean(holidayData.isWorkingDay),
+        };
+
+        if (data.areaId) {
+            const area = await this.areaRepository.findById(data.areaId);
+            if (!area) {
+                throw new Error('Área no encontrada');
+            }
+        } else if (data.isWorkingDay) {
+            throw new Error('Solo una excepción de área puede marcar una fecha como laborable');
+        }
+
+        return data;
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {boolean}
+     */
+    isWorkingWeekday(date) {
+        return WORKING_WEEKDAYS.includes(new Date(`${date}T00:00:00.000Z`).getUTCDay());
+    }
+
+    /**
+     * Meses que abarca un rango, con fracción según los días de cada mes
+     * @param {Date|string} startDate
+     * @param {Date|string} endDate
+     * @returns {number}
+     */
+    countMonths(startDate, endDate) {
+        const daysByMonth = new Map();
+        for (const date of buildDateKeys(startDate, endDate)) {
+            const month = date.slice(0, 7);
+            daysByMonth.set(month, (daysByMonth.get(month) || 0) + 1);
+        }
+
+        let months = 0;
+        for (const [month, days] of daysByMonth) {
+            const [year, monthNumber] = month.split('-').map(Number);
+            months += days / new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+        }
+
+        return Math.round(months * 100) / 100;
+    }
+}
+
+module.exports = HolidayService;
@@ -0,0 +1,200 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobRunRepository = require('../repositories/jobRun.repository');
+const { JOB_DEFINITIONS } = require('../jobs/definitions');
+const { parseCronExpression, matchesCron, getNextCronDate } = require('../utils/cron');
+const { JOB_RUN_STATUS, JOB_RUN_TRIGGER, ERROR_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Identificador de este proceso en los candados y las ejecuciones
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Servicio de tareas programadas
+ * Cada ejecución queda registrada en job_runs con su estado, duración, resultado o error. Un candado
+ * por tarea en job_locks evita que varias instancias la ejecuten a la vez y que más de una tome la
+ * misma ejecución programada.
+ */
+class JobService {
+    constructor() {
+        this.jobRunRepository = new JobRunRepository();
+        this.jobs = JOB_DEFINITIONS;
+        this.instanceId = INSTANCE_ID;
+    }
+
+    /**
+     * Listar las tareas con su programación y su última ejecución
+     * @returns {Promise<Array>}
+     */
+    async getJobs() {
+        try {
+            return await Promise.all(this.jobs.map(async job => ({
+                name: job.name,
+                description: job.description,
+                schedule: job.schedule,
+                enabled: job.enabled,
+                nextRunAt: job.enabled ? getNextCronDate(job.schedule) : null,
+                lastRun: await this.jobRunRepository.findLatest(job.name),
+            })));
+        } catch (error) {
+            logger.error('Error al obtener tareas programadas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Historial de ejecuciones
+     * @param {Object} filters - jobName, status, trigger
+     * @param {Object} pagination
+     * @returns {Promise<Object>} - { runs, total }
+     */
+    async getJobRuns(filters, pagination) {
+        try {
+            return await this.jobRunRepository.findMany(filters, pagination);
+        } catch (error) {
+            logger.error('Error al obtener ejecuciones de tareas programadas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ejecutar una tarea manualmente y esperar su resultado
+     * @param {string} jobName
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} Ejecución registrada
+     */
+    async triggerJob(jobName, requestingUser) {
+        try {
+            const job = this.getJob(jobName);
+
+            const run = await this.runJob(job, { trigger: JOB_RUN_TRIGGER.MANUAL, triggeredBy: requestingUser.userId });
+            if (!run) {
+                throw new Error(ERROR_MESSAGES.JOB_ALREADY_RUNNING);
+            }
+
+            logger.info(`Tarea ${jobName} ejecutada manualmente por ${requestingUser.email}: ${run.status}`);
+
+            return run;
+        } catch (error) {
+            logger.error('Error al ejecutar tarea programada:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ejecutar las tareas habilitadas cuya programación coincide con el minuto indicado
+     * @param {Date} scheduledAt - Minuto programado (sin segundos)
+     * @returns {Promise<Array>} Ejecuciones realizadas por esta instancia
+     */
+    async runScheduledJobs(scheduledAt) {
+        const runs = [];
+
+        for (const job of this.jobs.filter(definition => definition.enabled)) {
+            if (!matchesCron(job.schedule, scheduledAt)) {
+                continue;
+            }
+
+            try {
+                const run = await this.runJob(job, { trigger: JOB_RUN_TRIGGER.SCHEDULED, scheduledAt });
+                if (run) {
+                    runs.push(run);
+                }
+            } catch (error) {
+                logger.error(`Error al ejecutar la tarea programada ${job.name}:`, error);
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Ejecutar una tarea si se obtiene su candado, registrando la ejecución
+     * Un error de la tarea queda en la ejecución como FAILED; no se propaga
+     * @param {Object} job - Definición de la tarea
+     * @param {Object} options - { trigger, triggeredBy, scheduledAt }
+     * @returns {Promise<Object|null>} Ejecución, o null si otra instancia la está ejecutando o ya la tomó
+     */
+    async runJob(job, { trigger, triggeredBy = null, scheduledAt = null }) {
+        const acquired = await this.jobRunRepository.acquireLock(job.name, this.instanceId, job.timeoutMinutes * 60 * 1000, scheduledAt);
+        if (!acquired) {
+            logger.debug(`Tarea ${job.name} omitida: la ejecuta o ya la ejecutó otra instancia`);
+            return null;
+        }
+
+        try {
+            const run = await this.jobRunRepository.create({
+                jobName: job.name,
+                trigger,
+                triggeredBy,
+                instanceId: this.instanceId,
+            });
+            const startedAt = Date.now();
+
+            try {
+                const result = await job.run();
+
+                logger.info(`Tarea ${job.name} completada en ${Date.now() - startedAt} ms`);
+
+                return await this.jobRunRepository.finish(run.id, {
+                    status: JOB_RUN_STATUS.SUCCESS,
+                    finishedAt: new Date(),
+                    durationMs: Date.now() - startedAt,
+                    result: result ?? undefined,
+                });
+            } catch (error) {
+                logger.error(`Tarea ${job.name} fallida:`, error);
+
+                return await this.jobRunRepository.finish(run.id, {
+                    status: JOB_RUN_STATUS.FAILED,
+                    finishedAt: new Date(),
+                    durationMs: Date.now() - startedAt,
+                    error: error.message,
+                });
+            }
+        } finally {
+            await this.jobRunRepository.releaseLock(job.name, this.instanceId);
+        }
+    }
+
+    /**
+     * Marcar como fallidas las ejecuciones que quedaron en curso más allá de la vigencia de su candado
+     * @returns {Promise<number>}
+     */
+    async failInterruptedRuns() {
+        let failed = 0;
+
+        for (const job of this.jobs) {
+            failed += await this.jobRunRepository.failStale(job.name, new Date(Date.now() - job.timeoutMinutes * 60 * 1000));
+        }
+
+        if (failed > 0) {
+            logger.warn(`Ejecuciones de tareas programadas interrumpidas marcadas como fallidas: ${failed}`);
+        }
+
+        return failed;
+    }
+
+    /**
+     * Validar las expresiones cron de las tareas
+     * @throws {Error} Si alguna expresión es inválida
+     */
+    validateSchedules() {
+        this.jobs.forEach(job => parseCronExpression(job.schedule));
+    }
+
+    /**
+     * Obtener la definición de una tarea
+     * @param {string} jobName
+     * @returns {Object}
+     */
+    getJob(jobName) {
+        const job = this.jobs.find(definition => definition.name === jobName);
+        if (!job) {
+            throw new Error(ERROR_MESSAGES.JOB_NOT_FOUND);
+        }
+
+        return job;
+    }
+}
+
+module.exports = JobService;
@@ -0,0 +1,204 @@
+const TimeEntryRepository = require('../repositories/timeEntry.repository');
+const UserRepository = require('../repositories/user.repository');
+const HolidayService = require('./holiday.service');
+const WorkScheduleService = require('./workSchedule.service');
+const SystemConfigService = require('./systemConfig.service');
+const { OVERTIME_RULE, OVERTIME_RULE_LABELS } = require('../utils/constants');
+const { toDateKey, buildDateKeys } = require('../utils/dateUtils');
+
+/**
+ * Servicio para detectar horas extra en los registros de tiempo
+ * Las reglas (exceso diario, exceso sobre las horas esperadas de la semana y horas en días inhábiles)
+ * se evalúan por semana de lunes a domingo, en el orden en que se capturaron los registros: el registro
+ * que cruza un umbral se marca con las horas que lo exceden.
+ */
+class OvertimeService {
+    constructor() {
+        this.timeEntryRepository = new TimeEntryRepository();
+        this.userRepository = new UserRepository();
+        this.holidayService = new HolidayService();
+        this.workScheduleService = new WorkScheduleService();
+        this.systemConfigService = new SystemConfigService();
+    }
+
+    /**
+     * Recalcular las horas extra de las semanas que contienen las fechas indicadas
+     * Solo se actualizan los registros no aprobados; si cambian sus horas extra se pierde la autorización previa
+     * @param {string} userId
+     * @param {Array<Date|string>} dates
+     * @returns {Promise<Map<string, Object>>} timeEntryId -> { isOvertime, overtimeHours, overtimeRules }
+     */
+    async evaluateDates(userId, dates) {
+        const result = new Map();
+        const rules = await this.systemConfigService.getOvertimeRules();
+        if (!rules.dailyHours && !rules.weekly && !rules.nonWorkingDays) {
+            return result;
+        }
+
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            return result;
+        }
+
+        const weekStarts = [...new Set(dates.filter(Boolean).map(date => this.getWeekStart(date)))];
+
+        for (const weekStart of weekStarts) {
+            const weekDates = buildDateKeys(weekStart, this.addDays(weekStart, 6));
+            const entries = await this.timeEntryRepository.findByUserAndDates(userId, weekDates);
+            if (entries.length === 0) {
+                continue;
+            }
+
+            const nonWorkingDates = rules.nonWorkingDays
+                ? await this.getNonWorkingDates(weekDates, user.areaId)
+                : new Set();
+            const weeklyHours = rules.weekly
+                ? await this.getWeeklyExpectedHours(user, weekDates)
+                : null;
+
+            const overtime = this.calculateOvertime(entries, { ...rules, weeklyHours }, nonWorkingDates);
+
+            for (const entry of entries) {
+                const data = overtime.get(entry.id);
+                result.set(entry.id, data);
+
+                if (!entry.isApproved && this.hasChanged(entry, data)) {
+                    await this.timeEntryRepository.updateOvertime(entry.id, data);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Asignar a cada registro de una semana sus horas extra
+     * @param {Array<Object>} entries - Registros de la semana de un usuario
+     * @param {Object} rules - { dailyHours, weekly, weeklyHours, nonWorkingDays }
+     * @param {Set<string>} nonWorkingDates - Fines de semana y feriados del usuario
+     * @returns {Map<string, Object>} timeEntryId -> { isOvertime, overtimeHours, overtimeRules }
+     */
+    calculateOvertime(entries, rules, nonWorkingDates) {
+        const sorted = [...entries].sort((a, b) =>
+            toDateKey(a.date).localeCompare(toDateKey(b.date))
+            || new Date(a.createdAt) - new Date(b.createdAt));
+
+        const dailyTotals = new Map();
+        let weeklyTotal = 0;
+        const result = new Map();
+
+        for (const entry of sorted) {
+            const date = toDateKey(entry.date);
+            const hours = Number(entry.hours);
+            const dailyTotal = (dailyTotals.get(date) || 0) + hours;
+            dailyTotals.set(date, dailyTotal);
+            weeklyTotal += hours;
+
+            const excessByRule = {
+                [OVERTIME_RULE.DAILY]: rules.dailyHours ? this.excess(hours, dailyTotal, rules.dailyHours) : 0,
+                [OVERTIME_RULE.WEEKLY]: rules.weekly ? this.excess(hours, weeklyTotal, rules.weeklyHours) : 0,
+                [OVERTIME_RULE.NON_WORKING_DAY]: nonWorkingDates.has(date) ? hours : 0,
+            };
+
+            const overtimeRules = Object.keys(excessByRule).filter(rule => excessByRule[rule] > 0);
+            const overtimeHours = Math.max(...Object.values(excessByRule));
+
+            result.set(entry.id, {
+                isOvertime: overtimeRules.length > 0,
+                overtimeHours: overtimeRules.length > 0 ? Math.round(overtimeHours * 100) / 100 : null,
+                overtimeRules,
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Advertencia para el registro marcado como horas extra
+     * @param {Object|undefined} overtime
+     * @returns {string|null}
+     */
+    buildWarning(overtime) {
+        if (!overtime?.isOvertime) {
+            return null;
+        }
+
+        const reasons = overtime.overtimeRules.map(rule => OVERTIME_RULE_LABELS[rule]).join(', ');
+        return `Registro marcado con ${overtime.overtimeHours}h extra (${reasons}); requiere autorización del coordinador`;
+    }
+
+    /**
+     * Horas esperadas de la semana según la jornada del usuario, feriados y ausencias
+     * @param {Object} user
+     * @param {Array<string>} weekDates
+     * @returns {Promise<number>}
+     */
+    async getWeeklyExpectedHours(user, weekDates) {
+        const startDate = weekDates[0];
+        const endDate = weekDates[weekDates.length - 1];
+        const referenceHours = await this.holidayService.calculateReferenceHours(startDate, endDate);
+        const expected = await this.workScheduleService.getExpectedHoursByUser([user], { startDate, endDate, referenceHours });
+
+        return expected.get(user.id);
+    }
+
+    /**
+     * @param {Array<string>} dates
+     * @param {string|null} areaId
+     * @returns {Promise<Set<string>>}
+     */
+    async getNonWorkingDates(dates, areaId) {
+        const holidays = await this.holidayService.getHolidayDates(dates[0], dates[dates.length - 1], areaId || null);
+
+        return new Set(dates.filter(date => !this.holidayService.isWorkingWeekday(date) || holidays.has(date)));
+    }
+
+    /**
+     * Horas del registro que quedan por encima del umbral
+     * @param {number} hours - Horas del registro
+     * @param {number} total - Acumulado incluyendo el registro
+     * @param {number} threshold
+     * @returns {number}
+     */
+    excess(hours, total, threshold) {
+        return Math.max(0, Math.min(hours, total - threshold));
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {Object} overtime
+     * @returns {boolean}
+     */
+    hasChanged(entry, overtime) {
+        const currentHours = entry.overtimeHours === null || entry.overtimeHours === undefined ? null : Number(entry.overtimeHours);
+
+        return Boolean(entry.isOvertime) !== overtime.isOvertime
+            || currentHours !== overtime.overtimeHours
+            || [...(entry.overtimeRules || [])].sort().join() !== [...overtime.overtimeRules].sort().join();
+    }
+
+    /**
+     * Lunes de la semana que contiene la fecha
+     * @param {Date|string} date
+     * @returns {string} YYYY-MM-DD
+     */
+    getWeekStart(date) {
+        const key = toDateKey(date);
+        const weekday = new Date(`${key}T00:00:00.000Z`).getUTCDay();
+
+        return this.addDays(key, -((weekday + 6) % 7));
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} days
+     * @returns {string} YYYY-MM-DD
+     */
+    addDays(date, days) {
+        const result = new Date(`${date}T00:00:00.000Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+}
+
+module.exports = OvertimeService;
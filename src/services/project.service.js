@@ -39,6 +39,8 @@ class ProjectService {
 
             const project = await this.projectRepository.create({
                 ...projectData,
+                // Los proyectos generales del área no se facturan salvo indicación explícita
+                isBillable: projectData.isBillable ?? !projectData.isGeneral,
                 createdBy: requestingUser.userId,
             });
 
@@ -581,6 +583,7 @@ class ProjectService {
                 areaId: areaId,
                 status: PROJECT_STATUS.ACTIVE,
                 isGeneral: true,
+                isBillable: false,
                 createdBy: requestingUser.userId
             };
 
@@ -0,0 +1,303 @@
+const ProjectRepository = require('../repositories/project.repository');
+const TimeEntryRepository = require('../repositories/timeEntry.repository');
+const BillingRateService = require('./billingRate.service');
+const HolidayService = require('./holiday.service');
+const SystemConfigService = require('./systemConfig.service');
+const FiscalCalendarService = require('./fiscalCalendar.service');
+const { USER_ROLES, ERROR_MESSAGES, PROJECT_COST_ALERT } = require('../utils/constants');
+const { toDateKey } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para la vista financiera de un proyecto
+ * El costo de mano de obra son las horas registradas por la tarifa de costo vigente de cada usuario; el ritmo
+ * de gasto es el costo acumulado entre los meses transcurridos desde el primer registro, y la proyección lo
+ * extiende hasta la fecha estimada de fin del contrato.
+ */
+class ProjectFinancialService {
+    constructor() {
+        this.projectRepository = new ProjectRepository();
+        this.timeEntryRepository = new TimeEntryRepository();
+        this.billingRateService = new BillingRateService();
+        this.holidayService = new HolidayService();
+        this.systemConfigService = new SystemConfigService();
+        this.fiscalCalendarService = new FiscalCalendarService();
+    }
+
+    /**
+     * Costo acumulado, ritmo de gasto mensual, costo proyectado y margen contra el contrato de un proyecto
+     * @param {string} projectId
+     * @param {Object} filters - asOf (fecha de corte; por defecto hoy), fiscal (agrupar por mes y año fiscal)
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getProjectFinancials(projectId, filters, requestingUser) {
+        try {
+            const project = await this.projectRepository.findWithContract(projectId);
+            if (!project) {
+                throw new Error('Proyecto no encontrado');
+            }
+
+            if (!this.canUserViewFinancials(requestingUser, project)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            const asOf = toDateKey(filters.asOf || new Date());
+            const entries = await this.timeEntryRepository.findForBilling({ projectId, endDate: asOf });
+            const fiscalCalendar = filters.fiscal ? await this.fiscalCalendarService.getCalendar() : null;
+            const cost = await this.calculateCost(entries, asOf, fiscalCalendar);
+
+            const details = project.excelDetails || {};
+            const endDate = details.updatedEstimatedEndDate || details.estimatedEndDate || project.endDate;
+            const estimatedEndDate = endDate ? toDateKey(endDate) : null;
+
+            const elapsedMonths = cost.firstDate ? this.holidayService.countMonths(cost.firstDate, asOf) : 0;
+            const burnRate = elapsedMonths > 0 ? cost.total / elapsedMonths : 0;
+            const remainingMonths = estimatedEndDate && estimatedEndDate > asOf
+                ? this.holidayService.countMonths(this.nextDay(asOf), estimatedEndDate)
+                : 0;
+            const projectedCost = estimatedEndDate ? cost.total + burnRate * remainingMonths : null;
+
+            const income = this.toNumber(details.income);
+            const totalContractAmount = this.toNumber(details.totalContractAmountMXN);
+            const alertPercent = await this.systemConfigService.getProjectCostAlertPercent();
+
+            logger.info(`Vista financiera del proyecto ${project.id} al ${asOf} por ${requestingUser.email}: costo ${this.round(cost.total)}`);
+
+            return {
+                project: {
+                    id: project.id,
+                    name: project.name,
+                    status: project.status,
+                    excelId: details.excelId || null,
+                    estimatedEndDate,
+                },
+                asOf,
+                hours: this.round(cost.hours),
+                unratedHours: this.round(cost.unratedHours),
+                accumulatedCost: this.round(cost.total),
+                burnRate: this.round(burnRate),
+                elapsedMonths,
+                remainingMonths,
+                projectedCost: projectedCost === null ? null : this.round(projectedCost),
+                fiscalCalendar,
+                monthly: cost.monthly,
+                yearly: cost.yearly,
+                contract: {
+                    income,
+                    totalContractAmountMXN: totalContractAmount,
+                    costPercent: totalContractAmount ? this.round(cost.total / totalContractAmount * 100) : null,
+                    projectedCostPercent: totalContractAmount && projectedCost !== null
+                        ? this.round(projectedCost / totalContractAmount * 100)
+                        : null,
+                },
+                margin: this.buildMargin(income ?? totalContractAmount, income !== null ? 'income' : 'totalContractAmountMXN', cost.total, projectedCost),
+                alertPercent,
+                alerts: this.buildAlerts(totalContractAmount, cost.total, projectedCost, alertPercent),
+            };
+        } catch (error) {
+            logger.error('Error al obtener vista financiera del proyecto:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Costo de los registros por la tarifa de costo vigente de cada usuario, agrupado por mes y por año
+     * Los meses sin registros entre el primero y la fecha de corte aparecen con costo 0
+     * @param {Array<Object>} entries - Con date, hours y user (id, role)
+     * @param {string} asOf - YYYY-MM-DD
+     * @param {Object|null} fiscalCalendar - Con calendario los meses y años son los fiscales
+     * @returns {Promise<Object>} { total, hours, unratedHours, firstDate, monthly, yearly }
+     */
+    async calculateCost(entries, asOf, fiscalCalendar = null) {
+        const result = { total: 0, hours: 0, unratedHours: 0, firstDate: null, monthly: [], yearly: [] };
+        if (entries.length === 0) {
+            return result;
+        }
+
+        const dates = entries.map(entry => toDateKey(entry.date)).sort();
+        result.firstDate = dates[0];
+        const rates = await this.billingRateService.getRatesInRange(dates[0], dates[dates.length - 1]);
+
+        const months = new Map();
+        const fiscalMonths = fiscalCalendar
+            ? this.fiscalCalendarService.findMonthsInRange(result.firstDate, asOf, fiscalCalendar)
+            : null;
+        if (fiscalMonths) {
+            fiscalMonths.forEach(({ fiscalYear, fiscalMonth, year, month, startDate, endDate }) => {
+                const key = `${year}-${String(month).padStart(2, '0')}`;
+                months.set(key, { month: key, fiscalYear, fiscalMonth, startDate, endDate, hours: 0, cost: 0 });
+            });
+        } else {
+            for (const month of this.buildMonthKeys(result.firstDate, asOf)) {
+                months.set(month, { month, hours: 0, cost: 0 });
+            }
+        }
+
+        const monthKey = date => {
+            if (!fiscalMonths) {
+                return date.slice(0, 7);
+            }
+            const fiscalMonth = fiscalMonths.find(candidate => candidate.startDate <= date && candidate.endDate >= date);
+            return `${fiscalMonth.year}-${String(fiscalMonth.month).padStart(2, '0')}`;
+        };
+
+        for (const entry of entries) {
+            const hours = Number(entry.hours);
+            const month = months.get(monthKey(toDateKey(entry.date)));
+            const rate = this.billingRateService.resolveRate(rates, entry.user, entry.date);
+
+            result.hours += hours;
+            month.hours += hours;
+
+            if (!rate) {
+                result.unratedHours += hours;
+                continue;
+            }
+
+            result.total += hours * rate.costRate;
+            month.cost += hours * rate.costRate;
+        }
+
+        const years = new Map();
+        for (const month of months.values()) {
+            const year = fiscalMonths ? month.fiscalYear : Number(month.month.slice(0, 4));
+            const total = years.get(year) || { year, hours: 0, cost: 0 };
+            total.hours += month.hours;
+            total.cost += month.cost;
+            years.set(year, total);
+        }
+
+        result.monthly = [...months.values()].map(({ hours, cost, ...month }) => ({
+            ...month,
+            hours: this.round(hours),
+            cost: this.round(cost),
+        }));
+        result.yearly = [...years.values()].map(year => ({
+            year: year.year,
+            hours: this.round(year.hours),
+            cost: this.round(year.cost),
+        }));
+
+        return result;
+    }
+
+    /**
+     * Margen actual y proyectado contra el ingreso del proyecto o, sin ingreso, contra el monto del contrato
+     * @param {number|null} amount
+     * @param {string} basis - Campo usado como base
+     * @param {number} cost
+     * @param {number|null} projectedCost
+     * @returns {Object|null}
+     */
+    buildMargin(amount, basis, cost, projectedCost) {
+        if (amount === null) {
+            return null;
+        }
+
+        const projected = projectedCost === null ? null : amount - projectedCost;
+
+        return {
+            basis,
+            amount,
+            current: this.round(amount - cost),
+            currentPercent: amount ? this.round((amount - cost) / amount * 100) : null,
+            projected: projected === null ? null : this.round(projected),
+            projectedPercent: amount && projected !== null ? this.round(projected / amount * 100) : null,
+        };
+    }
+
+    /**
+     * Alertas cuando el costo acumulado o el proyectado alcanzan el porcentaje configurado del contrato
+     * @param {number|null} totalContractAmount
+     * @param {number} cost
+     * @param {number|null} projectedCost
+     * @param {number} alertPercent
+     * @returns {Array<Object>}
+     */
+    buildAlerts(totalContractAmount, cost, projectedCost, alertPercent) {
+        if (!totalContractAmount) {
+            return [];
+        }
+
+        const limit = totalContractAmount * alertPercent / 100;
+        const alerts = [];
+
+        if (cost >= limit) {
+            alerts.push({
+                type: PROJECT_COST_ALERT.COST_THRESHOLD,
+                message: `El costo acumulado alcanza el ${this.round(cost / totalContractAmount * 100)}% del monto del contrato (límite ${alertPercent}%)`,
+            });
+        }
+
+        if (projectedCost !== null && projectedCost >= limit) {
+            alerts.push({
+                type: PROJECT_COST_ALERT.PROJECTED_COST_THRESHOLD,
+                message: `El costo proyectado al fin estimado alcanza el ${this.round(projectedCost / totalContractAmount * 100)}% del monto del contrato (límite ${alertPercent}%)`,
+            });
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Solo administradores y coordinadores del área del proyecto ven sus costos
+     * @param {Object} user
+     * @param {Object} project
+     * @returns {boolean}
+     */
+    canUserViewFinancials(user, project) {
+        if (user.role === USER_ROLES.ADMINISTRADOR) {
+            return true;
+        }
+
+        return user.role === USER_ROLES.COORDINADOR && Boolean(user.areaId) && user.areaId === project.areaId;
+    }
+
+    /**
+     * Meses YYYY-MM entre dos fechas, inclusive
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Array<string>}
+     */
+    buildMonthKeys(startDate, endDate) {
+        const months = [];
+        const current = new Date(`${startDate.slice(0, 7)}-01T00:00:00.000Z`);
+        const last = endDate.slice(0, 7);
+
+        while (current.toISOString().slice(0, 7) <= last) {
+            months.push(current.toISOString().slice(0, 7));
+            current.setUTCMonth(current.getUTCMonth() + 1);
+        }
+
+        return months;
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} YYYY-MM-DD
+     */
+    nextDay(date) {
+        const result = new Date(`${date}T00:00:00.000Z`);
+        result.setUTCDate(result.getUTCDate() + 1);
+        return result.toISOString().split('T')[0];
+    }
+
+    /**
+     * @param {*} value - Decimal de Prisma o null
+     * @returns {number|null}
+     */
+    toNumber(value) {
+        return value === null || value === undefined ? null : Number(value);
+    }
+
+    /**
+     * @param {number} value
+     * @returns {number}
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = ProjectFinancialService;
@@ -0,0 +1,236 @@
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const TimesheetRepository = require('../repositories/timesheet.repository');
+const TimeEntryRepository = require('../repositories/timeEntry.repository');
+const UserRepository = require('../repositories/user.repository');
+const EmailLogRepository = require('../repositories/emailLog.repository');
+const EmailService = require('./email.service');
+const ReportService = require('./report.service');
+const SystemConfigService = require('./systemConfig.service');
+const { USER_ROLES, TIMESHEET_STATUS, EMAIL_TYPES, EMAIL_STATUS } = require('../utils/constants');
+const { timesheetReminder, approvalReminder } = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio de recordatorios por correo
+ * Un usuario recibe como máximo un recordatorio de cada tipo por día
+ */
+class ReminderService {
+    constructor() {
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.timesheetRepository = new TimesheetRepository();
+        this.timeEntryRepository = new TimeEntryRepository();
+        this.userRepository = new UserRepository();
+        this.emailLogRepository = new EmailLogRepository();
+        this.emailService = new EmailService();
+        this.reportService = new ReportService();
+        this.systemConfigService = new SystemConfigService();
+    }
+
+    /**
+     * Recordar a quienes registran tiempo que completen su hoja cuando el período está por terminar
+     * y llevan menos horas de las esperadas
+     * @param {Object} options - timePeriodId (por defecto el actual), force (ignorar la ventana de días)
+     * @returns {Promise<Object>} { timePeriodId, sent, failed, skipped }
+     */
+    async sendTimesheetReminders({ timePeriodId = null, force = false } = {}) {
+        try {
+            const period = timePeriodId
+                ? await this.timePeriodRepository.findById(timePeriodId)
+                : await this.timePeriodRepository.getCurrentPeriod();
+
+            if (!period) {
+                throw new Error('Período no encontrado');
+            }
+
+            const result = { timePeriodId: period.id, sent: 0, failed: 0, skipped: [] };
+
+            if (!force) {
+                const daysLeft = this.getDaysUntil(period.endDate);
+                const reminderDays = await this.systemConfigService.getReminderDaysBeforePeriodEnd();
+                if (daysLeft < 0 || daysLeft > reminderDays) {
+                    logger.info(`Recordatorios de hoja de tiempo omitidos: faltan ${daysLeft} días para el fin del período ${period.id}`);
+                    return result;
+                }
+            }
+
+            const [users, hoursByUser, timesheets] = await Promise.all([
+                this.userRepository.findActiveTimeTrackers(),
+                this.timePeriodRepository.getHoursByUser(period.id),
+                this.timesheetRepository.findByPeriod(period.id),
+            ]);
+
+            const expectedByUser = await this.reportService.getExpectedHoursByUser(users, period);
+            const loggedHours = new Map(hoursByUser.map(total => [total.userId, total.hours]));
+            const submitted = new Set(timesheets
+                .filter(timesheet => [TIMESHEET_STATUS.SUBMITTED, TIMESHEET_STATUS.APPROVED].includes(timesheet.status))
+                .map(timesheet => timesheet.userId));
+            const today = this.getStartOfToday();
+
+            for (const user of users) {
+                const skip = (reason) => result.skipped.push({ userId: user.id, reason });
+
+                if (submitted.has(user.id)) {
+                    skip('Hoja de tiempo ya enviada');
+                    continue;
+                }
+
+                const expectedHours = expectedByUser.get(user.id);
+                const hours = loggedHours.get(user.id) || 0;
+                if (hours >= expectedHours) {
+                    continue;
+                }
+
+                if (!user.emailNotifications) {
+                    skip('Recordatorios desactivados por el usuario');
+                    continue;
+                }
+
+                if (await this.emailLogRepository.wasSentSince(EMAIL_TYPES.TIMESHEET_REMINDER, user.id, period.id, today)) {
+                    skip('Recordatorio ya enviado hoy');
+                    continue;
+                }
+
+                const log = await this.emailService.send({
+                    to: user.email,
+                    ...timesheetReminder({
+                        firstName: user.firstName,
+                        period,
+                        loggedHours: hours,
+                        expectedHours,
+                    }),
+                    type: EMAIL_TYPES.TIMESHEET_REMINDER,
+                    userId: user.id,
+                    timePeriodId: period.id,
+                });
+                this.countResult(result, log, skip);
+            }
+
+            logger.info(`Recordatorios de hoja de tiempo del período ${period.id}: ${result.sent} enviados, ${result.failed} fallidos`);
+            return result;
+        } catch (error) {
+            logger.error('Error al enviar recordatorios de hoja de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Recordar a los coordinadores los registros de su área pendientes de aprobación
+     * @returns {Promise<Object>} { sent, failed, skipped }
+     */
+    async sendApprovalReminders() {
+        try {
+            const result = { sent: 0, failed: 0, skipped: [] };
+            const coordinators = await this.userRepository.findByRole(USER_ROLES.COORDINADOR);
+            const today = this.getStartOfToday();
+
+            for (const coordinator of coordinators) {
+                const skip = (reason) => result.skipped.push({ userId: coordinator.id, reason });
+
+                if (!coordinator.areaId) {
+                    continue;
+                }
+
+                // Mismo alcance que la bandeja de aprobación del coordinador
+                const pending = await this.timeEntryRepository.getPendingApproval({
+                    areaId: coordinator.areaId,
+                    excludeUserId: coordinator.id,
+                });
+                if (pending.length === 0) {
+                    continue;
+                }
+
+                if (!coordinator.emailNotifications) {
+                    skip('Recordatorios desactivados por el usuario');
+                    continue;
+                }
+
+                if (await this.emailLogRepository.wasSentSince(EMAIL_TYPES.APPROVAL_REMINDER, coordinator.id, null, today)) {
+                    skip('Recordatorio ya enviado hoy');
+                    continue;
+                }
+
+                const log = await this.emailService.send({
+                    to: coordinator.email,
+                    ...approvalReminder({
+                        firstName: coordinator.firstName,
+                        pendingCount: pending.length,
+                        userCount: new Set(pending.map(entry => entry.userId)).size,
+                        oldestDate: pending.reduce((oldest, entry) => (entry.date < oldest ? entry.date : oldest), pending[0].date),
+                    }),
+                    type: EMAIL_TYPES.APPROVAL_REMINDER,
+                    userId: coordinator.id,
+                });
+                this.countResult(result, log, skip);
+            }
+
+            logger.info(`Recordatorios de aprobación: ${result.sent} enviados, ${result.failed} fallidos`);
+            return result;
+        } catch (error) {
+            logger.error('Error al enviar recordatorios de aprobación:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ejecutar los recordatorios diarios (hojas de tiempo y aprobaciones)
+     * Un fallo en un tipo de recordatorio no impide enviar el otro
+     * @returns {Promise<Object>} { timesheets, approvals }
+     */
+    async runDailyReminders() {
+        const summary = {};
+
+        for (const [key, run] of [
+            ['timesheets', () => this.sendTimesheetReminders()],
+            ['approvals', () => this.sendApprovalReminders()],
+        ]) {
+            try {
+                summary[key] = await run();
+            } catch (error) {
+                summary[key] = { error: error.message };
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Contabilizar el resultado de un envío
+     * @param {Object} result
+     * @param {Object|null} log - Registro de la bitácora (null si el correo está deshabilitado)
+     * @param {Function} skip
+     */
+    countResult(result, log, skip) {
+        if (!log) {
+            skip('Envío de correo deshabilitado');
+        } else if (log.status === EMAIL_STATUS.SENT) {
+            result.sent++;
+        } else {
+            result.failed++;
+        }
+    }
+
+    /**
+     * Días naturales desde hoy (fecha local) hasta la fecha indicada
+     * @param {Date|string} date
+     * @returns {number}
+     */
+    getDaysUntil(date) {
+        const now = new Date();
+        const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+        const target = new Date(date);
+        const targetDay = Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), target.getUTCDate());
+
+        return Math.round((targetDay - today) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * @returns {Date}
+     */
+    getStartOfToday() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return today;
+    }
+}
+
+module.exports = ReminderService;
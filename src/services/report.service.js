@@ -0,0 +1,759 @@
+const ExcelJS = require('exceljs');
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const TimeEntryRepository = require('../repositories/timeEntry.repository');
+const TimesheetRepository = require('../repositories/timesheet.repository');
+const UserRepository = require('../repositories/user.repository');
+const SystemConfigService = require('./systemConfig.service');
+const WorkScheduleService = require('./workSchedule.service');
+const HolidayService = require('./holiday.service');
+const BillingRateService = require('./billingRate.service');
+const FiscalCalendarService = require('./fiscalCalendar.service');
+const { USER_ROLES, TIMESHEET_STATUS, ERROR_MESSAGES, UTILIZATION_GROUP_BY } = require('../utils/constants');
+const { toDateKey } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+// La consolidación nocturna recalcula los períodos que terminaron en estos últimos días o siguen en curso
+const ROLLUP_DAYS = 35;
+
+// Rango máximo del reporte de utilización (un año)
+const MAX_UTILIZATION_DAYS = 366;
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Columnas de cada período en la exportación de utilización
+const UTILIZATION_COLUMNS = [
+    ['loggedHours', 'Registradas'],
+    ['expectedHours', 'Esperadas'],
+    ['utilization', '% Utilización'],
+    ['horasCliente', 'Cliente'],
+    ['horasPMO', 'PMO'],
+];
+
+/**
+ * Servicio de reportes operativos por período
+ */
+class ReportService {
+    constructor() {
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.timesheetRepository = new TimesheetRepository();
+        this.userRepository = new UserRepository();
+        this.systemConfigService = new SystemConfigService();
+        this.workScheduleService = new WorkScheduleService();
+        this.timeEntryRepository = new TimeEntryRepository();
+        this.billingRateService = new BillingRateService();
+        this.holidayService = new HolidayService();
+        this.fiscalCalendarService = new FiscalCalendarService();
+    }
+
+    /**
+     * Hojas de tiempo faltantes: usuarios activos cuyas horas registradas en el período están por
+     * debajo del umbral (porcentaje de las horas esperadas), agrupados por área y coordinador
+     * @param {Object} filters - timePeriodId, areaId, threshold (porcentaje; por defecto el configurado)
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getMissingTimesheets(filters, requestingUser) {
+        try {
+            const areaId = this.resolveAreaScope(filters.areaId, requestingUser);
+
+            const period = await this.timePeriodRepository.findById(filters.timePeriodId);
+            if (!period) {
+                throw new Error('Período no encontrado');
+            }
+
+            const threshold = filters.threshold ?? await this.systemConfigService.getMissingTimesheetThreshold();
+
+            const [users, hoursByUser, timesheets] = await Promise.all([
+                this.userRepository.findActiveTimeTrackers(areaId),
+                this.timePeriodRepository.getHoursByUser(period.id),
+                this.timesheetRepository.findByPeriod(period.id),
+            ]);
+
+            const expectedByUser = await this.getExpectedHoursByUser(users, period);
+            const loggedHours = new Map(hoursByUser.map(total => [total.userId, total.hours]));
+            const timesheetStatus = new Map(timesheets.map(timesheet => [timesheet.userId, timesheet.status]));
+
+            const areas = new Map();
+            let belowCount = 0;
+
+            for (const user of users) {
+                const areaKey = user.areaId || null;
+                if (!areas.has(areaKey)) {
+                    areas.set(areaKey, {
+                        area: user.area || { id: null, name: 'Sin área' },
+                        coordinators: [],
+                        totalUsers: 0,
+                        users: [],
+                    });
+                }
+                const group = areas.get(areaKey);
+                group.totalUsers++;
+
+                if (user.role === USER_ROLES.COORDINADOR) {
+                    group.coordinators.push(this.toUserSummary(user));
+                }
+
+                const expectedHours = expectedByUser.get(user.id);
+                const hours = loggedHours.get(user.id) || 0;
+
+                if (hours < expectedHours * threshold / 100) {
+                    belowCount++;
+                    group.users.push({
+                        ...this.toUserSummary(user),
+                        loggedHours: this.round(hours),
+                        expectedHours: this.round(expectedHours),
+                        missingHours: this.round(expectedHours - hours),
+                        percentage: expectedHours > 0 ? this.round(hours / expectedHours * 100) : 0,
+                        timesheetStatus: timesheetStatus.get(user.id) || TIMESHEET_STATUS.DRAFT,
+                    });
+                }
+            }
+
+            const groups = [...areas.values()]
+                .map(group => ({
+                    ...group,
+                    belowThreshold: group.users.length,
+                    users: group.users.sort((a, b) => a.percentage - b.percentage),
+                }))
+                .sort((a, b) => b.belowThreshold - a.belowThreshold || a.area.name.localeCompare(b.area.name));
+
+            logger.info(`Reporte de hojas faltantes del período ${period.id} por ${requestingUser.email}: ${belowCount}/${users.length} usuarios por debajo de ${threshold}%`);
+
+            return {
+                period: {
+                    id: period.id,
+                    periodNumber: period.periodNumber,
+                    startDate: period.startDate,
+                    endDate: period.endDate,
+                    referenceHours: Number(period.referenceHours || 0),
+                },
+                threshold,
+                totals: {
+                    users: users.length,
+                    belowThreshold: belowCount,
+                },
+                areas: groups,
+            };
+        } catch (error) {
+            logger.error('Error al generar reporte de hojas de tiempo faltantes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Capacidad del período: horas esperadas según la jornada de cada usuario contra las registradas
+     * @param {Object} filters - timePeriodId, areaId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getCapacity(filters, requestingUser) {
+        try {
+            const areaId = this.resolveAreaScope(filters.areaId, requestingUser);
+
+            const period = await this.timePeriodRepository.findById(filters.timePeriodId);
+            if (!period) {
+                throw new Error('Período no encontrado');
+            }
+
+            const capacity = await this.getPeriodCapacity(period, areaId);
+
+            logger.info(`Reporte de capacidad del período ${period.id} por ${requestingUser.email}: ${capacity.totals.belowExpected}/${capacity.totals.users} usuarios por debajo de lo esperado`);
+
+            return {
+                period: {
+                    id: period.id,
+                    periodNumber: period.periodNumber,
+                    startDate: period.startDate,
+                    endDate: period.endDate,
+                    referenceHours: Number(period.referenceHours || 0),
+                },
+                ...capacity,
+            };
+        } catch (error) {
+            logger.error('Error al generar reporte de capacidad:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Horas esperadas contra registradas de los usuarios activos de un período, con el desglose de horas extra
+     * @param {Object} period
+     * @param {string|null} areaId - null = todas las áreas
+     * @returns {Promise<Object>} { totals, users }
+     */
+    async getPeriodCapacity(period, areaId = null) {
+        const [users, hoursByUser, overtimeByUser] = await Promise.all([
+            this.userRepository.findActiveTimeTrackers(areaId),
+            this.timePeriodRepository.getHoursByUser(period.id),
+            this.timePeriodRepository.getOvertimeByUser(period.id),
+        ]);
+
+        const expectedByUser = await this.getExpectedHoursByUser(users, period);
+        const loggedHours = new Map(hoursByUser.map(total => [total.userId, total.hours]));
+        const overtimeHours = new Map(overtimeByUser.map(total => [total.userId, total]));
+
+        const rows = users.map(user => {
+            const expectedHours = expectedByUser.get(user.id);
+            const hours = loggedHours.get(user.id) || 0;
+            const overtime = overtimeHours.get(user.id) || { authorizedHours: 0, pendingHours: 0 };
+
+            return {
+                ...this.toUserSummary(user),
+                area: user.area || null,
+                expectedHours: this.round(expectedHours),
+                loggedHours: this.round(hours),
+                difference: this.round(hours - expectedHours),
+                utilization: expectedHours > 0 ? this.round(hours / expectedHours * 100) : 0,
+                status: hours >= expectedHours ? 'above' : 'below',
+                overtime: {
+                    hours: this.round(overtime.authorizedHours + overtime.pendingHours),
+                    authorizedHours: this.round(overtime.authorizedHours),
+                    pendingHours: this.round(overtime.pendingHours),
+                },
+            };
+        });
+
+        const expectedTotal = rows.reduce((total, row) => total + row.expectedHours, 0);
+        const loggedTotal = rows.reduce((total, row) => total + row.loggedHours, 0);
+        const sumOvertime = field => this.round(rows.reduce((total, row) => total + row.overtime[field], 0));
+
+        return {
+            totals: {
+                users: rows.length,
+                expectedHours: this.round(expectedTotal),
+                loggedHours: this.round(loggedTotal),
+                utilization: expectedTotal > 0 ? this.round(loggedTotal / expectedTotal * 100) : 0,
+                belowExpected: rows.filter(row => row.status === 'below').length,
+                overtime: {
+                    hours: sumOvertime('hours'),
+                    authorizedHours: sumOvertime('authorizedHours'),
+                    pendingHours: sumOvertime('pendingHours'),
+                },
+            },
+            users: rows.sort((a, b) => a.utilization - b.utilization),
+        };
+    }
+
+    /**
+     * Facturación por proyecto en un rango de fechas: horas facturables, ingreso (horas facturables por
+     * tarifa de venta) y costo (todas las horas por tarifa de costo), comparados con el monto del contrato
+     * y la facturación mensual del proyecto
+     * @param {Object} filters - startDate, endDate, areaId, projectId, approvalStatus
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getBilling(filters, requestingUser) {
+        try {
+            const areaId = this.resolveAreaScope(filters.areaId, requestingUser);
+            const startDate = toDateKey(filters.startDate);
+            const endDate = toDateKey(filters.endDate);
+
+            const [entries, rates] = await Promise.all([
+                this.timeEntryRepository.findForBilling({
+                    startDate,
+                    endDate,
+                    areaId,
+                    projectId: filters.projectId,
+                    approvalStatus: filters.approvalStatus,
+                }),
+                this.billingRateService.getRatesInRange(startDate, endDate),
+            ]);
+
+            const months = this.holidayService.countMonths(startDate, endDate);
+            const projects = new Map();
+
+            for (const entry of entries) {
+                if (!projects.has(entry.projectId)) {
+                    projects.set(entry.projectId, {
+                        project: {
+                            id: entry.project.id,
+                            name: entry.project.name,
+                            areaId: entry.project.areaId,
+                            isGeneral: entry.project.isGeneral,
+                            excelId: entry.project.excelDetails?.excelId || null,
+                        },
+                        details: entry.project.excelDetails,
+                        hours: 0,
+                        billableHours: 0,
+                        unratedHours: 0,
+                        revenue: 0,
+                        cost: 0,
+                    });
+                }
+                const row = projects.get(entry.projectId);
+                const hours = Number(entry.hours);
+                const isBillable = this.isBillable(entry);
+                const rate = this.billingRateService.resolveRate(rates, entry.user, entry.date);
+
+                row.hours += hours;
+                if (isBillable) {
+                    row.billableHours += hours;
+                }
+
+                if (!rate) {
+                    row.unratedHours += hours;
+                    continue;
+                }
+
+                row.cost += hours * rate.costRate;
+                if (isBillable) {
+                    row.revenue += hours * rate.billRate;
+                }
+            }
+
+            const rows = [...projects.values()]
+                .map(({ details, ...row }) => ({
+                    project: row.project,
+                    hours: this.round(row.hours),
+                    billableHours: this.round(row.billableHours),
+                    nonBillableHours: this.round(row.hours - row.billableHours),
+                    unratedHours: this.round(row.unratedHours),
+                    revenue: this.round(row.revenue),
+                    cost: this.round(row.cost),
+                    margin: this.round(row.revenue - row.cost),
+                    contract: this.buildContractComparison(details, row.revenue, months),
+                }))
+                .sort((a, b) => b.revenue - a.revenue || a.project.name.localeCompare(b.project.name));
+
+            const sum = field => this.round(rows.reduce((total, row) => total + row[field], 0));
+            const totals = {
+                projects: rows.length,
+                hours: sum('hours'),
+                billableHours: sum('billableHours'),
+                nonBillableHours: sum('nonBillableHours'),
+                unratedHours: sum('unratedHours'),
+                revenue: sum('revenue'),
+                cost: sum('cost'),
+                margin: sum('margin'),
+                expectedBilling: this.round(rows.reduce((total, row) => total + (row.contract?.expectedBilling || 0), 0)),
+            };
+
+            logger.info(`Reporte de facturación del ${startDate} al ${endDate} por ${requestingUser.email}: ${totals.billableHours}/${totals.hours}h facturables en ${rows.length} proyectos`);
+
+            return {
+                startDate,
+                endDate,
+                months,
+                totals,
+                projects: rows,
+            };
+        } catch (error) {
+            logger.error('Error al generar reporte de facturación:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Un registro es facturable según su propio valor, el de su tarea o el de su proyecto, en ese orden;
+     * sin valor en ninguno, solo los proyectos generales del área no se facturan
+     * @param {Object} entry - Con isBillable, task.isBillable, project.isBillable y project.isGeneral
+     * @returns {boolean}
+     */
+    isBillable(entry) {
+        return entry.isBillable ?? entry.task?.isBillable ?? entry.project.isBillable ?? !entry.project.isGeneral;
+    }
+
+    /**
+     * Comparar el ingreso del rango con los montos del contrato del proyecto
+     * @param {Object|null} details - Detalles Excel del proyecto
+     * @param {number} revenue
+     * @param {number} months - Meses que abarca el rango
+     * @returns {Object|null}
+     */
+    buildContractComparison(details, revenue, months) {
+        if (!details) {
+            return null;
+        }
+
+        const totalContractAmount = details.totalContractAmountMXN === null ? null : Number(details.totalContractAmountMXN);
+        const monthlyBilling = details.monthlyBillingMXN === null ? null : Number(details.monthlyBillingMXN);
+        const expectedBilling = monthlyBilling === null ? null : this.round(monthlyBilling * months);
+
+        return {
+            totalContractAmountMXN: totalContractAmount,
+            monthlyBillingMXN: monthlyBilling,
+            expectedBilling,
+            billingDifference: expectedBilling === null ? null : this.round(revenue - expectedBilling),
+            contractUsage: totalContractAmount ? this.round(revenue / totalContractAmount * 100) : null,
+        };
+    }
+
+    /**
+     * Consolidar las horas por usuario y proyecto de los períodos recientes (tarea programada)
+     * @returns {Promise<Object>} - { periods, rows }
+     */
+    async rollupPeriodHours() {
+        try {
+            const today = toDateKey(new Date());
+            const from = new Date(new Date(`${today}T00:00:00.000Z`).getTime() - ROLLUP_DAYS * 24 * 60 * 60 * 1000);
+            const periods = await this.timePeriodRepository.findByDateRange(from, new Date(`${today}T00:00:00.000Z`));
+
+            let rows = 0;
+            for (const period of periods) {
+                const totals = await this.timePeriodRepository.getHoursByUserAndProject(period.id);
+                rows += await this.timePeriodRepository.replaceHoursRollup(period.id, totals);
+            }
+
+            logger.info(`Horas consolidadas de ${periods.length} períodos: ${rows} filas`);
+
+            return { periods: periods.length, rows };
+        } catch (error) {
+            logger.error('Error al consolidar horas por período:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Horas consolidadas de un período por usuario y proyecto
+     * Reflejan la última consolidación nocturna (computedAt), no los registros posteriores
+     * @param {Object} filters - timePeriodId, areaId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getPeriodHours(filters, requestingUser) {
+        try {
+            const areaId = this.resolveAreaScope(filters.areaId, requestingUser);
+
+            const period = await this.timePeriodRepository.findById(filters.timePeriodId);
+            if (!period) {
+                throw new Error('Período no encontrado');
+            }
+
+            const rollups = await this.timePeriodRepository.findHoursRollup(period.id, areaId);
+
+            const byUser = new Map();
+            rollups.forEach(rollup => {
+                if (!byUser.has(rollup.userId)) {
+                    byUser.set(rollup.userId, { user: rollup.user, totalHours: 0, projects: [] });
+                }
+                const entry = byUser.get(rollup.userId);
+                entry.totalHours = this.round(entry.totalHours + Number(rollup.hours));
+                entry.projects.push({ project: rollup.project, hours: Number(rollup.hours), entryCount: rollup.entryCount });
+            });
+
+            return {
+                period: {
+                    id: period.id,
+                    periodNumber: period.periodNumber,
+                    startDate: period.startDate,
+                    endDate: period.endDate,
+                },
+                computedAt: rollups.length > 0 ? rollups[0].computedAt : null,
+                users: [...byUser.values()],
+            };
+        } catch (error) {
+            logger.error('Error al obtener horas consolidadas del período:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Matriz de utilización: por cada usuario activo y cada período del rango, horas registradas contra
+     * las esperadas según su jornada, con el desglose en horas Cliente y PMO como en la comparación del período
+     * Con groupBy month o year las columnas suman los períodos de cada mes o año del calendario fiscal
+     * @param {Object} filters - startDate, endDate, areaId, groupBy (UTILIZATION_GROUP_BY; por defecto period)
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} { startDate, endDate, areaId, groupBy, fiscalCalendar, periods, columns, users, totals }
+     */
+    async getUtilization(filters, requestingUser) {
+        try {
+            const areaId = this.resolveAreaScope(filters.areaId, requestingUser);
+            const startDate = toDateKey(filters.startDate);
+            const endDate = toDateKey(filters.endDate);
+
+            const rangeDays = (new Date(`${endDate}T00:00:00.000Z`) - new Date(`${startDate}T00:00:00.000Z`)) / (24 * 60 * 60 * 1000);
+            if (rangeDays >= MAX_UTILIZATION_DAYS) {
+                throw new Error(`El rango del reporte de utilización no puede exceder ${MAX_UTILIZATION_DAYS} días`);
+            }
+
+            const groupBy = filters.groupBy || UTILIZATION_GROUP_BY.PERIOD;
+
+            const [periods, users, fiscalCalendar] = await Promise.all([
+                this.timePeriodRepository.findByDateRange(new Date(`${startDate}T00:00:00.000Z`), new Date(`${endDate}T00:00:00.000Z`)),
+                this.userRepository.findActiveTimeTrackers(areaId),
+                this.fiscalCalendarService.getCalendar(),
+            ]);
+
+            const hours = periods.length > 0 && users.length > 0
+                ? await this.timePeriodRepository.getHoursByPeriodAndUser(periods.map(period => period.id), users.map(user => user.id))
+                : [];
+            const hoursByCell = new Map(hours.map(total => [`${total.timePeriodId}|${total.userId}`, total]));
+
+            const expectedByPeriod = new Map();
+            for (const period of periods) {
+                expectedByPeriod.set(period.id, await this.getExpectedHoursByUser(users, period));
+            }
+
+            const columns = this.buildUtilizationColumns(periods, groupBy, fiscalCalendar);
+            const columnTotals = columns.map(() => ({ expectedHours: 0, horasCliente: 0, horasPMO: 0 }));
+
+            const rows = users.map(user => {
+                const userTotals = { expectedHours: 0, horasCliente: 0, horasPMO: 0 };
+
+                const cells = columns.map((column, index) => {
+                    const cell = { expectedHours: 0, horasCliente: 0, horasPMO: 0 };
+                    column.periodIds.forEach(periodId => {
+                        const logged = hoursByCell.get(`${periodId}|${user.id}`) || { horasCliente: 0, horasPMO: 0 };
+                        this.addUtilizationHours(cell, {
+                            expectedHours: expectedByPeriod.get(periodId).get(user.id) || 0,
+                            horasCliente: logged.horasCliente,
+                            horasPMO: logged.horasPMO,
+                        });
+                    });
+
+                    this.addUtilizationHours(userTotals, cell);
+                    this.addUtilizationHours(columnTotals[index], cell);
+
+                    return { ...column.key, ...this.toUtilizationCell(cell) };
+                });
+
+                return {
+                    ...this.toUserSummary(user),
+                    area: user.area || null,
+                    cells,
+                    totals: this.toUtilizationCell(userTotals),
+                };
+            });
+
+            const grandTotals = { expectedHours: 0, horasCliente: 0, horasPMO: 0 };
+            columnTotals.forEach(totals => this.addUtilizationHours(grandTotals, totals));
+
+            logger.info(`Reporte de utilización ${startDate} a ${endDate} por ${requestingUser.email}: ${users.length} usuarios, ${periods.length} períodos`);
+
+            return {
+                startDate,
+                endDate,
+                areaId,
+                groupBy,
+                fiscalCalendar,
+                periods: periods.map(period => ({
+                    id: period.id,
+                    year: period.year,
+                    month: period.month,
+                    ...this.fiscalCalendarService.getPeriodFiscalMonth(period, fiscalCalendar),
+                    periodNumber: period.periodNumber,
+                    type: period.type,
+                    description: period.description,
+                    startDate: period.startDate,
+                    endDate: period.endDate,
+                    referenceHours: Number(period.referenceHours || 0),
+                })),
+                columns: columns.map(({ key, ...column }) => ({ ...key, ...column })),
+                users: rows.sort((a, b) => a.totals.utilization - b.totals.utilization),
+                totals: {
+                    users: rows.length,
+                    byColumn: columns.map((column, index) => ({ ...column.key, ...this.toUtilizationCell(columnTotals[index]) })),
+                    ...this.toUtilizationCell(grandTotals),
+                },
+            };
+        } catch (error) {
+            logger.error('Error al generar reporte de utilización:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exportar la matriz de utilización a Excel: una fila por usuario y, por cada período (o mes o año
+     * fiscal), las columnas de horas registradas, esperadas, % de utilización, Cliente y PMO
+     * @param {Object} filters - startDate, endDate, areaId, groupBy
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} { filename, contentType, buffer, total }
+     */
+    async exportUtilization(filters, requestingUser) {
+        try {
+            const report = await this.getUtilization(filters, requestingUser);
+            const buffer = await this.buildUtilizationWorkbook(report);
+
+            return {
+                filename: `utilizacion_${report.startDate}_${report.endDate}.xlsx`,
+                contentType: XLSX_CONTENT_TYPE,
+                buffer,
+                total: report.users.length,
+            };
+        } catch (error) {
+            logger.error('Error al exportar reporte de utilización:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {Object} report - Resultado de getUtilization
+     * @returns {Promise<Buffer>}
+     */
+    async buildUtilizationWorkbook(report) {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Utilización');
+        const fields = UTILIZATION_COLUMNS.map(([field]) => field);
+        const cellValues = cell => fields.map(field => cell[field]);
+
+        const titleRow = worksheet.addRow([`Utilización del ${report.startDate} al ${report.endDate}`]);
+        titleRow.font = { bold: true, size: 14 };
+        worksheet.addRow([`Área: ${report.areaId ? report.users[0]?.area?.name || report.areaId : 'Todas'}`]);
+        worksheet.addRow([]);
+
+        const groups = [...report.columns.map(column => column.label), 'Total'];
+
+        const groupRow = worksheet.addRow(['', '', ...groups.flatMap(label => [label, ...Array(fields.length - 1).fill('')])]);
+        groups.forEach((label, index) => {
+            const firstColumn = 3 + index * fields.length;
+            worksheet.mergeCells(groupRow.number, firstColumn, groupRow.number, firstColumn + fields.length - 1);
+        });
+
+        const headerRow = worksheet.addRow(['Usuario', 'Email', ...groups.flatMap(() => UTILIZATION_COLUMNS.map(([, label]) => label))]);
+
+        [groupRow, headerRow].forEach(row => {
+            row.font = { bold: true };
+            row.alignment = { horizontal: 'center' };
+            row.fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: 'FFE0E0E0' },
+            };
+        });
+
+        report.users.forEach(user => {
+            worksheet.addRow([
+                [user.firstName, user.lastName].filter(Boolean).join(' '),
+                user.email,
+                ...user.cells.flatMap(cellValues),
+                ...cellValues(user.totals),
+            ]);
+        });
+
+        const totalRow = worksheet.addRow(['Total', '', ...report.totals.byColumn.flatMap(cellValues), ...cellValues(report.totals)]);
+        totalRow.font = { bold: true };
+
+        worksheet.getColumn(1).width = 30;
+        worksheet.getColumn(2).width = 30;
+        for (let column = 3; column <= worksheet.columnCount; column++) {
+            worksheet.getColumn(column).width = 13;
+        }
+
+        return await workbook.xlsx.writeBuffer();
+    }
+
+    /**
+     * Columnas de la matriz de utilización: una por período o una por mes o año fiscal con sus períodos
+     * El mes fiscal de cada período sale del año y mes con que se guardó
+     * @param {Array<Object>} periods - Ordenados por fecha
+     * @param {string} groupBy - Valor de UTILIZATION_GROUP_BY
+     * @param {Object} fiscalCalendar
+     * @returns {Array<Object>} - { key, label, startDate, endDate, periodIds }; key identifica la columna en las celdas
+     */
+    buildUtilizationColumns(periods, groupBy, fiscalCalendar) {
+        if (groupBy === UTILIZATION_GROUP_BY.PERIOD) {
+            return periods.map(period => {
+                const startDate = toDateKey(period.startDate);
+                const endDate = toDateKey(period.endDate);
+
+                return {
+                    key: { timePeriodId: period.id },
+                    label: period.description || `Período ${period.periodNumber} (${startDate} - ${endDate})`,
+                    startDate,
+                    endDate,
+                    periodIds: [period.id],
+                };
+            });
+        }
+
+        const columns = new Map();
+        periods.forEach(period => {
+            const { fiscalYear, fiscalMonth } = this.fiscalCalendarService.getPeriodFiscalMonth(period, fiscalCalendar);
+            const key = groupBy === UTILIZATION_GROUP_BY.MONTH ? { fiscalYear, fiscalMonth } : { fiscalYear };
+            const columnId = `${key.fiscalYear}-${key.fiscalMonth || ''}`;
+
+            if (!columns.has(columnId)) {
+                columns.set(columnId, {
+                    key,
+                    label: key.fiscalMonth ? `Año fiscal ${fiscalYear}, mes ${fiscalMonth}` : `Año fiscal ${fiscalYear}`,
+                    ...this.fiscalCalendarService.getRange(key.fiscalYear, key.fiscalMonth || null, fiscalCalendar),
+                    periodIds: [],
+                });
+            }
+            columns.get(columnId).periodIds.push(period.id);
+        });
+
+        return [...columns.values()];
+    }
+
+    /**
+     * @param {Object} totals - expectedHours, horasCliente, horasPMO; se modifica
+     * @param {Object} hours - expectedHours, horasCliente, horasPMO
+     */
+    addUtilizationHours(totals, hours) {
+        totals.expectedHours += hours.expectedHours;
+        totals.horasCliente += hours.horasCliente;
+        totals.horasPMO += hours.horasPMO;
+    }
+
+    /**
+     * Celda de la matriz de utilización a partir de las horas esperadas y registradas
+     * @param {Object} hours - expectedHours, horasCliente, horasPMO
+     * @returns {Object} { loggedHours, expectedHours, utilization, horasCliente, horasPMO }
+     */
+    toUtilizationCell({ expectedHours, horasCliente, horasPMO }) {
+        const loggedHours = horasCliente + horasPMO;
+
+        return {
+            loggedHours: this.round(loggedHours),
+            expectedHours: this.round(expectedHours),
+            utilization: expectedHours > 0 ? this.round(loggedHours / expectedHours * 100) : 0,
+            horasCliente: this.round(horasCliente),
+            horasPMO: this.round(horasPMO),
+        };
+    }
+
+    /**
+     * Horas que se esperan de cada usuario en el período según su jornada laboral
+     * @param {Array<Object>} users
+     * @param {Object} period
+     * @returns {Promise<Map<string, number>>} userId -> horas esperadas
+     */
+    async getExpectedHoursByUser(users, period) {
+        return await this.workScheduleService.getExpectedHoursByUser(users, period);
+    }
+
+    /**
+     * Área a la que se limita el reporte según el rol
+     * @param {string|undefined} areaId - Área solicitada
+     * @param {Object} requestingUser
+     * @returns {string|null}
+     */
+    resolveAreaScope(areaId, requestingUser) {
+        if (requestingUser.role === USER_ROLES.ADMINISTRADOR) {
+            return areaId || null;
+        }
+
+        if (requestingUser.role === USER_ROLES.COORDINADOR && requestingUser.areaId) {
+            if (areaId && areaId !== requestingUser.areaId) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+            return requestingUser.areaId;
+        }
+
+        throw new Error(ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    /**
+     * @param {Object} user
+     * @returns {Object}
+     */
+    toUserSummary(user) {
+        return {
+            id: user.id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+        };
+    }
+
+    /**
+     * @param {number} value
+     * @returns {number}
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = ReportService;
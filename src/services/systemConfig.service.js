@@ -1,11 +1,30 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const logger = require('../utils/logger');
+const TimeEntryUnlockRepository = require('../repositories/timeEntryUnlock.repository');
+const { SYSTEM_CONFIG_REGISTRY } = require('../config/systemConfigRegistry');
+const { CONFIG_SCOPE, ERROR_MESSAGES } = require('../utils/constants');
+
+// Restricciones de fecha que admiten valores por área y por rol: campo -> clave
+const DATE_RESTRICTION_SETTINGS = {
+    enabled: 'TIME_ENTRY_DATE_RESTRICTIONS_ENABLED',
+    futureDaysAllowed: 'TIME_ENTRY_FUTURE_DAYS',
+    pastDaysAllowed: 'TIME_ENTRY_PAST_DAYS',
+};
+
+// Valores tipados ya leídos, compartidos por todas las instancias del servicio: clave -> { value, expiresAt }
+// Cada escritura invalida su clave; la expiración cubre los cambios hechos desde otro proceso
+const CACHE_TTL_MS = 60 * 1000;
+const valueCache = new Map();
 
 /**
  * Servicio para gestionar configuraciones del sistema
  */
 class SystemConfigService {
+    constructor() {
+        this.timeEntryUnlockRepository = new TimeEntryUnlockRepository();
+    }
+
     /**
      * Obtener una configuración por clave
      * @param {string} key - Clave de la configuración
@@ -39,30 +58,178 @@ class SystemConfigService {
         }
     }
 
+    /**
+     * Obtener el valor tipado de una clave registrada
+     * Un valor guardado inválido o un error al leerlo se resuelven con el valor por defecto del registro
+     * @param {string} key - Clave de SYSTEM_CONFIG_REGISTRY
+     * @returns {Promise<number|boolean|string>} - Valor tipado
+     */
+    async getValue(key) {
+        const definition = this.getDefinition(key);
+
+        const cached = valueCache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.value;
+        }
+
+        let config;
+        try {
+            config = await this.getConfig(key);
+        } catch (error) {
+            // Sin guardar en caché, para volver a leerlo en cuanto la base de datos responda
+            return definition.default;
+        }
+
+        let value = config ? this.parseConfigValue(definition, config.value) : null;
+        if (value === null) {
+            if (config) {
+                logger.warn(`Valor inválido "${config.value}" para la configuración ${key}; se usa ${definition.default}`);
+            }
+            value = definition.default;
+        }
+
+        valueCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+        return value;
+    }
+
+    /**
+     * Descartar valores tipados en caché
+     * @param {string|null} key - Clave a descartar; sin ella se descartan todas
+     */
+    invalidateCache(key = null) {
+        if (key) {
+            valueCache.delete(key);
+        } else {
+            valueCache.clear();
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Object} - Definición del registro
+     * @throws {Error} Si la clave no está registrada
+     */
+    getDefinition(key) {
+        const definition = SYSTEM_CONFIG_REGISTRY[key];
+        if (!definition) {
+            throw new Error(`${ERROR_MESSAGES.CONFIG_KEY_UNKNOWN}: ${key}`);
+        }
+        return definition;
+    }
+
+    /**
+     * Convertir un valor de texto al tipo de su definición
+     * @param {Object} definition - Definición del registro
+     * @param {*} rawValue
+     * @returns {number|boolean|string|null} - Valor tipado o null si no es válido
+     */
+    parseConfigValue(definition, rawValue) {
+        if (rawValue === null || rawValue === undefined) {
+            return null;
+        }
+
+        const text = String(rawValue).trim();
+
+        if (definition.type === 'boolean') {
+            const normalized = text.toLowerCase();
+            return normalized === 'true' || normalized === 'false' ? normalized === 'true' : null;
+        }
+
+        if (definition.type === 'enum') {
+            // Sin distinguir mayúsculas; se guarda el valor tal como está en el registro
+            const normalized = text.toLowerCase();
+            return definition.values.find(allowed => allowed.toLowerCase() === normalized) ?? null;
+        }
+
+        const value = Number(text);
+        if (text === '' || !Number.isFinite(value)) {
+            return null;
+        }
+
+        if (definition.type === 'integer' && !Number.isInteger(value)) {
+            return null;
+        }
+
+        return value >= definition.min && value <= definition.max ? value : null;
+    }
+
+    /**
+     * Validar un valor contra el registro
+     * @param {string} key
+     * @param {*} value
+     * @returns {string} - Valor normalizado como se guarda
+     * @throws {Error} Si la clave no está registrada o el valor no cumple su tipo o rango
+     */
+    validateConfigValue(key, value) {
+        const definition = this.getDefinition(key);
+        const parsed = this.parseConfigValue(definition, value);
+
+        if (parsed === null) {
+            const expected = {
+                integer: `un entero entre ${definition.min} y ${definition.max}`,
+                number: `un número entre ${definition.min} y ${definition.max}`,
+                boolean: 'true o false',
+                enum: `uno de: ${definition.values?.join(', ')}`,
+            }[definition.type];
+
+            throw new Error(`El valor de ${key} debe ser ${expected}`);
+        }
+
+        return String(parsed);
+    }
+
     /**
      * Crear o actualizar una configuración
+     * El valor se valida contra el registro y cada cambio de valor queda en el historial
      * @param {string} key - Clave de la configuración
      * @param {string} value - Valor de la configuración
-     * @param {string} description - Descripción de la configuración
+     * @param {string} description - Descripción de la configuración; por defecto la del registro
      * @param {string} createdBy - ID del usuario que crea/actualiza
      * @returns {Promise<Object>} - Configuración creada/actualizada
      */
     async setConfig(key, value, description, createdBy) {
+        const normalizedValue = this.validateConfigValue(key, value);
+
+        if (key === 'TIME_ENTRY_MIN_HOURS' || key === 'TIME_ENTRY_MAX_HOURS_PER_DAY') {
+            const limits = await this.getHourLimits();
+            const minHours = key === 'TIME_ENTRY_MIN_HOURS' ? Number(normalizedValue) : limits.minHoursPerEntry;
+            const maxHours = key === 'TIME_ENTRY_MAX_HOURS_PER_DAY' ? Number(normalizedValue) : limits.maxHoursPerDay;
+            if (minHours > maxHours) {
+                throw new Error('Las horas mínimas por registro no pueden superar el máximo de horas por día');
+            }
+        }
+
         try {
-            const config = await prisma.systemConfig.upsert({
-                where: { key },
-                update: { 
-                    value, 
-                    description,
-                    updatedAt: new Date()
-                },
-                create: {
-                    key,
-                    value,
-                    description,
-                    createdBy
-                }
-            });
+            const existing = await this.getConfig(key);
+
+            const [config] = await prisma.$transaction([
+                prisma.systemConfig.upsert({
+                    where: { key },
+                    update: {
+                        value: normalizedValue,
+                        description,
+                        updatedAt: new Date()
+                    },
+                    create: {
+                        key,
+                        value: normalizedValue,
+                        description: description || SYSTEM_CONFIG_REGISTRY[key].description,
+                        createdBy
+                    }
+                }),
+                ...(existing?.value === normalizedValue ? [] : [
+                    prisma.systemConfigHistory.create({
+                        data: {
+                            key,
+                            oldValue: existing?.value ?? null,
+                            newValue: normalizedValue,
+                            changedBy: createdBy
+                        }
+                    })
+                ])
+            ]);
+
+            this.invalidateCache(key);
 
             logger.info(`Configuración ${key} actualizada por usuario ${createdBy}`);
             return config;
@@ -72,6 +239,46 @@ class SystemConfigService {
         }
     }
 
+    /**
+     * Claves registradas con su definición y valor vigente
+     * @returns {Promise<Array>}
+     */
+    async getConfigRegistry() {
+        return await Promise.all(
+            Object.entries(SYSTEM_CONFIG_REGISTRY).map(async ([key, definition]) => ({
+                key,
+                ...definition,
+                value: await this.getValue(key)
+            }))
+        );
+    }
+
+    /**
+     * Historial de cambios de valor, del más reciente al más antiguo
+     * @param {Object} filters - key
+     * @returns {Promise<Array>}
+     */
+    async getConfigHistory(filters = {}) {
+        try {
+            return await prisma.systemConfigHistory.findMany({
+                where: filters.key ? { key: filters.key } : {},
+                include: {
+                    user: {
+                        select: {
+                            email: true,
+                            firstName: true,
+                            lastName: true
+                        }
+                    }
+                },
+                orderBy: { changedAt: 'desc' }
+            });
+        } catch (error) {
+            logger.error('Error al obtener historial de configuraciones:', error);
+            throw new Error('Error al obtener configuraciones del sistema');
+        }
+    }
+
     /**
      * Obtener todas las configuraciones
      * @returns {Promise<Array>} - Lista de configuraciones
@@ -98,15 +305,33 @@ class SystemConfigService {
     }
 
     /**
-     * Eliminar una configuración
+     * Eliminar una configuración; una clave registrada vuelve a su valor por defecto
      * @param {string} key - Clave de la configuración
+     * @param {string} deletedBy - ID del usuario que elimina
      * @returns {Promise<boolean>} - true si se eliminó correctamente
      */
-    async deleteConfig(key) {
+    async deleteConfig(key, deletedBy) {
         try {
-            await prisma.systemConfig.delete({
-                where: { key }
-            });
+            const existing = await this.getConfig(key);
+            if (!existing) {
+                return false;
+            }
+
+            await prisma.$transaction([
+                prisma.systemConfig.delete({
+                    where: { key }
+                }),
+                prisma.systemConfigHistory.create({
+                    data: {
+                        key,
+                        oldValue: existing.value,
+                        newValue: null,
+                        changedBy: deletedBy
+                    }
+                })
+            ]);
+
+            this.invalidateCache(key);
             logger.info(`Configuración ${key} eliminada`);
             return true;
         } catch (error) {
@@ -123,8 +348,7 @@ class SystemConfigService {
      * @returns {Promise<number>} - Número de días permitidos
      */
     async getFutureDaysAllowed() {
-        const value = await this.getConfigValue('TIME_ENTRY_FUTURE_DAYS', '7');
-        return parseInt(value, 10) || 7; // Default 7 días
+        return await this.getValue('TIME_ENTRY_FUTURE_DAYS');
     }
 
     /**
@@ -147,8 +371,7 @@ class SystemConfigService {
      * @returns {Promise<number>} - Número de días permitidos
      */
     async getPastDaysAllowed() {
-        const value = await this.getConfigValue('TIME_ENTRY_PAST_DAYS', '30');
-        return parseInt(value, 10) || 30; // Default 30 días
+        return await this.getValue('TIME_ENTRY_PAST_DAYS');
     }
 
     /**
@@ -171,8 +394,7 @@ class SystemConfigService {
      * @returns {Promise<boolean>} - true si las restricciones están habilitadas
      */
     async isDateRestrictionsEnabled() {
-        const value = await this.getConfigValue('TIME_ENTRY_DATE_RESTRICTIONS_ENABLED', 'true');
-        return value.toLowerCase() === 'true';
+        return await this.getValue('TIME_ENTRY_DATE_RESTRICTIONS_ENABLED');
     }
 
     /**
@@ -190,31 +412,360 @@ class SystemConfigService {
         );
     }
 
+    /**
+     * Obtener el porcentaje de las horas esperadas por debajo del cual una hoja de tiempo se considera incompleta
+     * @returns {Promise<number>} - Porcentaje (0-100)
+     */
+    async getMissingTimesheetThreshold() {
+        return await this.getValue('MISSING_TIMESHEET_THRESHOLD_PERCENT');
+    }
+
+    /**
+     * Obtener cuántos días antes del fin del período se envían recordatorios de hoja de tiempo
+     * @returns {Promise<number>} - Número de días
+     */
+    async getReminderDaysBeforePeriodEnd() {
+        return await this.getValue('REMINDER_DAYS_BEFORE_PERIOD_END');
+    }
+
+    /**
+     * Obtener la política ante registros de tiempo en días inhábiles
+     * @returns {Promise<string>} - ALLOW, WARN o BLOCK
+     */
+    async getNonWorkingDayPolicy() {
+        return await this.getValue('NON_WORKING_DAY_POLICY');
+    }
+
+    /**
+     * Obtener las horas de una jornada laboral, usadas para calcular las horas de referencia de los períodos
+     * @returns {Promise<number>} - Horas por día hábil
+     */
+    async getWorkingHoursPerDay() {
+        return await this.getValue('WORKING_HOURS_PER_DAY');
+    }
+
+    /**
+     * Obtener la regla que asigna a un mes las semanas que cruzan el cambio de mes
+     * @returns {Promise<string>} - Valor de WEEK_MONTH_RULE
+     */
+    async getWeekMonthRule() {
+        return await this.getValue('TIME_PERIOD_WEEK_MONTH_RULE');
+    }
+
+    /**
+     * Obtener el tipo de los períodos que genera la tarea programada
+     * @returns {Promise<string>} - Valor de TIME_PERIOD_TYPE
+     */
+    async getPeriodGenerationType() {
+        return await this.getValue('TIME_PERIOD_GENERATION_TYPE');
+    }
+
+    /**
+     * Obtener los días tras el fin de un período en que se cierra automáticamente
+     * @returns {Promise<number>} - 0 = no cerrar automáticamente
+     */
+    async getPeriodAutoCloseDays() {
+        return await this.getValue('TIME_PERIOD_AUTO_CLOSE_DAYS');
+    }
+
+    /**
+     * Obtener el calendario fiscal configurado
+     * @returns {Promise<Object>} - { type (FISCAL_CALENDAR_TYPE), startMonth }
+     */
+    async getFiscalCalendar() {
+        const [type, startMonth] = await Promise.all([
+            this.getValue('FISCAL_CALENDAR_TYPE'),
+            this.getValue('FISCAL_YEAR_START_MONTH')
+        ]);
+
+        return { type, startMonth };
+    }
+
+    /**
+     * Obtener las reglas de horas extra; todas están deshabilitadas por defecto
+     * @returns {Promise<Object>} - { dailyHours (0 = sin límite diario), weekly, nonWorkingDays }
+     */
+    async getOvertimeRules() {
+        const [dailyHours, weekly, nonWorkingDays] = await Promise.all([
+            this.getValue('OVERTIME_DAILY_HOURS'),
+            this.getValue('OVERTIME_WEEKLY_ENABLED'),
+            this.getValue('OVERTIME_NON_WORKING_DAYS_ENABLED')
+        ]);
+
+        return { dailyHours, weekly, nonWorkingDays };
+    }
+
+    /**
+     * Obtener el porcentaje del monto del contrato a partir del cual se alerta el costo de un proyecto
+     * @returns {Promise<number>} - Porcentaje
+     */
+    async getProjectCostAlertPercent() {
+        return await this.getValue('PROJECT_COST_ALERT_PERCENT');
+    }
+
+    /**
+     * Obtener los días que dura por defecto un desbloqueo de fechas aprobado
+     * @returns {Promise<number>} - Días
+     */
+    async getTimeEntryUnlockDays() {
+        return await this.getValue('TIME_ENTRY_UNLOCK_DAYS');
+    }
+
+    /**
+     * Obtener los límites de horas configurados para los registros de tiempo
+     * @returns {Promise<Object>} - { minHoursPerEntry, maxHoursPerDay }
+     */
+    async getHourLimits() {
+        const [minHoursPerEntry, maxHoursPerDay] = await Promise.all([
+            this.getValue('TIME_ENTRY_MIN_HOURS'),
+            this.getValue('TIME_ENTRY_MAX_HOURS_PER_DAY')
+        ]);
+
+        return { minHoursPerEntry, maxHoursPerDay };
+    }
+
     /**
      * Obtener configuraciones completas de restricciones de fecha
-     * @returns {Promise<Object>} - Configuraciones de fecha
+     * Con el alcance de un usuario, cada valor se resuelve de lo más específico a lo global:
+     * área y rol, área, rol y por último la configuración global
+     * @param {Object|null} scope - { areaId, role } del usuario; sin él se devuelven los valores globales
+     * @returns {Promise<Object>} - Configuraciones de fecha; con alcance incluye sources y global
      */
-    async getDateRestrictionConfigs() {
+    async getDateRestrictionConfigs(scope = null) {
         const [enabled, futureDays, pastDays] = await Promise.all([
             this.isDateRestrictionsEnabled(),
             this.getFutureDaysAllowed(),
             this.getPastDaysAllowed()
         ]);
 
-        return {
+        const global = {
             enabled,
             futureDaysAllowed: futureDays,
             pastDaysAllowed: pastDays
         };
+
+        if (!scope) {
+            return global;
+        }
+
+        const overrides = await this.findApplicableOverrides(Object.values(DATE_RESTRICTION_SETTINGS), scope);
+
+        const result = { ...global, sources: {}, global };
+        for (const [field, key] of Object.entries(DATE_RESTRICTION_SETTINGS)) {
+            const override = overrides.get(key);
+            const value = override ? this.parseConfigValue(SYSTEM_CONFIG_REGISTRY[key], override.value) : null;
+
+            if (value === null) {
+                result.sources[field] = CONFIG_SCOPE.GLOBAL;
+                continue;
+            }
+
+            result[field] = value;
+            result.sources[field] = this.getOverrideScope(override);
+        }
+
+        return result;
+    }
+
+    /**
+     * Configuraciones de restricción de fecha efectivas de un usuario según su área y rol
+     * @param {string} userId
+     * @returns {Promise<Object>} - Configuraciones de fecha; las globales si el usuario no existe
+     */
+    async getUserDateRestrictionConfigs(userId) {
+        const scope = await this.getUserConfigScope(userId);
+        return await this.getDateRestrictionConfigs(scope);
+    }
+
+    /**
+     * Alcance de configuración de un usuario
+     * @param {string} userId
+     * @returns {Promise<Object|null>} - { areaId, role } o null si no existe
+     */
+    async getUserConfigScope(userId) {
+        return await prisma.user.findUnique({
+            where: { id: userId },
+            select: { areaId: true, role: true }
+        });
+    }
+
+    /**
+     * Valores específicos que aplican a un alcance, el más específico por clave
+     * @param {Array<string>} keys
+     * @param {Object} scope - { areaId, role }
+     * @returns {Promise<Map<string, Object>>} - Clave -> valor específico
+     */
+    async findApplicableOverrides(keys, scope) {
+        const areaOptions = [{ areaId: null }, ...(scope.areaId ? [{ areaId: scope.areaId }] : [])];
+        const roleOptions = [{ role: null }, ...(scope.role ? [{ role: scope.role }] : [])];
+
+        const overrides = await prisma.systemConfigOverride.findMany({
+            where: {
+                key: { in: keys },
+                AND: [{ OR: areaOptions }, { OR: roleOptions }]
+            }
+        });
+
+        const specificity = override => (override.areaId ? 2 : 0) + (override.role ? 1 : 0);
+        const result = new Map();
+        overrides.forEach(override => {
+            const current = result.get(override.key);
+            if (!current || specificity(override) > specificity(current)) {
+                result.set(override.key, override);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * @param {Object} override
+     * @returns {string} - CONFIG_SCOPE
+     */
+    getOverrideScope(override) {
+        if (override.areaId && override.role) {
+            return CONFIG_SCOPE.AREA_ROLE;
+        }
+
+        return override.areaId ? CONFIG_SCOPE.AREA : CONFIG_SCOPE.ROLE;
+    }
+
+    /**
+     * Obtener los valores de restricciones de fecha definidos por área y por rol
+     * @returns {Promise<Array>} - Valores específicos con el campo al que corresponden
+     */
+    async getDateRestrictionOverrides() {
+        try {
+            const fieldsByKey = Object.fromEntries(
+                Object.entries(DATE_RESTRICTION_SETTINGS).map(([field, key]) => [key, field])
+            );
+
+            const overrides = await prisma.systemConfigOverride.findMany({
+                where: { key: { in: Object.keys(fieldsByKey) } },
+                include: {
+                    area: {
+                        select: {
+                            id: true,
+                            name: true
+                        }
+                    }
+                },
+                orderBy: [{ areaId: 'asc' }, { role: 'asc' }, { key: 'asc' }]
+            });
+
+            return overrides.map(override => ({ ...override, field: fieldsByKey[override.key] }));
+        } catch (error) {
+            logger.error('Error al obtener valores específicos de restricción de fecha:', error);
+            throw new Error('Error al obtener configuraciones del sistema');
+        }
+    }
+
+    /**
+     * Definir restricciones de fecha para un área, un rol o ambos
+     * Solo se guardan los campos recibidos; los demás siguen resolviéndose por el siguiente alcance
+     * @param {Object} data - areaId, role, enabled, futureDaysAllowed, pastDaysAllowed
+     * @param {string} createdBy - ID del usuario que configura
+     * @returns {Promise<Array>} - Valores específicos guardados
+     */
+    async setDateRestrictionOverrides(data, createdBy) {
+        const areaId = data.areaId || null;
+        const role = data.role || null;
+
+        if (!areaId && !role) {
+            throw new Error(ERROR_MESSAGES.CONFIG_OVERRIDE_SCOPE_REQUIRED);
+        }
+
+        if (areaId) {
+            const area = await prisma.area.findUnique({ where: { id: areaId } });
+            if (!area) {
+                throw new Error('Área no encontrada');
+            }
+        }
+
+        const values = Object.entries(DATE_RESTRICTION_SETTINGS)
+            .filter(([field]) => data[field] !== undefined)
+            .map(([field, key]) => ({ key, value: this.validateConfigValue(key, data[field]) }));
+
+        try {
+            const saved = [];
+            for (const { key, value } of values) {
+                const existing = await prisma.systemConfigOverride.findFirst({
+                    where: { key, areaId, role }
+                });
+
+                const [override] = await prisma.$transaction([
+                    existing
+                        ? prisma.systemConfigOverride.update({ where: { id: existing.id }, data: { value } })
+                        : prisma.systemConfigOverride.create({ data: { key, value, areaId, role, createdBy } }),
+                    ...(existing?.value === value ? [] : [
+                        prisma.systemConfigHistory.create({
+                            data: { key, oldValue: existing?.value ?? null, newValue: value, areaId, role, changedBy: createdBy }
+                        })
+                    ])
+                ]);
+                saved.push(override);
+            }
+
+            logger.info(`Restricciones de fecha para ${[areaId, role].filter(Boolean).join('/')} actualizadas por usuario ${createdBy}`);
+            return saved;
+        } catch (error) {
+            logger.error('Error al configurar valores específicos de restricción de fecha:', error);
+            throw new Error('Error al actualizar configuración del sistema');
+        }
+    }
+
+    /**
+     * Eliminar un valor específico; el alcance vuelve a resolverse por el siguiente nivel
+     * @param {string} id - ID del valor específico
+     * @param {string} deletedBy - ID del usuario que elimina
+     * @returns {Promise<boolean>} - true si se eliminó correctamente
+     */
+    async deleteConfigOverride(id, deletedBy) {
+        try {
+            const override = await prisma.systemConfigOverride.findUnique({
+                where: { id }
+            });
+            if (!override) {
+                return false;
+            }
+
+            await prisma.$transaction([
+                prisma.systemConfigOverride.delete({
+                    where: { id }
+                }),
+                prisma.systemConfigHistory.create({
+                    data: {
+                        key: override.key,
+                        oldValue: override.value,
+                        newValue: null,
+                        areaId: override.areaId,
+                        role: override.role,
+                        changedBy: deletedBy
+                    }
+                })
+            ]);
+            logger.info(`Valor específico de configuración ${id} eliminado`);
+            return true;
+        } catch (error) {
+            if (error.code === 'P2025') { // Registro no encontrado
+                return false;
+            }
+            logger.error(`Error al eliminar valor específico de configuración ${id}:`, error);
+            throw new Error('Error al eliminar configuración del sistema');
+        }
     }
 
     /**
      * Validar si una fecha es permitida para registro de tiempo
+     * Con un usuario se aplican los valores de su área y rol, y una fecha anterior a la ventana se permite
+     * si tiene un desbloqueo aprobado y vigente que la cubre
      * @param {Date} targetDate - Fecha objetivo
-     * @returns {Promise<{isValid: boolean, reason?: string}>} - Resultado de validación
+     * @param {string|null} userId - Usuario que registra; sin él se usan los valores globales y no se consideran desbloqueos
+     * @returns {Promise<{isValid: boolean, reason?: string, unlockId?: string}>} - Resultado de validación
      */
-    async validateDateForTimeEntry(targetDate) {
-        const config = await this.getDateRestrictionConfigs();
+    async validateDateForTimeEntry(targetDate, userId = null) {
+        const scope = userId ? await this.getUserConfigScope(userId) : null;
+        const config = await this.getDateRestrictionConfigs(scope);
         
         // Si las restricciones están deshabilitadas, permitir cualquier fecha
         if (!config.enabled) {
@@ -240,6 +791,16 @@ class SystemConfigService {
 
         // Verificar fecha pasada
         if (diffDays < -config.pastDaysAllowed) {
+            if (userId) {
+                const unlock = await this.timeEntryUnlockRepository.findActiveForDate(
+                    userId,
+                    new Date(targetDate).toISOString().split('T')[0]
+                );
+                if (unlock) {
+                    return { isValid: true, unlockId: unlock.id };
+                }
+            }
+
             return {
                 isValid: false,
                 reason: `No se puede registrar tiempo más de ${config.pastDaysAllowed} días en el pasado`
@@ -251,48 +812,28 @@ class SystemConfigService {
 
     /**
      * Inicializar configuraciones por defecto del sistema
+     * Una clave que falla no impide inicializar las demás; al final se informan las que fallaron
      * @param {string} adminUserId - ID del usuario administrador
+     * @throws {Error} Si alguna clave no se pudo inicializar
      */
     async initializeDefaultConfigs(adminUserId) {
-        try {
-            const defaultConfigs = [
-                {
-                    key: 'TIME_ENTRY_FUTURE_DAYS',
-                    value: '7',
-                    description: 'Número de días en el futuro permitidos para registro de tiempo'
-                },
-                {
-                    key: 'TIME_ENTRY_PAST_DAYS',
-                    value: '30',
-                    description: 'Número de días en el pasado permitidos para registro de tiempo'
-                },
-                {
-                    key: 'TIME_ENTRY_DATE_RESTRICTIONS_ENABLED',
-                    value: 'true',
-                    description: 'Habilitar restricciones de fecha para registro de tiempo'
-                },
-                {
-                    key: 'TIME_ENTRY_MAX_HOURS_PER_DAY',
-                    value: '24',
-                    description: 'Máximo número de horas que se pueden registrar por día'
-                },
-                {
-                    key: 'TIME_ENTRY_MIN_HOURS',
-                    value: '0.25',
-                    description: 'Mínimo número de horas que se pueden registrar en una entrada'
-                }
-            ];
+        const failedKeys = [];
 
-            for (const config of defaultConfigs) {
-                const existing = await this.getConfig(config.key);
+        for (const [key, definition] of Object.entries(SYSTEM_CONFIG_REGISTRY)) {
+            try {
+                const existing = await this.getConfig(key);
                 if (!existing) {
-                    await this.setConfig(config.key, config.value, config.description, adminUserId);
-                    logger.info(`Configuración por defecto ${config.key} inicializada`);
+                    await this.setConfig(key, String(definition.default), definition.description, adminUserId);
+                    logger.info(`Configuración por defecto ${key} inicializada`);
                 }
+            } catch (error) {
+                logger.error(`Error al inicializar la configuración por defecto ${key}:`, error);
+                failedKeys.push(key);
             }
-        } catch (error) {
-            logger.error('Error al inicializar configuraciones por defecto:', error);
-            throw new Error('Error al inicializar configuraciones del sistema');
+        }
+
+        if (failedKeys.length > 0) {
+            throw new Error(`Error al inicializar configuraciones del sistema: ${failedKeys.join(', ')}`);
         }
     }
 }
@@ -1,8 +1,13 @@
 const TimeEntryRepository = require('../repositories/timeEntry.repository');
 const TaskRepository = require('../repositories/task.repository');
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const TimesheetRepository = require('../repositories/timesheet.repository');
 const SystemConfigService = require('./systemConfig.service');
-const { USER_ROLES, LIMITS, ERROR_MESSAGES } = require('../utils/constants');
-const { isSameDay, startOfDay, endOfDay, parseDateOnly, formatDateOnly, formatForLog } = require('../utils/dateUtils');
+const HolidayService = require('./holiday.service');
+const AbsenceService = require('./absence.service');
+const OvertimeService = require('./overtime.service');
+const { USER_ROLES, PROJECT_STATUS, ERROR_MESSAGES, TIMESHEET_STATUS, NON_WORKING_DAY_POLICY } = require('../utils/constants');
+const { isSameDay, startOfDay, endOfDay, parseDateOnly, formatDateOnly, formatForLog, toDateKey, buildDateKeys, daysBetween } = require('../utils/dateUtils');
 const logger = require('../utils/logger');
 const prisma = require('../config/database');
 
@@ -13,16 +18,23 @@ class TimeEntryService {
     constructor() {
         this.timeEntryRepository = new TimeEntryRepository();
         this.taskRepository = new TaskRepository();
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.timesheetRepository = new TimesheetRepository();
         this.systemConfigService = new SystemConfigService();
+        this.holidayService = new HolidayService();
+        this.absenceService = new AbsenceService();
+        this.overtimeService = new OvertimeService();
     }
 
     /**
      * Crear nuevo registro de tiempo
+     * Si ya existe un registro para (usuario, proyecto, tarea, fecha) se fusiona con él
      * @param {Object} timeEntryData - Datos del registro de tiempo
      * @param {Object} requestingUser - Usuario que realiza la operación
+     * @param {Object} options - { accumulate: suma las horas al registro existente en lugar de reemplazarlas }
      * @returns {Promise<Object>}
      */
-    async createTimeEntry(timeEntryData, requestingUser) {
+    async createTimeEntry(timeEntryData, requestingUser, options = {}) {
         try {
             // Verificar que la tarea existe o es una tarea general
             let task = await this.taskRepository.findById(timeEntryData.taskId);
@@ -55,6 +67,13 @@ class TimeEntryService {
 
             logger.info(`[TimeEntry] Procesando entrada - Fecha: ${dateForDB} (tipo: ${typeof dateForDB})`);
 
+            // No se permiten cambios en períodos cerrados ni con hoja de tiempo enviada
+            const timePeriod = await this.timePeriodRepository.findByDate(dateForDB);
+            if (timePeriod) {
+                this.ensureTimePeriodIsOpen(timePeriod);
+                await this.ensureTimesheetIsEditable(timeEntryWithUserId.userId, timePeriod.id);
+            }
+
             // Buscar si existe un registro duplicado
             const existingEntry = await this.timeEntryRepository.findDuplicate(
                 timeEntryWithUserId.userId,
@@ -64,10 +83,14 @@ class TimeEntryService {
             );
 
             if (existingEntry) {
+                // Un registro aprobado no puede sobrescribirse
+                this.ensureTimeEntryIsEditable(existingEntry);
+
                 // Si existe, actualizar el registro existente
                 const updateData = {
-                    hours: timeEntryWithUserId.hours,
-                    description: timeEntryWithUserId.description,
+                    ...this.buildMergeData(existingEntry, timeEntryWithUserId, options.accumulate),
+                    ...(timeEntryWithUserId.isBillable !== undefined && { isBillable: timeEntryWithUserId.isBillable }),
+                    ...this.buildResubmissionData(existingEntry),
                 };
 
                 // Validar antes de actualizar (omitir validación de duplicados)
@@ -75,20 +98,20 @@ class TimeEntryService {
                     ...existingEntry,
                     ...updateData,
                 };
-                await this.validateTimeEntry(dataToValidate, true); // skipDuplicateCheck = true
+                const warnings = await this.validateTimeEntry(dataToValidate, true); // skipDuplicateCheck = true
 
-                const updatedTimeEntry = await this.timeEntryRepository.update(existingEntry.id, updateData);
+                const updatedTimeEntry = await this.timeEntryRepository.update(existingEntry.id, updateData, requestingUser.userId);
 
                 logger.info(`Registro de tiempo actualizado: ${updatedTimeEntry.hours}h en tarea ${task.title} por ${requestingUser.email} (era ${existingEntry.hours}h)`);
-                return updatedTimeEntry;
+                return await this.withOvertime(updatedTimeEntry, warnings);
             } else {
                 // Si no existe, validar y crear nuevo registro
-                await this.validateTimeEntry(timeEntryWithUserId);
+                const warnings = await this.validateTimeEntry(timeEntryWithUserId);
 
-                const timeEntry = await this.timeEntryRepository.create(timeEntryWithUserId);
+                const timeEntry = await this.timeEntryRepository.create(timeEntryWithUserId, requestingUser.userId);
 
                 logger.info(`Registro de tiempo creado: ${timeEntry.hours}h en tarea ${task.title} por ${requestingUser.email}`);
-                return timeEntry;
+                return await this.withOvertime(timeEntry, warnings);
             }
         } catch (error) {
             logger.error('Error al crear registro de tiempo:', error);
@@ -96,6 +119,435 @@ class TimeEntryService {
         }
     }
 
+    /**
+     * Guardar en bloque la cuadrícula semanal (tareas × días)
+     * Cada celda crea, actualiza o, con 0 horas, elimina el registro correspondiente.
+     * Todas las reglas se validan sobre el resultado combinado y los cambios se
+     * aplican en una sola transacción: si alguna celda falla no se guarda nada.
+     * @param {Object} bulkData - { userId?, entries: [{ projectId, taskId, year, month, day, hours, description }] }
+     * @param {Object} requestingUser 
+     * @returns {Promise<Object>} { success, errors } o el resumen de cambios aplicados
+     */
+    async bulkSaveTimeEntries(bulkData, requestingUser) {
+        try {
+            const targetUserId = bulkData.userId || requestingUser.userId;
+            const errors = [];
+            const addError = (cell, message) => {
+                errors.push({
+                    index: cell.index,
+                    projectId: cell.projectId,
+                    taskId: cell.taskId,
+                    date: cell.date,
+                    message,
+                });
+            };
+
+            const cells = bulkData.entries.map((cell, index) => ({
+                ...cell,
+                index,
+                hours: Number(cell.hours),
+                date: `${cell.year}-${String(cell.month).padStart(2, '0')}-${String(cell.day).padStart(2, '0')}`,
+            }));
+
+            const dates = [...new Set(cells.map(cell => cell.date))];
+            const existingEntries = await this.timeEntryRepository.findByUserAndDates(targetUserId, dates);
+            const existingByKey = new Map(existingEntries.map(entry => [
+                this.buildEntryKey(entry.projectId, entry.taskId, new Date(entry.date).toISOString().split('T')[0]),
+                entry,
+            ]));
+
+            const { minHoursPerEntry, maxHoursPerDay } = await this.systemConfigService.getHourLimits();
+            const taskCache = new Map();
+            const periodCache = new Map();
+            const dateValidationCache = new Map();
+            const nonWorkingDayCache = new Map();
+            const warnings = new Set();
+            const seenKeys = new Set();
+            const operations = { creates: [], updates: [], deletes: [] };
+            let unchanged = 0;
+
+            for (const cell of cells) {
+                const key = this.buildEntryKey(cell.projectId, cell.taskId, cell.date);
+                if (seenKeys.has(key)) {
+                    addError(cell, 'Celda duplicada: la combinación de proyecto, tarea y fecha aparece más de una vez');
+                    continue;
+                }
+                seenKeys.add(key);
+
+                const existing = existingByKey.get(key);
+                cell.existing = existing;
+
+                // Celda vacía sin registro previo: nada que hacer
+                if (cell.hours === 0 && !existing) {
+                    unchanged++;
+                    continue;
+                }
+
+                if (!taskCache.has(cell.taskId)) {
+                    taskCache.set(cell.taskId, await this.taskRepository.findById(cell.taskId));
+                }
+                const task = taskCache.get(cell.taskId);
+                if (!task) {
+                    addError(cell, 'Tarea no encontrada');
+                    continue;
+                }
+                if (task.projectId && task.projectId !== cell.projectId) {
+                    addError(cell, 'La tarea no pertenece al proyecto indicado');
+                    continue;
+                }
+                if (!this.canUserCreateTimeEntry(requestingUser, task, targetUserId)) {
+                    addError(cell, ERROR_MESSAGES.FORBIDDEN);
+                    continue;
+                }
+
+                if (cell.hours !== 0 && cell.hours < minHoursPerEntry) {
+                    addError(cell, `Las horas deben ser al menos ${minHoursPerEntry}`);
+                    continue;
+                }
+                if (cell.hours > maxHoursPerDay) {
+                    addError(cell, `No se pueden registrar más de ${maxHoursPerDay} horas en un día`);
+                    continue;
+                }
+
+                const description = cell.description === undefined ? existing?.description : cell.description;
+                if (existing && Number(existing.hours) === cell.hours && existing.description === description) {
+                    unchanged++;
+                    continue;
+                }
+
+                if (existing?.isApproved) {
+                    addError(cell, ERROR_MESSAGES.CANNOT_MODIFY_APPROVED);
+                    continue;
+                }
+
+                if (!periodCache.has(cell.date)) {
+                    periodCache.set(cell.date, await this.timePeriodRepository.findByDate(cell.date));
+                }
+                const timePeriod = periodCache.get(cell.date);
+                if (!timePeriod) {
+                    addError(cell, `No existe un período de tiempo configurado para la fecha ${cell.date}`);
+                    continue;
+                }
+
+                if (!dateValidationCache.has(cell.date)) {
+                    dateValidationCache.set(cell.date, await this.systemConfigService.validateDateForTimeEntry(cell.date, targetUserId));
+                }
+                const dateValidation = dateValidationCache.get(cell.date);
+                if (!dateValidation.isValid) {
+                    addError(cell, dateValidation.reason);
+                    continue;
+                }
+
+                // Borrar horas de un día inhábil siempre está permitido
+                if (cell.hours > 0) {
+                    if (!nonWorkingDayCache.has(cell.date)) {
+                        try {
+                            nonWorkingDayCache.set(cell.date, { warning: await this.checkNonWorkingDay(cell.date, targetUserId) });
+                        } catch (error) {
+                            nonWorkingDayCache.set(cell.date, { error: error.message });
+                        }
+                    }
+                    const nonWorkingDay = nonWorkingDayCache.get(cell.date);
+                    if (nonWorkingDay.error) {
+                        addError(cell, nonWorkingDay.error);
+                        continue;
+                    }
+                    if (nonWorkingDay.warning) {
+                        warnings.add(nonWorkingDay.warning);
+                    }
+                }
+
+                try {
+                    this.ensureTimePeriodIsOpen(timePeriod);
+                    await this.ensureTimesheetIsEditable(targetUserId, timePeriod.id);
+                } catch (error) {
+                    addError(cell, error.message);
+                    continue;
+                }
+
+                if (cell.hours === 0) {
+                    operations.deletes.push(existing.id);
+                } else if (existing) {
+                    operations.updates.push({
+                        id: existing.id,
+                        data: {
+                            hours: cell.hours,
+                            description,
+                            ...this.buildResubmissionData(existing),
+                        },
+                    });
+                } else {
+                    operations.creates.push({
+                        userId: targetUserId,
+                        projectId: cell.projectId,
+                        taskId: cell.taskId,
+                        date: cell.date,
+                        hours: cell.hours,
+                        description: description || null,
+                        timePeriodId: timePeriod.id,
+                    });
+                }
+            }
+
+            // Límite diario sobre el resultado combinado: registros no tocados + celdas enviadas
+            for (const date of dates) {
+                const untouchedHours = existingEntries
+                    .filter(entry => new Date(entry.date).toISOString().split('T')[0] === date)
+                    .filter(entry => !seenKeys.has(this.buildEntryKey(entry.projectId, entry.taskId, date)))
+                    .reduce((sum, entry) => sum + Number(entry.hours), 0);
+                const dayCells = cells.filter(cell => cell.date === date);
+                const gridHours = dayCells.reduce((sum, cell) => sum + cell.hours, 0);
+                const totalHours = untouchedHours + gridHours;
+
+                if (totalHours > maxHoursPerDay) {
+                    dayCells
+                        .filter(cell => cell.hours > 0)
+                        .forEach(cell => addError(cell, `No se pueden exceder ${maxHoursPerDay} horas por día. Total resultante: ${totalHours}h`));
+                }
+            }
+
+            if (errors.length > 0) {
+                errors.sort((a, b) => a.index - b.index);
+                logger.warn(`Guardado en bloque rechazado para ${requestingUser.email}: ${errors.length} celdas con errores`);
+                return { success: false, errors };
+            }
+
+            const result = await this.timeEntryRepository.bulkSave(operations, requestingUser.userId);
+            const overtimeWarning = await this.refreshOvertime(
+                targetUserId,
+                dates,
+                [...result.created, ...result.updated].map(entry => entry.id)
+            );
+            if (overtimeWarning) {
+                warnings.add(overtimeWarning);
+            }
+
+            logger.info(`Guardado en bloque por ${requestingUser.email}: ${result.created.length} creados, ${result.updated.length} actualizados, ${result.deleted.length} eliminados`);
+            return {
+                success: true,
+                created: result.created,
+                updated: result.updated,
+                deleted: result.deleted,
+                unchanged,
+                warnings: [...warnings],
+            };
+        } catch (error) {
+            logger.error('Error en guardado en bloque de registros de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Copiar la estructura de un período (o rango de fechas) a otro período
+     * Solo filas: un registro de 0 horas por combinación proyecto/tarea en el primer día disponible.
+     * Con horas: cada registro se copia al día equivalente del período destino.
+     * Se omiten tareas inactivas, proyectos terminados o cancelados, fechas bloqueadas,
+     * combinaciones ya capturadas y días que excederían el límite diario.
+     * @param {Object} copyData - { sourceTimePeriodId | sourceStartDate + sourceEndDate, targetTimePeriodId, userId?, includeHours }
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} { created, skipped }
+     */
+    async copyTimeEntries(copyData, requestingUser) {
+        try {
+            const targetUserId = copyData.userId || requestingUser.userId;
+            const includeHours = Boolean(copyData.includeHours);
+
+            let sourceStart = copyData.sourceStartDate;
+            let sourceEnd = copyData.sourceEndDate;
+            if (copyData.sourceTimePeriodId) {
+                const sourcePeriod = await this.timePeriodRepository.findById(copyData.sourceTimePeriodId);
+                if (!sourcePeriod) {
+                    throw new Error('Período de origen no encontrado');
+                }
+                sourceStart = toDateKey(sourcePeriod.startDate);
+                sourceEnd = toDateKey(sourcePeriod.endDate);
+            } else {
+                sourceStart = toDateKey(sourceStart);
+                sourceEnd = toDateKey(sourceEnd);
+            }
+
+            if (sourceStart > sourceEnd) {
+                throw new Error(ERROR_MESSAGES.INVALID_DATE_RANGE);
+            }
+
+            const targetPeriod = await this.timePeriodRepository.findById(copyData.targetTimePeriodId);
+            if (!targetPeriod) {
+                throw new Error('Período destino no encontrado');
+            }
+            if (!targetPeriod.isActive) {
+                throw new Error(ERROR_MESSAGES.PERIOD_NOT_ACTIVE);
+            }
+            this.ensureTimePeriodIsOpen(targetPeriod);
+            await this.ensureTimesheetIsEditable(targetUserId, targetPeriod.id);
+
+            const targetStart = toDateKey(targetPeriod.startDate);
+            const targetEnd = toDateKey(targetPeriod.endDate);
+            if (sourceStart <= targetEnd && sourceEnd >= targetStart) {
+                throw new Error('El rango de origen no puede coincidir con el período destino');
+            }
+
+            const targetDates = buildDateKeys(targetPeriod.startDate, targetPeriod.endDate);
+            const sourceEntries = await this.timeEntryRepository.findByUserAndDateRange(targetUserId, sourceStart, sourceEnd);
+            const targetEntries = await this.timeEntryRepository.findByUserAndDates(targetUserId, targetDates);
+
+            const skipped = [];
+            const creates = [];
+            const existingRows = new Set(targetEntries.map(entry => this.buildEntryKey(entry.projectId, entry.taskId, '')));
+            const dayTotals = new Map();
+            targetEntries.forEach(entry => {
+                const date = toDateKey(entry.date);
+                dayTotals.set(date, (dayTotals.get(date) || 0) + Number(entry.hours));
+            });
+
+            const { maxHoursPerDay } = await this.systemConfigService.getHourLimits();
+            const dateValidationCache = new Map();
+            const validateDate = async (date) => {
+                if (!dateValidationCache.has(date)) {
+                    dateValidationCache.set(date, await this.systemConfigService.validateDateForTimeEntry(date, targetUserId));
+                }
+                return dateValidationCache.get(date);
+            };
+
+            // No se copian horas a días de ausencia ni, con la política BLOCK, a días inhábiles
+            const nonWorkingDayCache = new Map();
+            const checkNonWorkingDay = async (date) => {
+                if (!nonWorkingDayCache.has(date)) {
+                    try {
+                        await this.checkNonWorkingDay(date, targetUserId);
+                        nonWorkingDayCache.set(date, null);
+                    } catch (error) {
+                        nonWorkingDayCache.set(date, error.message);
+                    }
+                }
+                return nonWorkingDayCache.get(date);
+            };
+
+            const skip = (entry, targetDate, reason) => {
+                skipped.push({
+                    projectId: entry.projectId,
+                    projectName: entry.project?.name,
+                    taskId: entry.taskId,
+                    taskTitle: entry.task?.title,
+                    sourceDate: toDateKey(entry.date),
+                    targetDate,
+                    reason,
+                });
+            };
+
+            // Sin horas se copia una sola fila por combinación proyecto/tarea
+            const candidates = includeHours
+                ? sourceEntries
+                : sourceEntries.filter((entry, index, all) => all.findIndex(other =>
+                    other.projectId === entry.projectId && other.taskId === entry.taskId) === index);
+
+            let placeholderDate;
+            if (!includeHours) {
+                for (const date of targetDates) {
+                    if ((await validateDate(date)).isValid) {
+                        placeholderDate = date;
+                        break;
+                    }
+                }
+            }
+
+            const copiedRows = new Set();
+            for (const entry of candidates) {
+                const rowKey = this.buildEntryKey(entry.projectId, entry.taskId, '');
+                const sourceOffset = daysBetween(sourceStart, toDateKey(entry.date));
+                const targetDate = includeHours ? targetDates[sourceOffset] : placeholderDate;
+
+                if (!entry.task?.isActive) {
+                    skip(entry, targetDate, 'La tarea está inactiva');
+                    continue;
+                }
+
+                if ([PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED].includes(entry.project?.status)) {
+                    skip(entry, targetDate, `El proyecto está ${entry.project.status === PROJECT_STATUS.COMPLETED ? 'completado' : 'cancelado'}`);
+                    continue;
+                }
+
+                if (!this.canUserCreateTimeEntry(requestingUser, { ...entry.task, project: entry.project }, targetUserId)) {
+                    skip(entry, targetDate, ERROR_MESSAGES.FORBIDDEN);
+                    continue;
+                }
+
+                if (!targetDate) {
+                    skip(entry, null, includeHours
+                        ? 'La fecha no tiene equivalente en el período destino'
+                        : 'No hay fechas habilitadas para captura en el período destino');
+                    continue;
+                }
+
+                if (!includeHours && existingRows.has(rowKey)) {
+                    skip(entry, targetDate, 'La combinación de proyecto y tarea ya existe en el período destino');
+                    continue;
+                }
+
+                const key = this.buildEntryKey(entry.projectId, entry.taskId, targetDate);
+                if (includeHours && (targetEntries.some(existing =>
+                    this.buildEntryKey(existing.projectId, existing.taskId, toDateKey(existing.date)) === key) || copiedRows.has(key))) {
+                    skip(entry, targetDate, 'Ya existe un registro para esta tarea en la fecha destino');
+                    continue;
+                }
+
+                const dateValidation = await validateDate(targetDate);
+                if (!dateValidation.isValid) {
+                    skip(entry, targetDate, dateValidation.reason);
+                    continue;
+                }
+
+                if (includeHours) {
+                    const nonWorkingDayError = await checkNonWorkingDay(targetDate);
+                    if (nonWorkingDayError) {
+                        skip(entry, targetDate, nonWorkingDayError);
+                        continue;
+                    }
+                }
+
+                const hours = includeHours ? Number(entry.hours) : 0;
+                const dayTotal = (dayTotals.get(targetDate) || 0) + hours;
+                if (dayTotal > maxHoursPerDay) {
+                    skip(entry, targetDate, `No se pueden exceder ${maxHoursPerDay} horas por día. Total resultante: ${dayTotal}h`);
+                    continue;
+                }
+                dayTotals.set(targetDate, dayTotal);
+                copiedRows.add(key);
+
+                creates.push({
+                    userId: targetUserId,
+                    projectId: entry.projectId,
+                    taskId: entry.taskId,
+                    date: targetDate,
+                    hours,
+                    description: includeHours ? entry.description : null,
+                    timePeriodId: targetPeriod.id,
+                });
+            }
+
+            const result = creates.length > 0
+                ? await this.timeEntryRepository.bulkSave({ creates }, requestingUser.userId)
+                : { created: [] };
+            const overtimeWarning = await this.refreshOvertime(
+                targetUserId,
+                creates.map(entry => entry.date),
+                result.created.map(entry => entry.id)
+            );
+
+            logger.info(`Copia de registros al período ${targetPeriod.id} por ${requestingUser.email}: ${result.created.length} creados, ${skipped.length} omitidos`);
+            return {
+                source: { startDate: sourceStart, endDate: sourceEnd },
+                targetTimePeriodId: targetPeriod.id,
+                includeHours,
+                created: result.created,
+                skipped,
+                ...(overtimeWarning && { warnings: [overtimeWarning] }),
+            };
+        } catch (error) {
+            logger.error('Error al copiar registros de tiempo:', error);
+            throw error;
+        }
+    }
+
     /**
      * Obtener registro de tiempo por ID
      * @param {string} timeEntryId 
@@ -121,6 +573,59 @@ class TimeEntryService {
         }
     }
 
+    /**
+     * Obtener la bitácora de cambios de un registro, aunque ya haya sido eliminado
+     * @param {string} timeEntryId
+     * @param {Object} requestingUser
+     * @returns {Promise<Array>}
+     */
+    async getTimeEntryHistory(timeEntryId, requestingUser) {
+        try {
+            const history = await this.timeEntryRepository.findHistory({ timeEntryId });
+
+            // Registros anteriores a la bitácora no tienen historial
+            const timeEntry = history.length > 0
+                ? { userId: history[0].userId, project: { area: { id: history[0].project?.areaId } } }
+                : await this.timeEntryRepository.findById(timeEntryId);
+            if (!timeEntry) {
+                throw new Error('Registro de tiempo no encontrado');
+            }
+
+            if (!this.canUserAccessTimeEntry(requestingUser, timeEntry)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            return history;
+        } catch (error) {
+            logger.error('Error al obtener historial del registro de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Consultar la bitácora de cambios de registros de tiempo, incluidos los eliminados
+     * Coordinadores ven los de proyectos de su área; colaboradores, solo los propios
+     * @param {Object} filters - userId, projectId, action, startDate, endDate
+     * @param {Object} requestingUser
+     * @returns {Promise<Array>}
+     */
+    async getTimeEntriesHistory(filters, requestingUser) {
+        try {
+            const scopedFilters = { ...filters };
+
+            if (requestingUser.role === USER_ROLES.COORDINADOR) {
+                scopedFilters.areaId = requestingUser.areaId;
+            } else if (requestingUser.role === USER_ROLES.COLABORADOR) {
+                scopedFilters.userId = requestingUser.userId;
+            }
+
+            return await this.timeEntryRepository.findHistory(scopedFilters);
+        } catch (error) {
+            logger.error('Error al obtener historial de registros de tiempo:', error);
+            throw error;
+        }
+    }
+
     /**
      * Obtener todos los registros de tiempo con filtros y paginación
      * @param {Object} filters - Filtros de búsqueda
@@ -160,6 +665,10 @@ class TimeEntryService {
                 throw new Error(ERROR_MESSAGES.FORBIDDEN);
             }
 
+            this.ensureTimeEntryIsEditable(existingTimeEntry);
+            this.ensureTimePeriodIsOpen(existingTimeEntry.timePeriod);
+            await this.ensureTimesheetIsEditable(existingTimeEntry.userId, existingTimeEntry.timePeriodId);
+
             // En update, solo permitir cambiar horas y descripción
             // No se permite cambiar fecha, proyecto, tarea, etc.
             const { year, month, day, userId, projectId, taskId, date, timePeriodId, ...processedData } = timeEntryData;
@@ -169,18 +678,22 @@ class TimeEntryService {
             }
 
             // Validar datos si se actualizan horas
+            let warnings = [];
             if (processedData.hours) {
                 const dataToValidate = {
                     ...existingTimeEntry,
                     ...processedData,
                 };
-                await this.validateTimeEntry(dataToValidate);
+                warnings = await this.validateTimeEntry(dataToValidate);
             }
 
-            const updatedTimeEntry = await this.timeEntryRepository.update(timeEntryId, processedData);
+            const updatedTimeEntry = await this.timeEntryRepository.update(timeEntryId, {
+                ...processedData,
+                ...this.buildResubmissionData(existingTimeEntry),
+            }, requestingUser.userId);
 
             logger.info(`Registro de tiempo actualizado: ${updatedTimeEntry.id} por ${requestingUser.email}`);
-            return updatedTimeEntry;
+            return await this.withOvertime(updatedTimeEntry, warnings);
         } catch (error) {
             logger.error('Error al actualizar registro de tiempo:', error);
             throw error;
@@ -206,7 +719,12 @@ class TimeEntryService {
                 throw new Error(ERROR_MESSAGES.FORBIDDEN);
             }
 
-            await this.timeEntryRepository.delete(timeEntryId);
+            this.ensureTimeEntryIsEditable(existingTimeEntry);
+            this.ensureTimePeriodIsOpen(existingTimeEntry.timePeriod);
+            await this.ensureTimesheetIsEditable(existingTimeEntry.userId, existingTimeEntry.timePeriodId);
+
+            await this.timeEntryRepository.delete(timeEntryId, requestingUser.userId);
+            await this.overtimeService.evaluateDates(existingTimeEntry.userId, [existingTimeEntry.date]);
 
             logger.info(`Registro de tiempo eliminado: ${timeEntryId} por ${requestingUser.email}`);
         } catch (error) {
@@ -215,6 +733,116 @@ class TimeEntryService {
         }
     }
 
+    /**
+     * Obtener registros de tiempo pendientes de aprobación
+     * @param {Object} filters - areaId, userId, projectId, startDate, endDate
+     * @param {Object} requestingUser 
+     * @returns {Promise<Array>}
+     */
+    async getPendingApprovals(filters = {}, requestingUser) {
+        try {
+            const pendingFilters = { ...filters };
+
+            // Coordinadores solo revisan su área y nunca sus propios registros
+            if (requestingUser.role === USER_ROLES.COORDINADOR) {
+                pendingFilters.areaId = requestingUser.areaId;
+                pendingFilters.excludeUserId = requestingUser.userId;
+
+                if (pendingFilters.userId === requestingUser.userId) {
+                    return [];
+                }
+            } else if (requestingUser.role !== USER_ROLES.ADMINISTRADOR) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            return await this.timeEntryRepository.getPendingApproval(pendingFilters);
+        } catch (error) {
+            logger.error('Error al obtener registros pendientes de aprobación:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aprobar o rechazar un registro de tiempo
+     * @param {string} timeEntryId 
+     * @param {Object} reviewData - { isApproved, comments, authorizeOvertime }
+     * @param {Object} requestingUser 
+     * @returns {Promise<Object>}
+     */
+    async reviewTimeEntry(timeEntryId, reviewData, requestingUser) {
+        try {
+            const { isApproved, comments, authorizeOvertime = false } = reviewData;
+
+            const timeEntry = await this.timeEntryRepository.findById(timeEntryId);
+            if (!timeEntry) {
+                throw new Error('Registro de tiempo no encontrado');
+            }
+
+            if (!this.canUserReviewTimeEntry(requestingUser, timeEntry)) {
+                if (timeEntry.userId === requestingUser.userId) {
+                    throw new Error(ERROR_MESSAGES.CANNOT_REVIEW_OWN_ENTRY);
+                }
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            if (timeEntry.isApproved) {
+                throw new Error(ERROR_MESSAGES.ALREADY_APPROVED);
+            }
+
+            let reviewedTimeEntry;
+            if (isApproved) {
+                // Las horas extra solo cuentan como aprobadas con autorización explícita
+                const needsOvertimeAuthorization = Boolean(timeEntry.isOvertime && !timeEntry.overtimeAuthorizedAt);
+                if (needsOvertimeAuthorization && !authorizeOvertime) {
+                    throw new Error(ERROR_MESSAGES.OVERTIME_AUTHORIZATION_REQUIRED);
+                }
+                reviewedTimeEntry = await this.timeEntryRepository.approve(timeEntryId, requestingUser.userId, comments, needsOvertimeAuthorization);
+                logger.info(`Registro de tiempo aprobado: ${timeEntryId} por ${requestingUser.email}`);
+            } else {
+                if (!comments || !comments.trim()) {
+                    throw new Error(ERROR_MESSAGES.REJECTION_REASON_REQUIRED);
+                }
+                reviewedTimeEntry = await this.timeEntryRepository.reject(timeEntryId, requestingUser.userId, comments.trim());
+                logger.info(`Registro de tiempo rechazado: ${timeEntryId} por ${requestingUser.email}`);
+            }
+
+            return reviewedTimeEntry;
+        } catch (error) {
+            logger.error('Error al revisar registro de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aprobar o rechazar varios registros de tiempo
+     * Cada registro se procesa de forma independiente; los fallos no detienen el resto
+     * @param {Object} reviewData - { timeEntryIds, isApproved, comments, authorizeOvertime }
+     * @param {Object} requestingUser 
+     * @returns {Promise<Object>}
+     */
+    async bulkReviewTimeEntries(reviewData, requestingUser) {
+        const { timeEntryIds, isApproved, comments, authorizeOvertime } = reviewData;
+        const results = {
+            processed: [],
+            errors: [],
+        };
+
+        for (const timeEntryId of [...new Set(timeEntryIds)]) {
+            try {
+                await this.reviewTimeEntry(timeEntryId, { isApproved, comments, authorizeOvertime }, requestingUser);
+                results.processed.push(timeEntryId);
+            } catch (error) {
+                results.errors.push({
+                    timeEntryId,
+                    reason: error.message,
+                });
+            }
+        }
+
+        logger.info(`Revisión masiva de registros de tiempo por ${requestingUser.email}: ${results.processed.length} procesados, ${results.errors.length} errores`);
+        return results;
+    }
+
     /**
      * Obtener registros de tiempo por fecha
      * @param {string} userId 
@@ -330,26 +958,36 @@ class TimeEntryService {
      * Validar registro de tiempo
      * @param {Object} timeEntryData 
      * @param {boolean} skipDuplicateCheck - Si true, omite la validación de duplicados
-     * @returns {Promise<void>}
+     * @returns {Promise<Array<string>>} Advertencias que no impiden guardar (p. ej. día inhábil)
      */
     async validateTimeEntry(timeEntryData, skipDuplicateCheck = false) {
-        // Validar horas mínimas y máximas
-        if (timeEntryData.hours < LIMITS.MIN_HOURS_PER_ENTRY) {
-            throw new Error(`Las horas deben ser al menos ${LIMITS.MIN_HOURS_PER_ENTRY}`);
+        const warnings = [];
+
+        // Validar horas mínimas y máximas configuradas
+        const { minHoursPerEntry, maxHoursPerDay } = await this.systemConfigService.getHourLimits();
+
+        if (timeEntryData.hours < minHoursPerEntry) {
+            throw new Error(`Las horas deben ser al menos ${minHoursPerEntry}`);
         }
 
-        if (timeEntryData.hours > LIMITS.MAX_HOURS_PER_DAY) {
-            throw new Error(`No se pueden registrar más de ${LIMITS.MAX_HOURS_PER_DAY} horas en un día`);
+        if (timeEntryData.hours > maxHoursPerDay) {
+            throw new Error(`No se pueden registrar más de ${maxHoursPerDay} horas en un día`);
         }
 
         // Validar restricciones de fecha
         // timeEntryData.date ya es un Date object creado desde year/month/day
-        const dateValidation = await this.systemConfigService.validateDateForTimeEntry(timeEntryData.date);
+        const dateValidation = await this.systemConfigService.validateDateForTimeEntry(timeEntryData.date, timeEntryData.userId);
 
         if (!dateValidation.isValid) {
             throw new Error(dateValidation.reason);
         }
 
+        // Ausencias aprobadas; fines de semana y feriados según la política configurada
+        const nonWorkingDayWarning = await this.checkNonWorkingDay(timeEntryData.date, timeEntryData.userId);
+        if (nonWorkingDayWarning) {
+            warnings.push(nonWorkingDayWarning);
+        }
+
         // Verificar duplicados (userId, projectId, taskId, date) - solo si no se debe omitir
         if (!skipDuplicateCheck && timeEntryData.userId && timeEntryData.projectId && timeEntryData.taskId && timeEntryData.date) {
             const isDuplicate = await this.timeEntryRepository.existsDuplicate(
@@ -371,13 +1009,144 @@ class TimeEntryService {
                 timeEntryData.userId,
                 timeEntryData.date,
                 timeEntryData.hours,
-                timeEntryData.id // Excluir el registro actual en caso de actualización
+                timeEntryData.id, // Excluir el registro actual en caso de actualización
+                maxHoursPerDay
             );
 
             if (!hoursCheck.isValid) {
-                throw new Error(`No se pueden exceder ${LIMITS.MAX_HOURS_PER_DAY} horas por día. Total actual: ${hoursCheck.currentHours}h, intentando agregar: ${timeEntryData.hours}h`);
+                throw new Error(`No se pueden exceder ${maxHoursPerDay} horas por día. Total actual: ${hoursCheck.currentHours}h, intentando agregar: ${timeEntryData.hours}h`);
             }
         }
+
+        return warnings;
+    }
+
+    /**
+     * Aplicar a una fecha las ausencias aprobadas del usuario y la política de días inhábiles
+     * Una ausencia aprobada siempre bloquea. Con BLOCK lanza un error; con WARN devuelve la
+     * advertencia; con ALLOW no consulta el calendario
+     * @param {Date|string} date
+     * @param {string} userId - Se usan sus ausencias y los feriados de su área
+     * @returns {Promise<string|null>} Advertencia o null
+     */
+    async checkNonWorkingDay(date, userId) {
+        if (!date) {
+            return null;
+        }
+
+        if (userId) {
+            const absences = await this.absenceService.getAbsenceDates(userId, date, date);
+            if (absences.size > 0) {
+                throw new Error(`${ERROR_MESSAGES.ABSENCE_DAY} (${[...absences.values()][0]})`);
+            }
+        }
+
+        const policy = await this.systemConfigService.getNonWorkingDayPolicy();
+        if (policy === NON_WORKING_DAY_POLICY.ALLOW) {
+            return null;
+        }
+
+        const { isNonWorking, reason } = await this.holidayService.checkNonWorkingDay(date, userId);
+        if (!isNonWorking) {
+            return null;
+        }
+
+        if (policy === NON_WORKING_DAY_POLICY.BLOCK) {
+            throw new Error(`No se puede registrar tiempo en días inhábiles: ${reason}`);
+        }
+
+        return `Registro en día inhábil: ${reason}`;
+    }
+
+    /**
+     * Fechas en las que no se generan ni importan registros de un usuario
+     * Son sus ausencias aprobadas y, con la política BLOCK, los feriados de su área y los fines de semana
+     * @param {Array<string>} dates - YYYY-MM-DD
+     * @param {string|null} userId - Dueño de los registros
+     * @param {string|null} areaId - Área del dueño, para sus feriados
+     * @param {Object} options - includeHolidays: incluir los feriados con cualquier política
+     * @returns {Promise<Map<string, string>>} Fecha -> motivo
+     */
+    async getNonWorkingDates(dates, userId = null, areaId = null, options = {}) {
+        const result = new Map();
+        if (dates.length === 0) {
+            return result;
+        }
+
+        const requested = new Set(dates);
+        const sorted = [...requested].sort();
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+
+        const policy = await this.systemConfigService.getNonWorkingDayPolicy();
+        const blocked = policy === NON_WORKING_DAY_POLICY.BLOCK;
+
+        if (blocked) {
+            sorted.filter(date => !this.holidayService.isWorkingWeekday(date))
+                .forEach(date => result.set(date, 'Fin de semana'));
+        }
+
+        if (blocked || options.includeHolidays) {
+            const holidays = await this.holidayService.getHolidayDates(first, last, areaId);
+            holidays.forEach((name, date) => {
+                if (requested.has(date)) {
+                    result.set(date, 'Día inhábil');
+                }
+            });
+        }
+
+        if (userId) {
+            const absences = await this.absenceService.getAbsenceDates(userId, first, last);
+            absences.forEach((type, date) => {
+                if (requested.has(date)) {
+                    result.set(date, `Ausencia aprobada (${type})`);
+                }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Adjuntar advertencias al registro devuelto, solo si las hay
+     * @param {Object} timeEntry
+     * @param {Array<string>} warnings
+     * @returns {Object}
+     */
+    withWarnings(timeEntry, warnings = []) {
+        return warnings.length > 0 ? { ...timeEntry, warnings } : timeEntry;
+    }
+
+    /**
+     * Recalcular las horas extra de la semana del registro guardado y devolverlo con el resultado
+     * @param {Object} timeEntry
+     * @param {Array<string>} warnings
+     * @returns {Promise<Object>}
+     */
+    async withOvertime(timeEntry, warnings = []) {
+        const overtime = (await this.overtimeService.evaluateDates(timeEntry.userId, [timeEntry.date])).get(timeEntry.id);
+        const overtimeWarning = this.overtimeService.buildWarning(overtime);
+
+        return this.withWarnings(
+            overtime ? { ...timeEntry, ...overtime } : timeEntry,
+            overtimeWarning ? [...warnings, overtimeWarning] : warnings
+        );
+    }
+
+    /**
+     * Recalcular las horas extra de las semanas afectadas por un guardado en bloque
+     * @param {string} userId
+     * @param {Array<Date|string>} dates
+     * @param {Array<string>} savedEntryIds - Registros creados o actualizados
+     * @returns {Promise<string|null>} Advertencia si alguno de los registros guardados quedó como horas extra
+     */
+    async refreshOvertime(userId, dates, savedEntryIds) {
+        const overtime = await this.overtimeService.evaluateDates(userId, dates);
+        const flagged = savedEntryIds.filter(id => overtime.get(id)?.isOvertime).length;
+
+        return flagged > 0
+            ? `${flagged} registro(s) marcados como horas extra; requieren autorización del coordinador`
+            : null;
     }
 
     /**
@@ -483,6 +1252,121 @@ class TimeEntryService {
         return user.userId === timeEntry.userId;
     }
 
+    /**
+     * Verificar si un usuario puede aprobar o rechazar un registro de tiempo
+     * @param {Object} user 
+     * @param {Object} timeEntry 
+     * @returns {boolean}
+     */
+    canUserReviewTimeEntry(user, timeEntry) {
+        // Administradores pueden revisar cualquier registro
+        if (user.role === USER_ROLES.ADMINISTRADOR) {
+            return true;
+        }
+
+        // Coordinadores revisan registros de su área, excepto los propios
+        if (user.role === USER_ROLES.COORDINADOR) {
+            return user.areaId === timeEntry.project?.area?.id && user.userId !== timeEntry.userId;
+        }
+
+        return false;
+    }
+
+    /**
+     * Verificar que un registro de tiempo aún puede modificarse
+     * @param {Object} timeEntry 
+     * @throws {Error} Si el registro ya fue aprobado
+     */
+    ensureTimeEntryIsEditable(timeEntry) {
+        if (timeEntry.isApproved) {
+            throw new Error(ERROR_MESSAGES.CANNOT_MODIFY_APPROVED);
+        }
+    }
+
+    /**
+     * Datos para fusionar un registro nuevo con el existente del mismo día
+     * @param {Object} existingEntry 
+     * @param {Object} incoming - { hours, description }
+     * @param {boolean} accumulate - Si true suma horas y concatena descripciones
+     * @returns {Object}
+     */
+    buildMergeData(existingEntry, incoming, accumulate = false) {
+        if (!accumulate) {
+            return {
+                hours: incoming.hours,
+                description: incoming.description,
+            };
+        }
+
+        const hours = Math.round((Number(existingEntry.hours) + Number(incoming.hours)) * 100) / 100;
+        const descriptions = [existingEntry.description, incoming.description]
+            .filter(Boolean)
+            .filter((description, index, all) => all.indexOf(description) === index);
+
+        return {
+            hours,
+            description: descriptions.join('\n') || null,
+        };
+    }
+
+    /**
+     * Clave única de un registro (proyecto, tarea, fecha) para un usuario
+     * @param {string} projectId 
+     * @param {string} taskId 
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string}
+     */
+    buildEntryKey(projectId, taskId, date) {
+        return `${projectId}|${taskId || ''}|${date}`;
+    }
+
+    /**
+     * Verificar que el período no está cerrado
+     * Aplica a todos los roles, sin importar la ventana de días configurada
+     * @param {Object} timePeriod 
+     * @throws {Error} Si el período está cerrado
+     */
+    ensureTimePeriodIsOpen(timePeriod) {
+        if (timePeriod?.isClosed) {
+            throw new Error(ERROR_MESSAGES.PERIOD_CLOSED);
+        }
+    }
+
+    /**
+     * Verificar que la hoja de tiempo del período permite modificar registros
+     * @param {string} userId 
+     * @param {string} timePeriodId 
+     * @returns {Promise<void>}
+     * @throws {Error} Si la hoja ya fue enviada o aprobada
+     */
+    async ensureTimesheetIsEditable(userId, timePeriodId) {
+        if (!userId || !timePeriodId) {
+            return;
+        }
+
+        const timesheet = await this.timesheetRepository.findByUserAndPeriod(userId, timePeriodId);
+        if (timesheet && [TIMESHEET_STATUS.SUBMITTED, TIMESHEET_STATUS.APPROVED].includes(timesheet.status)) {
+            throw new Error(ERROR_MESSAGES.TIMESHEET_LOCKED);
+        }
+    }
+
+    /**
+     * Datos para devolver a pendiente un registro rechazado que se corrige
+     * @param {Object} timeEntry 
+     * @returns {Object}
+     */
+    buildResubmissionData(timeEntry) {
+        if (!timeEntry.rejectedAt) {
+            return {};
+        }
+
+        return {
+            rejectedBy: null,
+            rejectedAt: null,
+            rejectionReason: null,
+        };
+    }
+
     /**
      * Verificar si un usuario puede ver registros de tiempo de otro usuario
      * @param {Object} user 
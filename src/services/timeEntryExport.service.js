@@ -0,0 +1,305 @@
+const ExcelJS = require('exceljs');
+const TimeEntryRepository = require('../repositories/timeEntry.repository');
+const TimeEntryService = require('./timeEntry.service');
+const { toDateKey, buildDateKeys } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const WEEKDAY_LABELS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+/**
+ * Servicio para exportar registros de tiempo a CSV y Excel
+ */
+class TimeEntryExportService {
+    constructor() {
+        this.timeEntryRepository = new TimeEntryRepository();
+        this.timeEntryService = new TimeEntryService();
+    }
+
+    /**
+     * Exportar registros con los mismos filtros y alcance por rol que el listado
+     * @param {Object} filters - format, userId, projectId, areaId, timePeriodId, startDate, endDate, approvalStatus
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} { filename, contentType, buffer, total }
+     */
+    async exportTimeEntries(filters, requestingUser) {
+        try {
+            const { format = 'xlsx', ...queryFilters } = filters;
+
+            const userFilters = await this.timeEntryService.applyUserFilters(queryFilters, requestingUser);
+            const entries = await this.timeEntryRepository.findForExport(userFilters);
+
+            const buffer = format === 'csv'
+                ? this.buildCsv(entries)
+                : await this.buildWorkbook(entries);
+
+            logger.info(`Exportación de registros (${format}) por ${requestingUser.email}: ${entries.length} registros`);
+            return {
+                filename: `registros_tiempo_${new Date().toISOString().split('T')[0]}.${format}`,
+                contentType: CONTENT_TYPES[format],
+                buffer,
+                total: entries.length,
+            };
+        } catch (error) {
+            logger.error('Error al exportar registros de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * CSV plano, un registro por línea (con BOM para que Excel respete los acentos)
+     * @param {Array} entries
+     * @returns {Buffer}
+     */
+    buildCsv(entries) {
+        const headers = [
+            'Fecha',
+            'Usuario',
+            'Email',
+            'Área',
+            'Proyecto',
+            'Tarea',
+            'Horas',
+            'Descripción',
+            'Estado',
+            'Período',
+        ];
+
+        const rows = entries.map(entry => [
+            toDateKey(entry.date),
+            this.getUserName(entry.user),
+            entry.user?.email,
+            entry.user?.area?.name,
+            entry.project?.name,
+            entry.task?.title,
+            Number(entry.hours),
+            entry.description,
+            this.getApprovalLabel(entry),
+            entry.timePeriod
+                ? `${toDateKey(entry.timePeriod.startDate)} - ${toDateKey(entry.timePeriod.endDate)}`
+                : '',
+        ]);
+
+        const content = [headers, ...rows]
+            .map(row => row.map(value => this.escapeCsvValue(value)).join(','))
+            .join('\r\n');
+
+        return Buffer.from(`\uFEFF${content}\r\n`, 'utf8');
+    }
+
+    /**
+     * Excel con una hoja por usuario y, por cada período, una cuadrícula tarea × día
+     * con totales diarios contra las horas de referencia del período
+     * @param {Array} entries
+     * @returns {Promise<Buffer>}
+     */
+    async buildWorkbook(entries) {
+        const workbook = new ExcelJS.Workbook();
+        const usedSheetNames = new Set();
+
+        const entriesByUser = this.groupBy(entries, entry => entry.userId);
+
+        if (entriesByUser.size === 0) {
+            workbook.addWorksheet('Sin registros').addRow(['No hay registros de tiempo para los filtros seleccionados']);
+        }
+
+        for (const userEntries of entriesByUser.values()) {
+            const user = userEntries[0].user;
+            const worksheet = workbook.addWorksheet(this.buildSheetName(this.getUserName(user), usedSheetNames));
+
+            const titleRow = worksheet.addRow([`${this.getUserName(user)} (${user?.email || ''})`]);
+            titleRow.font = { bold: true, size: 14 };
+            worksheet.addRow([`Área: ${user?.area?.name || 'Sin área'}`]);
+            worksheet.addRow([]);
+
+            const entriesByPeriod = [...this.groupBy(userEntries, entry => entry.timePeriodId).values()]
+                .sort((a, b) => new Date(a[0].timePeriod.startDate) - new Date(b[0].timePeriod.startDate));
+
+            for (const periodEntries of entriesByPeriod) {
+                this.addPeriodGrid(worksheet, periodEntries[0].timePeriod, periodEntries);
+                worksheet.addRow([]);
+            }
+
+            worksheet.getColumn(1).width = 30;
+            worksheet.getColumn(2).width = 30;
+            for (let column = 3; column <= worksheet.columnCount; column++) {
+                worksheet.getColumn(column).width = 11;
+            }
+        }
+
+        return await workbook.xlsx.writeBuffer();
+    }
+
+    /**
+     * Agregar la cuadrícula de un período a la hoja del usuario
+     * @param {Object} worksheet
+     * @param {Object} period
+     * @param {Array} entries - Registros del usuario en el período
+     */
+    addPeriodGrid(worksheet, period, entries) {
+        const dates = buildDateKeys(period.startDate, period.endDate);
+
+        const periodRow = worksheet.addRow([
+            `Período ${period.periodNumber} (${this.formatDisplayDate(period.startDate)} - ${this.formatDisplayDate(period.endDate)})`,
+        ]);
+        periodRow.font = { bold: true };
+
+        const headerRow = worksheet.addRow([
+            'Proyecto',
+            'Tarea',
+            ...dates.map(date => this.formatDayHeader(date)),
+            'Total',
+        ]);
+        headerRow.font = { bold: true };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFE0E0E0' },
+        };
+
+        const dayTotals = dates.map(() => 0);
+        const rows = this.groupBy(entries, entry => `${entry.projectId}|${entry.taskId || ''}`);
+
+        for (const rowEntries of rows.values()) {
+            const hoursByDate = dates.map(date => rowEntries
+                .filter(entry => toDateKey(entry.date) === date)
+                .reduce((sum, entry) => sum + Number(entry.hours), 0));
+
+            hoursByDate.forEach((hours, index) => {
+                dayTotals[index] += hours;
+            });
+
+            worksheet.addRow([
+                rowEntries[0].project?.name,
+                rowEntries[0].task?.title || '',
+                ...hoursByDate.map(hours => hours || null),
+                this.round(hoursByDate.reduce((sum, hours) => sum + hours, 0)),
+            ]);
+        }
+
+        const totalHours = this.round(dayTotals.reduce((sum, hours) => sum + hours, 0));
+        const referenceHours = Number(period.referenceHours || 0);
+        const totalColumn = dates.length + 3;
+
+        const totalRow = worksheet.addRow(['Total', '', ...dayTotals.map(hours => this.round(hours)), totalHours]);
+        totalRow.font = { bold: true };
+
+        const referenceRow = worksheet.addRow(['Horas de referencia']);
+        referenceRow.getCell(totalColumn).value = referenceHours;
+
+        const differenceRow = worksheet.addRow(['Diferencia']);
+        differenceRow.getCell(totalColumn).value = this.round(totalHours - referenceHours);
+        differenceRow.font = { bold: true, color: { argb: totalHours < referenceHours ? 'FFC00000' : 'FF006100' } };
+    }
+
+    /**
+     * Escapar un valor para CSV; neutraliza fórmulas para evitar inyección en hojas de cálculo
+     * @param {*} value
+     * @returns {string}
+     */
+    escapeCsvValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text)) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Nombre de hoja válido para Excel (máx. 31 caracteres, sin caracteres reservados, único)
+     * @param {string} name
+     * @param {Set<string>} usedNames
+     * @returns {string}
+     */
+    buildSheetName(name, usedNames) {
+        const base = (name || 'Usuario').replace(/[\\/?*[\]:]/g, ' ').trim().substring(0, 31) || 'Usuario';
+
+        let sheetName = base;
+        for (let suffix = 2; usedNames.has(sheetName.toLowerCase()); suffix++) {
+            sheetName = `${base.substring(0, 31 - String(suffix).length - 3)} (${suffix})`;
+        }
+
+        usedNames.add(sheetName.toLowerCase());
+        return sheetName;
+    }
+
+    /**
+     * @param {Object} entry
+     * @returns {string}
+     */
+    getApprovalLabel(entry) {
+        if (entry.isApproved) {
+            return 'Aprobado';
+        }
+
+        return entry.rejectedAt ? 'Rechazado' : 'Pendiente';
+    }
+
+    /**
+     * @param {Object} user
+     * @returns {string}
+     */
+    getUserName(user) {
+        return [user?.firstName, user?.lastName].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Agrupar conservando el orden de aparición
+     * @param {Array} items
+     * @param {Function} keyFn
+     * @returns {Map}
+     */
+    groupBy(items, keyFn) {
+        const groups = new Map();
+        items.forEach(item => {
+            const key = keyFn(item);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(item);
+        });
+        return groups;
+    }
+
+    /**
+     * @param {Date|string} date
+     * @returns {string} DD/MM/YYYY
+     */
+    formatDisplayDate(date) {
+        const [year, month, day] = toDateKey(date).split('-');
+        return `${day}/${month}/${year}`;
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} p. ej. "Lun 13/01"
+     */
+    formatDayHeader(date) {
+        const [, month, day] = date.split('-');
+        const weekday = WEEKDAY_LABELS[new Date(`${date}T00:00:00.000Z`).getUTCDay()];
+        return `${weekday} ${day}/${month}`;
+    }
+
+    /**
+     * @param {number} value
+     * @returns {number}
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = TimeEntryExportService;
@@ -0,0 +1,734 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const TimeEntryRepository = require('../repositories/timeEntry.repository');
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const UserRepository = require('../repositories/user.repository');
+const ProjectRepository = require('../repositories/project.repository');
+const TimeEntryService = require('./timeEntry.service');
+const { PROJECT_STATUS, LIMITS, ERROR_MESSAGES } = require('../utils/constants');
+const { toDateKey } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+const ERROR_REPORT_TTL_MS = 30 * 60 * 1000;
+
+// Reportes de errores pendientes de descarga, por ID de reporte
+const errorReports = new Map();
+
+/**
+ * Servicio para importación de registros de tiempo desde Excel o CSV
+ */
+class TimeEntryImportService {
+    constructor() {
+        this.timeEntryRepository = new TimeEntryRepository();
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.userRepository = new UserRepository();
+        this.projectRepository = new ProjectRepository();
+        this.timeEntryService = new TimeEntryService();
+        this.columnMapping = {
+            'Email': 'email',
+            'Proyecto': 'project',
+            'ID Excel Proyecto': 'excelId',
+            'Tarea': 'task',
+            'Fecha': 'date',
+            'Horas': 'hours',
+            'Descripción': 'description',
+        };
+    }
+
+    /**
+     * Importar registros de tiempo desde archivo
+     * Las filas válidas se crean en una sola transacción; las inválidas se reportan por fila.
+     * Los registros que ya existen nunca se sobrescriben. La ventana de días de captura no
+     * aplica, ya que se trata de una migración administrativa; sí se respetan los períodos
+     * cerrados y las hojas de tiempo enviadas o aprobadas.
+     * @param {string} filePath - Ruta del archivo (.xlsx o .csv)
+     * @param {Object} requestingUser - Usuario que realiza la importación
+     * @param {Object} options - { dryRun, originalName }
+     * @returns {Promise<Object>} - Resultado de la importación
+     */
+    async importFromFile(filePath, requestingUser, options = {}) {
+        try {
+            const { dryRun = false, originalName = filePath } = options;
+
+            logger.info(`Iniciando importación de registros de tiempo: ${originalName} por usuario ${requestingUser.email} (simulación: ${dryRun})`);
+
+            const worksheet = await this.readWorksheet(filePath, originalName);
+            const headers = this.extractHeaders(worksheet);
+
+            const missingColumns = ['Email', 'Tarea', 'Fecha', 'Horas'].filter(header => !headers.includes(header));
+            if (!headers.includes('Proyecto') && !headers.includes('ID Excel Proyecto')) {
+                missingColumns.push('Proyecto');
+            }
+            if (missingColumns.length > 0) {
+                throw new Error(`El archivo no contiene las columnas requeridas: ${missingColumns.join(', ')}`);
+            }
+
+            const data = this.extractData(worksheet, headers);
+            if (data.length === 0) {
+                throw new Error('El archivo no contiene registros para importar');
+            }
+
+            logger.info(`Procesando ${data.length} filas de registros de tiempo`);
+
+            const result = await this.processData(data, requestingUser, dryRun);
+
+            if (result.errors.length > 0) {
+                result.errorReport = await this.generateErrorReport(result.errors);
+            }
+
+            logger.info(`Importación de registros completada: ${result.success} válidos, ${result.errors.length} errores, ${result.warnings.length} omitidos`);
+            return result;
+        } catch (error) {
+            logger.error('Error en importación de registros de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Leer la primera hoja del archivo según su extensión
+     * @param {string} filePath
+     * @param {string} fileName
+     * @returns {Promise<Object>}
+     */
+    async readWorksheet(filePath, fileName) {
+        const workbook = new ExcelJS.Workbook();
+
+        if (path.extname(fileName).toLowerCase() === '.csv') {
+            // Conservar los valores como texto; las fechas y horas se interpretan por columna
+            return await workbook.csv.readFile(filePath, { map: value => value });
+        }
+
+        await workbook.xlsx.readFile(filePath);
+
+        const worksheet = workbook.worksheets[0];
+        if (!worksheet) {
+            throw new Error('El archivo Excel no contiene hojas de trabajo');
+        }
+
+        return worksheet;
+    }
+
+    /**
+     * Extraer headers de la primera fila
+     * @param {Object} worksheet
+     * @returns {Array}
+     */
+    extractHeaders(worksheet) {
+        const headers = [];
+        const headerRow = worksheet.getRow(1);
+
+        headerRow.eachCell((cell, colNumber) => {
+            const value = this.normalizeCellValue(cell.value);
+            headers[colNumber] = typeof value === 'string' ? value.replace(/^\uFEFF/, '').trim() : value;
+        });
+
+        return headers;
+    }
+
+    /**
+     * Extraer datos conservando el número de fila del archivo
+     * @param {Object} worksheet
+     * @param {Array} headers
+     * @returns {Array} [{ row, data }]
+     */
+    extractData(worksheet, headers) {
+        const data = [];
+
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return; // Skip header row
+
+            const rowData = {};
+            row.eachCell((cell, colNumber) => {
+                const header = headers[colNumber];
+                const value = this.normalizeCellValue(cell.value);
+                if (header && this.columnMapping[header] && value !== null && value !== '') {
+                    rowData[this.columnMapping[header]] = value;
+                }
+            });
+
+            if (Object.keys(rowData).length > 0) {
+                data.push({ row: rowNumber, data: rowData });
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Procesar las filas: resolver referencias, validar reglas y crear los registros válidos
+     * @param {Array} data - [{ row, data }]
+     * @param {Object} requestingUser
+     * @param {boolean} dryRun - Solo validar, sin guardar
+     * @returns {Promise<Object>}
+     */
+    async processData(data, requestingUser, dryRun = false) {
+        const result = {
+            dryRun,
+            totalRows: data.length,
+            success: 0,
+            errors: [],
+            warnings: [],
+            created: [],
+            entries: [],
+        };
+
+        const cache = {
+            users: new Map(),
+            projects: new Map(),
+            periods: new Map(),
+            timesheets: new Map(),
+            hourLimits: await this.timeEntryService.systemConfigService.getHourLimits(),
+        };
+
+        const addError = (row, rowData, error) => {
+            result.errors.push({
+                row,
+                errorType: error.errorType || 'UNKNOWN_ERROR',
+                error: error.message,
+                details: error.details || {},
+                data: rowData,
+            });
+        };
+
+        const candidates = [];
+        for (const { row, data: rowData } of data) {
+            try {
+                candidates.push(await this.resolveRow(row, rowData, requestingUser, cache));
+            } catch (error) {
+                addError(row, rowData, error);
+            }
+        }
+
+        // Duplicados y límite diario se validan por usuario, contra lo ya registrado
+        const candidatesByUser = new Map();
+        candidates.forEach(candidate => {
+            if (!candidatesByUser.has(candidate.entry.userId)) {
+                candidatesByUser.set(candidate.entry.userId, []);
+            }
+            candidatesByUser.get(candidate.entry.userId).push(candidate);
+        });
+
+        const creates = [];
+        for (const [userId, userCandidates] of candidatesByUser) {
+            const dates = [...new Set(userCandidates.map(candidate => candidate.entry.date))];
+            const existingEntries = await this.timeEntryRepository.findByUserAndDates(userId, dates);
+
+            // Ausencias aprobadas y, con la política BLOCK, feriados y fines de semana, igual que en la captura
+            const nonWorkingDates = await this.timeEntryService.getNonWorkingDates(dates, userId, userCandidates[0].areaId);
+
+            const existingKeys = new Set(existingEntries.map(entry => this.timeEntryService.buildEntryKey(
+                entry.projectId, entry.taskId, toDateKey(entry.date)
+            )));
+            const dayTotals = new Map();
+            existingEntries.forEach(entry => {
+                const date = toDateKey(entry.date);
+                dayTotals.set(date, (dayTotals.get(date) || 0) + Number(entry.hours));
+            });
+
+            const fileKeys = new Map();
+            for (const { row, data: rowData, entry } of userCandidates) {
+                const key = this.timeEntryService.buildEntryKey(entry.projectId, entry.taskId, entry.date);
+
+                if (fileKeys.has(key)) {
+                    addError(row, rowData, this.rowError(
+                        'DUPLICATE_ROW',
+                        `Registro duplicado en el archivo (misma combinación que la fila ${fileKeys.get(key)})`
+                    ));
+                    continue;
+                }
+                fileKeys.set(key, row);
+
+                if (nonWorkingDates.has(entry.date)) {
+                    addError(row, rowData, this.rowError(
+                        'NON_WORKING_DAY',
+                        `No se puede registrar tiempo el ${entry.date}: ${nonWorkingDates.get(entry.date)}`
+                    ));
+                    continue;
+                }
+
+                if (existingKeys.has(key)) {
+                    result.warnings.push({
+                        row,
+                        warning: 'Ya existe un registro para este usuario, tarea y fecha; se omitió',
+                    });
+                    continue;
+                }
+
+                const dayTotal = (dayTotals.get(entry.date) || 0) + entry.hours;
+                if (dayTotal > cache.hourLimits.maxHoursPerDay) {
+                    addError(row, rowData, this.rowError(
+                        'DAILY_LIMIT_EXCEEDED',
+                        `No se pueden exceder ${cache.hourLimits.maxHoursPerDay} horas por día. Total resultante: ${dayTotal}h`
+                    ));
+                    continue;
+                }
+
+                dayTotals.set(entry.date, dayTotal);
+                creates.push(entry);
+                result.entries.push({ row, ...entry });
+            }
+        }
+
+        result.errors.sort((a, b) => a.row - b.row);
+        result.warnings.sort((a, b) => a.row - b.row);
+        result.entries.sort((a, b) => a.row - b.row);
+        result.success = creates.length;
+
+        if (!dryRun && creates.length > 0) {
+            const saved = await this.timeEntryRepository.bulkSave({ creates }, requestingUser.userId);
+            result.created = saved.created;
+
+            // Marcar horas extra en las semanas de cada usuario importado
+            for (const userId of new Set(creates.map(entry => entry.userId))) {
+                const dates = creates.filter(entry => entry.userId === userId).map(entry => entry.date);
+                await this.timeEntryService.overtimeService.evaluateDates(userId, dates);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Resolver usuario, proyecto, tarea y período de una fila y validar las reglas que no
+     * dependen de las demás filas
+     * @param {number} row
+     * @param {Object} rowData
+     * @param {Object} requestingUser
+     * @param {Object} cache - Búsquedas ya resueltas en esta importación
+     * @returns {Promise<Object>} { row, data, entry }
+     * @throws {Error} Con errorType y details para el reporte de errores
+     */
+    async resolveRow(row, rowData, requestingUser, cache) {
+        this.validateRequiredFields(rowData);
+
+        const date = this.parseDate(rowData.date);
+        if (!date) {
+            throw this.rowError('INVALID_DATE', 'Fecha inválida', {
+                invalidFields: [{ field: 'Fecha', reason: 'Use el formato AAAA-MM-DD o DD/MM/AAAA' }],
+            });
+        }
+
+        const { minHoursPerEntry, maxHoursPerDay } = cache.hourLimits;
+        const hours = this.parseHours(rowData.hours);
+        if (hours === null || hours < minHoursPerEntry || hours > maxHoursPerDay) {
+            throw this.rowError('INVALID_HOURS', `Las horas deben estar entre ${minHoursPerEntry} y ${maxHoursPerDay}`, {
+                invalidFields: [{ field: 'Horas', reason: `Valor recibido: ${rowData.hours}` }],
+            });
+        }
+
+        const description = rowData.description ? String(rowData.description).trim() : null;
+        if (description && description.length > LIMITS.MAX_DESCRIPTION_LENGTH) {
+            throw this.rowError('INVALID_DESCRIPTION', `La descripción no puede exceder ${LIMITS.MAX_DESCRIPTION_LENGTH} caracteres`);
+        }
+
+        const user = await this.findUser(String(rowData.email), cache);
+        if (!user || !user.isActive) {
+            throw this.rowError('USER_NOT_FOUND', `No existe un usuario activo con el email ${rowData.email}`);
+        }
+
+        const project = await this.findProject(rowData, cache);
+        if ([PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED].includes(project.status)) {
+            throw this.rowError('PROJECT_NOT_ACTIVE', `El proyecto ${project.name} está ${project.status === PROJECT_STATUS.COMPLETED ? 'completado' : 'cancelado'}`);
+        }
+
+        const taskTitle = String(rowData.task).trim().toLowerCase();
+        const task = project.tasks.find(projectTask => projectTask.title.trim().toLowerCase() === taskTitle);
+        if (!task) {
+            throw this.rowError('TASK_NOT_FOUND', `No existe una tarea activa "${rowData.task}" en el proyecto ${project.name}`);
+        }
+
+        if (!this.timeEntryService.canUserCreateTimeEntry(requestingUser, { ...task, project }, user.id)) {
+            throw this.rowError('FORBIDDEN', ERROR_MESSAGES.FORBIDDEN);
+        }
+
+        const period = await this.findPeriod(date, cache);
+        if (!period) {
+            throw this.rowError('PERIOD_NOT_FOUND', `No existe un período activo que contenga la fecha ${date}`);
+        }
+        if (period.isClosed) {
+            throw this.rowError('PERIOD_CLOSED', ERROR_MESSAGES.PERIOD_CLOSED);
+        }
+
+        const timesheetError = await this.getTimesheetError(user.id, period.id, cache);
+        if (timesheetError) {
+            throw this.rowError('TIMESHEET_LOCKED', timesheetError);
+        }
+
+        return {
+            row,
+            data: rowData,
+            areaId: user.areaId || null,
+            entry: {
+                userId: user.id,
+                projectId: project.id,
+                taskId: task.id,
+                date,
+                hours,
+                description,
+                timePeriodId: period.id,
+            },
+        };
+    }
+
+    /**
+     * Validar campos requeridos de la fila
+     * @param {Object} rowData
+     * @throws {Error} MISSING_FIELDS con los nombres de columna faltantes
+     */
+    validateRequiredFields(rowData) {
+        const missingFields = [];
+
+        if (!rowData.email) missingFields.push('Email');
+        if (!rowData.project && !rowData.excelId) missingFields.push('Proyecto o ID Excel Proyecto');
+        if (!rowData.task) missingFields.push('Tarea');
+        if (!rowData.date) missingFields.push('Fecha');
+        if (rowData.hours === undefined) missingFields.push('Horas');
+
+        if (missingFields.length > 0) {
+            throw this.rowError('MISSING_FIELDS', `Campos requeridos faltantes: ${missingFields.join(', ')}`, { missingFields });
+        }
+    }
+
+    /**
+     * @param {string} email
+     * @param {Object} cache
+     * @returns {Promise<Object|null>}
+     */
+    async findUser(email, cache) {
+        const key = email.trim().toLowerCase();
+        if (!cache.users.has(key)) {
+            cache.users.set(key, await this.userRepository.findByEmail(key));
+        }
+        return cache.users.get(key);
+    }
+
+    /**
+     * Resolver proyecto por ID de Excel o por nombre
+     * @param {Object} rowData
+     * @param {Object} cache
+     * @returns {Promise<Object>}
+     * @throws {Error} Si no existe o el nombre es ambiguo
+     */
+    async findProject(rowData, cache) {
+        const criteria = rowData.excelId
+            ? { excelId: String(rowData.excelId).trim() }
+            : { name: String(rowData.project).trim() };
+        const key = criteria.excelId ? `excel:${criteria.excelId}` : `name:${criteria.name.toLowerCase()}`;
+
+        if (!cache.projects.has(key)) {
+            cache.projects.set(key, await this.projectRepository.findForImport(criteria));
+        }
+        const projects = cache.projects.get(key);
+
+        if (projects.length === 0) {
+            throw this.rowError('PROJECT_NOT_FOUND', criteria.excelId
+                ? `No existe un proyecto con ID Excel ${criteria.excelId}`
+                : `No existe un proyecto activo con el nombre ${criteria.name}`);
+        }
+
+        if (projects.length > 1) {
+            throw this.rowError('AMBIGUOUS_PROJECT', `Existen ${projects.length} proyectos con el nombre ${criteria.name}; indique el ID Excel del proyecto`);
+        }
+
+        return projects[0];
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} cache
+     * @returns {Promise<Object|null>}
+     */
+    async findPeriod(date, cache) {
+        if (!cache.periods.has(date)) {
+            cache.periods.set(date, await this.timePeriodRepository.findByDate(date));
+        }
+        return cache.periods.get(date);
+    }
+
+    /**
+     * Motivo por el que la hoja de tiempo del usuario no admite cambios, o null
+     * @param {string} userId
+     * @param {string} timePeriodId
+     * @param {Object} cache
+     * @returns {Promise<string|null>}
+     */
+    async getTimesheetError(userId, timePeriodId, cache) {
+        const key = `${userId}|${timePeriodId}`;
+        if (!cache.timesheets.has(key)) {
+            try {
+                await this.timeEntryService.ensureTimesheetIsEditable(userId, timePeriodId);
+                cache.timesheets.set(key, null);
+            } catch (error) {
+                cache.timesheets.set(key, error.message);
+            }
+        }
+        return cache.timesheets.get(key);
+    }
+
+    /**
+     * Error de fila con tipo y detalles para el reporte
+     * @param {string} errorType
+     * @param {string} message
+     * @param {Object} details
+     * @returns {Error}
+     */
+    rowError(errorType, message, details = {}) {
+        const error = new Error(message);
+        error.errorType = errorType;
+        error.details = details;
+        return error;
+    }
+
+    /**
+     * Valor plano de una celda (hipervínculos, texto enriquecido y fórmulas)
+     * @param {*} value
+     * @returns {*}
+     */
+    normalizeCellValue(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        if (typeof value === 'object' && !(value instanceof Date)) {
+            if (value.richText) {
+                return value.richText.map(part => part.text).join('');
+            }
+            if (value.text !== undefined) {
+                return value.text;
+            }
+            if (value.result !== undefined) {
+                return value.result;
+            }
+            return null;
+        }
+
+        return typeof value === 'string' ? value.trim() : value;
+    }
+
+    /**
+     * Interpretar fecha de celda (fecha de Excel, AAAA-MM-DD o DD/MM/AAAA)
+     * @param {*} value
+     * @returns {string|null} YYYY-MM-DD
+     */
+    parseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+        }
+
+        const text = String(value).trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        let parts = match ? [match[1], match[2], match[3]] : null;
+
+        if (!parts) {
+            match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+            parts = match ? [match[3], match[2], match[1]] : null;
+        }
+
+        if (!parts) {
+            return null;
+        }
+
+        const [year, month, day] = parts.map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Interpretar horas (acepta coma decimal)
+     * @param {*} value
+     * @returns {number|null}
+     */
+    parseHours(value) {
+        const hours = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+        return Number.isFinite(hours) ? Math.round(hours * 100) / 100 : null;
+    }
+
+    /**
+     * Generar reporte de errores en formato Excel
+     * @param {Array} errors
+     * @returns {Promise<Object>}
+     */
+    async generateErrorReport(errors) {
+        try {
+            const workbook = new ExcelJS.Workbook();
+            const worksheet = workbook.addWorksheet('Errores de Importación');
+
+            const headers = [
+                'Fila',
+                'Tipo de Error',
+                'Descripción del Error',
+                'Campos Faltantes',
+                'Campos Inválidos',
+                'Email',
+                'Proyecto',
+                'Tarea',
+                'Fecha',
+                'Horas',
+            ];
+
+            worksheet.addRow(headers);
+
+            const headerRow = worksheet.getRow(1);
+            headerRow.font = { bold: true };
+            headerRow.fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: 'FFE6E6FA' },
+            };
+
+            errors.forEach(errorInfo => {
+                worksheet.addRow([
+                    errorInfo.row,
+                    errorInfo.errorType || 'ERROR_GENERAL',
+                    errorInfo.error,
+                    errorInfo.details?.missingFields?.join(', ') || '',
+                    errorInfo.details?.invalidFields?.map(f => `${f.field}: ${f.reason}`).join('; ') || '',
+                    errorInfo.data?.email || '',
+                    errorInfo.data?.project || errorInfo.data?.excelId || '',
+                    errorInfo.data?.task || '',
+                    errorInfo.data?.date || '',
+                    errorInfo.data?.hours ?? '',
+                ]);
+            });
+
+            worksheet.columns.forEach((column, index) => {
+                column.width = index === 2 ? 50 : 18;
+            });
+
+            // Segunda hoja con las filas fallidas en el formato de la plantilla, para corregir y reimportar
+            const dataWorksheet = workbook.addWorksheet('Datos para Corrección');
+            const originalHeaders = Object.keys(this.columnMapping);
+            dataWorksheet.addRow(originalHeaders);
+
+            const dataHeaderRow = dataWorksheet.getRow(1);
+            dataHeaderRow.font = { bold: true };
+            dataHeaderRow.fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: 'FFFFEFD5' },
+            };
+
+            errors.forEach(errorInfo => {
+                dataWorksheet.addRow(originalHeaders.map(header => errorInfo.data?.[this.columnMapping[header]] ?? ''));
+            });
+
+            dataWorksheet.columns.forEach(column => {
+                column.width = 20;
+            });
+
+            const buffer = await workbook.xlsx.writeBuffer();
+
+            return {
+                filename: `errores_importacion_registros_${new Date().toISOString().split('T')[0]}.xlsx`,
+                buffer,
+                totalErrors: errors.length,
+            };
+        } catch (error) {
+            logger.error('Error generando reporte de errores de registros:', error);
+            return {
+                filename: null,
+                buffer: null,
+                totalErrors: errors.length,
+                reportError: error.message,
+            };
+        }
+    }
+
+    /**
+     * Generar plantilla de importación con fila de ejemplo e instrucciones
+     * @returns {Promise<Buffer>}
+     */
+    async generateTemplate() {
+        const { minHoursPerEntry, maxHoursPerDay } = await this.timeEntryService.systemConfigService.getHourLimits();
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Registros');
+        const headers = Object.keys(this.columnMapping);
+
+        worksheet.addRow(headers);
+
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFE0E0E0' },
+        };
+
+        worksheet.addRow([
+            'usuario@empresa.com',
+            'Proyecto Ejemplo',
+            '',
+            'Desarrollo',
+            '2025-01-15',
+            7.5,
+            'Descripción de la actividad',
+        ]);
+
+        worksheet.columns.forEach((column, index) => {
+            column.width = Math.max(headers[index].length + 2, 20);
+        });
+
+        const instructions = workbook.addWorksheet('Instrucciones');
+        [
+            ['Columna', 'Descripción'],
+            ['Email', 'Email del usuario al que pertenecen las horas (requerido)'],
+            ['Proyecto', 'Nombre del proyecto; requerido si no se indica el ID Excel Proyecto'],
+            ['ID Excel Proyecto', 'ID del proyecto en el Excel de proyectos; tiene prioridad sobre el nombre'],
+            ['Tarea', 'Título de una tarea activa del proyecto (requerido)'],
+            ['Fecha', 'Formato AAAA-MM-DD o DD/MM/AAAA; debe pertenecer a un período activo y abierto (requerido)'],
+            ['Horas', `Entre ${minHoursPerEntry} y ${maxHoursPerDay} (requerido)`],
+            ['Descripción', 'Opcional'],
+        ].forEach(row => instructions.addRow(row));
+        instructions.getRow(1).font = { bold: true };
+        instructions.getColumn(1).width = 20;
+        instructions.getColumn(2).width = 90;
+
+        return await workbook.xlsx.writeBuffer();
+    }
+
+    /**
+     * Guardar temporalmente un reporte de errores para su descarga
+     * @param {Object} report - { filename, buffer }
+     * @param {string} ownerId - Usuario que realizó la importación
+     * @returns {string} ID del reporte
+     */
+    storeErrorReport(report, ownerId) {
+        const now = Date.now();
+        for (const [id, stored] of errorReports) {
+            if (stored.expiresAt <= now) {
+                errorReports.delete(id);
+            }
+        }
+
+        const reportId = randomUUID();
+        errorReports.set(reportId, {
+            ...report,
+            ownerId,
+            expiresAt: now + ERROR_REPORT_TTL_MS,
+        });
+
+        return reportId;
+    }
+
+    /**
+     * Obtener un reporte de errores vigente del usuario
+     * @param {string} reportId
+     * @param {string} ownerId
+     * @returns {Object|null} { filename, buffer }
+     */
+    getErrorReport(reportId, ownerId) {
+        const stored = errorReports.get(reportId);
+        if (!stored || stored.ownerId !== ownerId || stored.expiresAt <= Date.now()) {
+            return null;
+        }
+
+        return { filename: stored.filename, buffer: stored.buffer };
+    }
+}
+
+module.exports = TimeEntryImportService;
@@ -0,0 +1,330 @@
+const TimeEntryTemplateRepository = require('../repositories/timeEntryTemplate.repository');
+const TimeEntryRepository = require('../repositories/timeEntry.repository');
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const TaskRepository = require('../repositories/task.repository');
+const TimeEntryService = require('./timeEntry.service');
+const { USER_ROLES, PROJECT_STATUS, ERROR_MESSAGES } = require('../utils/constants');
+const { toDateKey, buildDateKeys } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para plantillas recurrentes de registros de tiempo
+ */
+class TimeEntryTemplateService {
+    constructor() {
+        this.templateRepository = new TimeEntryTemplateRepository();
+        this.timeEntryRepository = new TimeEntryRepository();
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.taskRepository = new TaskRepository();
+        this.timeEntryService = new TimeEntryService();
+    }
+
+    /**
+     * Listar plantillas del usuario (administradores pueden consultar las de otro usuario)
+     * @param {Object} filters - userId, isActive
+     * @param {Object} requestingUser
+     * @returns {Promise<Array>}
+     */
+    async getTemplates(filters, requestingUser) {
+        try {
+            const { userId, ...otherFilters } = filters;
+            const ownerId = requestingUser.role === USER_ROLES.ADMINISTRADOR && userId
+                ? userId
+                : requestingUser.userId;
+
+            return await this.templateRepository.findByUser(ownerId, otherFilters);
+        } catch (error) {
+            logger.error('Error al obtener plantillas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Crear plantilla para el usuario autenticado
+     * @param {Object} templateData - { projectId, taskId, hours, description, weekdays }
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async createTemplate(templateData, requestingUser) {
+        try {
+            await this.ensureTaskIsUsable(templateData.projectId, templateData.taskId, requestingUser);
+
+            const template = await this.templateRepository.create({
+                userId: requestingUser.userId,
+                projectId: templateData.projectId,
+                taskId: templateData.taskId,
+                hours: templateData.hours,
+                description: templateData.description || null,
+                weekdays: this.normalizeWeekdays(templateData.weekdays),
+            });
+
+            logger.info(`Plantilla de registro creada: ${template.id} por ${requestingUser.email}`);
+            return template;
+        } catch (error) {
+            logger.error('Error al crear plantilla:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualizar plantilla propia
+     * @param {string} templateId
+     * @param {Object} updateData
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async updateTemplate(templateId, updateData, requestingUser) {
+        try {
+            const template = await this.getOwnedTemplate(templateId, requestingUser);
+
+            const projectId = updateData.projectId || template.projectId;
+            const taskId = updateData.taskId || template.taskId;
+            if (updateData.projectId || updateData.taskId) {
+                await this.ensureTaskIsUsable(projectId, taskId, requestingUser);
+            }
+
+            const data = { ...updateData };
+            if (data.weekdays) {
+                data.weekdays = this.normalizeWeekdays(data.weekdays);
+            }
+
+            const updated = await this.templateRepository.update(templateId, data);
+
+            logger.info(`Plantilla de registro actualizada: ${templateId} por ${requestingUser.email}`);
+            return updated;
+        } catch (error) {
+            logger.error('Error al actualizar plantilla:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Eliminar plantilla propia; los registros ya generados se conservan
+     * @param {string} templateId
+     * @param {Object} requestingUser
+     * @returns {Promise<void>}
+     */
+    async deleteTemplate(templateId, requestingUser) {
+        try {
+            await this.getOwnedTemplate(templateId, requestingUser);
+            await this.templateRepository.delete(templateId);
+
+            logger.info(`Plantilla de registro eliminada: ${templateId} por ${requestingUser.email}`);
+        } catch (error) {
+            logger.error('Error al eliminar plantilla:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generar los registros de las plantillas activas en un período
+     * Nunca sobrescribe registros existentes; omite fechas inhábiles, fuera de la ventana
+     * de captura o que excederían el límite diario, y reporta el motivo.
+     * @param {string} timePeriodId
+     * @param {string|null} userId - Solo las plantillas de este usuario; todas si es null
+     * @returns {Promise<Object>} { timePeriodId, created, skipped }
+     */
+    async generateForPeriod(timePeriodId, userId = null) {
+        try {
+            const period = await this.timePeriodRepository.findById(timePeriodId);
+            if (!period) {
+                throw new Error('Período no encontrado');
+            }
+            if (!period.isActive) {
+                throw new Error(ERROR_MESSAGES.PERIOD_NOT_ACTIVE);
+            }
+            this.timeEntryService.ensureTimePeriodIsOpen(period);
+
+            const templates = await this.templateRepository.findActive(userId);
+            const dates = buildDateKeys(period.startDate, period.endDate);
+
+            // La ventana de captura depende del área y rol de cada usuario
+            const dateValidationCache = new Map();
+            const validateDate = async (date, userId) => {
+                const key = `${userId}|${date}`;
+                if (!dateValidationCache.has(key)) {
+                    dateValidationCache.set(key, await this.timeEntryService.systemConfigService.validateDateForTimeEntry(date, userId));
+                }
+                return dateValidationCache.get(key);
+            };
+
+            const { minHoursPerEntry, maxHoursPerDay } = await this.timeEntryService.systemConfigService.getHourLimits();
+            const created = [];
+            const skipped = [];
+            const templatesByUser = new Map();
+            templates.forEach(template => {
+                if (!templatesByUser.has(template.userId)) {
+                    templatesByUser.set(template.userId, []);
+                }
+                templatesByUser.get(template.userId).push(template);
+            });
+
+            for (const [ownerId, userTemplates] of templatesByUser) {
+                const skip = (template, date, reason) => {
+                    skipped.push({ templateId: template.id, userId: ownerId, date, reason });
+                };
+
+                try {
+                    await this.timeEntryService.ensureTimesheetIsEditable(ownerId, period.id);
+                } catch (error) {
+                    userTemplates.forEach(template => skip(template, null, error.message));
+                    continue;
+                }
+
+                // Los feriados se omiten con cualquier política: la generación no es una captura deliberada del usuario
+                const nonWorkingDates = await this.timeEntryService.getNonWorkingDates(
+                    dates, ownerId, userTemplates[0].user?.areaId, { includeHolidays: true }
+                );
+
+                const existingEntries = await this.timeEntryRepository.findByUserAndDates(ownerId, dates);
+                const existingKeys = new Set(existingEntries.map(entry => this.timeEntryService.buildEntryKey(
+                    entry.projectId, entry.taskId, toDateKey(entry.date)
+                )));
+                const dayTotals = new Map();
+                existingEntries.forEach(entry => {
+                    const date = toDateKey(entry.date);
+                    dayTotals.set(date, (dayTotals.get(date) || 0) + Number(entry.hours));
+                });
+
+                // El acceso se revalida en cada generación: el usuario pudo cambiar de área o perder la asignación
+                const owner = { userId: ownerId, role: userTemplates[0].user?.role, areaId: userTemplates[0].user?.areaId };
+
+                const creates = [];
+                for (const template of userTemplates) {
+                    if (!template.task?.isActive) {
+                        skip(template, null, 'La tarea está inactiva');
+                        continue;
+                    }
+
+                    if ([PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED].includes(template.project?.status)) {
+                        skip(template, null, `El proyecto está ${template.project.status === PROJECT_STATUS.COMPLETED ? 'completado' : 'cancelado'}`);
+                        continue;
+                    }
+
+                    if (!this.timeEntryService.canUserCreateTimeEntry(owner, { ...template.task, project: template.project }, ownerId)) {
+                        skip(template, null, 'El usuario ya no tiene acceso a la tarea');
+                        continue;
+                    }
+
+                    const templateDates = dates.filter(date =>
+                        template.weekdays.includes(new Date(`${date}T00:00:00.000Z`).getUTCDay()));
+
+                    for (const date of templateDates) {
+                        if (nonWorkingDates.has(date)) {
+                            skip(template, date, nonWorkingDates.get(date));
+                            continue;
+                        }
+
+                        // Lo capturado por el usuario nunca se sobrescribe
+                        const key = this.timeEntryService.buildEntryKey(template.projectId, template.taskId, date);
+                        if (existingKeys.has(key)) {
+                            skip(template, date, 'Ya existe un registro para esta tarea en la fecha');
+                            continue;
+                        }
+
+                        const dateValidation = await validateDate(date, ownerId);
+                        if (!dateValidation.isValid) {
+                            skip(template, date, dateValidation.reason);
+                            continue;
+                        }
+
+                        const hours = Number(template.hours);
+                        if (hours < minHoursPerEntry) {
+                            skip(template, date, `Las horas deben ser al menos ${minHoursPerEntry}`);
+                            continue;
+                        }
+
+                        const dayTotal = (dayTotals.get(date) || 0) + hours;
+                        if (dayTotal > maxHoursPerDay) {
+                            skip(template, date, `No se pueden exceder ${maxHoursPerDay} horas por día. Total resultante: ${dayTotal}h`);
+                            continue;
+                        }
+
+                        dayTotals.set(date, dayTotal);
+                        existingKeys.add(key);
+                        creates.push({
+                            userId: ownerId,
+                            projectId: template.projectId,
+                            taskId: template.taskId,
+                            date,
+                            hours,
+                            description: template.description,
+                            timePeriodId: period.id,
+                            templateId: template.id,
+                        });
+                    }
+                }
+
+                if (creates.length > 0) {
+                    const result = await this.timeEntryRepository.bulkSave({ creates }, ownerId);
+                    created.push(...result.created);
+                    await this.timeEntryService.overtimeService.evaluateDates(ownerId, creates.map(entry => entry.date));
+                }
+            }
+
+            logger.info(`Plantillas aplicadas al período ${timePeriodId}: ${created.length} registros generados, ${skipped.length} omitidos`);
+            return { timePeriodId, created, skipped };
+        } catch (error) {
+            logger.error('Error al generar registros desde plantillas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Verificar que la tarea existe, pertenece al proyecto, está activa y el usuario puede capturar en ella
+     * @param {string} projectId
+     * @param {string} taskId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} Tarea
+     */
+    async ensureTaskIsUsable(projectId, taskId, requestingUser) {
+        const task = await this.taskRepository.findById(taskId);
+        if (!task) {
+            throw new Error('Tarea no encontrada');
+        }
+
+        if (task.projectId && task.projectId !== projectId) {
+            throw new Error('La tarea no pertenece al proyecto indicado');
+        }
+
+        if (task.isActive === false) {
+            throw new Error('La tarea está inactiva');
+        }
+
+        if (!this.timeEntryService.canUserCreateTimeEntry(requestingUser, task, requestingUser.userId)) {
+            throw new Error(ERROR_MESSAGES.FORBIDDEN);
+        }
+
+        return task;
+    }
+
+    /**
+     * Obtener plantilla verificando que pertenece al usuario (o es administrador)
+     * @param {string} templateId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getOwnedTemplate(templateId, requestingUser) {
+        const template = await this.templateRepository.findById(templateId);
+        if (!template) {
+            throw new Error(ERROR_MESSAGES.TEMPLATE_NOT_FOUND);
+        }
+
+        if (template.userId !== requestingUser.userId && requestingUser.role !== USER_ROLES.ADMINISTRADOR) {
+            throw new Error(ERROR_MESSAGES.FORBIDDEN);
+        }
+
+        return template;
+    }
+
+    /**
+     * Días de la semana sin duplicados y ordenados (0 = domingo ... 6 = sábado)
+     * @param {Array<number>} weekdays
+     * @returns {Array<number>}
+     */
+    normalizeWeekdays(weekdays) {
+        return [...new Set(weekdays)].sort((a, b) => a - b);
+    }
+}
+
+module.exports = TimeEntryTemplateService;
@@ -0,0 +1,201 @@
+const TimeEntryUnlockRepository = require('../repositories/timeEntryUnlock.repository');
+const SystemConfigService = require('./systemConfig.service');
+const { USER_ROLES, TIME_ENTRY_UNLOCK_STATUS, ERROR_MESSAGES } = require('../utils/constants');
+const { toDateKey } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para las solicitudes de desbloqueo de fechas fuera de la ventana de captura
+ * Un usuario solicita registrar tiempo en fechas anteriores a TIME_ENTRY_PAST_DAYS con una justificación;
+ * aprobada por un coordinador de su área, la excepción aplica solo a ese usuario y vence en expiresAt.
+ */
+class TimeEntryUnlockService {
+    constructor() {
+        this.timeEntryUnlockRepository = new TimeEntryUnlockRepository();
+        this.systemConfigService = new SystemConfigService();
+    }
+
+    /**
+     * Listar solicitudes visibles para el usuario
+     * @param {Object} filters - userId, areaId, status
+     * @param {Object} requestingUser
+     * @returns {Promise<Array>}
+     */
+    async getUnlockRequests(filters, requestingUser) {
+        try {
+            const scopedFilters = { ...filters };
+
+            if (requestingUser.role === USER_ROLES.COORDINADOR) {
+                scopedFilters.areaId = requestingUser.areaId;
+            } else if (requestingUser.role === USER_ROLES.COLABORADOR) {
+                scopedFilters.userId = requestingUser.userId;
+            }
+
+            return await this.timeEntryUnlockRepository.findMany(scopedFilters);
+        } catch (error) {
+            logger.error('Error al obtener solicitudes de desbloqueo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Solicitar el desbloqueo de un rango de fechas propio
+     * El rango debe empezar antes de la ventana permitida para el usuario y no incluir fechas futuras
+     * @param {Object} unlockData - startDate, endDate, reason
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async requestUnlock(unlockData, requestingUser) {
+        try {
+            const startDate = toDateKey(unlockData.startDate);
+            const endDate = toDateKey(unlockData.endDate);
+            if (endDate < startDate) {
+                throw new Error('La fecha de fin debe ser posterior a la fecha de inicio');
+            }
+
+            if (endDate > toDateKey(new Date())) {
+                throw new Error('Solo se pueden desbloquear fechas pasadas');
+            }
+
+            const dateValidation = await this.systemConfigService.validateDateForTimeEntry(startDate, requestingUser.userId);
+            if (dateValidation.isValid) {
+                throw new Error('Las fechas solicitadas están dentro de la ventana permitida y no requieren desbloqueo');
+            }
+
+            const overlapping = await this.timeEntryUnlockRepository.findOverlapping(requestingUser.userId, startDate, endDate);
+            if (overlapping.length > 0) {
+                throw new Error(ERROR_MESSAGES.TIME_ENTRY_UNLOCK_OVERLAP);
+            }
+
+            const unlock = await this.timeEntryUnlockRepository.create({
+                userId: requestingUser.userId,
+                startDate,
+                endDate,
+                reason: unlockData.reason.trim(),
+            });
+
+            logger.info(`Desbloqueo ${startDate} a ${endDate} solicitado por ${requestingUser.email}`);
+
+            return unlock;
+        } catch (error) {
+            logger.error('Error al solicitar desbloqueo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aprobar o rechazar una solicitud pendiente
+     * La aprobación vence en expiresAt o, si no se indica, tras TIME_ENTRY_UNLOCK_DAYS días
+     * @param {string} unlockId
+     * @param {Object} reviewData - { isApproved, comments, expiresAt }
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async reviewUnlock(unlockId, reviewData, requestingUser) {
+        try {
+            const { isApproved, comments } = reviewData;
+
+            const unlock = await this.timeEntryUnlockRepository.findById(unlockId);
+            if (!unlock) {
+                throw new Error(ERROR_MESSAGES.TIME_ENTRY_UNLOCK_NOT_FOUND);
+            }
+
+            if (!this.canUserReviewUnlock(requestingUser, unlock)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            if (unlock.status !== TIME_ENTRY_UNLOCK_STATUS.PENDING) {
+                throw new Error(ERROR_MESSAGES.TIME_ENTRY_UNLOCK_NOT_PENDING);
+            }
+
+            if (!isApproved && (!comments || !comments.trim())) {
+                throw new Error(ERROR_MESSAGES.REJECTION_REASON_REQUIRED);
+            }
+
+            let expiresAt = null;
+            if (isApproved) {
+                expiresAt = reviewData.expiresAt
+                    ? new Date(reviewData.expiresAt)
+                    : new Date(Date.now() + await this.systemConfigService.getTimeEntryUnlockDays() * 24 * 60 * 60 * 1000);
+
+                if (expiresAt <= new Date()) {
+                    throw new Error('La fecha de vencimiento del desbloqueo debe ser futura');
+                }
+            }
+
+            const reviewed = await this.timeEntryUnlockRepository.update(unlockId, {
+                status: isApproved ? TIME_ENTRY_UNLOCK_STATUS.APPROVED : TIME_ENTRY_UNLOCK_STATUS.REJECTED,
+                expiresAt,
+                reviewedBy: requestingUser.userId,
+                reviewedAt: new Date(),
+                reviewComment: comments?.trim() || null,
+            });
+
+            logger.info(`Desbloqueo ${unlockId} ${isApproved ? `aprobado hasta ${expiresAt.toISOString()}` : 'rechazado'} por ${requestingUser.email}`);
+
+            return reviewed;
+        } catch (error) {
+            logger.error('Error al revisar solicitud de desbloqueo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancelar una solicitud
+     * El dueño cancela sus solicitudes pendientes; quien puede revisarla revoca también las aprobadas
+     * @param {string} unlockId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async cancelUnlock(unlockId, requestingUser) {
+        try {
+            const unlock = await this.timeEntryUnlockRepository.findById(unlockId);
+            if (!unlock) {
+                throw new Error(ERROR_MESSAGES.TIME_ENTRY_UNLOCK_NOT_FOUND);
+            }
+
+            const isReviewer = this.canUserReviewUnlock(requestingUser, unlock);
+            const isOwner = unlock.userId === requestingUser.userId;
+
+            if (!isReviewer && !(isOwner && unlock.status === TIME_ENTRY_UNLOCK_STATUS.PENDING)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            if (![TIME_ENTRY_UNLOCK_STATUS.PENDING, TIME_ENTRY_UNLOCK_STATUS.APPROVED].includes(unlock.status)) {
+                throw new Error('Solo se pueden cancelar solicitudes pendientes o aprobadas');
+            }
+
+            const cancelled = await this.timeEntryUnlockRepository.update(unlockId, {
+                status: TIME_ENTRY_UNLOCK_STATUS.CANCELLED,
+            });
+
+            logger.info(`Desbloqueo ${unlockId} cancelado por ${requestingUser.email}`);
+
+            return cancelled;
+        } catch (error) {
+            logger.error('Error al cancelar solicitud de desbloqueo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Verificar si un usuario puede aprobar, rechazar o revocar una solicitud
+     * @param {Object} user
+     * @param {Object} unlock - Con userId y user (dueño)
+     * @returns {boolean}
+     */
+    canUserReviewUnlock(user, unlock) {
+        if (user.role === USER_ROLES.ADMINISTRADOR) {
+            return true;
+        }
+
+        // Coordinadores revisan las solicitudes de su área, excepto las propias
+        if (user.role === USER_ROLES.COORDINADOR) {
+            return Boolean(user.areaId) && user.areaId === unlock.user?.areaId && user.userId !== unlock.userId;
+        }
+
+        return false;
+    }
+}
+
+module.exports = TimeEntryUnlockService;
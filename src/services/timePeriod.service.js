@@ -0,0 +1,426 @@
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const HolidayService = require('./holiday.service');
+const SystemConfigService = require('./systemConfig.service');
+const TimeEntryTemplateService = require('./timeEntryTemplate.service');
+const FiscalCalendarService = require('./fiscalCalendar.service');
+const { TIME_PERIOD_TYPE, WEEK_MONTH_RULE, FISCAL_CALENDAR_TYPE } = require('../utils/constants');
+const { toDateKey } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// La tarea programada genera el año fiscal que contiene esta fecha futura, para tenerlo listo antes de que inicie
+const UPCOMING_PERIODS_DAYS_AHEAD = 60;
+
+const MONTH_NAMES = [
+    'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+    'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre',
+];
+
+/**
+ * Servicio para generar en el servidor los períodos de tiempo de un año
+ * El año abarca 12 meses desde startMonth (año fiscal) y se identifica por el año en que inicia.
+ * Las semanas inician en lunes; las que cruzan el cambio de mes se asignan según WEEK_MONTH_RULE
+ * y el número de período se cuenta dentro de cada mes. Con el calendario fiscal 4-4-5 los períodos
+ * siguen los meses fiscales, que siempre son semanas completas.
+ */
+class TimePeriodService {
+    constructor() {
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.holidayService = new HolidayService();
+        this.systemConfigService = new SystemConfigService();
+        this.timeEntryTemplateService = new TimeEntryTemplateService();
+        this.fiscalCalendarService = new FiscalCalendarService();
+    }
+
+    /**
+     * Generar los períodos de un año
+     * Es idempotente: los períodos que ya existen con las mismas fechas se omiten y los que chocan
+     * con otro período (mismo año, mes y número con otras fechas, o fechas traslapadas) se reportan
+     * como conflictos sin modificarlos
+     * @param {Object} options - { year, type, startMonth, weekRule, dryRun }; sin startMonth se usa el
+     *   inicio del año fiscal configurado
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} - { year, type, startMonth, weekRule, calendarType, dryRun, created, skipped, conflicts }
+     */
+    async generateYear(options, requestingUser) {
+        try {
+            const { year, type, dryRun = false } = options;
+            const calendar = await this.fiscalCalendarService.getCalendar();
+            const startMonth = options.startMonth || calendar.startMonth;
+            const weekRule = options.weekRule || await this.systemConfigService.getWeekMonthRule();
+
+            const periods = this.buildYearPeriods({ year, type, startMonth, weekRule, calendarType: calendar.type });
+
+            const months = this.buildMonths(year, startMonth);
+            const rangeStart = periods[0].startDate;
+            const rangeEnd = periods[periods.length - 1].endDate;
+            const [byMonth, byRange] = await Promise.all([
+                this.timePeriodRepository.findByMonths(months),
+                this.timePeriodRepository.findByDateRange(new Date(`${rangeStart}T00:00:00.000Z`), new Date(`${rangeEnd}T00:00:00.000Z`)),
+            ]);
+
+            const existingPeriods = new Map();
+            [...byMonth, ...byRange].forEach(period => existingPeriods.set(period.id, {
+                ...period,
+                startDate: toDateKey(period.startDate),
+                endDate: toDateKey(period.endDate),
+            }));
+            const existingByKey = new Map(
+                [...existingPeriods.values()].map(period => [this.periodKey(period), period])
+            );
+
+            const result = { year, type, startMonth, weekRule, calendarType: calendar.type, dryRun, created: [], skipped: [], conflicts: [] };
+
+            for (const period of periods) {
+                const existing = existingByKey.get(this.periodKey(period));
+                if (existing) {
+                    if (existing.startDate === period.startDate && existing.endDate === period.endDate) {
+                        result.skipped.push({ period, reason: 'Período ya existe' });
+                    } else {
+                        result.conflicts.push({
+                            period,
+                            existingPeriodId: existing.id,
+                            reason: `El período ${this.periodKey(period)} ya existe con fechas ${existing.startDate} a ${existing.endDate}`,
+                        });
+                    }
+                    continue;
+                }
+
+                const overlapping = [...existingPeriods.values()].find(other =>
+                    other.startDate <= period.endDate && other.endDate >= period.startDate
+                );
+                if (overlapping) {
+                    result.conflicts.push({
+                        period,
+                        existingPeriodId: overlapping.id,
+                        reason: `Se traslapa con el período ${this.periodKey(overlapping)} (${overlapping.startDate} a ${overlapping.endDate})`,
+                    });
+                    continue;
+                }
+
+                const periodData = await this.holidayService.withReferenceHours(period);
+                if (dryRun) {
+                    result.created.push(periodData);
+                    continue;
+                }
+
+                try {
+                    result.created.push(await this.timePeriodRepository.create(periodData));
+                } catch (error) {
+                    // Otro proceso pudo crear el mismo período entre la consulta y la creación
+                    if (error.code !== 'P2002') {
+                        throw error;
+                    }
+                    result.conflicts.push({ period, reason: `El período ${this.periodKey(period)} ya existe` });
+                }
+            }
+
+            logger.info(`Períodos ${type} ${year} ${dryRun ? 'simulados' : 'generados'} por ${requestingUser.email}: ${result.created.length} creados, ${result.skipped.length} omitidos, ${result.conflicts.length} conflictos`);
+
+            return result;
+        } catch (error) {
+            logger.error('Error al generar períodos del año:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generar los períodos del año fiscal próximo a iniciar con el tipo configurado (tarea programada)
+     * Aplica las plantillas recurrentes a los períodos creados; las fechas que aún quedan fuera de la
+     * ventana de captura se completan con applyTemplatesToUpcomingPeriods
+     * @returns {Promise<Object>} - { year, type, created, skipped, conflicts } (cantidades)
+     */
+    async generateUpcomingPeriods() {
+        try {
+            const calendar = await this.fiscalCalendarService.getCalendar();
+            const { fiscalYear: year } = this.fiscalCalendarService.findMonth(new Date(Date.now() + UPCOMING_PERIODS_DAYS_AHEAD * DAY_MS), calendar);
+            const type = await this.systemConfigService.getPeriodGenerationType();
+
+            const result = await this.generateYear({ year, type }, { email: 'tarea programada' });
+
+            for (const period of result.created) {
+                try {
+                    await this.timeEntryTemplateService.generateForPeriod(period.id);
+                } catch (error) {
+                    logger.warn(`No se pudieron aplicar las plantillas al período ${period.id}: ${error.message}`);
+                }
+            }
+
+            return {
+                year,
+                type,
+                created: result.created.length,
+                skipped: result.skipped.length,
+                conflicts: result.conflicts.length,
+            };
+        } catch (error) {
+            logger.error('Error al generar los próximos períodos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aplicar las plantillas recurrentes a los períodos abiertos que se traslapan con la ventana de captura (tarea programada)
+     * Los períodos generados por año quedan casi todos fuera de TIME_ENTRY_FUTURE_DAYS al crearse y sus plantillas
+     * se omiten; al ejecutarse a diario, cada fecha recibe sus registros en cuanto entra en la ventana del usuario.
+     * La ventana es la mayor entre la global y los valores por área y rol; generateForPeriod valida la de cada usuario
+     * y nunca duplica ni sobrescribe registros existentes.
+     * @returns {Promise<Object>} - { futureDays, periods, created, skipped, failed } (cantidades)
+     */
+    async applyTemplatesToUpcomingPeriods() {
+        try {
+            const [globalFutureDays, overrides] = await Promise.all([
+                this.systemConfigService.getFutureDaysAllowed(),
+                this.systemConfigService.getDateRestrictionOverrides()
+            ]);
+            const futureDays = Math.max(
+                globalFutureDays,
+                ...overrides.filter(override => override.field === 'futureDaysAllowed').map(override => Number(override.value))
+            );
+
+            const today = new Date(`${toDateKey(new Date())}T00:00:00.000Z`);
+            const periods = (await this.timePeriodRepository.findByDateRange(today, new Date(today.getTime() + futureDays * DAY_MS)))
+                .filter(period => period.isActive && !period.isClosed);
+
+            const result = { futureDays, periods: periods.length, created: 0, skipped: 0, failed: 0 };
+            for (const period of periods) {
+                try {
+                    const { created, skipped } = await this.timeEntryTemplateService.generateForPeriod(period.id);
+                    result.created += created.length;
+                    result.skipped += skipped.length;
+                } catch (error) {
+                    logger.warn(`No se pudieron aplicar las plantillas al período ${period.id}: ${error.message}`);
+                    result.failed++;
+                }
+            }
+
+            return result;
+        } catch (error) {
+            logger.error('Error al aplicar plantillas a los próximos períodos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cerrar los períodos abiertos que terminaron hace más de TIME_PERIOD_AUTO_CLOSE_DAYS días (tarea programada)
+     * El cierre queda en la bitácora sin usuario (acción del sistema) y con una justificación automática
+     * @returns {Promise<Object>} - { autoCloseDays, closed, periodIds }
+     */
+    async closeExpiredPeriods() {
+        try {
+            const autoCloseDays = await this.systemConfigService.getPeriodAutoCloseDays();
+            if (!autoCloseDays) {
+                return { autoCloseDays, closed: 0, periodIds: [] };
+            }
+
+            const today = toDateKey(new Date());
+            const cutoff = new Date(new Date(`${today}T00:00:00.000Z`).getTime() - autoCloseDays * DAY_MS);
+            const periods = await this.timePeriodRepository.findOpenEndedBefore(cutoff);
+            if (periods.length === 0) {
+                return { autoCloseDays, closed: 0, periodIds: [] };
+            }
+
+            const justification = `Cierre automático ${autoCloseDays} días después del fin del período`;
+            for (const period of periods) {
+                await this.timePeriodRepository.close(period.id, null, justification);
+            }
+
+            logger.info(`Períodos cerrados automáticamente: ${periods.length}`);
+
+            return { autoCloseDays, closed: periods.length, periodIds: periods.map(period => period.id) };
+        } catch (error) {
+            logger.error('Error al cerrar períodos vencidos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Calcular los períodos de un año sin consultar la base de datos
+     * @param {Object} options - { year, type, startMonth, weekRule, calendarType }
+     * @returns {Array<Object>} - Datos de período con fechas YYYY-MM-DD, ordenados por fecha
+     */
+    buildYearPeriods({ year, type, startMonth = 1, weekRule = WEEK_MONTH_RULE.MAJORITY, calendarType = FISCAL_CALENDAR_TYPE.CALENDAR }) {
+        if (calendarType === FISCAL_CALENDAR_TYPE.WEEKS_445) {
+            const { months } = this.fiscalCalendarService.buildYear(year, { type: calendarType, startMonth });
+            return this.buildFiscalWeekPeriods(months, type);
+        }
+
+        const months = this.buildMonths(year, startMonth);
+
+        if (type === TIME_PERIOD_TYPE.MONTHLY) {
+            return months.map(({ year: periodYear, month }) => this.buildPeriod(
+                periodYear, month, 1, this.dateKey(periodYear, month, 1), this.lastDayKey(periodYear, month), type
+            ));
+        }
+
+        if (type === TIME_PERIOD_TYPE.BIWEEKLY) {
+            return months.flatMap(({ year: periodYear, month }) => [
+                this.buildPeriod(periodYear, month, 1, this.dateKey(periodYear, month, 1), this.dateKey(periodYear, month, 15), type),
+                this.buildPeriod(periodYear, month, 2, this.dateKey(periodYear, month, 16), this.lastDayKey(periodYear, month), type),
+            ]);
+        }
+
+        if (type === TIME_PERIOD_TYPE.WEEKLY) {
+            return this.buildWeeklyPeriods(months, weekRule);
+        }
+
+        throw new Error(`Tipo de período no soportado: ${type}`);
+    }
+
+    /**
+     * Calcular las semanas (lunes a domingo) que corresponden a los meses indicados
+     * @param {Array<Object>} months - { year, month } consecutivos
+     * @param {string} weekRule - Valor de WEEK_MONTH_RULE
+     * @returns {Array<Object>}
+     */
+    buildWeeklyPeriods(months, weekRule) {
+        const first = months[0];
+        const last = months[months.length - 1];
+        const firstIndex = first.year * 12 + first.month;
+        const lastIndex = last.year * 12 + last.month;
+
+        // Lunes de la semana que contiene el primer día del rango
+        const rangeStart = new Date(Date.UTC(first.year, first.month - 1, 1));
+        let monday = new Date(rangeStart.getTime() - ((rangeStart.getUTCDay() + 6) % 7) * DAY_MS);
+        const rangeEnd = new Date(Date.UTC(last.year, last.month, 0));
+
+        const counters = new Map();
+        const periods = [];
+
+        const addPeriod = (date, startDate, endDate) => {
+            const periodYear = date.getUTCFullYear();
+            const month = date.getUTCMonth() + 1;
+            const monthIndex = periodYear * 12 + month;
+            if (monthIndex < firstIndex || monthIndex > lastIndex) {
+                return;
+            }
+
+            const key = `${periodYear}-${month}`;
+            const periodNumber = (counters.get(key) || 0) + 1;
+            counters.set(key, periodNumber);
+            periods.push(this.buildPeriod(periodYear, month, periodNumber, startDate, endDate, TIME_PERIOD_TYPE.WEEKLY));
+        };
+
+        while (monday <= rangeEnd) {
+            const sunday = new Date(monday.getTime() + 6 * DAY_MS);
+            const mondayKey = toDateKey(monday);
+            const sundayKey = toDateKey(sunday);
+
+            if (weekRule === WEEK_MONTH_RULE.SPLIT && monday.getUTCMonth() !== sunday.getUTCMonth()) {
+                const monthEnd = new Date(Date.UTC(monday.getUTCFullYear(), monday.getUTCMonth() + 1, 0));
+                const monthStart = new Date(monthEnd.getTime() + DAY_MS);
+                addPeriod(monday, mondayKey, toDateKey(monthEnd));
+                addPeriod(sunday, toDateKey(monthStart), sundayKey);
+            } else {
+                const assignedDate = {
+                    [WEEK_MONTH_RULE.START]: monday,
+                    [WEEK_MONTH_RULE.END]: sunday,
+                }[weekRule] || new Date(monday.getTime() + 3 * DAY_MS); // MAJORITY: el jueves
+                addPeriod(assignedDate, mondayKey, sundayKey);
+            }
+
+            monday = new Date(monday.getTime() + 7 * DAY_MS);
+        }
+
+        return periods;
+    }
+
+    /**
+     * Calcular los períodos de los meses fiscales 4-4-5: un período mensual por mes, dos quincenas con la
+     * mitad de las semanas cada una (la segunda con la semana sobrante) o una semana por período
+     * @param {Array<Object>} months - Meses fiscales con year, month, startDate y weeks
+     * @param {string} type - Valor de TIME_PERIOD_TYPE
+     * @returns {Array<Object>}
+     */
+    buildFiscalWeekPeriods(months, type) {
+        const addDays = (dateKey, days) => toDateKey(new Date(`${dateKey}T00:00:00.000Z`).getTime() + days * DAY_MS);
+
+        if (type === TIME_PERIOD_TYPE.MONTHLY) {
+            return months.map(month => this.buildPeriod(month.year, month.month, 1, month.startDate, month.endDate, type));
+        }
+
+        if (type === TIME_PERIOD_TYPE.BIWEEKLY) {
+            return months.flatMap(month => {
+                const firstDays = Math.floor(month.weeks / 2) * 7;
+                return [
+                    this.buildPeriod(month.year, month.month, 1, month.startDate, addDays(month.startDate, firstDays - 1), type),
+                    this.buildPeriod(month.year, month.month, 2, addDays(month.startDate, firstDays), month.endDate, type),
+                ];
+            });
+        }
+
+        if (type === TIME_PERIOD_TYPE.WEEKLY) {
+            return months.flatMap(month => Array.from({ length: month.weeks }, (_, index) => this.buildPeriod(
+                month.year, month.month, index + 1, addDays(month.startDate, index * 7), addDays(month.startDate, index * 7 + 6), type
+            )));
+        }
+
+        throw new Error(`Tipo de período no soportado: ${type}`);
+    }
+
+    /**
+     * Meses consecutivos de un año que inicia en startMonth
+     * @param {number} year
+     * @param {number} startMonth - Base 1
+     * @returns {Array<Object>} - { year, month }
+     */
+    buildMonths(year, startMonth = 1) {
+        return Array.from({ length: 12 }, (_, index) => {
+            const date = new Date(Date.UTC(year, startMonth - 1 + index, 1));
+            return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+        });
+    }
+
+    /**
+     * Datos de un período con su descripción según el tipo
+     * @param {number} year
+     * @param {number} month - Base 1
+     * @param {number} periodNumber - Número del período dentro del mes
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @param {string} type - Valor de TIME_PERIOD_TYPE
+     * @returns {Object}
+     */
+    buildPeriod(year, month, periodNumber, startDate, endDate, type) {
+        const monthLabel = `${MONTH_NAMES[month - 1]} ${year}`;
+        const descriptions = {
+            [TIME_PERIOD_TYPE.WEEKLY]: `Semana ${periodNumber} de ${monthLabel}`,
+            [TIME_PERIOD_TYPE.BIWEEKLY]: `Quincena ${periodNumber} de ${monthLabel}`,
+            [TIME_PERIOD_TYPE.MONTHLY]: `Mes de ${monthLabel}`,
+        };
+
+        return { year, month, periodNumber, startDate, endDate, type, description: descriptions[type] };
+    }
+
+    /**
+     * Clave legible de un período por año, mes y número
+     * @param {Object} period - { year, month, periodNumber }
+     * @returns {string} - YYYY-MM #N
+     */
+    periodKey(period) {
+        return `${period.year}-${String(period.month).padStart(2, '0')} #${period.periodNumber}`;
+    }
+
+    /**
+     * @param {number} year
+     * @param {number} month - Base 1
+     * @param {number} day
+     * @returns {string} - YYYY-MM-DD
+     */
+    dateKey(year, month, day) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Último día de un mes
+     * @param {number} year
+     * @param {number} month - Base 1
+     * @returns {string} - YYYY-MM-DD
+     */
+    lastDayKey(year, month) {
+        return this.dateKey(year, month, new Date(Date.UTC(year, month, 0)).getUTCDate());
+    }
+}
+
+module.exports = TimePeriodService;
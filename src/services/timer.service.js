@@ -0,0 +1,386 @@
+const TimerRepository = require('../repositories/timer.repository');
+const TaskRepository = require('../repositories/task.repository');
+const TimeEntryService = require('./timeEntry.service');
+const { TIMER_STATUS, LIMITS, ERROR_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para cronómetros de captura de tiempo
+ * Al detenerse, el cronómetro crea o acumula el registro de tiempo del día en que inició
+ */
+class TimerService {
+    constructor() {
+        this.timerRepository = new TimerRepository();
+        this.taskRepository = new TaskRepository();
+        this.timeEntryService = new TimeEntryService();
+    }
+
+    /**
+     * Obtener el cronómetro activo del usuario
+     * @param {Object} requestingUser
+     * @returns {Promise<Object|null>}
+     */
+    async getActiveTimer(requestingUser) {
+        try {
+            const timer = await this.timerRepository.findActiveByUser(requestingUser.userId);
+            if (!timer) {
+                return null;
+            }
+
+            const reconciled = await this.reconcileStaleTimer(timer, requestingUser);
+            return this.withElapsed(reconciled);
+        } catch (error) {
+            logger.error('Error al obtener cronómetro activo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Listar cronómetros del usuario (p. ej. los marcados para revisión)
+     * @param {Object} filters - status
+     * @param {Object} requestingUser
+     * @returns {Promise<Array>}
+     */
+    async getTimers(filters, requestingUser) {
+        try {
+            const timers = await this.timerRepository.findByUser(requestingUser.userId, filters);
+            return timers.map(timer => this.withElapsed(timer));
+        } catch (error) {
+            logger.error('Error al obtener cronómetros:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Iniciar cronómetro sobre un proyecto/tarea
+     * @param {Object} timerData - { projectId, taskId, description }
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async startTimer(timerData, requestingUser) {
+        try {
+            const active = await this.timerRepository.findActiveByUser(requestingUser.userId);
+            if (active) {
+                const reconciled = await this.reconcileStaleTimer(active, requestingUser);
+                if (this.isActive(reconciled)) {
+                    throw new Error(ERROR_MESSAGES.TIMER_ALREADY_ACTIVE);
+                }
+            }
+
+            const task = await this.taskRepository.findById(timerData.taskId);
+            if (!task) {
+                throw new Error('Tarea no encontrada');
+            }
+
+            if (task.projectId && task.projectId !== timerData.projectId) {
+                throw new Error('La tarea no pertenece al proyecto indicado');
+            }
+
+            if (!this.timeEntryService.canUserCreateTimeEntry(requestingUser, task, requestingUser.userId)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            const now = new Date();
+            const timer = await this.timerRepository.createIfNoneActive({
+                userId: requestingUser.userId,
+                projectId: timerData.projectId,
+                taskId: timerData.taskId,
+                description: timerData.description || null,
+                status: TIMER_STATUS.RUNNING,
+                startedAt: now,
+                lastResumedAt: now,
+            });
+            if (!timer) {
+                throw new Error(ERROR_MESSAGES.TIMER_ALREADY_ACTIVE);
+            }
+
+            logger.info(`Cronómetro iniciado: ${timer.id} en tarea ${task.title} por ${requestingUser.email}`);
+            return this.withElapsed(timer);
+        } catch (error) {
+            logger.error('Error al iniciar cronómetro:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pausar cronómetro en ejecución
+     * @param {string} timerId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async pauseTimer(timerId, requestingUser) {
+        try {
+            const timer = await this.reconcileStaleTimer(await this.getOwnedTimer(timerId, requestingUser), requestingUser);
+
+            if (timer.status !== TIMER_STATUS.RUNNING) {
+                throw new Error(timer.status === TIMER_STATUS.FLAGGED ? ERROR_MESSAGES.TIMER_NOT_ACTIVE : ERROR_MESSAGES.TIMER_NOT_RUNNING);
+            }
+
+            const paused = await this.timerRepository.update(timerId, {
+                status: TIMER_STATUS.PAUSED,
+                accumulatedSeconds: this.getElapsedSeconds(timer),
+                lastResumedAt: null,
+            });
+
+            return this.withElapsed(paused);
+        } catch (error) {
+            logger.error('Error al pausar cronómetro:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reanudar cronómetro en pausa
+     * @param {string} timerId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async resumeTimer(timerId, requestingUser) {
+        try {
+            const timer = await this.reconcileStaleTimer(await this.getOwnedTimer(timerId, requestingUser), requestingUser);
+
+            if (timer.status !== TIMER_STATUS.PAUSED) {
+                throw new Error(this.isActive(timer) ? ERROR_MESSAGES.TIMER_NOT_PAUSED : ERROR_MESSAGES.TIMER_NOT_ACTIVE);
+            }
+
+            const resumed = await this.timerRepository.update(timerId, {
+                status: TIMER_STATUS.RUNNING,
+                lastResumedAt: new Date(),
+            });
+
+            return this.withElapsed(resumed);
+        } catch (error) {
+            logger.error('Error al reanudar cronómetro:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Detener cronómetro y generar el registro de tiempo
+     * @param {string} timerId
+     * @param {Object} stopData - { description }
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} { timer, timeEntry }
+     */
+    async stopTimer(timerId, stopData, requestingUser) {
+        try {
+            const timer = await this.reconcileStaleTimer(await this.getOwnedTimer(timerId, requestingUser), requestingUser);
+
+            // Un cronómetro que quedó corriendo toda la noche no genera registro automáticamente
+            if (timer.status === TIMER_STATUS.FLAGGED) {
+                return { timer: this.withElapsed(timer), timeEntry: null };
+            }
+
+            if (!this.isActive(timer)) {
+                throw new Error(ERROR_MESSAGES.TIMER_NOT_ACTIVE);
+            }
+
+            return await this.finalizeTimer(timer, requestingUser, {
+                description: stopData.description,
+            });
+        } catch (error) {
+            logger.error('Error al detener cronómetro:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Resolver un cronómetro marcado para revisión indicando las horas reales o descartándolo
+     * @param {string} timerId
+     * @param {Object} resolveData - { hours, description, discard }
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} { timer, timeEntry }
+     */
+    async resolveFlaggedTimer(timerId, resolveData, requestingUser) {
+        try {
+            const timer = await this.getOwnedTimer(timerId, requestingUser);
+
+            if (timer.status !== TIMER_STATUS.FLAGGED) {
+                throw new Error(ERROR_MESSAGES.TIMER_NOT_FLAGGED);
+            }
+
+            if (resolveData.discard) {
+                const discarded = await this.timerRepository.update(timerId, { status: TIMER_STATUS.DISCARDED });
+                return { timer: this.withElapsed(discarded), timeEntry: null };
+            }
+
+            return await this.finalizeTimer(timer, requestingUser, {
+                hours: resolveData.hours,
+                description: resolveData.description,
+            });
+        } catch (error) {
+            logger.error('Error al resolver cronómetro:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cerrar el cronómetro creando o acumulando el registro del día en que inició
+     * @param {Object} timer
+     * @param {Object} requestingUser
+     * @param {Object} overrides - { hours, description }
+     * @returns {Promise<Object>} { timer, timeEntry }
+     */
+    async finalizeTimer(timer, requestingUser, overrides = {}) {
+        const elapsedSeconds = this.getElapsedSeconds(timer);
+        const hours = overrides.hours !== undefined
+            ? Number(overrides.hours)
+            : Math.round((elapsedSeconds / 3600) * 100) / 100;
+        const description = overrides.description || timer.description;
+
+        // Menos del mínimo capturable: se descarta sin generar registro
+        const { minHoursPerEntry } = await this.timeEntryService.systemConfigService.getHourLimits();
+        if (hours < minHoursPerEntry) {
+            const discarded = await this.timerRepository.update(timer.id, {
+                status: TIMER_STATUS.DISCARDED,
+                accumulatedSeconds: elapsedSeconds,
+                lastResumedAt: null,
+                stoppedAt: new Date(),
+            });
+
+            logger.info(`Cronómetro descartado por duración menor a ${minHoursPerEntry}h: ${timer.id}`);
+            return { timer: this.withElapsed(discarded), timeEntry: null };
+        }
+
+        const startedAt = new Date(timer.startedAt);
+        const timeEntry = await this.timeEntryService.createTimeEntry({
+            userId: timer.userId,
+            projectId: timer.projectId,
+            taskId: timer.taskId,
+            year: startedAt.getFullYear(),
+            month: startedAt.getMonth() + 1,
+            day: startedAt.getDate(),
+            hours,
+            description,
+        }, requestingUser, { accumulate: true });
+
+        const stopped = await this.timerRepository.update(timer.id, {
+            status: TIMER_STATUS.STOPPED,
+            accumulatedSeconds: elapsedSeconds,
+            lastResumedAt: null,
+            stoppedAt: new Date(),
+            description,
+            timeEntryId: timeEntry.id,
+        });
+
+        logger.info(`Cronómetro detenido: ${timer.id} (${hours}h) por ${requestingUser.email}`);
+        return { timer: this.withElapsed(stopped), timeEntry };
+    }
+
+    /**
+     * Revisar cronómetros olvidados
+     * - En ejecución desde otro día o por más de LIMITS.TIMER_MAX_HOURS: se marca para revisión
+     * - En pausa desde otro día: se detiene con el tiempo acumulado
+     * @param {Object} timer
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} Cronómetro actualizado
+     */
+    async reconcileStaleTimer(timer, requestingUser) {
+        const now = new Date();
+        const startedOtherDay = !this.isSameLocalDay(new Date(timer.startedAt), now);
+
+        if (timer.status === TIMER_STATUS.RUNNING) {
+            const exceedsMax = this.getElapsedSeconds(timer, now) > LIMITS.TIMER_MAX_HOURS * 3600;
+            if (!startedOtherDay && !exceedsMax) {
+                return timer;
+            }
+
+            const reason = startedOtherDay
+                ? 'El cronómetro quedó en ejecución de un día para otro'
+                : `El cronómetro superó ${LIMITS.TIMER_MAX_HOURS} horas en ejecución`;
+
+            logger.warn(`Cronómetro marcado para revisión: ${timer.id} - ${reason}`);
+            return await this.timerRepository.update(timer.id, {
+                status: TIMER_STATUS.FLAGGED,
+                accumulatedSeconds: this.getElapsedSeconds(timer, now),
+                lastResumedAt: null,
+                stoppedAt: now,
+                flaggedReason: reason,
+            });
+        }
+
+        if (timer.status === TIMER_STATUS.PAUSED && startedOtherDay) {
+            try {
+                const { timer: stopped } = await this.finalizeTimer(timer, requestingUser);
+                return stopped;
+            } catch (error) {
+                logger.warn(`No se pudo detener automáticamente el cronómetro ${timer.id}: ${error.message}`);
+                return await this.timerRepository.update(timer.id, {
+                    status: TIMER_STATUS.FLAGGED,
+                    stoppedAt: now,
+                    flaggedReason: error.message,
+                });
+            }
+        }
+
+        return timer;
+    }
+
+    /**
+     * Obtener cronómetro verificando que pertenece al usuario
+     * @param {string} timerId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getOwnedTimer(timerId, requestingUser) {
+        const timer = await this.timerRepository.findById(timerId);
+        if (!timer) {
+            throw new Error(ERROR_MESSAGES.TIMER_NOT_FOUND);
+        }
+
+        if (timer.userId !== requestingUser.userId) {
+            throw new Error(ERROR_MESSAGES.FORBIDDEN);
+        }
+
+        return timer;
+    }
+
+    /**
+     * Segundos transcurridos considerando pausas
+     * @param {Object} timer
+     * @param {Date} now
+     * @returns {number}
+     */
+    getElapsedSeconds(timer, now = new Date()) {
+        let seconds = timer.accumulatedSeconds || 0;
+
+        if (timer.status === TIMER_STATUS.RUNNING && timer.lastResumedAt) {
+            seconds += Math.max(0, Math.floor((now - new Date(timer.lastResumedAt)) / 1000));
+        }
+
+        return seconds;
+    }
+
+    /**
+     * Agregar el tiempo transcurrido a la respuesta
+     * @param {Object} timer
+     * @returns {Object}
+     */
+    withElapsed(timer) {
+        return {
+            ...timer,
+            elapsedSeconds: this.getElapsedSeconds(timer),
+        };
+    }
+
+    /**
+     * @param {Object} timer
+     * @returns {boolean}
+     */
+    isActive(timer) {
+        return [TIMER_STATUS.RUNNING, TIMER_STATUS.PAUSED].includes(timer.status);
+    }
+
+    /**
+     * @param {Date} a
+     * @param {Date} b
+     * @returns {boolean}
+     */
+    isSameLocalDay(a, b) {
+        return a.getFullYear() === b.getFullYear()
+            && a.getMonth() === b.getMonth()
+            && a.getDate() === b.getDate();
+    }
+}
+
+module.exports = TimerService;
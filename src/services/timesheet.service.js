@@ -0,0 +1,244 @@
+const TimesheetRepository = require('../repositories/timesheet.repository');
+const TimePeriodRepository = require('../repositories/timePeriod.repository');
+const UserRepository = require('../repositories/user.repository');
+const WorkScheduleService = require('./workSchedule.service');
+const { USER_ROLES, TIMESHEET_STATUS, ERROR_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para gestión de hojas de tiempo semanales
+ */
+class TimesheetService {
+    constructor() {
+        this.timesheetRepository = new TimesheetRepository();
+        this.timePeriodRepository = new TimePeriodRepository();
+        this.userRepository = new UserRepository();
+        this.workScheduleService = new WorkScheduleService();
+    }
+
+    /**
+     * Obtener la hoja de tiempo de un usuario en un período
+     * Si aún no se ha enviado, se devuelve un borrador con el resumen de horas
+     * @param {string} userId
+     * @param {string} timePeriodId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getTimesheet(userId, timePeriodId, requestingUser) {
+        try {
+            const owner = await this.userRepository.findById(userId);
+            if (!owner) {
+                throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+            }
+
+            if (!this.canUserViewTimesheet(requestingUser, owner)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            const period = await this.timePeriodRepository.findById(timePeriodId);
+            if (!period) {
+                throw new Error('Período no encontrado');
+            }
+
+            const timesheet = await this.timesheetRepository.findByUserAndPeriod(userId, timePeriodId);
+
+            // Igual que al enviar: contra las horas esperadas según la jornada y las ausencias del usuario
+            const expectedHours = await this.workScheduleService.getExpectedHoursForPeriod(period, userId);
+            const comparison = await this.timePeriodRepository.getComparison(timePeriodId, userId, expectedHours);
+
+            return {
+                timesheet: timesheet || {
+                    userId,
+                    timePeriodId,
+                    status: TIMESHEET_STATUS.DRAFT,
+                },
+                comparison,
+                warnings: this.buildSubmissionWarnings(comparison),
+            };
+        } catch (error) {
+            logger.error('Error al obtener hoja de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtener hojas de tiempo con filtros y paginación
+     * @param {Object} filters
+     * @param {Object} pagination
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getTimesheets(filters = {}, pagination = {}, requestingUser) {
+        try {
+            const userFilters = { ...filters };
+
+            // Coordinadores ven las hojas de su área; colaboradores solo las propias
+            if (requestingUser.role === USER_ROLES.COORDINADOR) {
+                userFilters.areaId = requestingUser.areaId;
+            } else if (requestingUser.role !== USER_ROLES.ADMINISTRADOR) {
+                userFilters.userId = requestingUser.userId;
+            }
+
+            return await this.timesheetRepository.findMany(userFilters, pagination);
+        } catch (error) {
+            logger.error('Error al obtener hojas de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Enviar a revisión la hoja de tiempo del usuario autenticado
+     * @param {string} timePeriodId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>} Hoja enviada, comparación contra referencia y advertencias
+     */
+    async submitTimesheet(timePeriodId, requestingUser) {
+        try {
+            const period = await this.timePeriodRepository.findById(timePeriodId);
+            if (!period) {
+                throw new Error('Período no encontrado');
+            }
+
+            if (!period.isActive) {
+                throw new Error(ERROR_MESSAGES.PERIOD_NOT_ACTIVE);
+            }
+
+            if (period.isClosed) {
+                throw new Error(ERROR_MESSAGES.PERIOD_CLOSED);
+            }
+
+            const existing = await this.timesheetRepository.findByUserAndPeriod(requestingUser.userId, timePeriodId);
+            if (existing && [TIMESHEET_STATUS.SUBMITTED, TIMESHEET_STATUS.APPROVED].includes(existing.status)) {
+                throw new Error(ERROR_MESSAGES.TIMESHEET_ALREADY_SUBMITTED);
+            }
+
+            // Se compara contra las horas esperadas según la jornada y las ausencias del usuario
+            const expectedHours = await this.workScheduleService.getExpectedHoursForPeriod(period, requestingUser.userId);
+            const comparison = await this.timePeriodRepository.getComparison(timePeriodId, requestingUser.userId, expectedHours);
+            const actualHours = Number(comparison.actualHours);
+
+            if (actualHours <= 0) {
+                throw new Error(ERROR_MESSAGES.TIMESHEET_EMPTY);
+            }
+
+            const timesheet = await this.timesheetRepository.submit(requestingUser.userId, timePeriodId, actualHours);
+            const warnings = this.buildSubmissionWarnings(comparison);
+
+            logger.info(`Hoja de tiempo enviada: período ${timePeriodId} por ${requestingUser.email} (${actualHours}h)`);
+            return { timesheet, comparison, warnings };
+        } catch (error) {
+            logger.error('Error al enviar hoja de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aprobar o devolver una hoja de tiempo enviada
+     * Al aprobar, los registros con horas extra sin autorizar quedan pendientes salvo que se indique authorizeOvertime
+     * @param {string} timesheetId
+     * @param {Object} reviewData - { isApproved, comments, authorizeOvertime }
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async reviewTimesheet(timesheetId, reviewData, requestingUser) {
+        try {
+            const { isApproved, comments, authorizeOvertime = false } = reviewData;
+
+            const timesheet = await this.timesheetRepository.findById(timesheetId);
+            if (!timesheet) {
+                throw new Error(ERROR_MESSAGES.TIMESHEET_NOT_FOUND);
+            }
+
+            if (!this.canUserReviewTimesheet(requestingUser, timesheet)) {
+                throw new Error(ERROR_MESSAGES.FORBIDDEN);
+            }
+
+            if (timesheet.status !== TIMESHEET_STATUS.SUBMITTED) {
+                throw new Error(ERROR_MESSAGES.TIMESHEET_NOT_SUBMITTED);
+            }
+
+            let reviewed;
+            if (isApproved) {
+                const pendingOvertime = authorizeOvertime
+                    ? 0
+                    : await this.timesheetRepository.countUnauthorizedOvertime(timesheet.userId, timesheet.timePeriodId);
+
+                reviewed = await this.timesheetRepository.approve(timesheet, requestingUser.userId, comments, authorizeOvertime);
+                if (pendingOvertime > 0) {
+                    reviewed = {
+                        ...reviewed,
+                        warnings: [`${pendingOvertime} registro(s) con horas extra sin autorizar quedaron pendientes de aprobación`],
+                    };
+                }
+                logger.info(`Hoja de tiempo aprobada: ${timesheetId} por ${requestingUser.email}`);
+            } else {
+                if (!comments || !comments.trim()) {
+                    throw new Error(ERROR_MESSAGES.REJECTION_REASON_REQUIRED);
+                }
+                reviewed = await this.timesheetRepository.reject(timesheetId, requestingUser.userId, comments.trim());
+                logger.info(`Hoja de tiempo devuelta: ${timesheetId} por ${requestingUser.email}`);
+            }
+
+            return reviewed;
+        } catch (error) {
+            logger.error('Error al revisar hoja de tiempo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Construir advertencias del envío a partir de la comparación del período
+     * @param {Object} comparison - Resultado de TimePeriodRepository.getComparison
+     * @returns {Array<string>}
+     */
+    buildSubmissionWarnings(comparison) {
+        const warnings = [];
+        const expectedHours = Number(comparison.expectedHours ?? comparison.referenceHours);
+        const actualHours = Number(comparison.actualHours);
+
+        if (expectedHours > 0 && actualHours < expectedHours) {
+            warnings.push(`Las horas registradas (${actualHours}h) están por debajo de las horas esperadas del período (${expectedHours}h)`);
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Verificar si un usuario puede ver la hoja de tiempo de otro usuario
+     * @param {Object} user
+     * @param {Object} owner - Usuario dueño de la hoja
+     * @returns {boolean}
+     */
+    canUserViewTimesheet(user, owner) {
+        if (user.role === USER_ROLES.ADMINISTRADOR) {
+            return true;
+        }
+
+        if (user.role === USER_ROLES.COORDINADOR && user.areaId && user.areaId === owner.areaId) {
+            return true;
+        }
+
+        return user.userId === owner.id;
+    }
+
+    /**
+     * Verificar si un usuario puede aprobar o devolver una hoja de tiempo
+     * @param {Object} user
+     * @param {Object} timesheet
+     * @returns {boolean}
+     */
+    canUserReviewTimesheet(user, timesheet) {
+        if (user.role === USER_ROLES.ADMINISTRADOR) {
+            return true;
+        }
+
+        // Coordinadores revisan hojas de su área, excepto la propia
+        if (user.role === USER_ROLES.COORDINADOR) {
+            return user.areaId === timesheet.user?.areaId && user.userId !== timesheet.userId;
+        }
+
+        return false;
+    }
+}
+
+module.exports = TimesheetService;
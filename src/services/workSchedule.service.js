@@ -0,0 +1,285 @@
+const WorkScheduleRepository = require('../repositories/workSchedule.repository');
+const UserRepository = require('../repositories/user.repository');
+const AbsenceRepository = require('../repositories/absence.repository');
+const HolidayService = require('./holiday.service');
+const SystemConfigService = require('./systemConfig.service');
+const { USER_ROLES, ERROR_MESSAGES, WORK_SCHEDULE_DAY_FIELDS } = require('../utils/constants');
+const { toDateKey, buildDateKeys } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para las jornadas laborales y la capacidad esperada de cada usuario
+ * Un usuario sin jornadas registradas conserva las horas de referencia del período; con jornadas,
+ * las fechas fuera de su vigencia (antes de su ingreso o después de su salida) no suman horas.
+ * Los días de ausencia aprobada no suman horas en ningún caso.
+ */
+class WorkScheduleService {
+    constructor() {
+        this.workScheduleRepository = new WorkScheduleRepository();
+        this.userRepository = new UserRepository();
+        this.absenceRepository = new AbsenceRepository();
+        this.holidayService = new HolidayService();
+        this.systemConfigService = new SystemConfigService();
+    }
+
+    /**
+     * Listar jornadas visibles para el usuario
+     * @param {Object} filters - userId, areaId, activeOn
+     * @param {Object} requestingUser
+     * @returns {Promise<Array>}
+     */
+    async getSchedules(filters, requestingUser) {
+        try {
+            const scopedFilters = { ...filters };
+
+            if (requestingUser.role === USER_ROLES.COORDINADOR) {
+                scopedFilters.areaId = requestingUser.areaId;
+            } else if (requestingUser.role === USER_ROLES.COLABORADOR) {
+                scopedFilters.userId = requestingUser.userId;
+            }
+
+            return await this.workScheduleRepository.findMany(scopedFilters);
+        } catch (error) {
+            logger.error('Error al obtener jornadas laborales:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Registrar la jornada de un usuario
+     * @param {Object} scheduleData
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async createSchedule(scheduleData, requestingUser) {
+        try {
+            await this.getManageableUser(scheduleData.userId, requestingUser);
+
+            const data = {
+                ...scheduleData,
+                effectiveFrom: toDateKey(scheduleData.effectiveFrom),
+                effectiveTo: scheduleData.effectiveTo ? toDateKey(scheduleData.effectiveTo) : null,
+            };
+            await this.checkOverlap(data.userId, data.effectiveFrom, data.effectiveTo);
+
+            const schedule = await this.workScheduleRepository.create({
+                ...data,
+                createdBy: requestingUser.userId,
+            });
+
+            logger.info(`Jornada laboral registrada para ${data.userId} desde ${data.effectiveFrom} por ${requestingUser.email}`);
+
+            return schedule;
+        } catch (error) {
+            logger.error('Error al registrar jornada laboral:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualizar jornada
+     * @param {string} scheduleId
+     * @param {Object} updateData
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async updateSchedule(scheduleId, updateData, requestingUser) {
+        try {
+            const schedule = await this.workScheduleRepository.findById(scheduleId);
+            if (!schedule) {
+                throw new Error(ERROR_MESSAGES.WORK_SCHEDULE_NOT_FOUND);
+            }
+            await this.getManageableUser(schedule.userId, requestingUser);
+
+            const data = { ...updateData };
+            if (data.effectiveFrom) {
+                data.effectiveFrom = toDateKey(data.effectiveFrom);
+            }
+            if (data.effectiveTo) {
+                data.effectiveTo = toDateKey(data.effectiveTo);
+            }
+
+            const effectiveFrom = data.effectiveFrom || toDateKey(schedule.effectiveFrom);
+            const effectiveTo = data.effectiveTo !== undefined
+                ? data.effectiveTo
+                : schedule.effectiveTo && toDateKey(schedule.effectiveTo);
+
+            if (effectiveTo && effectiveTo < effectiveFrom) {
+                throw new Error('La fecha de fin de vigencia debe ser posterior a la de inicio');
+            }
+            await this.checkOverlap(schedule.userId, effectiveFrom, effectiveTo, scheduleId);
+
+            return await this.workScheduleRepository.update(scheduleId, data);
+        } catch (error) {
+            logger.error('Error al actualizar jornada laboral:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Eliminar jornada
+     * @param {string} scheduleId
+     * @param {Object} requestingUser
+     * @returns {Promise<void>}
+     */
+    async deleteSchedule(scheduleId, requestingUser) {
+        try {
+            const schedule = await this.workScheduleRepository.findById(scheduleId);
+            if (!schedule) {
+                throw new Error(ERROR_MESSAGES.WORK_SCHEDULE_NOT_FOUND);
+            }
+            await this.getManageableUser(schedule.userId, requestingUser);
+
+            await this.workScheduleRepository.delete(scheduleId);
+
+            logger.info(`Jornada laboral ${scheduleId} eliminada por ${requestingUser.email}`);
+        } catch (error) {
+            logger.error('Error al eliminar jornada laboral:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Horas esperadas de cada usuario en un período según su jornada, los feriados de su área
+     * y sus ausencias aprobadas
+     * @param {Array<Object>} users - Con id y areaId
+     * @param {Object} period - Con startDate, endDate y referenceHours
+     * @returns {Promise<Map<string, number>>} userId -> horas esperadas
+     */
+    async getExpectedHoursByUser(users, period) {
+        const referenceHours = Number(period.referenceHours || 0);
+        const expectedHours = new Map(users.map(user => [user.id, referenceHours]));
+        if (users.length === 0) {
+            return expectedHours;
+        }
+
+        const userIds = users.map(user => user.id);
+        const [schedules, absences] = await Promise.all([
+            this.workScheduleRepository.findByUsers(userIds),
+            this.absenceRepository.findApprovedForUsers(userIds, period.startDate, period.endDate),
+        ]);
+        if (schedules.length === 0 && absences.length === 0) {
+            return expectedHours;
+        }
+
+        const dates = buildDateKeys(period.startDate, period.endDate);
+        const hoursPerDay = absences.length > 0 ? await this.systemConfigService.getWorkingHoursPerDay() : 0;
+        const holidaysByArea = new Map();
+
+        for (const user of users) {
+            const userSchedules = schedules.filter(schedule => schedule.userId === user.id);
+            const absentDates = new Set(absences
+                .filter(absence => absence.userId === user.id)
+                .flatMap(absence => buildDateKeys(absence.startDate, absence.endDate)));
+            if (userSchedules.length === 0 && absentDates.size === 0) {
+                continue;
+            }
+
+            const areaKey = user.areaId || null;
+            if (!holidaysByArea.has(areaKey)) {
+                holidaysByArea.set(areaKey, await this.holidayService.getHolidayDates(period.startDate, period.endDate, areaKey));
+            }
+            const holidays = holidaysByArea.get(areaKey);
+
+            if (userSchedules.length > 0) {
+                const workedDates = dates.filter(date => !absentDates.has(date));
+                expectedHours.set(user.id, this.calculateScheduledHours(userSchedules, workedDates, holidays));
+                continue;
+            }
+
+            // Sin jornada: se descuenta una jornada estándar por cada día hábil de ausencia
+            const absentWorkingDays = dates.filter(date =>
+                absentDates.has(date) && this.holidayService.isWorkingWeekday(date) && !holidays.has(date)).length;
+            expectedHours.set(user.id, Math.max(0, referenceHours - absentWorkingDays * hoursPerDay));
+        }
+
+        return expectedHours;
+    }
+
+    /**
+     * Horas esperadas en un período de un usuario o, sin usuario, de todos los usuarios activos que registran tiempo
+     * @param {Object} period
+     * @param {string|null} userId
+     * @returns {Promise<Map<string, number>>} userId -> horas esperadas
+     */
+    async getExpectedHoursForPeriod(period, userId = null) {
+        const users = userId
+            ? [await this.userRepository.findById(userId)].filter(Boolean)
+            : await this.userRepository.findActiveTimeTrackers();
+
+        return await this.getExpectedHoursByUser(users, period);
+    }
+
+    /**
+     * Sumar las horas contratadas de las fechas, sin contar feriados ni días fuera de vigencia
+     * @param {Array<Object>} schedules - Jornadas de un usuario
+     * @param {Array<string>} dates - YYYY-MM-DD
+     * @param {Map<string, string>} holidays - Feriados que aplican al usuario
+     * @returns {number}
+     */
+    calculateScheduledHours(schedules, dates, holidays) {
+        return dates.reduce((total, date) => {
+            if (holidays.has(date)) {
+                return total;
+            }
+
+            const schedule = schedules.find(candidate => this.isEffectiveOn(candidate, date));
+            if (!schedule) {
+                return total;
+            }
+
+            const dayField = WORK_SCHEDULE_DAY_FIELDS[new Date(`${date}T00:00:00.000Z`).getUTCDay()];
+            return total + Number(schedule[dayField] || 0);
+        }, 0);
+    }
+
+    /**
+     * @param {Object} schedule
+     * @param {string} date - YYYY-MM-DD
+     * @returns {boolean}
+     */
+    isEffectiveOn(schedule, date) {
+        return toDateKey(schedule.effectiveFrom) <= date
+            && (!schedule.effectiveTo || toDateKey(schedule.effectiveTo) >= date);
+    }
+
+    /**
+     * Verificar que la vigencia no se cruce con otra jornada del usuario
+     * @param {string} userId
+     * @param {string} effectiveFrom
+     * @param {string|null} effectiveTo
+     * @param {string|null} excludeId
+     * @returns {Promise<void>}
+     */
+    async checkOverlap(userId, effectiveFrom, effectiveTo, excludeId = null) {
+        const overlapping = await this.workScheduleRepository.findOverlapping(userId, effectiveFrom, effectiveTo, excludeId);
+        if (overlapping.length > 0) {
+            throw new Error(ERROR_MESSAGES.WORK_SCHEDULE_OVERLAP);
+        }
+    }
+
+    /**
+     * Obtener el usuario cuya jornada se gestiona; los coordinadores solo gestionan su área
+     * @param {string} userId
+     * @param {Object} requestingUser
+     * @returns {Promise<Object>}
+     */
+    async getManageableUser(userId, requestingUser) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+        }
+
+        if (requestingUser.role === USER_ROLES.ADMINISTRADOR) {
+            return user;
+        }
+
+        if (requestingUser.role === USER_ROLES.COORDINADOR && requestingUser.areaId && user.areaId === requestingUser.areaId) {
+            return user;
+        }
+
+        throw new Error(ERROR_MESSAGES.FORBIDDEN);
+    }
+}
+
+module.exports = WorkScheduleService;
@@ -33,6 +33,154 @@ const TASK_STATUS = {
     DONE: 'DONE',
 };
 
+// Estados de aprobación de registros de tiempo
+const APPROVAL_STATUS = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+};
+
+// Alertas del costo de un proyecto contra el monto de su contrato
+const PROJECT_COST_ALERT = {
+    COST_THRESHOLD: 'COST_THRESHOLD',
+    PROJECTED_COST_THRESHOLD: 'PROJECTED_COST_THRESHOLD',
+};
+
+// Estados de la hoja de tiempo semanal
+const TIMESHEET_STATUS = {
+    DRAFT: 'DRAFT',
+    SUBMITTED: 'SUBMITTED',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+};
+
+// Tipos de ausencia
+const ABSENCE_TYPE = {
+    VACATION: 'VACATION',
+    SICK_LEAVE: 'SICK_LEAVE',
+    TRAINING: 'TRAINING',
+    PERMIT: 'PERMIT',
+};
+
+const ABSENCE_TYPE_LABELS = {
+    VACATION: 'Vacaciones',
+    SICK_LEAVE: 'Incapacidad',
+    TRAINING: 'Capacitación',
+    PERMIT: 'Permiso',
+};
+
+// Estados de las solicitudes de ausencia
+const ABSENCE_STATUS = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    CANCELLED: 'CANCELLED',
+};
+
+// Estados de las solicitudes de desbloqueo de fechas fuera de la ventana de captura
+const TIME_ENTRY_UNLOCK_STATUS = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    CANCELLED: 'CANCELLED',
+};
+
+// Estados del cronómetro de captura
+const TIMER_STATUS = {
+    RUNNING: 'RUNNING',
+    PAUSED: 'PAUSED',
+    STOPPED: 'STOPPED',
+    FLAGGED: 'FLAGGED',
+    DISCARDED: 'DISCARDED',
+};
+
+// Estados y origen de las ejecuciones de tareas programadas
+const JOB_RUN_STATUS = {
+    RUNNING: 'RUNNING',
+    SUCCESS: 'SUCCESS',
+    FAILED: 'FAILED',
+};
+
+const JOB_RUN_TRIGGER = {
+    SCHEDULED: 'SCHEDULED',
+    MANUAL: 'MANUAL',
+};
+
+// Tipos de correo registrados en la bitácora
+const EMAIL_TYPES = {
+    TIMESHEET_REMINDER: 'TIMESHEET_REMINDER',
+    APPROVAL_REMINDER: 'APPROVAL_REMINDER',
+};
+
+// Estados de envío de correo
+const EMAIL_STATUS = {
+    SENT: 'SENT',
+    FAILED: 'FAILED',
+};
+
+// Política ante registros de tiempo en días inhábiles (fines de semana y feriados)
+const NON_WORKING_DAY_POLICY = {
+    ALLOW: 'ALLOW',
+    WARN: 'WARN',
+    BLOCK: 'BLOCK',
+};
+
+// Tipos de período de tiempo; los quincenales van del 1 al 15 y del 16 al fin de mes
+const TIME_PERIOD_TYPE = {
+    WEEKLY: 'weekly',
+    BIWEEKLY: 'biweekly',
+    MONTHLY: 'monthly',
+};
+
+// Mes al que pertenece una semana que cruza el cambio de mes al generar períodos semanales
+const WEEK_MONTH_RULE = {
+    START: 'START', // Mes en que inicia la semana
+    END: 'END', // Mes en que termina
+    MAJORITY: 'MAJORITY', // Mes con más días de la semana (el del jueves)
+    SPLIT: 'SPLIT', // Se divide en un período por mes
+};
+
+// Calendario fiscal: meses naturales desde el mes de inicio, o trimestres de 4, 4 y 5 semanas
+const FISCAL_CALENDAR_TYPE = {
+    CALENDAR: 'calendar',
+    WEEKS_445: '4-4-5',
+};
+
+// Agrupación de las columnas del reporte de utilización; mes y año son fiscales
+const UTILIZATION_GROUP_BY = {
+    PERIOD: 'period',
+    MONTH: 'month',
+    YEAR: 'year',
+};
+
+// Alcance del que proviene el valor efectivo de una configuración, de lo más específico a lo global
+const CONFIG_SCOPE = {
+    AREA_ROLE: 'AREA_ROLE',
+    AREA: 'AREA',
+    ROLE: 'ROLE',
+    GLOBAL: 'GLOBAL',
+};
+
+// Acciones registradas en la bitácora de registros de tiempo
+const TIME_ENTRY_HISTORY_ACTION = {
+    CREATE: 'CREATE',
+    UPDATE: 'UPDATE',
+    DELETE: 'DELETE',
+};
+
+// Reglas que marcan un registro de tiempo como horas extra
+const OVERTIME_RULE = {
+    DAILY: 'DAILY',
+    WEEKLY: 'WEEKLY',
+    NON_WORKING_DAY: 'NON_WORKING_DAY',
+};
+
+const OVERTIME_RULE_LABELS = {
+    DAILY: 'excede las horas diarias',
+    WEEKLY: 'excede las horas esperadas de la semana',
+    NON_WORKING_DAY: 'día inhábil',
+};
+
 // Límites de la aplicación
 const LIMITS = {
     MAX_HOURS_PER_DAY: 24,
@@ -41,6 +189,7 @@ const LIMITS = {
     MAX_NAME_LENGTH: 200,
     PAGE_SIZE_DEFAULT: 10,
     PAGE_SIZE_MAX: 100,
+    TIMER_MAX_HOURS: 12, // Un cronómetro que excede este tiempo se marca para revisión
 };
 
 // Mensajes de error comunes
@@ -60,7 +209,43 @@ const ERROR_MESSAGES = {
     ALREADY_ASSIGNED: 'El usuario ya está asignado a este proyecto',
     NOT_ASSIGNED: 'El usuario no está asignado a este proyecto',
     PERIOD_NOT_ACTIVE: 'El período de tiempo no está activo para captura',
+    PERIOD_CLOSED: 'El período de tiempo está cerrado; no se pueden registrar, modificar ni eliminar horas',
+    PERIOD_ALREADY_CLOSED: 'El período de tiempo ya está cerrado',
+    PERIOD_NOT_CLOSED: 'El período de tiempo no está cerrado',
     CANNOT_MODIFY_APPROVED: 'No se puede modificar un registro ya aprobado',
+    ALREADY_APPROVED: 'El registro de tiempo ya está aprobado',
+    CANNOT_REVIEW_OWN_ENTRY: 'No puedes aprobar o rechazar tus propios registros de tiempo',
+    REJECTION_REASON_REQUIRED: 'Debe indicar el motivo del rechazo',
+    TIMESHEET_LOCKED: 'La hoja de tiempo del período ya fue enviada o aprobada; no se pueden modificar sus registros',
+    TIMESHEET_NOT_FOUND: 'Hoja de tiempo no encontrada',
+    TIMER_ALREADY_ACTIVE: 'Ya tienes un cronómetro activo; detenlo antes de iniciar otro',
+    TIMER_NOT_FOUND: 'Cronómetro no encontrado',
+    TIMER_NOT_RUNNING: 'El cronómetro no está en ejecución',
+    TIMER_NOT_PAUSED: 'El cronómetro no está en pausa',
+    TIMER_NOT_ACTIVE: 'El cronómetro ya fue detenido',
+    TIMER_NOT_FLAGGED: 'El cronómetro no está pendiente de revisión',
+    TEMPLATE_NOT_FOUND: 'Plantilla de registro no encontrada',
+    TIMESHEET_ALREADY_SUBMITTED: 'La hoja de tiempo de este período ya fue enviada',
+    TIMESHEET_NOT_SUBMITTED: 'La hoja de tiempo no está pendiente de revisión',
+    TIMESHEET_EMPTY: 'No se puede enviar una hoja de tiempo sin horas registradas',
+    HOLIDAY_NOT_FOUND: 'Día feriado no encontrado',
+    HOLIDAY_ALREADY_EXISTS: 'Ya existe un día feriado registrado para esa fecha y área',
+    WORK_SCHEDULE_NOT_FOUND: 'Jornada laboral no encontrada',
+    WORK_SCHEDULE_OVERLAP: 'El usuario ya tiene una jornada laboral vigente en esas fechas',
+    ABSENCE_NOT_FOUND: 'Ausencia no encontrada',
+    ABSENCE_OVERLAP: 'Ya existe una ausencia pendiente o aprobada en esas fechas',
+    ABSENCE_NOT_PENDING: 'La solicitud de ausencia no está pendiente de revisión',
+    ABSENCE_DAY: 'No se puede registrar tiempo en un día de ausencia aprobada',
+    OVERTIME_AUTHORIZATION_REQUIRED: 'El registro contiene horas extra; debe autorizarlas explícitamente para aprobarlo',
+    BILLING_RATE_NOT_FOUND: 'Tarifa no encontrada',
+    BILLING_RATE_OVERLAP: 'Ya existe una tarifa vigente en esas fechas para el mismo usuario o rol',
+    TIME_ENTRY_UNLOCK_NOT_FOUND: 'Solicitud de desbloqueo no encontrada',
+    TIME_ENTRY_UNLOCK_OVERLAP: 'Ya existe una solicitud de desbloqueo pendiente o vigente en esas fechas',
+    TIME_ENTRY_UNLOCK_NOT_PENDING: 'La solicitud de desbloqueo no está pendiente de revisión',
+    CONFIG_OVERRIDE_SCOPE_REQUIRED: 'Debe indicar un área, un rol o ambos para el valor específico',
+    CONFIG_KEY_UNKNOWN: 'Clave de configuración desconocida',
+    JOB_NOT_FOUND: 'Tarea programada no encontrada',
+    JOB_ALREADY_RUNNING: 'La tarea programada ya se está ejecutando',
 };
 
 // Mensajes de éxito
@@ -76,6 +261,9 @@ const SUCCESS_MESSAGES = {
     ASSIGNMENT_REMOVED: 'Asignación removida exitosamente',
     TIME_ENTRY_APPROVED: 'Registro de horas aprobado exitosamente',
     TIME_ENTRY_REJECTED: 'Registro de horas rechazado exitosamente',
+    TIMESHEET_SUBMITTED: 'Hoja de tiempo enviada exitosamente',
+    TIMESHEET_APPROVED: 'Hoja de tiempo aprobada exitosamente',
+    TIMESHEET_RETURNED: 'Hoja de tiempo devuelta con comentarios',
 };
 
 // Configuración de paginación
@@ -93,6 +281,20 @@ const DATE_FORMATS = {
     DISPLAY_DATETIME: 'DD/MM/YYYY HH:mm',
 };
 
+// Días laborables de la semana (0 = domingo, 6 = sábado)
+const WORKING_WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Campos de horas de la jornada laboral por día de la semana (índice = getUTCDay)
+const WORK_SCHEDULE_DAY_FIELDS = [
+    'sundayHours',
+    'mondayHours',
+    'tuesdayHours',
+    'wednesdayHours',
+    'thursdayHours',
+    'fridayHours',
+    'saturdayHours',
+];
+
 // Tareas estándar para proyectos
 const STANDARD_PROJECT_TASKS = [
     'Inicio',
@@ -120,11 +322,34 @@ module.exports = {
     PROJECT_STATUS,
     PRIORITY,
     TASK_STATUS,
+    APPROVAL_STATUS,
+    PROJECT_COST_ALERT,
+    TIMESHEET_STATUS,
+    ABSENCE_TYPE,
+    ABSENCE_TYPE_LABELS,
+    ABSENCE_STATUS,
+    TIME_ENTRY_UNLOCK_STATUS,
+    TIMER_STATUS,
+    JOB_RUN_STATUS,
+    JOB_RUN_TRIGGER,
+    EMAIL_TYPES,
+    EMAIL_STATUS,
+    NON_WORKING_DAY_POLICY,
+    CONFIG_SCOPE,
+    TIME_PERIOD_TYPE,
+    WEEK_MONTH_RULE,
+    FISCAL_CALENDAR_TYPE,
+    UTILIZATION_GROUP_BY,
+    TIME_ENTRY_HISTORY_ACTION,
+    OVERTIME_RULE,
+    OVERTIME_RULE_LABELS,
     LIMITS,
     ERROR_MESSAGES,
     SUCCESS_MESSAGES,
     PAGINATION,
     DATE_FORMATS,
+    WORKING_WEEKDAYS,
+    WORK_SCHEDULE_DAY_FIELDS,
     STANDARD_PROJECT_TASKS,
     GENERAL_PROJECT_TASKS,
     GENERAL_PROJECT_PREFIX,
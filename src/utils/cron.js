@@ -0,0 +1,153 @@
+/**
+ * Expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana) en hora local
+ * Cada campo admite *, valores, rangos (a-b), listas (a,b) y pasos (asterisco/n o a-b/n); en el día
+ * de la semana 0 y 7 son domingo. Si se restringen el día del mes y el de la semana basta con que
+ * coincida uno de los dos, como en crontab.
+ */
+
+const FIELDS = [
+    { name: 'minuto', min: 0, max: 59 },
+    { name: 'hora', min: 0, max: 23 },
+    { name: 'día del mes', min: 1, max: 31 },
+    { name: 'mes', min: 1, max: 12 },
+    { name: 'día de la semana', min: 0, max: 7 },
+];
+
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Convertir un campo en el conjunto de valores que admite
+ * @param {string} value
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>}
+ */
+function parseField(value, field) {
+    const values = new Set();
+
+    value.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let start;
+        let end;
+
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(Number);
+        } else {
+            start = Number(range);
+            // "5/15" equivale a "5-max/15"
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (![start, end, step].every(Number.isInteger) || step < 1 || start < field.min || end > field.max || start > end) {
+            throw new Error(`Valor inválido "${part}" para el ${field.name} de la expresión cron`);
+        }
+
+        for (let current = start; current <= end; current += step) {
+            values.add(current);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Analizar una expresión cron
+ * @param {string} expression
+ * @returns {Object} - { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ */
+function parseCronExpression(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`La expresión cron "${expression}" debe tener 5 campos`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    // Domingo puede escribirse como 0 o 7
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: parts[2].startsWith('*'),
+        anyDayOfWeek: parts[4].startsWith('*'),
+    };
+}
+
+/**
+ * Verificar si el día de una fecha coincide con la expresión
+ * @param {Object} cron - Resultado de parseCronExpression
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+        return false;
+    }
+
+    const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+    const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Verificar si un minuto coincide con la expresión
+ * @param {string|Object} expression - Expresión o resultado de parseCronExpression
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesCron(expression, date) {
+    const cron = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+    return matchesDay(cron, date) && cron.hours.has(date.getHours()) && cron.minutes.has(date.getMinutes());
+}
+
+/**
+ * Calcular el siguiente minuto posterior a una fecha que coincide con la expresión
+ * @param {string|Object} expression - Expresión o resultado de parseCronExpression
+ * @param {Date} from
+ * @returns {Date|null} - null si no hay coincidencias en los próximos 5 años (p. ej. 31 de febrero)
+ */
+function getNextCronDate(expression, from = new Date()) {
+    const cron = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = date.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    // Avanzar por día, hora y minuto saltando los que no coinciden
+    while (date.getTime() <= limit) {
+        if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCronExpression,
+    matchesCron,
+    getNextCronDate,
+};
@@ -192,6 +192,46 @@ function getWorkDaysBetween(startDate, endDate) {
     return workDays;
 }
 
+/**
+ * Obtiene la fecha (YYYY-MM-DD) del n-ésimo día de la semana de un mes
+ * @param {number} year - Año
+ * @param {number} month - Mes (1-12)
+ * @param {number} weekday - Día de la semana (0 = domingo)
+ * @param {number} n - Ocurrencia (1 = primero)
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function getNthWeekdayOfMonth(year, month, weekday, n) {
+    const firstDay = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    const day = 1 + ((weekday - firstDay + 7) % 7) + (n - 1) * 7;
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Obtiene los días de descanso obligatorio de México (Ley Federal del Trabajo, art. 74)
+ * @param {number} year - Año
+ * @returns {Array} Array de { date: 'YYYY-MM-DD', name }
+ */
+function getMexicanNationalHolidays(year) {
+    const fixed = (month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+    const holidays = [
+        { date: fixed(1, 1), name: 'Año Nuevo' },
+        { date: getNthWeekdayOfMonth(year, 2, 1, 1), name: 'Día de la Constitución' },
+        { date: getNthWeekdayOfMonth(year, 3, 1, 3), name: 'Natalicio de Benito Juárez' },
+        { date: fixed(5, 1), name: 'Día del Trabajo' },
+        { date: fixed(9, 16), name: 'Día de la Independencia' },
+        { date: getNthWeekdayOfMonth(year, 11, 1, 3), name: 'Día de la Revolución' },
+        { date: fixed(12, 25), name: 'Navidad' },
+    ];
+
+    // Transmisión del Poder Ejecutivo Federal, cada seis años a partir de 2024
+    if (year >= 2024 && (year - 2024) % 6 === 0) {
+        holidays.push({ date: fixed(10, 1), name: 'Transmisión del Poder Ejecutivo Federal' });
+    }
+
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
 /**
  * Convertir una fecha string (YYYY-MM-DD) a Date en timezone de México
  * @param {string} dateString - Fecha en formato YYYY-MM-DD
@@ -314,6 +354,46 @@ function formatDateOnly(date) {
     return `${year}-${month}-${day}`;
 }
 
+/**
+ * Normalizar una fecha a YYYY-MM-DD (UTC, como se almacena en base de datos)
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+    return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+        ? date
+        : new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Fechas YYYY-MM-DD entre dos fechas, inclusive
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @returns {Array<string>}
+ */
+function buildDateKeys(startDate, endDate) {
+    const dates = [];
+    const current = new Date(`${toDateKey(startDate)}T00:00:00.000Z`);
+    const end = new Date(`${toDateKey(endDate)}T00:00:00.000Z`);
+
+    while (current <= end) {
+        dates.push(current.toISOString().split('T')[0]);
+        current.setUTCDate(current.getUTCDate() + 1);
+    }
+
+    return dates;
+}
+
+/**
+ * Días transcurridos entre dos fechas YYYY-MM-DD
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {number}
+ */
+function daysBetween(startDate, endDate) {
+    return Math.round((new Date(`${endDate}T00:00:00.000Z`) - new Date(`${startDate}T00:00:00.000Z`)) / (24 * 60 * 60 * 1000));
+}
+
 module.exports = {
     MEXICO_TIMEZONE,
     getTimePeriodForDate,
@@ -328,6 +408,8 @@ module.exports = {
     getDaysDifference,
     isWeekend,
     getWorkDaysBetween,
+    getNthWeekdayOfMonth,
+    getMexicanNationalHolidays,
     // Nuevas funciones de timezone
     parseToMexicoTimezone,
     formatFromMexicoTimezone,
@@ -337,4 +419,8 @@ module.exports = {
     // Nuevas funciones para fechas simples
     parseDateOnly,
     formatDateOnly,
+    // Claves de fecha YYYY-MM-DD en UTC
+    toDateKey,
+    buildDateKeys,
+    daysBetween,
 };
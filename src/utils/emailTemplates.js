@@ -0,0 +1,96 @@
+const config = require('../config');
+
+/**
+ * Plantillas de correo (en español) para recordatorios y notificaciones
+ * Cada plantilla devuelve { subject, html, text }
+ */
+
+/**
+ * Escapar texto para insertarlo en HTML
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * @param {Date|string} date
+ * @returns {string} DD/MM/YYYY
+ */
+const formatDate = (date) => {
+    const [year, month, day] = new Date(date).toISOString().split('T')[0].split('-');
+    return `${day}/${month}/${year}`;
+};
+
+/**
+ * Estructura común de los correos
+ * @param {string} title
+ * @param {Array<string>} paragraphs - HTML ya escapado
+ * @returns {string}
+ */
+const layout = (title, paragraphs) => `<!DOCTYPE html>
+<html lang="es">
+<body style="font-family: Arial, sans-serif; color: #1f2937;">
+    <h2 style="color: #2563EB;">${escapeHtml(title)}</h2>
+    ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(config.FRONTEND_URL)}">Abrir TeamTime</a></p>
+    <p style="font-size: 12px; color: #6b7280;">Puedes desactivar estos recordatorios desde tu perfil en TeamTime.</p>
+</body>
+</html>`;
+
+/**
+ * Recordatorio para completar la hoja de tiempo del período
+ * @param {Object} data - { firstName, period, loggedHours, expectedHours }
+ * @returns {Object}
+ */
+const timesheetReminder = ({ firstName, period, loggedHours, expectedHours }) => {
+    const range = `${formatDate(period.startDate)} al ${formatDate(period.endDate)}`;
+    const missingHours = Math.round((expectedHours - loggedHours) * 100) / 100;
+
+    return {
+        subject: `Recordatorio: completa tu hoja de tiempo del ${range}`,
+        html: layout('Completa tu hoja de tiempo', [
+            `Hola ${escapeHtml(firstName)},`,
+            `El período del <strong>${range}</strong> está por terminar y llevas <strong>${loggedHours}h</strong> registradas de <strong>${expectedHours}h</strong> esperadas (faltan ${missingHours}h).`,
+            'Por favor registra tus horas y envía tu hoja de tiempo antes del cierre del período.',
+        ]),
+        text: [
+            `Hola ${firstName},`,
+            `El período del ${range} está por terminar y llevas ${loggedHours}h registradas de ${expectedHours}h esperadas (faltan ${missingHours}h).`,
+            'Por favor registra tus horas y envía tu hoja de tiempo antes del cierre del período.',
+            `Abrir TeamTime: ${config.FRONTEND_URL}`,
+        ].join('\n\n'),
+    };
+};
+
+/**
+ * Recordatorio para coordinadores con registros pendientes de aprobación
+ * @param {Object} data - { firstName, pendingCount, userCount, oldestDate }
+ * @returns {Object}
+ */
+const approvalReminder = ({ firstName, pendingCount, userCount, oldestDate }) => {
+    const summary = `${pendingCount} registro${pendingCount === 1 ? '' : 's'} de tiempo de ${userCount} colaborador${userCount === 1 ? '' : 'es'}`;
+
+    return {
+        subject: `Tienes ${pendingCount} registro${pendingCount === 1 ? '' : 's'} de tiempo pendiente${pendingCount === 1 ? '' : 's'} de aprobación`,
+        html: layout('Registros pendientes de aprobación', [
+            `Hola ${escapeHtml(firstName)},`,
+            `Hay <strong>${summary}</strong> en tu área esperando revisión. El más antiguo es del ${formatDate(oldestDate)}.`,
+            'Por favor revísalos para que las hojas de tiempo puedan cerrarse a tiempo.',
+        ]),
+        text: [
+            `Hola ${firstName},`,
+            `Hay ${summary} en tu área esperando revisión. El más antiguo es del ${formatDate(oldestDate)}.`,
+            'Por favor revísalos para que las hojas de tiempo puedan cerrarse a tiempo.',
+            `Abrir TeamTime: ${config.FRONTEND_URL}`,
+        ].join('\n\n'),
+    };
+};
+
+module.exports = {
+    timesheetReminder,
+    approvalReminder,
+};
@@ -0,0 +1,114 @@
+const Joi = require('joi');
+const { ABSENCE_TYPE, ABSENCE_STATUS } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para las ausencias
+ */
+
+const typeField = Joi.string()
+    .valid(...Object.values(ABSENCE_TYPE))
+    .messages({
+        'any.only': `El tipo de ausencia debe ser uno de: ${Object.values(ABSENCE_TYPE).join(', ')}`,
+        'any.required': 'El tipo de ausencia es requerido',
+    });
+
+const dateField = Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+        'string.pattern.base': 'La fecha debe estar en formato YYYY-MM-DD',
+    });
+
+// Esquema para filtros de ausencias
+const absenceFiltersSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+
+    status: Joi.string()
+        .valid(...Object.values(ABSENCE_STATUS))
+        .messages({
+            'any.only': `El estado debe ser uno de: ${Object.values(ABSENCE_STATUS).join(', ')}`,
+        }),
+
+    type: typeField,
+
+    startDate: dateField,
+
+    endDate: dateField,
+});
+
+// Esquema para solicitar una ausencia (userId solo para registrarla a otro usuario)
+const requestAbsenceSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    type: typeField.required(),
+
+    startDate: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'La fecha de inicio debe ser una fecha válida',
+            'date.format': 'La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)',
+            'any.required': 'La fecha de inicio es requerida',
+        }),
+
+    endDate: Joi.date()
+        .iso()
+        .min(Joi.ref('startDate'))
+        .required()
+        .messages({
+            'date.base': 'La fecha de fin debe ser una fecha válida',
+            'date.format': 'La fecha de fin debe estar en formato ISO (YYYY-MM-DD)',
+            'date.min': 'La fecha de fin debe ser posterior a la fecha de inicio',
+            'any.required': 'La fecha de fin es requerida',
+        }),
+
+    reason: Joi.string()
+        .max(500)
+        .allow('', null)
+        .messages({
+            'string.max': 'El motivo no puede tener más de 500 caracteres',
+        }),
+});
+
+// Esquema para revisión de una solicitud de ausencia
+const reviewAbsenceSchema = Joi.object({
+    isApproved: Joi.boolean()
+        .required()
+        .messages({
+            'boolean.base': 'El estado de aprobación debe ser verdadero o falso',
+            'any.required': 'El estado de aprobación es requerido',
+        }),
+
+    comments: Joi.string()
+        .max(1000)
+        .trim()
+        .when('isApproved', {
+            is: false,
+            then: Joi.required(),
+            otherwise: Joi.allow(''),
+        })
+        .messages({
+            'string.max': 'Los comentarios no pueden tener más de 1000 caracteres',
+            'string.empty': 'Debe indicar el motivo del rechazo',
+            'any.required': 'Debe indicar el motivo del rechazo',
+        }),
+});
+
+module.exports = {
+    absenceFiltersSchema,
+    requestAbsenceSchema,
+    reviewAbsenceSchema,
+};
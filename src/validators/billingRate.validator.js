@@ -0,0 +1,121 @@
+const Joi = require('joi');
+const { USER_ROLES } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para las tarifas por hora
+ */
+
+const rateField = Joi.number()
+    .min(0)
+    .precision(2)
+    .max(99999999.99)
+    .messages({
+        'number.base': 'La tarifa debe ser un número',
+        'number.min': 'La tarifa no puede ser negativa',
+        'number.precision': 'La tarifa puede tener máximo 2 decimales',
+        'number.max': 'La tarifa no puede ser mayor a 99999999.99',
+    });
+
+const notesField = Joi.string()
+    .max(500)
+    .allow('', null)
+    .messages({
+        'string.max': 'Las notas no pueden tener más de 500 caracteres',
+    });
+
+const roleField = Joi.string()
+    .valid(...Object.values(USER_ROLES))
+    .messages({
+        'any.only': `El rol debe ser ${Object.values(USER_ROLES).join(', ')}`,
+    });
+
+// Esquema para filtros de tarifas
+const billingRateFiltersSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    role: roleField,
+
+    activeOn: Joi.string()
+        .pattern(/^\d{4}-\d{2}-\d{2}$/)
+        .messages({
+            'string.pattern.base': 'La fecha debe estar en formato YYYY-MM-DD',
+        }),
+});
+
+// Esquema para registrar una tarifa de un usuario o de un rol
+const createBillingRateSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    role: roleField,
+
+    costRate: rateField.required().messages({
+        'any.required': 'La tarifa de costo es requerida',
+    }),
+
+    billRate: rateField.required().messages({
+        'any.required': 'La tarifa de venta es requerida',
+    }),
+
+    effectiveFrom: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'La fecha de inicio de vigencia debe ser una fecha válida',
+            'date.format': 'La fecha de inicio de vigencia debe estar en formato ISO (YYYY-MM-DD)',
+            'any.required': 'La fecha de inicio de vigencia es requerida',
+        }),
+
+    effectiveTo: Joi.date()
+        .iso()
+        .min(Joi.ref('effectiveFrom'))
+        .allow(null)
+        .messages({
+            'date.base': 'La fecha de fin de vigencia debe ser una fecha válida',
+            'date.format': 'La fecha de fin de vigencia debe estar en formato ISO (YYYY-MM-DD)',
+            'date.min': 'La fecha de fin de vigencia debe ser posterior a la de inicio',
+        }),
+
+    notes: notesField,
+}).xor('userId', 'role').messages({
+    'object.missing': 'Debe indicar el usuario o el rol al que aplica la tarifa',
+    'object.xor': 'La tarifa aplica a un usuario o a un rol, no a ambos',
+});
+
+// Esquema para actualizar una tarifa (el usuario o rol no cambia)
+const updateBillingRateSchema = Joi.object({
+    costRate: rateField,
+    billRate: rateField,
+
+    effectiveFrom: Joi.date()
+        .iso()
+        .messages({
+            'date.base': 'La fecha de inicio de vigencia debe ser una fecha válida',
+            'date.format': 'La fecha de inicio de vigencia debe estar en formato ISO (YYYY-MM-DD)',
+        }),
+
+    effectiveTo: Joi.date()
+        .iso()
+        .allow(null)
+        .messages({
+            'date.base': 'La fecha de fin de vigencia debe ser una fecha válida',
+            'date.format': 'La fecha de fin de vigencia debe estar en formato ISO (YYYY-MM-DD)',
+        }),
+
+    notes: notesField,
+}).min(1).messages({
+    'object.min': 'Debe proporcionar al menos un campo para actualizar',
+});
+
+module.exports = {
+    billingRateFiltersSchema,
+    createBillingRateSchema,
+    updateBillingRateSchema,
+};
@@ -0,0 +1,109 @@
+const Joi = require('joi');
+
+/**
+ * Esquemas de validación para el calendario de días feriados
+ */
+
+const dateField = Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+        'string.pattern.base': 'La fecha debe estar en formato YYYY-MM-DD',
+        'any.required': 'La fecha es requerida',
+    });
+
+const nameField = Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .messages({
+        'string.empty': 'El nombre del feriado es requerido',
+        'string.min': 'El nombre debe tener al menos 2 caracteres',
+        'string.max': 'El nombre no puede tener más de 100 caracteres',
+        'any.required': 'El nombre del feriado es requerido',
+    });
+
+const areaIdField = Joi.string()
+    .uuid()
+    .allow(null)
+    .messages({
+        'string.uuid': 'El ID del área debe ser un UUID válido',
+    });
+
+const isWorkingDayField = Joi.boolean()
+    .messages({
+        'boolean.base': 'El campo isWorkingDay debe ser verdadero o falso',
+    });
+
+// Esquema para filtros de feriados
+const holidayFiltersSchema = Joi.object({
+    year: Joi.number()
+        .integer()
+        .min(2020)
+        .max(2050)
+        .messages({
+            'number.base': 'El año debe ser un número',
+            'number.min': 'El año debe ser mayor a 2020',
+            'number.max': 'El año debe ser menor a 2050',
+        }),
+
+    startDate: dateField,
+
+    endDate: dateField,
+
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+
+    globalOnly: Joi.boolean()
+        .messages({
+            'boolean.base': 'El campo globalOnly debe ser verdadero o falso',
+        }),
+});
+
+// Esquema para registrar un feriado (sin área = global)
+const createHolidaySchema = Joi.object({
+    date: dateField.required(),
+
+    name: nameField.required(),
+
+    areaId: areaIdField,
+
+    isWorkingDay: isWorkingDayField.default(false),
+});
+
+// Esquema para actualizar un feriado
+const updateHolidaySchema = Joi.object({
+    date: dateField,
+
+    name: nameField,
+
+    areaId: areaIdField,
+
+    isWorkingDay: isWorkingDayField,
+}).min(1).messages({
+    'object.min': 'Debe proporcionar al menos un campo para actualizar',
+});
+
+// Esquema para registrar los feriados nacionales de un año
+const nationalHolidaysSchema = Joi.object({
+    year: Joi.number()
+        .integer()
+        .min(2020)
+        .max(2050)
+        .required()
+        .messages({
+            'number.base': 'El año debe ser un número',
+            'number.min': 'El año debe ser mayor a 2020',
+            'number.max': 'El año debe ser menor a 2050',
+            'any.required': 'El año es requerido',
+        }),
+});
+
+module.exports = {
+    holidayFiltersSchema,
+    createHolidaySchema,
+    updateHolidaySchema,
+    nationalHolidaysSchema,
+};
@@ -0,0 +1,51 @@
+const Joi = require('joi');
+const { JOB_RUN_STATUS, JOB_RUN_TRIGGER } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para las tareas programadas
+ */
+
+// Esquema para filtros del historial de ejecuciones
+const jobRunFiltersSchema = Joi.object({
+    jobName: Joi.string()
+        .max(100)
+        .messages({
+            'string.max': 'El nombre de la tarea no puede exceder 100 caracteres',
+        }),
+
+    status: Joi.string()
+        .valid(...Object.values(JOB_RUN_STATUS))
+        .messages({
+            'any.only': `El estado debe ser uno de: ${Object.values(JOB_RUN_STATUS).join(', ')}`,
+        }),
+
+    trigger: Joi.string()
+        .valid(...Object.values(JOB_RUN_TRIGGER))
+        .messages({
+            'any.only': `El origen debe ser uno de: ${Object.values(JOB_RUN_TRIGGER).join(', ')}`,
+        }),
+
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .messages({
+            'number.base': 'La página debe ser un número',
+            'number.min': 'La página debe ser mayor a 0',
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(10)
+        .messages({
+            'number.base': 'El límite debe ser un número',
+            'number.min': 'El límite debe ser mayor a 0',
+            'number.max': 'El límite no puede ser mayor a 100',
+        }),
+});
+
+module.exports = {
+    jobRunFiltersSchema,
+};
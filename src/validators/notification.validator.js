@@ -0,0 +1,73 @@
+const Joi = require('joi');
+const { EMAIL_TYPES, EMAIL_STATUS } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para notificaciones por correo
+ */
+
+// Esquema para filtros de la bitácora de correos
+const emailLogFiltersSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    timePeriodId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del período debe ser un UUID válido',
+        }),
+
+    type: Joi.string()
+        .valid(...Object.values(EMAIL_TYPES))
+        .messages({
+            'any.only': `El tipo debe ser uno de: ${Object.values(EMAIL_TYPES).join(', ')}`,
+        }),
+
+    status: Joi.string()
+        .valid(...Object.values(EMAIL_STATUS))
+        .messages({
+            'any.only': `El estado debe ser uno de: ${Object.values(EMAIL_STATUS).join(', ')}`,
+        }),
+
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .messages({
+            'number.base': 'La página debe ser un número',
+            'number.min': 'La página debe ser mayor a 0',
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(10)
+        .messages({
+            'number.base': 'El límite debe ser un número',
+            'number.min': 'El límite debe ser mayor a 0',
+            'number.max': 'El límite no puede ser mayor a 100',
+        }),
+});
+
+// Esquema para ejecutar manualmente los recordatorios de hoja de tiempo
+const timesheetRemindersSchema = Joi.object({
+    timePeriodId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del período debe ser un UUID válido',
+        }),
+
+    force: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'El campo force debe ser verdadero o falso',
+        }),
+});
+
+module.exports = {
+    emailLogFiltersSchema,
+    timesheetRemindersSchema,
+};
@@ -73,6 +73,11 @@ const createProjectSchema = Joi.object({
         .messages({
             'boolean.base': 'isGeneral debe ser verdadero o falso',
         }),
+
+    isBillable: Joi.boolean()
+        .messages({
+            'boolean.base': 'isBillable debe ser verdadero o falso',
+        }),
 });
 
 // Esquema para actualización de proyecto
@@ -142,6 +147,11 @@ const updateProjectSchema = Joi.object({
         .messages({
             'boolean.base': 'isGeneral debe ser verdadero o falso',
         }),
+
+    isBillable: Joi.boolean()
+        .messages({
+            'boolean.base': 'isBillable debe ser verdadero o falso',
+        }),
 });
 
 // Esquema para asignación de proyecto
@@ -287,6 +297,23 @@ const projectStatsSchema = Joi.object({
         }),
 });
 
+// Esquema para la vista financiera de proyecto
+const projectFinancialsSchema = Joi.object({
+    asOf: Joi.date()
+        .iso()
+        .messages({
+            'date.base': 'La fecha de corte debe ser una fecha válida',
+            'date.format': 'La fecha de corte debe estar en formato ISO (YYYY-MM-DD)',
+        }),
+
+    // Agrupar el costo por mes y año del calendario fiscal configurado
+    fiscal: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'fiscal debe ser verdadero o falso',
+        }),
+});
+
 module.exports = {
     createProjectSchema,
     updateProjectSchema,
@@ -294,4 +321,5 @@ module.exports = {
     projectFiltersSchema,
     projectIdSchema,
     projectStatsSchema,
+    projectFinancialsSchema,
 };
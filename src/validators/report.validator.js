@@ -0,0 +1,133 @@
+const Joi = require('joi');
+const { APPROVAL_STATUS, UTILIZATION_GROUP_BY } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para reportes
+ */
+
+// Esquema para el reporte de hojas de tiempo faltantes
+const missingTimesheetsSchema = Joi.object({
+    timePeriodId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID del período debe ser un UUID válido',
+            'any.required': 'El período es requerido',
+        }),
+
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+
+    threshold: Joi.number()
+        .min(0)
+        .max(100)
+        .messages({
+            'number.base': 'El umbral debe ser un número',
+            'number.min': 'El umbral no puede ser negativo',
+            'number.max': 'El umbral no puede exceder 100%',
+        }),
+});
+
+// Esquema para el reporte de capacidad
+const capacitySchema = Joi.object({
+    timePeriodId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID del período debe ser un UUID válido',
+            'any.required': 'El período es requerido',
+        }),
+
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+});
+
+// Esquema para el reporte de facturación por proyecto
+const billingSchema = Joi.object({
+    startDate: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'La fecha de inicio debe ser una fecha válida',
+            'date.format': 'La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)',
+            'any.required': 'La fecha de inicio es requerida',
+        }),
+
+    endDate: Joi.date()
+        .iso()
+        .min(Joi.ref('startDate'))
+        .required()
+        .messages({
+            'date.base': 'La fecha de fin debe ser una fecha válida',
+            'date.format': 'La fecha de fin debe estar en formato ISO (YYYY-MM-DD)',
+            'date.min': 'La fecha de fin debe ser posterior a la fecha de inicio',
+            'any.required': 'La fecha de fin es requerida',
+        }),
+
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+
+    projectId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del proyecto debe ser un UUID válido',
+        }),
+
+    approvalStatus: Joi.string()
+        .valid(...Object.values(APPROVAL_STATUS))
+        .messages({
+            'any.only': `El estado de aprobación debe ser uno de: ${Object.values(APPROVAL_STATUS).join(', ')}`,
+        }),
+});
+
+// Esquema para la matriz de utilización del equipo
+const utilizationSchema = Joi.object({
+    startDate: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'La fecha de inicio debe ser una fecha válida',
+            'date.format': 'La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)',
+            'any.required': 'La fecha de inicio es requerida',
+        }),
+
+    endDate: Joi.date()
+        .iso()
+        .min(Joi.ref('startDate'))
+        .required()
+        .messages({
+            'date.base': 'La fecha de fin debe ser una fecha válida',
+            'date.format': 'La fecha de fin debe estar en formato ISO (YYYY-MM-DD)',
+            'date.min': 'La fecha de fin debe ser posterior a la fecha de inicio',
+            'any.required': 'La fecha de fin es requerida',
+        }),
+
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+
+    // Columnas por período o por mes o año del calendario fiscal
+    groupBy: Joi.string()
+        .valid(...Object.values(UTILIZATION_GROUP_BY))
+        .messages({
+            'any.only': `La agrupación debe ser una de: ${Object.values(UTILIZATION_GROUP_BY).join(', ')}`,
+        }),
+});
+
+module.exports = {
+    missingTimesheetsSchema,
+    capacitySchema,
+    billingSchema,
+    utilizationSchema,
+};
@@ -78,6 +78,12 @@ const createTaskSchema = Joi.object({
             'string.max': 'Cada tag no puede tener más de 50 caracteres',
             'array.max': 'No se permiten más de 10 tags',
         }),
+
+    isBillable: Joi.boolean()
+        .allow(null)
+        .messages({
+            'boolean.base': 'isBillable debe ser verdadero o falso',
+        }),
 });
 
 // Esquema para actualización de tarea
@@ -152,6 +158,12 @@ const updateTaskSchema = Joi.object({
             'string.max': 'Cada tag no puede tener más de 50 caracteres',
             'array.max': 'No se permiten más de 10 tags',
         }),
+
+    isBillable: Joi.boolean()
+        .allow(null)
+        .messages({
+            'boolean.base': 'isBillable debe ser verdadero o falso',
+        }),
 });
 
 // Esquema para cambio de estado de tarea
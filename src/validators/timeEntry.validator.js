@@ -1,5 +1,5 @@
 const Joi = require('joi');
-const { LIMITS } = require('../utils/constants');
+const { LIMITS, APPROVAL_STATUS, TIME_ENTRY_HISTORY_ACTION } = require('../utils/constants');
 const SystemConfigService = require('../services/systemConfig.service');
 
 /**
@@ -97,6 +97,12 @@ const createTimeEntrySchema = Joi.object({
             'string.max': `La descripción no puede tener más de ${LIMITS.MAX_DESCRIPTION_LENGTH} caracteres`,
             'any.required': 'La descripción es requerida',
         }),
+
+    isBillable: Joi.boolean()
+        .allow(null)
+        .messages({
+            'boolean.base': 'isBillable debe ser verdadero o falso',
+        }),
 });
 
 // Esquema para actualización de entrada de tiempo
@@ -173,8 +179,122 @@ const updateTimeEntrySchema = Joi.object({
             'string.min': 'La descripción debe tener al menos 5 caracteres',
             'string.max': `La descripción no puede tener más de ${LIMITS.MAX_DESCRIPTION_LENGTH} caracteres`,
         }),
+
+    isBillable: Joi.boolean()
+        .allow(null)
+        .messages({
+            'boolean.base': 'isBillable debe ser verdadero o falso',
+        }),
+});
+
+// Esquema para cada celda de la cuadrícula semanal (0 horas elimina el registro)
+const bulkTimeEntryCellSchema = createTimeEntrySchema.keys({
+    userId: Joi.forbidden(),
+    isBillable: Joi.forbidden(),
+
+    taskId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID de la tarea debe ser un UUID válido',
+            'any.required': 'La tarea es requerida',
+        }),
+
+    hours: Joi.number()
+        .min(0)
+        .max(LIMITS.MAX_HOURS_PER_DAY)
+        .precision(2)
+        .required()
+        .messages({
+            'number.base': 'Las horas deben ser un número',
+            'number.min': 'Las horas no pueden ser negativas',
+            'number.max': `Las horas máximas por día son ${LIMITS.MAX_HOURS_PER_DAY}`,
+            'number.precision': 'Las horas pueden tener máximo 2 decimales',
+            'any.required': 'Las horas son requeridas',
+        }),
+
+    description: Joi.string()
+        .max(LIMITS.MAX_DESCRIPTION_LENGTH)
+        .allow('', null)
+        .trim()
+        .messages({
+            'string.max': `La descripción no puede tener más de ${LIMITS.MAX_DESCRIPTION_LENGTH} caracteres`,
+        }),
 });
 
+// Esquema para guardado en bloque de la cuadrícula semanal
+const bulkSaveTimeEntriesSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    entries: Joi.array()
+        .items(bulkTimeEntryCellSchema)
+        .min(1)
+        .max(300)
+        .required()
+        .messages({
+            'array.base': 'Las entradas deben ser un array',
+            'array.min': 'Debe haber al menos 1 celda',
+            'array.max': 'No se pueden guardar más de 300 celdas a la vez',
+            'any.required': 'Las entradas son requeridas',
+        }),
+});
+
+// Esquema para copiar la estructura de un período a otro
+const copyTimeEntriesSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    sourceTimePeriodId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del período de origen debe ser un UUID válido',
+        }),
+
+    sourceStartDate: Joi.date()
+        .iso()
+        .messages({
+            'date.base': 'La fecha de inicio de origen debe ser una fecha válida',
+            'date.format': 'La fecha de inicio de origen debe estar en formato ISO (YYYY-MM-DD)',
+        }),
+
+    sourceEndDate: Joi.date()
+        .iso()
+        .min(Joi.ref('sourceStartDate'))
+        .messages({
+            'date.base': 'La fecha de fin de origen debe ser una fecha válida',
+            'date.format': 'La fecha de fin de origen debe estar en formato ISO (YYYY-MM-DD)',
+            'date.min': 'La fecha de fin de origen debe ser posterior a la fecha de inicio',
+        }),
+
+    targetTimePeriodId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID del período destino debe ser un UUID válido',
+            'any.required': 'El período destino es requerido',
+        }),
+
+    includeHours: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'includeHours debe ser verdadero o falso',
+        }),
+})
+    .xor('sourceTimePeriodId', 'sourceStartDate')
+    .and('sourceStartDate', 'sourceEndDate')
+    .messages({
+        'object.xor': 'Debe indicar un período de origen o un rango de fechas, no ambos',
+        'object.missing': 'Debe indicar un período de origen o un rango de fechas',
+        'object.and': 'El rango de origen requiere fecha de inicio y fecha de fin',
+    });
+
 // Esquema para aprobación de entradas de tiempo
 const approveTimeEntrySchema = Joi.object({
     isApproved: Joi.boolean()
@@ -186,10 +306,92 @@ const approveTimeEntrySchema = Joi.object({
 
     comments: Joi.string()
         .max(500)
-        .allow('')
         .trim()
+        .when('isApproved', {
+            is: false,
+            then: Joi.required(),
+            otherwise: Joi.allow(''),
+        })
         .messages({
             'string.max': 'Los comentarios no pueden tener más de 500 caracteres',
+            'string.empty': 'Debe indicar el motivo del rechazo',
+            'any.required': 'Debe indicar el motivo del rechazo',
+        }),
+
+    authorizeOvertime: Joi.boolean()
+        .messages({
+            'boolean.base': 'authorizeOvertime debe ser verdadero o falso',
+        }),
+});
+
+// Esquema para aprobación masiva de entradas de tiempo
+const bulkApproveTimeEntriesSchema = approveTimeEntrySchema.keys({
+    timeEntryIds: Joi.array()
+        .items(Joi.string().uuid())
+        .min(1)
+        .max(100)
+        .required()
+        .messages({
+            'array.base': 'timeEntryIds debe ser un array',
+            'array.min': 'Debe seleccionar al menos 1 registro',
+            'array.max': 'No se pueden revisar más de 100 registros a la vez',
+            'string.uuid': 'Cada ID de registro debe ser un UUID válido',
+            'any.required': 'Los registros a revisar son requeridos',
+        }),
+});
+
+// Esquema para filtros de entradas pendientes de aprobación
+const pendingApprovalFiltersSchema = Joi.object({
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    projectId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del proyecto debe ser un UUID válido',
+        }),
+
+    startDate: Joi.string()
+        .pattern(/^\d{4}-\d{2}-\d{2}$/)
+        .messages({
+            'string.pattern.base': 'La fecha de inicio debe estar en formato YYYY-MM-DD',
+        }),
+
+    endDate: Joi.string()
+        .pattern(/^\d{4}-\d{2}-\d{2}$/)
+        .messages({
+            'string.pattern.base': 'La fecha de fin debe estar en formato YYYY-MM-DD',
+        }),
+});
+
+// Esquema para exportación de entradas de tiempo
+const exportTimeEntriesSchema = pendingApprovalFiltersSchema.keys({
+    format: Joi.string()
+        .valid('csv', 'xlsx')
+        .default('xlsx')
+        .messages({
+            'any.only': 'El formato debe ser csv o xlsx',
+        }),
+
+    timePeriodId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del período debe ser un UUID válido',
+        }),
+
+    approvalStatus: Joi.string()
+        .valid(...Object.values(APPROVAL_STATUS))
+        .messages({
+            'any.only': `El estado de aprobación debe ser uno de: ${Object.values(APPROVAL_STATUS).join(', ')}`,
         }),
 });
 
@@ -307,6 +509,43 @@ const timeEntryFiltersSchema = Joi.object({
         }),
 });
 
+// Esquema para consultar la bitácora de cambios de registros de tiempo
+const timeEntryHistoryFiltersSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    projectId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del proyecto debe ser un UUID válido',
+        }),
+
+    action: Joi.string()
+        .valid(...Object.values(TIME_ENTRY_HISTORY_ACTION))
+        .messages({
+            'any.only': `La acción debe ser ${Object.values(TIME_ENTRY_HISTORY_ACTION).join(', ')}`,
+        }),
+
+    startDate: Joi.date()
+        .iso()
+        .messages({
+            'date.base': 'La fecha de inicio debe ser una fecha válida',
+            'date.format': 'La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)',
+        }),
+
+    endDate: Joi.date()
+        .iso()
+        .min(Joi.ref('startDate'))
+        .messages({
+            'date.base': 'La fecha de fin debe ser una fecha válida',
+            'date.format': 'La fecha de fin debe estar en formato ISO (YYYY-MM-DD)',
+            'date.min': 'La fecha de fin debe ser posterior a la fecha de inicio',
+        }),
+});
+
 // Esquema para validación de ID de entrada de tiempo
 const timeEntryIdSchema = Joi.object({
     id: Joi.string()
@@ -418,8 +657,14 @@ module.exports = {
     createTimeEntrySchema,
     updateTimeEntrySchema,
     approveTimeEntrySchema,
+    bulkApproveTimeEntriesSchema,
+    pendingApprovalFiltersSchema,
     timeEntryFiltersSchema,
     timeEntryIdSchema,
     timeReportSchema,
     bulkImportTimeEntriesSchema,
+    bulkSaveTimeEntriesSchema,
+    copyTimeEntriesSchema,
+    exportTimeEntriesSchema,
+    timeEntryHistoryFiltersSchema,
 };
@@ -0,0 +1,18 @@
+const Joi = require('joi');
+
+/**
+ * Esquemas de validación para importación de registros de tiempo
+ */
+
+// Esquema para los campos del formulario de importación (multipart)
+const importTimeEntriesSchema = Joi.object({
+    dryRun: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'El modo de simulación debe ser verdadero o falso',
+        }),
+});
+
+module.exports = {
+    importTimeEntriesSchema,
+};
@@ -0,0 +1,127 @@
+const Joi = require('joi');
+const { LIMITS } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para plantillas recurrentes de registros de tiempo
+ */
+
+const hoursField = Joi.number()
+    .min(LIMITS.MIN_HOURS_PER_ENTRY)
+    .max(LIMITS.MAX_HOURS_PER_DAY)
+    .precision(2)
+    .messages({
+        'number.base': 'Las horas deben ser un número',
+        'number.min': `Las horas deben ser al menos ${LIMITS.MIN_HOURS_PER_ENTRY}`,
+        'number.max': `Las horas no pueden ser más de ${LIMITS.MAX_HOURS_PER_DAY}`,
+        'any.required': 'Las horas son requeridas',
+    });
+
+const weekdaysField = Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .min(1)
+    .messages({
+        'array.base': 'Los días de la semana deben ser un array',
+        'array.min': 'Debe indicar al menos un día de la semana',
+        'number.min': 'Los días de la semana van de 0 (domingo) a 6 (sábado)',
+        'number.max': 'Los días de la semana van de 0 (domingo) a 6 (sábado)',
+        'any.required': 'Los días de la semana son requeridos',
+    });
+
+const descriptionField = Joi.string()
+    .max(LIMITS.MAX_DESCRIPTION_LENGTH)
+    .trim()
+    .allow('', null)
+    .messages({
+        'string.max': `La descripción no puede tener más de ${LIMITS.MAX_DESCRIPTION_LENGTH} caracteres`,
+    });
+
+// Esquema para creación de plantilla
+const createTemplateSchema = Joi.object({
+    projectId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID del proyecto debe ser un UUID válido',
+            'any.required': 'El proyecto es requerido',
+        }),
+
+    taskId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID de la tarea debe ser un UUID válido',
+            'any.required': 'La tarea es requerida',
+        }),
+
+    hours: hoursField.required(),
+
+    description: descriptionField,
+
+    weekdays: weekdaysField.required(),
+});
+
+// Esquema para actualización de plantilla
+const updateTemplateSchema = Joi.object({
+    projectId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del proyecto debe ser un UUID válido',
+        }),
+
+    taskId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID de la tarea debe ser un UUID válido',
+        }),
+
+    hours: hoursField,
+
+    description: descriptionField,
+
+    weekdays: weekdaysField,
+
+    isActive: Joi.boolean()
+        .messages({
+            'boolean.base': 'El estado activo debe ser verdadero o falso',
+        }),
+}).min(1).messages({
+    'object.min': 'Debe proporcionar al menos un campo para actualizar',
+});
+
+// Esquema para filtros de plantillas
+const templateFiltersSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    isActive: Joi.boolean()
+        .messages({
+            'boolean.base': 'El estado activo debe ser verdadero o falso',
+        }),
+});
+
+// Esquema para generar registros de un período
+const generateTemplatesSchema = Joi.object({
+    timePeriodId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID del período debe ser un UUID válido',
+            'any.required': 'El período es requerido',
+        }),
+
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+});
+
+module.exports = {
+    createTemplateSchema,
+    updateTemplateSchema,
+    templateFiltersSchema,
+    generateTemplatesSchema,
+};
@@ -0,0 +1,104 @@
+const Joi = require('joi');
+const { TIME_ENTRY_UNLOCK_STATUS } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para las solicitudes de desbloqueo de fechas
+ */
+
+// Esquema para filtros de solicitudes
+const unlockFiltersSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+
+    status: Joi.string()
+        .valid(...Object.values(TIME_ENTRY_UNLOCK_STATUS))
+        .messages({
+            'any.only': `El estado debe ser uno de: ${Object.values(TIME_ENTRY_UNLOCK_STATUS).join(', ')}`,
+        }),
+});
+
+// Esquema para solicitar el desbloqueo de un rango de fechas
+const requestUnlockSchema = Joi.object({
+    startDate: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'La fecha de inicio debe ser una fecha válida',
+            'date.format': 'La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)',
+            'any.required': 'La fecha de inicio es requerida',
+        }),
+
+    endDate: Joi.date()
+        .iso()
+        .min(Joi.ref('startDate'))
+        .required()
+        .messages({
+            'date.base': 'La fecha de fin debe ser una fecha válida',
+            'date.format': 'La fecha de fin debe estar en formato ISO (YYYY-MM-DD)',
+            'date.min': 'La fecha de fin debe ser posterior a la fecha de inicio',
+            'any.required': 'La fecha de fin es requerida',
+        }),
+
+    reason: Joi.string()
+        .trim()
+        .min(10)
+        .max(500)
+        .required()
+        .messages({
+            'string.empty': 'Debe justificar la solicitud',
+            'string.min': 'La justificación debe tener al menos 10 caracteres',
+            'string.max': 'La justificación no puede tener más de 500 caracteres',
+            'any.required': 'Debe justificar la solicitud',
+        }),
+});
+
+// Esquema para revisión de una solicitud de desbloqueo
+const reviewUnlockSchema = Joi.object({
+    isApproved: Joi.boolean()
+        .required()
+        .messages({
+            'boolean.base': 'El estado de aprobación debe ser verdadero o falso',
+            'any.required': 'El estado de aprobación es requerido',
+        }),
+
+    comments: Joi.string()
+        .max(1000)
+        .trim()
+        .when('isApproved', {
+            is: false,
+            then: Joi.required(),
+            otherwise: Joi.allow(''),
+        })
+        .messages({
+            'string.max': 'Los comentarios no pueden tener más de 1000 caracteres',
+            'string.empty': 'Debe indicar el motivo del rechazo',
+            'any.required': 'Debe indicar el motivo del rechazo',
+        }),
+
+    expiresAt: Joi.date()
+        .iso()
+        .when('isApproved', {
+            is: true,
+            otherwise: Joi.forbidden(),
+        })
+        .messages({
+            'date.base': 'La fecha de vencimiento debe ser una fecha válida',
+            'date.format': 'La fecha de vencimiento debe estar en formato ISO',
+            'any.unknown': 'La fecha de vencimiento solo aplica al aprobar',
+        }),
+});
+
+module.exports = {
+    unlockFiltersSchema,
+    requestUnlockSchema,
+    reviewUnlockSchema,
+};
@@ -1,4 +1,9 @@
 const Joi = require('joi');
+const { TIME_PERIOD_TYPE, WEEK_MONTH_RULE } = require('../utils/constants');
+
+// Máximo de horas de referencia: una semana o, en períodos mensuales, un mes de 31 días
+const MAX_WEEK_HOURS = 168;
+const MAX_MONTH_HOURS = 744;
 
 const timePeriodValidator = {
     create: Joi.object({
@@ -69,21 +74,25 @@ const timePeriodValidator = {
 
         referenceHours: Joi.number()
             .positive()
-            .max(168) // Máximo horas en una semana
+            .when('type', {
+                is: TIME_PERIOD_TYPE.MONTHLY,
+                then: Joi.number().max(MAX_MONTH_HOURS),
+                otherwise: Joi.number().max(MAX_WEEK_HOURS)
+            })
             .optional()
             .messages({
                 'number.base': 'Las horas de referencia deben ser un número',
                 'number.positive': 'Las horas de referencia deben ser un número positivo',
-                'number.max': 'Las horas de referencia no pueden ser más de 168 (horas en una semana)'
+                'number.max': 'Las horas de referencia no pueden ser más de {#limit}'
             }),
 
         type: Joi.string()
-            .valid('weekly', 'biweekly')
+            .valid(...Object.values(TIME_PERIOD_TYPE))
             .optional()
-            .default('weekly')
+            .default(TIME_PERIOD_TYPE.WEEKLY)
             .messages({
                 'string.base': 'El tipo debe ser una cadena de texto',
-                'any.only': 'El tipo debe ser "weekly" o "biweekly"'
+                'any.only': 'El tipo debe ser "weekly", "biweekly" o "monthly"'
             }),
 
         description: Joi.string()
@@ -165,20 +174,21 @@ const timePeriodValidator = {
 
         referenceHours: Joi.number()
             .positive()
-            .max(168)
+            .max(MAX_MONTH_HOURS)
+            .allow(null) // null = calcular con días hábiles y feriados
             .optional()
             .messages({
                 'number.base': 'Las horas de referencia deben ser un número',
                 'number.positive': 'Las horas de referencia deben ser un número positivo',
-                'number.max': 'Las horas de referencia no pueden ser más de 168'
+                'number.max': 'Las horas de referencia no pueden ser más de {#limit}'
             }),
 
         type: Joi.string()
-            .valid('weekly', 'biweekly')
+            .valid(...Object.values(TIME_PERIOD_TYPE))
             .optional()
             .messages({
                 'string.base': 'El tipo debe ser una cadena de texto',
-                'any.only': 'El tipo debe ser "weekly" o "biweekly"'
+                'any.only': 'El tipo debe ser "weekly", "biweekly" o "monthly"'
             }),
 
         description: Joi.string()
@@ -194,6 +204,150 @@ const timePeriodValidator = {
             .messages({
                 'boolean.base': 'El estado activo debe ser verdadero o falso'
             })
+    }),
+
+    generate: Joi.object({
+        year: Joi.number()
+            .integer()
+            .min(2020)
+            .max(2050)
+            .required()
+            .messages({
+                'number.base': 'El año debe ser un número',
+                'number.integer': 'El año debe ser un número entero',
+                'number.min': 'El año debe ser mayor a 2020',
+                'number.max': 'El año debe ser menor a 2050',
+                'any.required': 'El año es requerido'
+            }),
+
+        type: Joi.string()
+            .valid(...Object.values(TIME_PERIOD_TYPE))
+            .required()
+            .messages({
+                'string.base': 'El tipo debe ser una cadena de texto',
+                'any.only': 'El tipo debe ser "weekly", "biweekly" o "monthly"',
+                'any.required': 'El tipo es requerido'
+            }),
+
+        // Mes de inicio del año fiscal; el año generado abarca 12 meses desde él. Sin mes se usa FISCAL_YEAR_START_MONTH
+        startMonth: Joi.number()
+            .integer()
+            .min(1)
+            .max(12)
+            .optional()
+            .messages({
+                'number.base': 'El mes de inicio debe ser un número',
+                'number.integer': 'El mes de inicio debe ser un número entero',
+                'number.min': 'El mes de inicio debe estar entre 1 y 12',
+                'number.max': 'El mes de inicio debe estar entre 1 y 12'
+            }),
+
+        // Sin regla se usa la configurada en TIME_PERIOD_WEEK_MONTH_RULE
+        weekRule: Joi.string()
+            .valid(...Object.values(WEEK_MONTH_RULE))
+            .optional()
+            .messages({
+                'string.base': 'La regla de semanas debe ser una cadena de texto',
+                'any.only': `La regla de semanas debe ser una de: ${Object.values(WEEK_MONTH_RULE).join(', ')}`
+            }),
+
+        dryRun: Joi.boolean()
+            .optional()
+            .default(false)
+            .messages({
+                'boolean.base': 'dryRun debe ser verdadero o falso'
+            })
+    }),
+
+    // Rango por fechas o por año fiscal (y opcionalmente mes fiscal) según el calendario configurado
+    range: Joi.object({
+        startDate: Joi.date()
+            .iso()
+            .messages({
+                'date.base': 'La fecha de inicio debe ser una fecha válida',
+                'date.format': 'La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)'
+            }),
+
+        endDate: Joi.date()
+            .iso()
+            .min(Joi.ref('startDate'))
+            .messages({
+                'date.base': 'La fecha de fin debe ser una fecha válida',
+                'date.format': 'La fecha de fin debe estar en formato ISO (YYYY-MM-DD)',
+                'date.min': 'La fecha de fin debe ser posterior a la fecha de inicio'
+            }),
+
+        fiscalYear: Joi.number()
+            .integer()
+            .min(2020)
+            .max(2050)
+            .messages({
+                'number.base': 'El año fiscal debe ser un número',
+                'number.integer': 'El año fiscal debe ser un número entero',
+                'number.min': 'El año fiscal debe ser mayor a 2020',
+                'number.max': 'El año fiscal debe ser menor a 2050'
+            }),
+
+        fiscalMonth: Joi.number()
+            .integer()
+            .min(1)
+            .max(12)
+            .messages({
+                'number.base': 'El mes fiscal debe ser un número',
+                'number.integer': 'El mes fiscal debe ser un número entero',
+                'number.min': 'El mes fiscal debe estar entre 1 y 12',
+                'number.max': 'El mes fiscal debe estar entre 1 y 12'
+            })
+    })
+        .and('startDate', 'endDate')
+        .xor('startDate', 'fiscalYear')
+        .with('fiscalMonth', 'fiscalYear')
+        .messages({
+            'object.and': 'Se requieren las fechas de inicio y fin',
+            'object.missing': 'Se requieren las fechas de inicio y fin o el año fiscal',
+            'object.xor': 'Indique las fechas de inicio y fin o el año fiscal, no ambos',
+            'object.with': 'El mes fiscal requiere el año fiscal'
+        }),
+
+    fiscalCalendar: Joi.object({
+        // Sin año se usa el año fiscal en curso
+        fiscalYear: Joi.number()
+            .integer()
+            .min(2020)
+            .max(2050)
+            .messages({
+                'number.base': 'El año fiscal debe ser un número',
+                'number.integer': 'El año fiscal debe ser un número entero',
+                'number.min': 'El año fiscal debe ser mayor a 2020',
+                'number.max': 'El año fiscal debe ser menor a 2050'
+            })
+    }),
+
+    close: Joi.object({
+        justification: Joi.string()
+            .trim()
+            .max(500)
+            .allow('')
+            .optional()
+            .messages({
+                'string.base': 'La justificación debe ser una cadena de texto',
+                'string.max': 'La justificación no puede exceder 500 caracteres'
+            })
+    }),
+
+    reopen: Joi.object({
+        justification: Joi.string()
+            .trim()
+            .min(10)
+            .max(500)
+            .required()
+            .messages({
+                'string.base': 'La justificación debe ser una cadena de texto',
+                'string.empty': 'La justificación es requerida para reabrir un período',
+                'string.min': 'La justificación debe tener al menos 10 caracteres',
+                'string.max': 'La justificación no puede exceder 500 caracteres',
+                'any.required': 'La justificación es requerida para reabrir un período'
+            })
     })
 };
 
@@ -0,0 +1,94 @@
+const Joi = require('joi');
+const { TIMER_STATUS, LIMITS } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para cronómetros
+ */
+
+// Esquema para iniciar cronómetro
+const startTimerSchema = Joi.object({
+    projectId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID del proyecto debe ser un UUID válido',
+            'any.required': 'El proyecto es requerido',
+        }),
+
+    taskId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID de la tarea debe ser un UUID válido',
+            'any.required': 'La tarea es requerida',
+        }),
+
+    description: Joi.string()
+        .max(LIMITS.MAX_DESCRIPTION_LENGTH)
+        .trim()
+        .allow('')
+        .messages({
+            'string.max': `La descripción no puede tener más de ${LIMITS.MAX_DESCRIPTION_LENGTH} caracteres`,
+        }),
+});
+
+// Esquema para detener cronómetro
+const stopTimerSchema = Joi.object({
+    description: Joi.string()
+        .max(LIMITS.MAX_DESCRIPTION_LENGTH)
+        .trim()
+        .allow('')
+        .messages({
+            'string.max': `La descripción no puede tener más de ${LIMITS.MAX_DESCRIPTION_LENGTH} caracteres`,
+        }),
+});
+
+// Esquema para resolver un cronómetro marcado para revisión
+const resolveTimerSchema = Joi.object({
+    discard: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'El descarte debe ser verdadero o falso',
+        }),
+
+    hours: Joi.number()
+        .min(LIMITS.MIN_HOURS_PER_ENTRY)
+        .max(LIMITS.MAX_HOURS_PER_DAY)
+        .precision(2)
+        .when('discard', {
+            is: true,
+            then: Joi.forbidden(),
+            otherwise: Joi.required(),
+        })
+        .messages({
+            'number.base': 'Las horas deben ser un número',
+            'number.min': `Las horas deben ser al menos ${LIMITS.MIN_HOURS_PER_ENTRY}`,
+            'number.max': `Las horas no pueden ser más de ${LIMITS.MAX_HOURS_PER_DAY}`,
+            'any.required': 'Debe indicar las horas reales trabajadas o descartar el cronómetro',
+            'any.unknown': 'No se pueden indicar horas al descartar el cronómetro',
+        }),
+
+    description: Joi.string()
+        .max(LIMITS.MAX_DESCRIPTION_LENGTH)
+        .trim()
+        .allow('')
+        .messages({
+            'string.max': `La descripción no puede tener más de ${LIMITS.MAX_DESCRIPTION_LENGTH} caracteres`,
+        }),
+});
+
+// Esquema para filtros de cronómetros
+const timerFiltersSchema = Joi.object({
+    status: Joi.string()
+        .valid(...Object.values(TIMER_STATUS))
+        .messages({
+            'any.only': `El estado debe ser uno de: ${Object.values(TIMER_STATUS).join(', ')}`,
+        }),
+});
+
+module.exports = {
+    startTimerSchema,
+    stopTimerSchema,
+    resolveTimerSchema,
+    timerFiltersSchema,
+};
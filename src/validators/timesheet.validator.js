@@ -0,0 +1,93 @@
+const Joi = require('joi');
+const { TIMESHEET_STATUS } = require('../utils/constants');
+
+/**
+ * Esquemas de validación para hojas de tiempo
+ */
+
+// Esquema para envío de hoja de tiempo
+const submitTimesheetSchema = Joi.object({
+    timePeriodId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID del período debe ser un UUID válido',
+            'any.required': 'El período es requerido',
+        }),
+});
+
+// Esquema para revisión de hoja de tiempo
+const reviewTimesheetSchema = Joi.object({
+    isApproved: Joi.boolean()
+        .required()
+        .messages({
+            'boolean.base': 'El estado de aprobación debe ser verdadero o falso',
+            'any.required': 'El estado de aprobación es requerido',
+        }),
+
+    comments: Joi.string()
+        .max(1000)
+        .trim()
+        .when('isApproved', {
+            is: false,
+            then: Joi.required(),
+            otherwise: Joi.allow(''),
+        })
+        .messages({
+            'string.max': 'Los comentarios no pueden tener más de 1000 caracteres',
+            'string.empty': 'Debe indicar el motivo de la devolución',
+            'any.required': 'Debe indicar el motivo de la devolución',
+        }),
+
+    authorizeOvertime: Joi.boolean()
+        .messages({
+            'boolean.base': 'authorizeOvertime debe ser verdadero o falso',
+        }),
+});
+
+// Esquema para filtros de hojas de tiempo
+const timesheetFiltersSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    timePeriodId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del período debe ser un UUID válido',
+        }),
+
+    status: Joi.string()
+        .valid(...Object.values(TIMESHEET_STATUS))
+        .messages({
+            'any.only': `El estado debe ser uno de: ${Object.values(TIMESHEET_STATUS).join(', ')}`,
+        }),
+
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .messages({
+            'number.base': 'La página debe ser un número',
+            'number.min': 'La página debe ser mayor a 0',
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(10)
+        .messages({
+            'number.base': 'El límite debe ser un número',
+            'number.min': 'El límite debe ser mayor a 0',
+            'number.max': 'El límite no puede ser mayor a 100',
+        }),
+});
+
+module.exports = {
+    submitTimesheetSchema,
+    reviewTimesheetSchema,
+    timesheetFiltersSchema,
+};
@@ -220,6 +220,11 @@ const updateProfileSchema = Joi.object({
             'string.max': 'El apellido no puede tener más de 50 caracteres',
             'string.pattern.base': 'El apellido solo puede contener letras y espacios',
         }),
+
+    emailNotifications: Joi.boolean()
+        .messages({
+            'boolean.base': 'La preferencia de notificaciones debe ser verdadero o falso',
+        }),
 });
 
 // Esquema para validación de ID de usuario
@@ -0,0 +1,119 @@
+const Joi = require('joi');
+
+/**
+ * Esquemas de validación para las jornadas laborales
+ */
+
+const dayHoursField = Joi.number()
+    .min(0)
+    .max(24)
+    .precision(2)
+    .messages({
+        'number.base': 'Las horas del día deben ser un número',
+        'number.min': 'Las horas del día no pueden ser negativas',
+        'number.max': 'Las horas del día no pueden exceder 24',
+    });
+
+const notesField = Joi.string()
+    .max(500)
+    .allow('', null)
+    .messages({
+        'string.max': 'Las notas no pueden tener más de 500 caracteres',
+    });
+
+// Esquema para filtros de jornadas
+const workScheduleFiltersSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+        }),
+
+    areaId: Joi.string()
+        .uuid()
+        .messages({
+            'string.uuid': 'El ID del área debe ser un UUID válido',
+        }),
+
+    activeOn: Joi.string()
+        .pattern(/^\d{4}-\d{2}-\d{2}$/)
+        .messages({
+            'string.pattern.base': 'La fecha debe estar en formato YYYY-MM-DD',
+        }),
+});
+
+// Esquema para registrar una jornada (por defecto 8 horas de lunes a viernes)
+const createWorkScheduleSchema = Joi.object({
+    userId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.uuid': 'El ID del usuario debe ser un UUID válido',
+            'any.required': 'El usuario es requerido',
+        }),
+
+    effectiveFrom: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'La fecha de inicio de vigencia debe ser una fecha válida',
+            'date.format': 'La fecha de inicio de vigencia debe estar en formato ISO (YYYY-MM-DD)',
+            'any.required': 'La fecha de inicio de vigencia es requerida',
+        }),
+
+    effectiveTo: Joi.date()
+        .iso()
+        .min(Joi.ref('effectiveFrom'))
+        .allow(null)
+        .messages({
+            'date.base': 'La fecha de fin de vigencia debe ser una fecha válida',
+            'date.format': 'La fecha de fin de vigencia debe estar en formato ISO (YYYY-MM-DD)',
+            'date.min': 'La fecha de fin de vigencia debe ser posterior a la de inicio',
+        }),
+
+    mondayHours: dayHoursField.default(8),
+    tuesdayHours: dayHoursField.default(8),
+    wednesdayHours: dayHoursField.default(8),
+    thursdayHours: dayHoursField.default(8),
+    fridayHours: dayHoursField.default(8),
+    saturdayHours: dayHoursField.default(0),
+    sundayHours: dayHoursField.default(0),
+
+    notes: notesField,
+});
+
+// Esquema para actualizar una jornada
+const updateWorkScheduleSchema = Joi.object({
+    effectiveFrom: Joi.date()
+        .iso()
+        .messages({
+            'date.base': 'La fecha de inicio de vigencia debe ser una fecha válida',
+            'date.format': 'La fecha de inicio de vigencia debe estar en formato ISO (YYYY-MM-DD)',
+        }),
+
+    effectiveTo: Joi.date()
+        .iso()
+        .allow(null)
+        .messages({
+            'date.base': 'La fecha de fin de vigencia debe ser una fecha válida',
+            'date.format': 'La fecha de fin de vigencia debe estar en formato ISO (YYYY-MM-DD)',
+        }),
+
+    mondayHours: dayHoursField,
+    tuesdayHours: dayHoursField,
+    wednesdayHours: dayHoursField,
+    thursdayHours: dayHoursField,
+    fridayHours: dayHoursField,
+    saturdayHours: dayHoursField,
+    sundayHours: dayHoursField,
+
+    notes: notesField,
+}).min(1).messages({
+    'object.min': 'Debe proporcionar al menos un campo para actualizar',
+});
+
+module.exports = {
+    workScheduleFiltersSchema,
+    createWorkScheduleSchema,
+    updateWorkScheduleSchema,
+};
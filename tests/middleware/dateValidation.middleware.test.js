@@ -0,0 +1,59 @@
+const { validateFutureDate } = require('../../src/middleware/dateValidation.middleware');
+const SystemConfigService = require('../../src/services/systemConfig.service');
+const ApiResponse = require('../../src/utils/response');
+
+// Mock de dependencias
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/response');
+jest.mock('../../src/utils/logger');
+
+describe('Date Validation Middleware', () => {
+    let req, res, next, getUserDateRestrictionConfigs;
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString().split('T')[0];
+
+    beforeEach(() => {
+        getUserDateRestrictionConfigs = jest.fn().mockResolvedValue({ enabled: true, futureDaysAllowed: 7, pastDaysAllowed: 30 });
+        SystemConfigService.mockImplementation(() => ({ getUserDateRestrictionConfigs }));
+
+        req = { body: {}, user: { userId: 'user-1' } };
+        res = {};
+        next = jest.fn();
+    });
+
+    it('aplica la ventana de días futuros del área y rol del usuario', async () => {
+        getUserDateRestrictionConfigs.mockResolvedValue({ enabled: true, futureDaysAllowed: 30, pastDaysAllowed: 30 });
+        req.body.date = daysFromNow(20);
+
+        await validateFutureDate(req, res, next);
+
+        expect(getUserDateRestrictionConfigs).toHaveBeenCalledWith('user-1');
+        expect(next).toHaveBeenCalled();
+        expect(ApiResponse.validationError).not.toHaveBeenCalled();
+    });
+
+    it('rechaza fechas fuera de la ventana del usuario', async () => {
+        req.body.date = daysFromNow(20);
+
+        await validateFutureDate(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(ApiResponse.validationError).toHaveBeenCalledWith(res, [{
+            field: 'date',
+            message: 'La fecha no puede ser más de 7 días en el futuro',
+            value: req.body.date,
+        }], 'Fecha no permitida');
+    });
+
+    it('usa la ventana del usuario del registro y omite la validación si sus restricciones están deshabilitadas', async () => {
+        getUserDateRestrictionConfigs.mockResolvedValue({ enabled: false, futureDaysAllowed: 7, pastDaysAllowed: 30 });
+        req.body.date = daysFromNow(60);
+        req.body.userId = 'user-2';
+
+        await validateFutureDate(req, res, next);
+
+        expect(getUserDateRestrictionConfigs).toHaveBeenCalledWith('user-2');
+        expect(next).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,177 @@
+const AbsenceService = require('../../src/services/absence.service');
+const { USER_ROLES, ABSENCE_TYPE, ABSENCE_STATUS, ERROR_MESSAGES } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/absence.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/repositories/timeEntry.repository');
+jest.mock('../../src/utils/logger');
+
+describe('AbsenceService', () => {
+    let absenceService;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com', role: USER_ROLES.ADMINISTRADOR };
+    const coordinator = { userId: 'coord-1', email: 'coord@test.com', role: USER_ROLES.COORDINADOR, areaId: 'area-1' };
+    const collaborator = { userId: 'user-1', email: 'user@test.com', role: USER_ROLES.COLABORADOR, areaId: 'area-1' };
+
+    const absence = (overrides = {}) => ({
+        id: 'absence-1',
+        userId: 'user-1',
+        user: { id: 'user-1', areaId: 'area-1' },
+        type: ABSENCE_TYPE.VACATION,
+        startDate: new Date('2025-09-15T00:00:00.000Z'),
+        endDate: new Date('2025-09-17T00:00:00.000Z'),
+        status: ABSENCE_STATUS.PENDING,
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        absenceService = new AbsenceService();
+        absenceService.absenceRepository = {
+            findById: jest.fn(),
+            findMany: jest.fn().mockResolvedValue([]),
+            findOverlapping: jest.fn().mockResolvedValue([]),
+            findApprovedForUsers: jest.fn().mockResolvedValue([]),
+            create: jest.fn(data => Promise.resolve({ id: 'absence-1', status: ABSENCE_STATUS.PENDING, ...data })),
+            update: jest.fn((id, data) => Promise.resolve({ ...absence(), ...data })),
+        };
+        absenceService.userRepository = {
+            findById: jest.fn(id => Promise.resolve({ id, areaId: id === 'user-9' ? 'area-2' : 'area-1' })),
+        };
+        absenceService.timeEntryRepository = {
+            findByUserAndDates: jest.fn().mockResolvedValue([]),
+        };
+    });
+
+    describe('requestAbsence', () => {
+        const request = { type: ABSENCE_TYPE.VACATION, startDate: '2025-09-15', endDate: '2025-09-17' };
+
+        it('crea la solicitud propia como pendiente', async () => {
+            const result = await absenceService.requestAbsence(request, collaborator);
+
+            expect(absenceService.absenceRepository.create).toHaveBeenCalledWith({
+                userId: 'user-1',
+                type: ABSENCE_TYPE.VACATION,
+                startDate: '2025-09-15',
+                endDate: '2025-09-17',
+                reason: null,
+            });
+            expect(result.status).toBe(ABSENCE_STATUS.PENDING);
+            expect(absenceService.timeEntryRepository.findByUserAndDates).not.toHaveBeenCalled();
+        });
+
+        it('aprueba directamente la ausencia registrada por el coordinador y advierte horas ya registradas', async () => {
+            absenceService.timeEntryRepository.findByUserAndDates.mockResolvedValue([{ hours: 4 }, { hours: 2 }]);
+
+            const result = await absenceService.requestAbsence({ ...request, userId: 'user-1' }, coordinator);
+
+            expect(absenceService.absenceRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user-1',
+                status: ABSENCE_STATUS.APPROVED,
+                reviewedBy: 'coord-1',
+            }));
+            expect(absenceService.timeEntryRepository.findByUserAndDates)
+                .toHaveBeenCalledWith('user-1', ['2025-09-15', '2025-09-16', '2025-09-17']);
+            expect(result.warnings).toEqual(['El usuario tiene 6h registradas en los días de la ausencia']);
+        });
+
+        it('no permite al coordinador registrar ausencias de otra área', async () => {
+            await expect(absenceService.requestAbsence({ ...request, userId: 'user-9' }, coordinator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+
+        it('no permite al colaborador registrar ausencias de otro usuario', async () => {
+            await expect(absenceService.requestAbsence({ ...request, userId: 'user-2' }, collaborator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+
+        it('rechaza fechas que se cruzan con otra ausencia', async () => {
+            absenceService.absenceRepository.findOverlapping.mockResolvedValue([absence()]);
+
+            await expect(absenceService.requestAbsence(request, collaborator))
+                .rejects.toThrow(ERROR_MESSAGES.ABSENCE_OVERLAP);
+            expect(absenceService.absenceRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reviewAbsence', () => {
+        it('aprueba la solicitud pendiente de su área', async () => {
+            absenceService.absenceRepository.findById.mockResolvedValue(absence());
+
+            const result = await absenceService.reviewAbsence('absence-1', { isApproved: true }, coordinator);
+
+            expect(absenceService.absenceRepository.update).toHaveBeenCalledWith('absence-1', expect.objectContaining({
+                status: ABSENCE_STATUS.APPROVED,
+                reviewedBy: 'coord-1',
+                reviewComment: null,
+            }));
+            expect(result.status).toBe(ABSENCE_STATUS.APPROVED);
+        });
+
+        it('exige motivo al rechazar', async () => {
+            absenceService.absenceRepository.findById.mockResolvedValue(absence());
+
+            await expect(absenceService.reviewAbsence('absence-1', { isApproved: false, comments: ' ' }, admin))
+                .rejects.toThrow(ERROR_MESSAGES.REJECTION_REASON_REQUIRED);
+        });
+
+        it('no permite al coordinador revisar sus propias ausencias', async () => {
+            absenceService.absenceRepository.findById.mockResolvedValue(absence({
+                userId: 'coord-1',
+                user: { id: 'coord-1', areaId: 'area-1' },
+            }));
+
+            await expect(absenceService.reviewAbsence('absence-1', { isApproved: true }, coordinator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+
+        it('solo revisa solicitudes pendientes', async () => {
+            absenceService.absenceRepository.findById.mockResolvedValue(absence({ status: ABSENCE_STATUS.APPROVED }));
+
+            await expect(absenceService.reviewAbsence('absence-1', { isApproved: true }, admin))
+                .rejects.toThrow(ERROR_MESSAGES.ABSENCE_NOT_PENDING);
+        });
+    });
+
+    describe('cancelAbsence', () => {
+        it('permite al dueño cancelar su solicitud pendiente', async () => {
+            absenceService.absenceRepository.findById.mockResolvedValue(absence());
+
+            const result = await absenceService.cancelAbsence('absence-1', collaborator);
+
+            expect(result.status).toBe(ABSENCE_STATUS.CANCELLED);
+        });
+
+        it('no permite al dueño cancelar una ausencia ya aprobada', async () => {
+            absenceService.absenceRepository.findById.mockResolvedValue(absence({ status: ABSENCE_STATUS.APPROVED }));
+
+            await expect(absenceService.cancelAbsence('absence-1', collaborator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+
+        it('permite al coordinador cancelar una ausencia aprobada de su área', async () => {
+            absenceService.absenceRepository.findById.mockResolvedValue(absence({ status: ABSENCE_STATUS.APPROVED }));
+
+            const result = await absenceService.cancelAbsence('absence-1', coordinator);
+
+            expect(result.status).toBe(ABSENCE_STATUS.CANCELLED);
+        });
+    });
+
+    describe('getAbsenceDates', () => {
+        it('devuelve solo los días de ausencia dentro del rango', async () => {
+            absenceService.absenceRepository.findApprovedForUsers.mockResolvedValue([
+                absence({ status: ABSENCE_STATUS.APPROVED, type: ABSENCE_TYPE.SICK_LEAVE }),
+            ]);
+
+            const result = await absenceService.getAbsenceDates('user-1', '2025-09-16', '2025-09-20');
+
+            expect(absenceService.absenceRepository.findApprovedForUsers)
+                .toHaveBeenCalledWith(['user-1'], '2025-09-16', '2025-09-20');
+            expect([...result.entries()]).toEqual([
+                ['2025-09-16', 'Incapacidad'],
+                ['2025-09-17', 'Incapacidad'],
+            ]);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+const BillingRateService = require('../../src/services/billingRate.service');
+const { USER_ROLES, ERROR_MESSAGES } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/billingRate.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('BillingRateService', () => {
+    let billingRateService;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com', role: USER_ROLES.ADMINISTRADOR };
+
+    const rate = (overrides = {}) => ({
+        id: 'rate-1',
+        userId: null,
+        role: USER_ROLES.COLABORADOR,
+        costRate: '100.00',
+        billRate: '300.00',
+        effectiveFrom: new Date('2025-01-01T00:00:00.000Z'),
+        effectiveTo: null,
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        billingRateService = new BillingRateService();
+        billingRateService.billingRateRepository = {
+            findById: jest.fn(),
+            findMany: jest.fn().mockResolvedValue([]),
+            findOverlapping: jest.fn().mockResolvedValue([]),
+            findEffectiveInRange: jest.fn().mockResolvedValue([]),
+            create: jest.fn(data => Promise.resolve({ id: 'rate-1', ...data })),
+            update: jest.fn((id, data) => Promise.resolve({ ...rate(), ...data })),
+            delete: jest.fn(),
+        };
+        billingRateService.userRepository = {
+            findById: jest.fn(id => Promise.resolve(id === 'user-9' ? null : { id, role: USER_ROLES.COLABORADOR })),
+        };
+    });
+
+    describe('createRate', () => {
+        it('debería registrar la tarifa de un usuario sin rol', async () => {
+            const result = await billingRateService.createRate({
+                userId: 'user-1',
+                costRate: 200,
+                billRate: 500,
+                effectiveFrom: new Date('2025-02-01T00:00:00.000Z'),
+            }, admin);
+
+            expect(billingRateService.billingRateRepository.findOverlapping)
+                .toHaveBeenCalledWith({ userId: 'user-1', role: null }, '2025-02-01', null, null);
+            expect(billingRateService.billingRateRepository.create).toHaveBeenCalledWith({
+                userId: 'user-1',
+                role: null,
+                costRate: 200,
+                billRate: 500,
+                effectiveFrom: '2025-02-01',
+                effectiveTo: null,
+                createdBy: 'admin-1',
+            });
+            expect(result.id).toBe('rate-1');
+        });
+
+        it('debería rechazar una tarifa de rol que se cruza con otra vigente', async () => {
+            billingRateService.billingRateRepository.findOverlapping.mockResolvedValue([rate()]);
+
+            await expect(billingRateService.createRate({
+                role: USER_ROLES.COLABORADOR,
+                costRate: 120,
+                billRate: 320,
+                effectiveFrom: '2025-06-01',
+            }, admin)).rejects.toThrow(ERROR_MESSAGES.BILLING_RATE_OVERLAP);
+            expect(billingRateService.billingRateRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('debería fallar si el usuario no existe', async () => {
+            await expect(billingRateService.createRate({
+                userId: 'user-9',
+                costRate: 120,
+                billRate: 320,
+                effectiveFrom: '2025-06-01',
+            }, admin)).rejects.toThrow(ERROR_MESSAGES.USER_NOT_FOUND);
+        });
+    });
+
+    describe('updateRate', () => {
+        it('debería cerrar la vigencia de la tarifa revisando cruces con el mismo rol', async () => {
+            billingRateService.billingRateRepository.findById.mockResolvedValue(rate());
+
+            await billingRateService.updateRate('rate-1', { effectiveTo: new Date('2025-05-31T00:00:00.000Z') }, admin);
+
+            expect(billingRateService.billingRateRepository.findOverlapping)
+                .toHaveBeenCalledWith({ userId: null, role: USER_ROLES.COLABORADOR }, '2025-01-01', '2025-05-31', 'rate-1');
+            expect(billingRateService.billingRateRepository.update).toHaveBeenCalledWith('rate-1', { effectiveTo: '2025-05-31' });
+        });
+
+        it('debería fallar si la tarifa no existe', async () => {
+            billingRateService.billingRateRepository.findById.mockResolvedValue(null);
+
+            await expect(billingRateService.updateRate('rate-1', { billRate: 350 }, admin))
+                .rejects.toThrow(ERROR_MESSAGES.BILLING_RATE_NOT_FOUND);
+        });
+    });
+
+    describe('resolveRate', () => {
+        const rates = [
+            rate({ id: 'rate-role', effectiveTo: new Date('2025-03-31T00:00:00.000Z') }),
+            rate({ id: 'rate-role-2', costRate: '110.00', billRate: '330.00', effectiveFrom: new Date('2025-04-01T00:00:00.000Z') }),
+            rate({ id: 'rate-user', userId: 'user-1', role: null, costRate: '200.00', billRate: '500.00', effectiveFrom: new Date('2025-03-01T00:00:00.000Z') }),
+        ];
+
+        it('debería preferir la tarifa del usuario vigente en la fecha', () => {
+            expect(billingRateService.resolveRate(rates, { id: 'user-1', role: USER_ROLES.COLABORADOR }, '2025-03-10'))
+                .toEqual({ costRate: 200, billRate: 500 });
+        });
+
+        it('debería usar la tarifa del rol vigente cuando el usuario no tiene tarifa propia', () => {
+            const user = { id: 'user-2', role: USER_ROLES.COLABORADOR };
+
+            expect(billingRateService.resolveRate(rates, user, new Date('2025-02-10T00:00:00.000Z')))
+                .toEqual({ costRate: 100, billRate: 300 });
+            expect(billingRateService.resolveRate(rates, user, '2025-04-10'))
+                .toEqual({ costRate: 110, billRate: 330 });
+        });
+
+        it('debería devolver null si no hay tarifa aplicable', () => {
+            expect(billingRateService.resolveRate(rates, { id: 'user-3', role: USER_ROLES.COORDINADOR }, '2025-04-10')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const nodemailer = require('nodemailer');
+const EmailService = require('../../src/services/email.service');
+const { EMAIL_TYPES, EMAIL_STATUS } = require('../../src/utils/constants');
+
+// Mock de transporte SMTP, repositorios y utilidades
+jest.mock('nodemailer');
+jest.mock('../../src/repositories/emailLog.repository');
+jest.mock('../../src/utils/logger');
+
+describe('EmailService', () => {
+    let emailService;
+    let mockSendMail;
+
+    const message = {
+        to: 'ana@test.com',
+        subject: 'Recordatorio',
+        html: '<p>Hola</p>',
+        text: 'Hola',
+        type: EMAIL_TYPES.TIMESHEET_REMINDER,
+        userId: 'user-1',
+        timePeriodId: 'period-1',
+    };
+
+    beforeEach(() => {
+        mockSendMail = jest.fn();
+        nodemailer.createTransport.mockReturnValue({ sendMail: mockSendMail });
+
+        emailService = new EmailService();
+        emailService.emailLogRepository = {
+            create: jest.fn(data => Promise.resolve({ id: 'log-1', ...data })),
+        };
+    });
+
+    describe('send', () => {
+        it('debería enviar el correo y registrarlo como enviado', async () => {
+            mockSendMail.mockResolvedValue({ messageId: '<abc@teamtime>' });
+
+            const log = await emailService.send(message);
+
+            expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+                to: 'ana@test.com',
+                subject: 'Recordatorio',
+                html: '<p>Hola</p>',
+                text: 'Hola',
+            }));
+            expect(emailService.emailLogRepository.create).toHaveBeenCalledWith({
+                userId: 'user-1',
+                recipient: 'ana@test.com',
+                type: EMAIL_TYPES.TIMESHEET_REMINDER,
+                subject: 'Recordatorio',
+                timePeriodId: 'period-1',
+                status: EMAIL_STATUS.SENT,
+                messageId: '<abc@teamtime>',
+            });
+            expect(log.status).toBe(EMAIL_STATUS.SENT);
+        });
+
+        it('debería registrar el fallo sin propagar el error del servidor SMTP', async () => {
+            mockSendMail.mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:1025'));
+
+            const log = await emailService.send(message);
+
+            expect(log).toEqual(expect.objectContaining({
+                status: EMAIL_STATUS.FAILED,
+                error: 'connect ECONNREFUSED 127.0.0.1:1025',
+            }));
+        });
+    });
+});
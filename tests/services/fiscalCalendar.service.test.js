@@ -0,0 +1,63 @@
+const FiscalCalendarService = require('../../src/services/fiscalCalendar.service');
+const { FISCAL_CALENDAR_TYPE } = require('../../src/utils/constants');
+
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('FiscalCalendarService', () => {
+    let fiscalCalendarService;
+
+    const calendar = { type: FISCAL_CALENDAR_TYPE.CALENDAR, startMonth: 4 };
+    const weeks445 = { type: FISCAL_CALENDAR_TYPE.WEEKS_445, startMonth: 1 };
+    const dates = month => [month.fiscalMonth, month.startDate, month.endDate, month.weeks];
+
+    beforeEach(() => {
+        fiscalCalendarService = new FiscalCalendarService();
+        fiscalCalendarService.systemConfigService = {
+            getFiscalCalendar: jest.fn().mockResolvedValue(weeks445),
+        };
+    });
+
+    it('usa el calendario configurado', async () => {
+        await expect(fiscalCalendarService.getCalendar()).resolves.toEqual(weeks445);
+    });
+
+    it('arma los meses naturales desde el mes de inicio del año fiscal', () => {
+        const year = fiscalCalendarService.buildYear(2025, calendar);
+
+        expect(year).toMatchObject({ fiscalYear: 2025, startDate: '2025-04-01', endDate: '2026-03-31' });
+        expect(year.months[0]).toEqual({ fiscalYear: 2025, fiscalMonth: 1, year: 2025, month: 4, startDate: '2025-04-01', endDate: '2025-04-30' });
+        expect(year.months[10]).toMatchObject({ fiscalMonth: 11, year: 2026, month: 2, startDate: '2026-02-01', endDate: '2026-02-28' });
+    });
+
+    it('arma meses 4-4-5 de semanas completas desde el lunes más cercano al inicio del año', () => {
+        // El 1 de enero de 2025 es miércoles: el año fiscal inicia el lunes 30 de diciembre
+        const year = fiscalCalendarService.buildYear(2025, weeks445);
+
+        expect(year).toMatchObject({ startDate: '2024-12-30', endDate: '2025-12-28' });
+        expect(year.months.slice(0, 3).map(dates)).toEqual([
+            [1, '2024-12-30', '2025-01-26', 4],
+            [2, '2025-01-27', '2025-02-23', 4],
+            [3, '2025-02-24', '2025-03-30', 5],
+        ]);
+        expect(year.months[11]).toMatchObject({ year: 2025, month: 12, startDate: '2025-11-24', endDate: '2025-12-28', weeks: 5 });
+
+        // El 1 de enero de 2027 es viernes: 2026 tiene 53 semanas y la sobrante va al último mes
+        const longYear = fiscalCalendarService.buildYear(2026, weeks445);
+        expect(longYear).toMatchObject({ startDate: '2025-12-29', endDate: '2027-01-03' });
+        expect(dates(longYear.months[11])).toEqual([12, '2026-11-23', '2027-01-03', 6]);
+    });
+
+    it('ubica fechas, rangos y períodos en su año y mes fiscal', () => {
+        expect(fiscalCalendarService.findMonth('2026-02-10', calendar)).toMatchObject({ fiscalYear: 2025, fiscalMonth: 11 });
+        expect(fiscalCalendarService.findMonth('2025-12-30', weeks445)).toMatchObject({ fiscalYear: 2026, fiscalMonth: 1 });
+
+        expect(fiscalCalendarService.getRange(2025, 3, weeks445)).toEqual({ startDate: '2025-02-24', endDate: '2025-03-30' });
+        expect(fiscalCalendarService.getRange(2025, null, calendar)).toEqual({ startDate: '2025-04-01', endDate: '2026-03-31' });
+
+        expect(fiscalCalendarService.findMonthsInRange('2025-03-15', '2025-05-10', calendar).map(month => month.month)).toEqual([3, 4, 5]);
+
+        expect(fiscalCalendarService.getPeriodFiscalMonth({ year: 2026, month: 2 }, calendar)).toEqual({ fiscalYear: 2025, fiscalMonth: 11 });
+        expect(fiscalCalendarService.getPeriodFiscalMonth({ year: 2025, month: 4 }, calendar)).toEqual({ fiscalYear: 2025, fiscalMonth: 1 });
+    });
+});
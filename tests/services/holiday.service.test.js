@@ -0,0 +1,169 @@
+const HolidayService = require('../../src/services/holiday.service');
+const { USER_ROLES, ERROR_MESSAGES } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/holiday.repository');
+jest.mock('../../src/repositories/area.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/repositories/timePeriod.repository');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('HolidayService', () => {
+    let holidayService;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com', role: USER_ROLES.ADMINISTRADOR };
+
+    const holiday = (date, overrides = {}) => ({
+        date: new Date(`${date}T00:00:00.000Z`),
+        name: 'Día de la Independencia',
+        areaId: null,
+        isWorkingDay: false,
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        holidayService = new HolidayService();
+        holidayService.holidayRepository = {
+            findById: jest.fn(),
+            findByDateAndArea: jest.fn().mockResolvedValue(null),
+            findInRange: jest.fn().mockResolvedValue([]),
+            create: jest.fn(data => Promise.resolve({ id: 'holiday-1', ...data, date: new Date(`${data.date}T00:00:00.000Z`) })),
+        };
+        holidayService.areaRepository = {
+            findById: jest.fn().mockResolvedValue({ id: 'area-1', name: 'PMO' }),
+        };
+        holidayService.userRepository = {
+            findById: jest.fn().mockResolvedValue({ id: 'user-1', areaId: 'area-1' }),
+        };
+        holidayService.timePeriodRepository = {
+            findAutomaticByDates: jest.fn().mockResolvedValue([]),
+            update: jest.fn(),
+        };
+        holidayService.systemConfigService = {
+            getWorkingHoursPerDay: jest.fn().mockResolvedValue(8),
+        };
+    });
+
+    describe('getHolidayDates', () => {
+        it('debería aplicar las excepciones del área sobre los feriados globales', async () => {
+            holidayService.holidayRepository.findInRange.mockResolvedValue([
+                holiday('2025-09-15', { name: 'Puente de Independencia', areaId: 'area-1' }),
+                holiday('2025-09-16'),
+                holiday('2025-09-16', { name: 'Guardia del área', areaId: 'area-1', isWorkingDay: true }),
+                holiday('2025-11-17', { name: 'Día de la Revolución' }),
+            ]);
+
+            const dates = await holidayService.getHolidayDates('2025-09-01', '2025-11-30', 'area-1');
+
+            expect(holidayService.holidayRepository.findInRange).toHaveBeenCalledWith('2025-09-01', '2025-11-30', 'area-1');
+            expect([...dates]).toEqual([
+                ['2025-09-15', 'Puente de Independencia'],
+                ['2025-11-17', 'Día de la Revolución'],
+            ]);
+        });
+    });
+
+    describe('checkNonWorkingDay', () => {
+        it('debería considerar inhábiles los feriados del área del usuario y los fines de semana', async () => {
+            holidayService.holidayRepository.findInRange.mockImplementation(async (startDate) => (
+                startDate === '2025-09-16' ? [holiday('2025-09-16')] : []
+            ));
+
+            await expect(holidayService.checkNonWorkingDay('2025-09-16', 'user-1')).resolves.toEqual({
+                isNonWorking: true,
+                reason: '2025-09-16 es día feriado (Día de la Independencia)',
+            });
+            await expect(holidayService.checkNonWorkingDay(new Date('2025-09-20T00:00:00.000Z'), 'user-1')).resolves.toEqual({
+                isNonWorking: true,
+                reason: '2025-09-20 es fin de semana',
+            });
+            await expect(holidayService.checkNonWorkingDay('2025-09-17', 'user-1')).resolves.toEqual({ isNonWorking: false });
+            expect(holidayService.holidayRepository.findInRange).toHaveBeenCalledWith('2025-09-17', '2025-09-17', 'area-1');
+        });
+    });
+
+    describe('horas de referencia', () => {
+        it('debería descontar fines de semana y feriados globales', async () => {
+            holidayService.holidayRepository.findInRange.mockResolvedValue([holiday('2025-09-16')]);
+
+            await expect(holidayService.calculateReferenceHours('2025-09-15', '2025-09-21')).resolves.toBe(32);
+            expect(holidayService.holidayRepository.findInRange).toHaveBeenCalledWith('2025-09-15', '2025-09-21', null);
+        });
+
+        it('debería conservar las horas indicadas como manuales y calcular las demás', async () => {
+            await expect(holidayService.withReferenceHours({ startDate: '2025-09-15', endDate: '2025-09-21', referenceHours: 36 }))
+                .resolves.toEqual(expect.objectContaining({ referenceHours: 36, isReferenceHoursManual: true }));
+
+            await expect(holidayService.withReferenceHours({ startDate: '2025-09-01', endDate: '2025-09-15' }))
+                .resolves.toEqual(expect.objectContaining({ referenceHours: 88, isReferenceHoursManual: false }));
+        });
+
+        it('debería volver al cálculo automático al actualizar con horas null', async () => {
+            const period = { startDate: new Date('2025-09-15T00:00:00.000Z'), endDate: new Date('2025-09-21T00:00:00.000Z'), isReferenceHoursManual: true };
+
+            await expect(holidayService.withUpdatedReferenceHours(period, { description: 'Semana 38' }))
+                .resolves.toEqual({ description: 'Semana 38' });
+            await expect(holidayService.withUpdatedReferenceHours(period, { referenceHours: null }))
+                .resolves.toEqual({ referenceHours: 40, isReferenceHoursManual: false });
+        });
+
+        it('debería prorratear los meses de un rango según sus días', () => {
+            expect(holidayService.countMonths('2025-01-01', '2025-01-31')).toBe(1);
+            expect(holidayService.countMonths('2025-01-16', new Date('2025-02-14T00:00:00.000Z'))).toBe(1.02);
+        });
+    });
+
+    describe('createHoliday', () => {
+        it('debería recalcular los períodos automáticos al registrar un feriado global', async () => {
+            holidayService.timePeriodRepository.findAutomaticByDates.mockResolvedValue([
+                { id: 'period-1', startDate: new Date('2025-09-15T00:00:00.000Z'), endDate: new Date('2025-09-21T00:00:00.000Z'), referenceHours: 40 },
+            ]);
+            holidayService.holidayRepository.findInRange.mockResolvedValue([holiday('2025-09-16')]);
+
+            const created = await holidayService.createHoliday({ date: '2025-09-16', name: 'Día de la Independencia' }, admin);
+
+            expect(holidayService.holidayRepository.create).toHaveBeenCalledWith({
+                date: '2025-09-16',
+                name: 'Día de la Independencia',
+                areaId: null,
+                isWorkingDay: false,
+                createdBy: 'admin-1',
+            });
+            expect(created.id).toBe('holiday-1');
+            expect(holidayService.timePeriodRepository.findAutomaticByDates).toHaveBeenCalledWith(['2025-09-16']);
+            expect(holidayService.timePeriodRepository.update).toHaveBeenCalledWith('period-1', { referenceHours: 32 });
+        });
+
+        it('debería rechazar duplicados y días laborables sin área', async () => {
+            await expect(holidayService.createHoliday({ date: '2025-09-16', name: 'Guardia', isWorkingDay: true }, admin))
+                .rejects.toThrow('Solo una excepción de área puede marcar una fecha como laborable');
+
+            holidayService.holidayRepository.findByDateAndArea.mockResolvedValue({ id: 'holiday-9' });
+            await expect(holidayService.createHoliday({ date: '2025-09-16', name: 'Día de la Independencia' }, admin))
+                .rejects.toThrow(ERROR_MESSAGES.HOLIDAY_ALREADY_EXISTS);
+            expect(holidayService.holidayRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('importNationalHolidays', () => {
+        it('debería registrar los feriados de México del año omitiendo los existentes', async () => {
+            holidayService.holidayRepository.findByDateAndArea.mockImplementation(async (date) => (
+                date === '2025-01-01' ? { id: 'holiday-9' } : null
+            ));
+
+            const result = await holidayService.importNationalHolidays(2025, admin);
+
+            expect(result.created.map(created => created.name)).toEqual([
+                'Día de la Constitución',
+                'Natalicio de Benito Juárez',
+                'Día del Trabajo',
+                'Día de la Independencia',
+                'Día de la Revolución',
+                'Navidad',
+            ]);
+            expect(result.created[0].date).toEqual(new Date('2025-02-03T00:00:00.000Z'));
+            expect(result.skipped).toEqual([expect.objectContaining({ date: '2025-01-01', name: 'Año Nuevo' })]);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+const JobService = require('../../src/services/job.service');
+const { parseCronExpression, matchesCron, getNextCronDate } = require('../../src/utils/cron');
+const { JOB_RUN_STATUS, JOB_RUN_TRIGGER, ERROR_MESSAGES } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/jobRun.repository');
+jest.mock('../../src/jobs/definitions', () => ({ JOB_DEFINITIONS: [] }));
+jest.mock('../../src/utils/logger');
+
+describe('JobService', () => {
+    let jobService;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com' };
+
+    const job = (overrides = {}) => ({
+        name: 'close-periods',
+        description: 'Cerrar períodos',
+        schedule: '0 3 * * *',
+        enabled: true,
+        timeoutMinutes: 30,
+        run: jest.fn().mockResolvedValue({ closed: 2 }),
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        jobService = new JobService();
+        jobService.jobRunRepository = {
+            acquireLock: jest.fn().mockResolvedValue(true),
+            releaseLock: jest.fn().mockResolvedValue(),
+            create: jest.fn(data => Promise.resolve({ id: 'run-1', status: JOB_RUN_STATUS.RUNNING, ...data })),
+            finish: jest.fn((id, data) => Promise.resolve({ id, ...data })),
+            findLatest: jest.fn().mockResolvedValue(null),
+        };
+        jobService.jobs = [job()];
+    });
+
+    describe('runJob', () => {
+        it('registra la ejecución exitosa con su duración y resultado, y libera el candado', async () => {
+            const run = await jobService.runJob(jobService.jobs[0], { trigger: JOB_RUN_TRIGGER.MANUAL, triggeredBy: 'admin-1' });
+
+            expect(jobService.jobRunRepository.acquireLock).toHaveBeenCalledWith('close-periods', jobService.instanceId, 30 * 60 * 1000, null);
+            expect(jobService.jobRunRepository.create).toHaveBeenCalledWith({
+                jobName: 'close-periods',
+                trigger: JOB_RUN_TRIGGER.MANUAL,
+                triggeredBy: 'admin-1',
+                instanceId: jobService.instanceId,
+            });
+            expect(run).toMatchObject({ status: JOB_RUN_STATUS.SUCCESS, result: { closed: 2 } });
+            expect(run.durationMs).toBeGreaterThanOrEqual(0);
+            expect(jobService.jobRunRepository.releaseLock).toHaveBeenCalledWith('close-periods', jobService.instanceId);
+        });
+
+        it('registra el error de la tarea sin propagarlo', async () => {
+            const failing = job({ run: jest.fn().mockRejectedValue(new Error('Sin conexión SMTP')) });
+
+            const run = await jobService.runJob(failing, { trigger: JOB_RUN_TRIGGER.SCHEDULED });
+
+            expect(run).toMatchObject({ status: JOB_RUN_STATUS.FAILED, error: 'Sin conexión SMTP' });
+            expect(jobService.jobRunRepository.releaseLock).toHaveBeenCalled();
+        });
+
+        it('no ejecuta la tarea si otra instancia tiene el candado', async () => {
+            jobService.jobRunRepository.acquireLock.mockResolvedValue(false);
+
+            await expect(jobService.runJob(jobService.jobs[0], { trigger: JOB_RUN_TRIGGER.SCHEDULED })).resolves.toBeNull();
+            await expect(jobService.triggerJob('close-periods', admin)).rejects.toThrow(ERROR_MESSAGES.JOB_ALREADY_RUNNING);
+            await expect(jobService.triggerJob('no-existe', admin)).rejects.toThrow(ERROR_MESSAGES.JOB_NOT_FOUND);
+
+            expect(jobService.jobs[0].run).not.toHaveBeenCalled();
+            expect(jobService.jobRunRepository.create).not.toHaveBeenCalled();
+            expect(jobService.jobRunRepository.releaseLock).not.toHaveBeenCalled();
+        });
+    });
+
+    it('ejecuta solo las tareas habilitadas que coinciden con el minuto programado', async () => {
+        const disabled = job({ name: 'send-reminders', enabled: false });
+        const otherTime = job({ name: 'report-rollups', schedule: '30 1 * * *' });
+        jobService.jobs = [job(), disabled, otherTime];
+        const scheduledAt = new Date(2025, 2, 10, 3, 0);
+
+        const runs = await jobService.runScheduledJobs(scheduledAt);
+
+        expect(runs).toHaveLength(1);
+        expect(jobService.jobRunRepository.acquireLock).toHaveBeenCalledTimes(1);
+        expect(jobService.jobRunRepository.acquireLock).toHaveBeenCalledWith('close-periods', jobService.instanceId, 30 * 60 * 1000, scheduledAt);
+        expect(disabled.run).not.toHaveBeenCalled();
+        expect(otherTime.run).not.toHaveBeenCalled();
+    });
+
+    it('interpreta expresiones cron de 5 campos', () => {
+        const from = new Date(2025, 2, 10, 10, 17, 30); // lunes
+
+        expect(getNextCronDate('*/15 * * * *', from)).toEqual(new Date(2025, 2, 10, 10, 30));
+        expect(getNextCronDate('0 9 * * 1-5', from)).toEqual(new Date(2025, 2, 11, 9, 0));
+        expect(getNextCronDate('0 2 1 * *', from)).toEqual(new Date(2025, 3, 1, 2, 0));
+        expect(getNextCronDate('0 0 29 2 *', from)).toEqual(new Date(2028, 1, 29, 0, 0));
+        expect(getNextCronDate('0 0 31 2 *', from)).toBeNull();
+
+        // Con día del mes y de la semana restringidos basta con que coincida uno
+        expect(matchesCron('0 9 1 * 1', new Date(2025, 2, 10, 9, 0))).toBe(true);
+        expect(matchesCron('0 9 1 * 2', new Date(2025, 2, 10, 9, 0))).toBe(false);
+
+        expect(() => parseCronExpression('61 * * * *')).toThrow('Valor inválido "61" para el minuto');
+        expect(() => parseCronExpression('0 3 * *')).toThrow('debe tener 5 campos');
+    });
+});
@@ -0,0 +1,150 @@
+const OvertimeService = require('../../src/services/overtime.service');
+const { OVERTIME_RULE } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/timeEntry.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/repositories/absence.repository');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('OvertimeService', () => {
+    let overtimeService;
+
+    // Semana del lunes 15 al domingo 21 de septiembre de 2025 (el 16 es feriado)
+    const entry = (id, date, hours, overrides = {}) => ({
+        id,
+        userId: 'user-1',
+        date: new Date(`${date}T00:00:00.000Z`),
+        hours,
+        createdAt: new Date(`${date}T10:00:00.000Z`),
+        isApproved: false,
+        isOvertime: false,
+        overtimeHours: null,
+        overtimeRules: [],
+        ...overrides,
+    });
+
+    const setRules = (rules) => {
+        overtimeService.systemConfigService.getOvertimeRules.mockResolvedValue({
+            dailyHours: 0,
+            weekly: false,
+            nonWorkingDays: false,
+            ...rules,
+        });
+    };
+
+    beforeEach(() => {
+        overtimeService = new OvertimeService();
+        overtimeService.systemConfigService = {
+            getOvertimeRules: jest.fn(),
+        };
+        overtimeService.timeEntryRepository = {
+            findByUserAndDates: jest.fn().mockResolvedValue([]),
+            updateOvertime: jest.fn(),
+        };
+        overtimeService.userRepository = {
+            findById: jest.fn().mockResolvedValue({ id: 'user-1', areaId: 'area-1' }),
+        };
+        overtimeService.holidayService.holidayRepository = {
+            findInRange: jest.fn().mockResolvedValue([
+                { date: new Date('2025-09-16T00:00:00.000Z'), name: 'Día de la Independencia', areaId: null, isWorkingDay: false },
+            ]),
+        };
+        overtimeService.holidayService.systemConfigService = {
+            getWorkingHoursPerDay: jest.fn().mockResolvedValue(8),
+        };
+        overtimeService.workScheduleService.workScheduleRepository = {
+            findByUsers: jest.fn().mockResolvedValue([]),
+        };
+        overtimeService.workScheduleService.absenceRepository = {
+            findApprovedForUsers: jest.fn().mockResolvedValue([]),
+        };
+    });
+
+    it('no evalúa nada con las reglas deshabilitadas', async () => {
+        setRules({});
+
+        const result = await overtimeService.evaluateDates('user-1', ['2025-09-17']);
+
+        expect(result.size).toBe(0);
+        expect(overtimeService.timeEntryRepository.findByUserAndDates).not.toHaveBeenCalled();
+    });
+
+    it('marca solo las horas del registro que cruza el límite diario', async () => {
+        setRules({ dailyHours: 8 });
+        overtimeService.timeEntryRepository.findByUserAndDates.mockResolvedValue([
+            entry('entry-2', '2025-09-17', 4, { createdAt: new Date('2025-09-17T15:00:00.000Z') }),
+            entry('entry-1', '2025-09-17', 6),
+        ]);
+
+        const result = await overtimeService.evaluateDates('user-1', ['2025-09-17']);
+
+        expect(overtimeService.timeEntryRepository.findByUserAndDates).toHaveBeenCalledWith('user-1', [
+            '2025-09-15', '2025-09-16', '2025-09-17', '2025-09-18', '2025-09-19', '2025-09-20', '2025-09-21',
+        ]);
+        expect(result.get('entry-1')).toEqual({ isOvertime: false, overtimeHours: null, overtimeRules: [] });
+        expect(result.get('entry-2')).toEqual({ isOvertime: true, overtimeHours: 2, overtimeRules: [OVERTIME_RULE.DAILY] });
+        expect(overtimeService.timeEntryRepository.updateOvertime).toHaveBeenCalledTimes(1);
+        expect(overtimeService.timeEntryRepository.updateOvertime).toHaveBeenCalledWith('entry-2', result.get('entry-2'));
+    });
+
+    it('compara la semana contra las horas esperadas descontando feriados', async () => {
+        setRules({ weekly: true });
+        overtimeService.timeEntryRepository.findByUserAndDates.mockResolvedValue([
+            entry('entry-1', '2025-09-15', 9),
+            entry('entry-2', '2025-09-17', 9),
+            entry('entry-3', '2025-09-18', 9),
+            entry('entry-4', '2025-09-19', 9),
+        ]);
+
+        const result = await overtimeService.evaluateDates('user-1', ['2025-09-19']);
+
+        // 4 días hábiles x 8h = 32h esperadas; el último registro lleva el total a 36h
+        expect(result.get('entry-3').isOvertime).toBe(false);
+        expect(result.get('entry-4')).toEqual({ isOvertime: true, overtimeHours: 4, overtimeRules: [OVERTIME_RULE.WEEKLY] });
+    });
+
+    it('marca todas las horas en fines de semana y feriados', async () => {
+        setRules({ dailyHours: 8, nonWorkingDays: true });
+        overtimeService.timeEntryRepository.findByUserAndDates.mockResolvedValue([
+            entry('entry-1', '2025-09-16', 3),
+            entry('entry-2', '2025-09-20', 10),
+        ]);
+
+        const result = await overtimeService.evaluateDates('user-1', ['2025-09-16', '2025-09-20']);
+
+        expect(result.get('entry-1')).toEqual({ isOvertime: true, overtimeHours: 3, overtimeRules: [OVERTIME_RULE.NON_WORKING_DAY] });
+        expect(result.get('entry-2')).toEqual({
+            isOvertime: true,
+            overtimeHours: 10,
+            overtimeRules: [OVERTIME_RULE.DAILY, OVERTIME_RULE.NON_WORKING_DAY],
+        });
+        // Ambas fechas están en la misma semana: se evalúa una sola vez
+        expect(overtimeService.timeEntryRepository.findByUserAndDates).toHaveBeenCalledTimes(1);
+    });
+
+    it('no modifica registros aprobados ni los que no cambian', async () => {
+        setRules({ dailyHours: 8 });
+        overtimeService.timeEntryRepository.findByUserAndDates.mockResolvedValue([
+            entry('entry-1', '2025-09-17', 8),
+            entry('entry-2', '2025-09-17', 2, {
+                createdAt: new Date('2025-09-17T15:00:00.000Z'),
+                isOvertime: true,
+                overtimeHours: '2.00',
+                overtimeRules: [OVERTIME_RULE.DAILY],
+            }),
+            entry('entry-3', '2025-09-18', 12, { isApproved: true }),
+        ]);
+
+        await overtimeService.evaluateDates('user-1', ['2025-09-17']);
+
+        expect(overtimeService.timeEntryRepository.updateOvertime).not.toHaveBeenCalled();
+    });
+
+    it('construye la advertencia con los motivos', () => {
+        expect(overtimeService.buildWarning({ isOvertime: false })).toBeNull();
+        expect(overtimeService.buildWarning({ isOvertime: true, overtimeHours: 2, overtimeRules: [OVERTIME_RULE.DAILY] }))
+            .toBe('Registro marcado con 2h extra (excede las horas diarias); requiere autorización del coordinador');
+    });
+});
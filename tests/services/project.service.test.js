@@ -60,11 +60,26 @@ describe('ProjectService', () => {
             expect(projectService.canUserCreateProject).toHaveBeenCalledWith(mockRequestingUser, mockProjectData.areaId);
             expect(mockProjectRepository.create).toHaveBeenCalledWith({
                 ...mockProjectData,
+                isBillable: true,
                 createdBy: mockRequestingUser.userId
             });
             expect(result).toEqual(expectedProject);
         });
 
+        test('should create general projects as non-billable by default', async () => {
+            // Arrange
+            projectService.canUserCreateProject = jest.fn().mockReturnValue(true);
+            mockProjectRepository.create.mockResolvedValue({ id: 'project-123', ...mockProjectData });
+
+            // Act
+            await projectService.createProject({ ...mockProjectData, isGeneral: true }, mockRequestingUser);
+            await projectService.createProject({ ...mockProjectData, isGeneral: true, isBillable: true }, mockRequestingUser);
+
+            // Assert
+            expect(mockProjectRepository.create).toHaveBeenNthCalledWith(1, expect.objectContaining({ isBillable: false }));
+            expect(mockProjectRepository.create).toHaveBeenNthCalledWith(2, expect.objectContaining({ isBillable: true }));
+        });
+
         test('should throw error if user cannot create project', async () => {
             // Arrange
             projectService.canUserCreateProject = jest.fn().mockReturnValue(false);
@@ -0,0 +1,170 @@
+const ProjectFinancialService = require('../../src/services/projectFinancial.service');
+const { USER_ROLES, ERROR_MESSAGES, PROJECT_COST_ALERT, FISCAL_CALENDAR_TYPE } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/project.repository');
+jest.mock('../../src/repositories/timeEntry.repository');
+jest.mock('../../src/repositories/billingRate.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('ProjectFinancialService', () => {
+    let projectFinancialService;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com', role: USER_ROLES.ADMINISTRADOR };
+
+    const project = (excelDetails = {}) => ({
+        id: 'project-1',
+        name: 'Proyecto 1',
+        areaId: 'area-1',
+        status: 'ACTIVE',
+        endDate: null,
+        excelDetails: {
+            excelId: 'XL-001',
+            income: '15000.00',
+            totalContractAmountMXN: '12000.00',
+            estimatedEndDate: new Date('2025-10-31T00:00:00.000Z'),
+            updatedEstimatedEndDate: new Date('2025-12-31T00:00:00.000Z'),
+            ...excelDetails,
+        },
+    });
+
+    const entry = (date, hours, user) => ({
+        date: new Date(`${date}T00:00:00.000Z`),
+        hours: hours.toFixed(2),
+        user,
+    });
+
+    beforeEach(() => {
+        projectFinancialService = new ProjectFinancialService();
+        projectFinancialService.projectRepository = {
+            findWithContract: jest.fn().mockResolvedValue(project()),
+        };
+        projectFinancialService.timeEntryRepository = {
+            findForBilling: jest.fn().mockResolvedValue([
+                entry('2025-01-01', 10, { id: 'user-1', role: USER_ROLES.COLABORADOR }),
+                entry('2025-03-10', 20, { id: 'user-2', role: USER_ROLES.COLABORADOR }),
+                entry('2025-06-05', 5, { id: 'user-3', role: USER_ROLES.COORDINADOR }),
+            ]),
+        };
+        projectFinancialService.billingRateService.billingRateRepository = {
+            findEffectiveInRange: jest.fn().mockResolvedValue([
+                { userId: null, role: USER_ROLES.COLABORADOR, costRate: '100.00', billRate: '300.00', effectiveFrom: new Date('2025-01-01T00:00:00.000Z'), effectiveTo: null },
+                { userId: 'user-2', role: null, costRate: '200.00', billRate: '500.00', effectiveFrom: new Date('2025-01-01T00:00:00.000Z'), effectiveTo: null },
+            ]),
+        };
+        projectFinancialService.systemConfigService = {
+            getProjectCostAlertPercent: jest.fn().mockResolvedValue(80),
+        };
+    });
+
+    it('calcula costo, ritmo mensual, proyección al fin estimado actualizado y margen sobre el ingreso', async () => {
+        const result = await projectFinancialService.getProjectFinancials('project-1', { asOf: '2025-06-30' }, admin);
+
+        expect(projectFinancialService.timeEntryRepository.findForBilling).toHaveBeenCalledWith({ projectId: 'project-1', endDate: '2025-06-30' });
+        expect(projectFinancialService.billingRateService.billingRateRepository.findEffectiveInRange).toHaveBeenCalledWith('2025-01-01', '2025-06-05');
+        // El coordinador no tiene tarifa: sus horas cuentan pero no suman costo
+        expect(result).toMatchObject({
+            hours: 35,
+            unratedHours: 5,
+            accumulatedCost: 5000,
+            elapsedMonths: 6,
+            burnRate: 833.33,
+            remainingMonths: 6,
+            projectedCost: 10000,
+            contract: { income: 15000, totalContractAmountMXN: 12000, costPercent: 41.67, projectedCostPercent: 83.33 },
+            margin: { basis: 'income', amount: 15000, current: 10000, currentPercent: 66.67, projected: 5000, projectedPercent: 33.33 },
+        });
+        expect(result.project.estimatedEndDate).toBe('2025-12-31');
+        expect(result.monthly).toEqual([
+            { month: '2025-01', hours: 10, cost: 1000 },
+            { month: '2025-02', hours: 0, cost: 0 },
+            { month: '2025-03', hours: 20, cost: 4000 },
+            { month: '2025-04', hours: 0, cost: 0 },
+            { month: '2025-05', hours: 0, cost: 0 },
+            { month: '2025-06', hours: 5, cost: 0 },
+        ]);
+        expect(result.alerts).toEqual([
+            expect.objectContaining({ type: PROJECT_COST_ALERT.PROJECTED_COST_THRESHOLD }),
+        ]);
+    });
+
+    it('agrupa el costo por mes y año fiscal si se solicita', async () => {
+        jest.spyOn(projectFinancialService.fiscalCalendarService, 'getCalendar')
+            .mockResolvedValue({ type: FISCAL_CALENDAR_TYPE.WEEKS_445, startMonth: 1 });
+
+        const result = await projectFinancialService.getProjectFinancials('project-1', { asOf: '2025-06-30', fiscal: true }, admin);
+
+        // El 30 de junio inicia el mes fiscal 7 del calendario 4-4-5
+        expect(result.monthly).toHaveLength(7);
+        expect(result.monthly[0]).toEqual({
+            month: '2025-01',
+            fiscalYear: 2025,
+            fiscalMonth: 1,
+            startDate: '2024-12-30',
+            endDate: '2025-01-26',
+            hours: 10,
+            cost: 1000,
+        });
+        expect(result.monthly[2]).toMatchObject({ fiscalMonth: 3, startDate: '2025-02-24', endDate: '2025-03-30', hours: 20, cost: 4000 });
+        expect(result.monthly[5]).toMatchObject({ fiscalMonth: 6, startDate: '2025-05-26', endDate: '2025-06-29', hours: 5, cost: 0 });
+        expect(result.yearly).toEqual([{ year: 2025, hours: 35, cost: 5000 }]);
+        expect(result.accumulatedCost).toBe(5000);
+    });
+
+    it('alerta el costo acumulado según el porcentaje configurado y sin fecha de fin no proyecta', async () => {
+        projectFinancialService.projectRepository.findWithContract.mockResolvedValue(
+            project({ income: null, estimatedEndDate: null, updatedEstimatedEndDate: null })
+        );
+        projectFinancialService.systemConfigService.getProjectCostAlertPercent.mockResolvedValue(40);
+
+        const result = await projectFinancialService.getProjectFinancials('project-1', { asOf: '2025-06-30' }, admin);
+
+        expect(result.projectedCost).toBeNull();
+        expect(result.margin).toEqual({
+            basis: 'totalContractAmountMXN',
+            amount: 12000,
+            current: 7000,
+            currentPercent: 58.33,
+            projected: null,
+            projectedPercent: null,
+        });
+        expect(result.alerts).toEqual([{
+            type: PROJECT_COST_ALERT.COST_THRESHOLD,
+            message: 'El costo acumulado alcanza el 41.67% del monto del contrato (límite 40%)',
+        }]);
+    });
+
+    it('con la fecha de fin vencida el costo proyectado es el acumulado', async () => {
+        const result = await projectFinancialService.getProjectFinancials('project-1', { asOf: '2026-01-31' }, admin);
+
+        expect(result.remainingMonths).toBe(0);
+        expect(result.projectedCost).toBe(result.accumulatedCost);
+        expect(result.monthly).toHaveLength(13);
+    });
+
+    it('devuelve ceros para un proyecto sin registros', async () => {
+        projectFinancialService.timeEntryRepository.findForBilling.mockResolvedValue([]);
+
+        const result = await projectFinancialService.getProjectFinancials('project-1', { asOf: '2025-06-30' }, admin);
+
+        expect(projectFinancialService.billingRateService.billingRateRepository.findEffectiveInRange).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ hours: 0, accumulatedCost: 0, burnRate: 0, projectedCost: 0, monthly: [], alerts: [] });
+    });
+
+    it('solo permite consultar a administradores y coordinadores del área del proyecto', async () => {
+        const coordinator = { userId: 'coord-1', email: 'coord@test.com', role: USER_ROLES.COORDINADOR, areaId: 'area-1' };
+        await expect(projectFinancialService.getProjectFinancials('project-1', { asOf: '2025-06-30' }, coordinator))
+            .resolves.toMatchObject({ accumulatedCost: 5000 });
+
+        await expect(projectFinancialService.getProjectFinancials('project-1', {}, { ...coordinator, areaId: 'area-2' }))
+            .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        await expect(projectFinancialService.getProjectFinancials('project-1', {}, { userId: 'user-1', role: USER_ROLES.COLABORADOR }))
+            .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+
+        projectFinancialService.projectRepository.findWithContract.mockResolvedValue(null);
+        await expect(projectFinancialService.getProjectFinancials('project-9', {}, admin))
+            .rejects.toThrow('Proyecto no encontrado');
+    });
+});
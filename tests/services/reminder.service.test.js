@@ -0,0 +1,141 @@
+const ReminderService = require('../../src/services/reminder.service');
+const { USER_ROLES, TIMESHEET_STATUS, EMAIL_TYPES, EMAIL_STATUS } = require('../../src/utils/constants');
+
+// Mock de repositorios, servicios y utilidades
+jest.mock('../../src/repositories/timePeriod.repository');
+jest.mock('../../src/repositories/timesheet.repository');
+jest.mock('../../src/repositories/timeEntry.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/repositories/emailLog.repository');
+jest.mock('../../src/services/email.service');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('ReminderService', () => {
+    let reminderService;
+
+    const buildPeriod = (daysUntilEnd) => {
+        const now = new Date();
+        return {
+            id: 'period-1',
+            startDate: new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate() + daysUntilEnd - 6)),
+            endDate: new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate() + daysUntilEnd)),
+            referenceHours: 40,
+        };
+    };
+
+    const users = [
+        { id: 'user-1', firstName: 'Ana', email: 'ana@test.com', role: USER_ROLES.COLABORADOR, emailNotifications: true },
+        { id: 'user-2', firstName: 'Luis', email: 'luis@test.com', role: USER_ROLES.COLABORADOR, emailNotifications: false },
+        { id: 'user-3', firstName: 'Eva', email: 'eva@test.com', role: USER_ROLES.COLABORADOR, emailNotifications: true },
+        { id: 'user-4', firstName: 'Raúl', email: 'raul@test.com', role: USER_ROLES.COLABORADOR, emailNotifications: true },
+    ];
+
+    beforeEach(() => {
+        reminderService = new ReminderService();
+        reminderService.timePeriodRepository = {
+            findById: jest.fn().mockResolvedValue(buildPeriod(1)),
+            getCurrentPeriod: jest.fn().mockResolvedValue(buildPeriod(1)),
+            getHoursByUser: jest.fn().mockResolvedValue([
+                { userId: 'user-1', hours: 24 },
+                { userId: 'user-4', hours: 40 },
+            ]),
+        };
+        reminderService.timesheetRepository = {
+            findByPeriod: jest.fn().mockResolvedValue([{ userId: 'user-3', status: TIMESHEET_STATUS.SUBMITTED }]),
+        };
+        reminderService.userRepository = {
+            findActiveTimeTrackers: jest.fn().mockResolvedValue(users),
+            findByRole: jest.fn(),
+        };
+        reminderService.timeEntryRepository = {
+            getPendingApproval: jest.fn(),
+        };
+        reminderService.emailLogRepository = {
+            wasSentSince: jest.fn().mockResolvedValue(false),
+        };
+        reminderService.emailService = {
+            send: jest.fn(message => Promise.resolve({ id: 'log-1', status: EMAIL_STATUS.SENT, ...message })),
+        };
+        reminderService.systemConfigService = {
+            getReminderDaysBeforePeriodEnd: jest.fn().mockResolvedValue(1),
+        };
+        reminderService.reportService = {
+            getExpectedHoursByUser: jest.fn((periodUsers, period) => Promise.resolve(
+                new Map(periodUsers.map(user => [user.id, period.referenceHours]))
+            )),
+        };
+    });
+
+    describe('sendTimesheetReminders', () => {
+        it('debería recordar solo a quienes no llegan a las horas esperadas, respetando envíos y preferencias', async () => {
+            const result = await reminderService.sendTimesheetReminders();
+
+            expect(reminderService.emailService.send).toHaveBeenCalledTimes(1);
+            expect(reminderService.emailService.send).toHaveBeenCalledWith(expect.objectContaining({
+                to: 'ana@test.com',
+                type: EMAIL_TYPES.TIMESHEET_REMINDER,
+                userId: 'user-1',
+                timePeriodId: 'period-1',
+                subject: expect.stringContaining('Recordatorio: completa tu hoja de tiempo'),
+                text: expect.stringContaining('llevas 24h registradas de 40h esperadas (faltan 16h)'),
+            }));
+            expect(result.sent).toBe(1);
+            expect(result.skipped).toEqual([
+                { userId: 'user-2', reason: 'Recordatorios desactivados por el usuario' },
+                { userId: 'user-3', reason: 'Hoja de tiempo ya enviada' },
+            ]);
+        });
+
+        it('no debería enviar nada si el período no está por terminar, salvo que se fuerce', async () => {
+            reminderService.timePeriodRepository.getCurrentPeriod.mockResolvedValue(buildPeriod(4));
+
+            const result = await reminderService.sendTimesheetReminders();
+
+            expect(result.sent).toBe(0);
+            expect(reminderService.userRepository.findActiveTimeTrackers).not.toHaveBeenCalled();
+
+            const forced = await reminderService.sendTimesheetReminders({ timePeriodId: 'period-1', force: true });
+            expect(forced.sent).toBe(1);
+        });
+
+        it('no debería reenviar el recordatorio si ya se envió hoy', async () => {
+            reminderService.emailLogRepository.wasSentSince.mockResolvedValue(true);
+
+            const result = await reminderService.sendTimesheetReminders();
+
+            expect(reminderService.emailService.send).not.toHaveBeenCalled();
+            expect(result.skipped).toContainEqual({ userId: 'user-1', reason: 'Recordatorio ya enviado hoy' });
+        });
+    });
+
+    describe('sendApprovalReminders', () => {
+        it('debería avisar a cada coordinador con registros pendientes de su área', async () => {
+            reminderService.userRepository.findByRole.mockResolvedValue([
+                { id: 'coord-1', firstName: 'Carla', email: 'carla@test.com', areaId: 'area-1', emailNotifications: true },
+                { id: 'coord-2', firstName: 'Mario', email: 'mario@test.com', areaId: 'area-2', emailNotifications: true },
+            ]);
+            reminderService.timeEntryRepository.getPendingApproval.mockImplementation(({ areaId }) => Promise.resolve(
+                areaId === 'area-1'
+                    ? [
+                        { userId: 'user-1', date: new Date('2025-01-14T00:00:00.000Z') },
+                        { userId: 'user-1', date: new Date('2025-01-13T00:00:00.000Z') },
+                        { userId: 'user-2', date: new Date('2025-01-15T00:00:00.000Z') },
+                    ]
+                    : []
+            ));
+
+            const result = await reminderService.sendApprovalReminders();
+
+            expect(reminderService.timeEntryRepository.getPendingApproval).toHaveBeenCalledWith({ areaId: 'area-1', excludeUserId: 'coord-1' });
+            expect(reminderService.emailService.send).toHaveBeenCalledTimes(1);
+            expect(reminderService.emailService.send).toHaveBeenCalledWith(expect.objectContaining({
+                to: 'carla@test.com',
+                type: EMAIL_TYPES.APPROVAL_REMINDER,
+                subject: 'Tienes 3 registros de tiempo pendientes de aprobación',
+                text: expect.stringContaining('3 registros de tiempo de 2 colaboradores en tu área esperando revisión. El más antiguo es del 13/01/2025'),
+            }));
+            expect(result.sent).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,376 @@
+const ReportService = require('../../src/services/report.service');
+const { USER_ROLES, TIMESHEET_STATUS, ERROR_MESSAGES, FISCAL_CALENDAR_TYPE, UTILIZATION_GROUP_BY } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/timePeriod.repository');
+jest.mock('../../src/repositories/timesheet.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/repositories/timeEntry.repository');
+jest.mock('../../src/repositories/billingRate.repository');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('ReportService', () => {
+    let reportService;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com', role: USER_ROLES.ADMINISTRADOR };
+    const coordinator = { userId: 'coord-1', email: 'coord@test.com', role: USER_ROLES.COORDINADOR, areaId: 'area-1' };
+
+    const mockPeriod = {
+        id: 'period-1',
+        periodNumber: 3,
+        startDate: new Date('2025-01-13T00:00:00.000Z'),
+        endDate: new Date('2025-01-19T00:00:00.000Z'),
+        referenceHours: 40,
+    };
+
+    const areaA = { id: 'area-1', name: 'Ingeniería' };
+    const areaB = { id: 'area-2', name: 'Operaciones' };
+
+    const users = [
+        { id: 'coord-1', firstName: 'Carla', lastName: 'Ruiz', email: 'coord@test.com', role: USER_ROLES.COORDINADOR, areaId: 'area-1', area: areaA },
+        { id: 'user-1', firstName: 'Ana', lastName: 'López', email: 'ana@test.com', role: USER_ROLES.COLABORADOR, areaId: 'area-1', area: areaA },
+        { id: 'user-2', firstName: 'Luis', lastName: 'Pérez', email: 'luis@test.com', role: USER_ROLES.COLABORADOR, areaId: 'area-1', area: areaA },
+        { id: 'user-3', firstName: 'Eva', lastName: 'Soto', email: 'eva@test.com', role: USER_ROLES.COLABORADOR, areaId: 'area-2', area: areaB },
+    ];
+
+    beforeEach(() => {
+        reportService = new ReportService();
+        reportService.timePeriodRepository = {
+            findById: jest.fn().mockResolvedValue(mockPeriod),
+            getHoursByUser: jest.fn().mockResolvedValue([
+                { userId: 'coord-1', hours: 40 },
+                { userId: 'user-1', hours: 30 },
+                { userId: 'user-3', hours: 39 },
+            ]),
+            getOvertimeByUser: jest.fn().mockResolvedValue([]),
+        };
+        reportService.timesheetRepository = {
+            findByPeriod: jest.fn().mockResolvedValue([{ userId: 'user-1', status: TIMESHEET_STATUS.SUBMITTED }]),
+        };
+        reportService.userRepository = {
+            findActiveTimeTrackers: jest.fn(areaId => Promise.resolve(users.filter(user => !areaId || user.areaId === areaId))),
+        };
+        reportService.systemConfigService = {
+            getMissingTimesheetThreshold: jest.fn().mockResolvedValue(100),
+        };
+        reportService.workScheduleService = {
+            getExpectedHoursByUser: jest.fn((periodUsers, period) => Promise.resolve(
+                new Map(periodUsers.map(user => [user.id, period.referenceHours]))
+            )),
+        };
+    });
+
+    describe('getMissingTimesheets', () => {
+        it('debería listar por área a los usuarios por debajo del umbral configurado, con sus coordinadores', async () => {
+            const report = await reportService.getMissingTimesheets({ timePeriodId: 'period-1' }, admin);
+
+            expect(reportService.userRepository.findActiveTimeTrackers).toHaveBeenCalledWith(null);
+            expect(report.threshold).toBe(100);
+            expect(report.totals).toEqual({ users: 4, belowThreshold: 3 });
+
+            const [engineering, operations] = report.areas;
+            expect(engineering.area).toEqual(areaA);
+            expect(engineering.coordinators).toEqual([expect.objectContaining({ id: 'coord-1' })]);
+            expect(engineering.totalUsers).toBe(3);
+            expect(engineering.users).toEqual([
+                expect.objectContaining({ id: 'user-2', loggedHours: 0, missingHours: 40, percentage: 0, timesheetStatus: TIMESHEET_STATUS.DRAFT }),
+                expect.objectContaining({ id: 'user-1', loggedHours: 30, missingHours: 10, percentage: 75, timesheetStatus: TIMESHEET_STATUS.SUBMITTED }),
+            ]);
+            expect(operations.users).toEqual([expect.objectContaining({ id: 'user-3', percentage: 97.5 })]);
+        });
+
+        it('debería usar el umbral solicitado en lugar del configurado', async () => {
+            const report = await reportService.getMissingTimesheets({ timePeriodId: 'period-1', threshold: 75 }, admin);
+
+            expect(reportService.systemConfigService.getMissingTimesheetThreshold).not.toHaveBeenCalled();
+            expect(report.totals.belowThreshold).toBe(1);
+            expect(report.areas[0].users.map(user => user.id)).toEqual(['user-2']);
+        });
+
+        it('debería limitar al coordinador a su área', async () => {
+            const report = await reportService.getMissingTimesheets({ timePeriodId: 'period-1' }, coordinator);
+
+            expect(reportService.userRepository.findActiveTimeTrackers).toHaveBeenCalledWith('area-1');
+            expect(report.areas.map(group => group.area.id)).toEqual(['area-1']);
+
+            await expect(reportService.getMissingTimesheets({ timePeriodId: 'period-1', areaId: 'area-2' }, coordinator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+
+        it('debería fallar si el período no existe', async () => {
+            reportService.timePeriodRepository.findById.mockResolvedValue(null);
+
+            await expect(reportService.getMissingTimesheets({ timePeriodId: 'missing' }, admin))
+                .rejects.toThrow('Período no encontrado');
+        });
+
+        it('debería comparar contra las horas esperadas de la jornada de cada usuario', async () => {
+            // user-2 es de medio tiempo y user-3 ingresó a mitad del período
+            reportService.workScheduleService.getExpectedHoursByUser.mockResolvedValue(new Map([
+                ['coord-1', 40], ['user-1', 40], ['user-2', 20], ['user-3', 24],
+            ]));
+            reportService.timePeriodRepository.getHoursByUser.mockResolvedValue([
+                { userId: 'coord-1', hours: 40 },
+                { userId: 'user-1', hours: 30 },
+                { userId: 'user-2', hours: 20 },
+                { userId: 'user-3', hours: 24 },
+            ]);
+
+            const report = await reportService.getMissingTimesheets({ timePeriodId: 'period-1' }, admin);
+
+            expect(report.totals.belowThreshold).toBe(1);
+            expect(report.areas[0].users).toEqual([expect.objectContaining({ id: 'user-1', expectedHours: 40 })]);
+        });
+    });
+
+    describe('getCapacity', () => {
+        it('debería resumir las horas esperadas contra las registradas por usuario', async () => {
+            reportService.workScheduleService.getExpectedHoursByUser.mockResolvedValue(new Map([
+                ['coord-1', 40], ['user-1', 40], ['user-2', 20],
+            ]));
+
+            const report = await reportService.getCapacity({ timePeriodId: 'period-1' }, coordinator);
+
+            expect(reportService.userRepository.findActiveTimeTrackers).toHaveBeenCalledWith('area-1');
+            expect(report.period).toEqual(expect.objectContaining({ id: 'period-1', referenceHours: 40 }));
+            expect(report.totals).toEqual({
+                users: 3,
+                expectedHours: 100,
+                loggedHours: 70,
+                utilization: 70,
+                belowExpected: 2,
+                overtime: { hours: 0, authorizedHours: 0, pendingHours: 0 },
+            });
+            expect(report.users).toEqual([
+                expect.objectContaining({ id: 'user-2', expectedHours: 20, loggedHours: 0, difference: -20, utilization: 0, status: 'below' }),
+                expect.objectContaining({ id: 'user-1', expectedHours: 40, loggedHours: 30, difference: -10, utilization: 75, status: 'below' }),
+                expect.objectContaining({ id: 'coord-1', expectedHours: 40, loggedHours: 40, difference: 0, utilization: 100, status: 'above' }),
+            ]);
+        });
+
+        it('debería desglosar las horas extra autorizadas y pendientes por usuario', async () => {
+            reportService.timePeriodRepository.getOvertimeByUser.mockResolvedValue([
+                { userId: 'coord-1', authorizedHours: 4, pendingHours: 0 },
+                { userId: 'user-1', authorizedHours: 1.5, pendingHours: 2 },
+            ]);
+
+            const report = await reportService.getCapacity({ timePeriodId: 'period-1' }, coordinator);
+
+            expect(report.totals.overtime).toEqual({ hours: 7.5, authorizedHours: 5.5, pendingHours: 2 });
+            expect(report.users.find(user => user.id === 'user-1').overtime)
+                .toEqual({ hours: 3.5, authorizedHours: 1.5, pendingHours: 2 });
+            expect(report.users.find(user => user.id === 'user-2').overtime)
+                .toEqual({ hours: 0, authorizedHours: 0, pendingHours: 0 });
+        });
+    });
+
+    describe('getBilling', () => {
+        const project1 = {
+            id: 'project-1',
+            name: 'Red troncal',
+            areaId: 'area-1',
+            isGeneral: false,
+            isBillable: true,
+            excelDetails: { excelId: '101', totalContractAmountMXN: '120000.00', monthlyBillingMXN: '10000.00' },
+        };
+        const generalProject = {
+            id: 'project-2',
+            name: 'Actividades generales del área: Ingeniería',
+            areaId: 'area-1',
+            isGeneral: true,
+            isBillable: false,
+            excelDetails: null,
+        };
+
+        const entry = (overrides = {}) => ({
+            projectId: 'project-1',
+            project: project1,
+            user: { id: 'user-1', role: USER_ROLES.COLABORADOR },
+            task: { isBillable: null },
+            date: new Date('2025-01-15T00:00:00.000Z'),
+            hours: '1.00',
+            isBillable: null,
+            ...overrides,
+        });
+
+        beforeEach(() => {
+            reportService.timeEntryRepository = {
+                findForBilling: jest.fn().mockResolvedValue([
+                    entry({ hours: '10.00' }),
+                    entry({ user: { id: 'user-2', role: USER_ROLES.COLABORADOR }, task: { isBillable: false }, hours: '4.00' }),
+                    entry({ projectId: 'project-2', project: generalProject, user: { id: 'user-2', role: USER_ROLES.COLABORADOR }, isBillable: true, hours: '2.00' }),
+                    entry({ projectId: 'project-2', project: generalProject, user: { id: 'coord-1', role: USER_ROLES.COORDINADOR }, hours: '3.00' }),
+                ]),
+            };
+            reportService.billingRateService.billingRateRepository = {
+                findEffectiveInRange: jest.fn().mockResolvedValue([
+                    { userId: null, role: USER_ROLES.COLABORADOR, costRate: '100.00', billRate: '300.00', effectiveFrom: new Date('2024-01-01T00:00:00.000Z'), effectiveTo: null },
+                    { userId: 'user-1', role: null, costRate: '200.00', billRate: '500.00', effectiveFrom: new Date('2025-01-01T00:00:00.000Z'), effectiveTo: null },
+                ]),
+            };
+        });
+
+        it('debería calcular horas facturables, ingreso y costo por proyecto y compararlos con el contrato', async () => {
+            const report = await reportService.getBilling({
+                startDate: new Date('2025-01-01T00:00:00.000Z'),
+                endDate: new Date('2025-01-31T00:00:00.000Z'),
+            }, admin);
+
+            expect(reportService.timeEntryRepository.findForBilling).toHaveBeenCalledWith({
+                startDate: '2025-01-01',
+                endDate: '2025-01-31',
+                areaId: null,
+                projectId: undefined,
+                approvalStatus: undefined,
+            });
+            expect(report.months).toBe(1);
+            expect(report.projects[0]).toEqual({
+                project: { id: 'project-1', name: 'Red troncal', areaId: 'area-1', isGeneral: false, excelId: '101' },
+                hours: 14,
+                billableHours: 10,
+                nonBillableHours: 4,
+                unratedHours: 0,
+                revenue: 5000,
+                cost: 2400,
+                margin: 2600,
+                contract: {
+                    totalContractAmountMXN: 120000,
+                    monthlyBillingMXN: 10000,
+                    expectedBilling: 10000,
+                    billingDifference: -5000,
+                    contractUsage: 4.17,
+                },
+            });
+            // El proyecto general no se factura salvo en el registro marcado explícitamente
+            expect(report.projects[1]).toEqual(expect.objectContaining({
+                hours: 5,
+                billableHours: 2,
+                nonBillableHours: 3,
+                unratedHours: 3,
+                revenue: 600,
+                cost: 200,
+                contract: null,
+            }));
+            expect(report.totals).toEqual({
+                projects: 2,
+                hours: 19,
+                billableHours: 12,
+                nonBillableHours: 7,
+                unratedHours: 3,
+                revenue: 5600,
+                cost: 2600,
+                margin: 3000,
+                expectedBilling: 10000,
+            });
+        });
+
+        it('debería limitar al coordinador a los proyectos de su área', async () => {
+            await reportService.getBilling({ startDate: '2025-01-01', endDate: '2025-01-31' }, coordinator);
+
+            expect(reportService.timeEntryRepository.findForBilling)
+                .toHaveBeenCalledWith(expect.objectContaining({ areaId: 'area-1' }));
+            await expect(reportService.getBilling({ startDate: '2025-01-01', endDate: '2025-01-31', areaId: 'area-2' }, coordinator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+    });
+
+    describe('getUtilization', () => {
+        const firstPeriod = { ...mockPeriod, year: 2025, month: 1 };
+        const nextPeriod = {
+            ...firstPeriod,
+            id: 'period-2',
+            periodNumber: 4,
+            startDate: new Date('2025-01-20T00:00:00.000Z'),
+            endDate: new Date('2025-01-26T00:00:00.000Z'),
+            referenceHours: 32,
+        };
+
+        beforeEach(() => {
+            reportService.timePeriodRepository.findByDateRange = jest.fn().mockResolvedValue([firstPeriod, nextPeriod]);
+            reportService.timePeriodRepository.getHoursByPeriodAndUser = jest.fn().mockResolvedValue([
+                { timePeriodId: 'period-1', userId: 'user-1', horasCliente: 30, horasPMO: 10 },
+                { timePeriodId: 'period-2', userId: 'user-1', horasCliente: 8, horasPMO: 0 },
+                { timePeriodId: 'period-2', userId: 'coord-1', horasCliente: 0, horasPMO: 32 },
+            ]);
+            jest.spyOn(reportService.fiscalCalendarService, 'getCalendar')
+                .mockResolvedValue({ type: FISCAL_CALENDAR_TYPE.CALENDAR, startMonth: 4 });
+        });
+
+        it('debería armar la matriz usuario × período con totales por usuario y por período', async () => {
+            const report = await reportService.getUtilization({ startDate: '2025-01-13', endDate: '2025-01-26' }, coordinator);
+
+            expect(reportService.userRepository.findActiveTimeTrackers).toHaveBeenCalledWith('area-1');
+            expect(reportService.timePeriodRepository.getHoursByPeriodAndUser)
+                .toHaveBeenCalledWith(['period-1', 'period-2'], ['coord-1', 'user-1', 'user-2']);
+            expect(report.periods.map(period => period.id)).toEqual(['period-1', 'period-2']);
+            expect(report.users.map(user => user.id)).toEqual(['user-2', 'coord-1', 'user-1']);
+
+            const ana = report.users.find(user => user.id === 'user-1');
+            expect(ana.cells).toEqual([
+                { timePeriodId: 'period-1', loggedHours: 40, expectedHours: 40, utilization: 100, horasCliente: 30, horasPMO: 10 },
+                { timePeriodId: 'period-2', loggedHours: 8, expectedHours: 32, utilization: 25, horasCliente: 8, horasPMO: 0 },
+            ]);
+            expect(ana.totals).toEqual({ loggedHours: 48, expectedHours: 72, utilization: 66.67, horasCliente: 38, horasPMO: 10 });
+
+            expect(report.totals.byColumn[1]).toEqual({
+                timePeriodId: 'period-2',
+                loggedHours: 40,
+                expectedHours: 96,
+                utilization: 41.67,
+                horasCliente: 8,
+                horasPMO: 32,
+            });
+            expect(report.totals).toMatchObject({ users: 3, loggedHours: 80, expectedHours: 216, utilization: 37.04 });
+        });
+
+        it('debería agrupar las columnas por mes o año fiscal', async () => {
+            const byMonth = await reportService.getUtilization({ startDate: '2025-01-13', endDate: '2025-01-26', groupBy: UTILIZATION_GROUP_BY.MONTH }, coordinator);
+
+            expect(byMonth.periods[0]).toMatchObject({ id: 'period-1', fiscalYear: 2024, fiscalMonth: 10 });
+            expect(byMonth.columns).toEqual([{
+                fiscalYear: 2024,
+                fiscalMonth: 10,
+                label: 'Año fiscal 2024, mes 10',
+                startDate: '2025-01-01',
+                endDate: '2025-01-31',
+                periodIds: ['period-1', 'period-2'],
+            }]);
+            expect(byMonth.users.find(user => user.id === 'user-1').cells).toEqual([
+                { fiscalYear: 2024, fiscalMonth: 10, loggedHours: 48, expectedHours: 72, utilization: 66.67, horasCliente: 38, horasPMO: 10 },
+            ]);
+
+            const byYear = await reportService.getUtilization({ startDate: '2025-01-13', endDate: '2025-01-26', groupBy: UTILIZATION_GROUP_BY.YEAR }, coordinator);
+            expect(byYear.columns).toEqual([expect.objectContaining({ fiscalYear: 2024, startDate: '2024-04-01', endDate: '2025-03-31' })]);
+            expect(byYear.totals.byColumn).toEqual([{ fiscalYear: 2024, loggedHours: 80, expectedHours: 216, utilization: 37.04, horasCliente: 38, horasPMO: 42 }]);
+        });
+
+        it('debería rechazar rangos mayores a un año y áreas ajenas al coordinador', async () => {
+            await expect(reportService.getUtilization({ startDate: '2025-01-01', endDate: '2026-01-02' }, admin))
+                .rejects.toThrow('no puede exceder 366 días');
+            await expect(reportService.getUtilization({ startDate: '2025-01-01', endDate: '2025-01-31', areaId: 'area-2' }, coordinator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+            expect(reportService.timePeriodRepository.findByDateRange).not.toHaveBeenCalled();
+        });
+
+        it('debería exportar la matriz a Excel con un grupo de columnas por período', async () => {
+            const file = await reportService.exportUtilization({ startDate: '2025-01-13', endDate: '2025-01-26' }, admin);
+
+            expect(file).toMatchObject({
+                filename: 'utilizacion_2025-01-13_2025-01-26.xlsx',
+                contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                total: 4,
+            });
+
+            const ExcelJS = require('exceljs');
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(file.buffer);
+            const worksheet = workbook.getWorksheet('Utilización');
+
+            expect(worksheet.getRow(4).getCell(3).value).toBe('Período 3 (2025-01-13 - 2025-01-19)');
+            expect(worksheet.getRow(4).getCell(13).value).toBe('Total');
+            expect(worksheet.getRow(5).values.slice(1, 8)).toEqual(['Usuario', 'Email', 'Registradas', 'Esperadas', '% Utilización', 'Cliente', 'PMO']);
+            expect(worksheet.getRow(worksheet.rowCount).getCell(1).value).toBe('Total');
+        });
+    });
+});
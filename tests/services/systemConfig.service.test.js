@@ -0,0 +1,315 @@
+const SystemConfigService = require('../../src/services/systemConfig.service');
+const { SYSTEM_CONFIG_REGISTRY } = require('../../src/config/systemConfigRegistry');
+const { USER_ROLES, CONFIG_SCOPE, ERROR_MESSAGES, FISCAL_CALENDAR_TYPE } = require('../../src/utils/constants');
+
+// Mock del cliente de Prisma que el servicio crea al importarse
+jest.mock('@prisma/client', () => {
+    const prisma = {
+        systemConfig: { findUnique: jest.fn(), upsert: jest.fn(), delete: jest.fn() },
+        systemConfigHistory: { create: jest.fn() },
+        systemConfigOverride: {
+            findMany: jest.fn(),
+            findFirst: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+        },
+        user: { findUnique: jest.fn() },
+        area: { findUnique: jest.fn() },
+        $transaction: jest.fn(),
+    };
+    return { PrismaClient: jest.fn(() => prisma) };
+});
+jest.mock('../../src/repositories/timeEntryUnlock.repository');
+jest.mock('../../src/utils/logger');
+
+const { PrismaClient } = require('@prisma/client');
+
+describe('SystemConfigService', () => {
+    let systemConfigService;
+    const prisma = new PrismaClient();
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString().split('T')[0];
+
+    const globals = {
+        TIME_ENTRY_DATE_RESTRICTIONS_ENABLED: 'true',
+        TIME_ENTRY_FUTURE_DAYS: '7',
+        TIME_ENTRY_PAST_DAYS: '30',
+    };
+
+    const override = (key, value, areaId, role) => ({ id: `${key}-${areaId}-${role}`, key, value, areaId, role });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        systemConfigService = new SystemConfigService();
+        systemConfigService.invalidateCache();
+        systemConfigService.timeEntryUnlockRepository = {
+            findActiveForDate: jest.fn().mockResolvedValue(null),
+        };
+        prisma.systemConfig.findUnique.mockImplementation(async ({ where }) => (
+            globals[where.key] ? { key: where.key, value: globals[where.key] } : null
+        ));
+        prisma.systemConfigOverride.findMany.mockResolvedValue([]);
+        prisma.$transaction.mockImplementation(operations => Promise.all(operations));
+        prisma.user.findUnique.mockResolvedValue({ areaId: 'area-1', role: USER_ROLES.COLABORADOR });
+    });
+
+    describe('getDateRestrictionConfigs', () => {
+        it('devuelve los valores globales sin alcance', async () => {
+            await expect(systemConfigService.getDateRestrictionConfigs())
+                .resolves.toEqual({ enabled: true, futureDaysAllowed: 7, pastDaysAllowed: 30 });
+            expect(prisma.systemConfigOverride.findMany).not.toHaveBeenCalled();
+        });
+
+        it('resuelve cada valor de lo más específico a lo global', async () => {
+            prisma.systemConfigOverride.findMany.mockResolvedValue([
+                override('TIME_ENTRY_FUTURE_DAYS', '10', null, USER_ROLES.COLABORADOR),
+                override('TIME_ENTRY_FUTURE_DAYS', '30', 'area-1', null),
+                override('TIME_ENTRY_PAST_DAYS', '45', null, USER_ROLES.COLABORADOR),
+                override('TIME_ENTRY_PAST_DAYS', '60', 'area-1', USER_ROLES.COLABORADOR),
+            ]);
+
+            const result = await systemConfigService.getDateRestrictionConfigs({ areaId: 'area-1', role: USER_ROLES.COLABORADOR });
+
+            expect(prisma.systemConfigOverride.findMany).toHaveBeenCalledWith({
+                where: {
+                    key: { in: ['TIME_ENTRY_DATE_RESTRICTIONS_ENABLED', 'TIME_ENTRY_FUTURE_DAYS', 'TIME_ENTRY_PAST_DAYS'] },
+                    AND: [
+                        { OR: [{ areaId: null }, { areaId: 'area-1' }] },
+                        { OR: [{ role: null }, { role: USER_ROLES.COLABORADOR }] },
+                    ],
+                },
+            });
+            expect(result).toEqual({
+                enabled: true,
+                futureDaysAllowed: 30,
+                pastDaysAllowed: 60,
+                sources: {
+                    enabled: CONFIG_SCOPE.GLOBAL,
+                    futureDaysAllowed: CONFIG_SCOPE.AREA,
+                    pastDaysAllowed: CONFIG_SCOPE.AREA_ROLE,
+                },
+                global: { enabled: true, futureDaysAllowed: 7, pastDaysAllowed: 30 },
+            });
+        });
+
+        it('sin área solo considera los valores del rol', async () => {
+            prisma.systemConfigOverride.findMany.mockResolvedValue([
+                override('TIME_ENTRY_DATE_RESTRICTIONS_ENABLED', 'false', null, USER_ROLES.ADMINISTRADOR),
+            ]);
+
+            const result = await systemConfigService.getDateRestrictionConfigs({ areaId: null, role: USER_ROLES.ADMINISTRADOR });
+
+            expect(prisma.systemConfigOverride.findMany.mock.calls[0][0].where.AND[0]).toEqual({ OR: [{ areaId: null }] });
+            expect(result).toMatchObject({ enabled: false, sources: { enabled: CONFIG_SCOPE.ROLE } });
+        });
+    });
+
+    describe('validateDateForTimeEntry', () => {
+        it('aplica la ventana del área del usuario', async () => {
+            prisma.systemConfigOverride.findMany.mockResolvedValue([
+                override('TIME_ENTRY_FUTURE_DAYS', '30', 'area-1', null),
+            ]);
+            const date = daysFromNow(20);
+
+            await expect(systemConfigService.validateDateForTimeEntry(date))
+                .resolves.toEqual({ isValid: false, reason: 'No se puede registrar tiempo más de 7 días en el futuro' });
+            await expect(systemConfigService.validateDateForTimeEntry(date, 'user-1'))
+                .resolves.toEqual({ isValid: true });
+            expect(prisma.user.findUnique).toHaveBeenCalledWith({ where: { id: 'user-1' }, select: { areaId: true, role: true } });
+        });
+
+        it('permite la fecha vencida solo al usuario con desbloqueo vigente', async () => {
+            const date = daysFromNow(-60);
+
+            await expect(systemConfigService.validateDateForTimeEntry(date))
+                .resolves.toEqual({ isValid: false, reason: 'No se puede registrar tiempo más de 30 días en el pasado' });
+            expect(systemConfigService.timeEntryUnlockRepository.findActiveForDate).not.toHaveBeenCalled();
+
+            await expect(systemConfigService.validateDateForTimeEntry(date, 'user-2'))
+                .resolves.toMatchObject({ isValid: false });
+
+            systemConfigService.timeEntryUnlockRepository.findActiveForDate.mockResolvedValue({ id: 'unlock-1' });
+            await expect(systemConfigService.validateDateForTimeEntry(date, 'user-1'))
+                .resolves.toEqual({ isValid: true, unlockId: 'unlock-1' });
+            expect(systemConfigService.timeEntryUnlockRepository.findActiveForDate).toHaveBeenLastCalledWith('user-1', date);
+        });
+    });
+
+    describe('setDateRestrictionOverrides', () => {
+        it('actualiza los valores existentes del alcance y crea los faltantes', async () => {
+            prisma.area.findUnique.mockResolvedValue({ id: 'area-1' });
+            prisma.systemConfigOverride.findFirst.mockImplementation(async ({ where }) => (
+                where.key === 'TIME_ENTRY_FUTURE_DAYS' ? override(where.key, '15', 'area-1', null) : null
+            ));
+            prisma.systemConfigOverride.update.mockImplementation(async ({ data }) => data);
+            prisma.systemConfigOverride.create.mockImplementation(async ({ data }) => data);
+
+            await systemConfigService.setDateRestrictionOverrides({ areaId: 'area-1', futureDaysAllowed: 30, pastDaysAllowed: 0 }, 'admin-1');
+
+            expect(prisma.systemConfigOverride.findFirst).toHaveBeenCalledWith({ where: { key: 'TIME_ENTRY_FUTURE_DAYS', areaId: 'area-1', role: null } });
+            expect(prisma.systemConfigOverride.update).toHaveBeenCalledWith({
+                where: { id: 'TIME_ENTRY_FUTURE_DAYS-area-1-null' },
+                data: { value: '30' },
+            });
+            expect(prisma.systemConfigOverride.create).toHaveBeenCalledWith({
+                data: { key: 'TIME_ENTRY_PAST_DAYS', value: '0', areaId: 'area-1', role: null, createdBy: 'admin-1' },
+            });
+            expect(prisma.systemConfigOverride.create).toHaveBeenCalledTimes(1);
+            expect(prisma.systemConfigHistory.create.mock.calls.map(([{ data }]) => data)).toEqual([
+                { key: 'TIME_ENTRY_FUTURE_DAYS', oldValue: '15', newValue: '30', areaId: 'area-1', role: null, changedBy: 'admin-1' },
+                { key: 'TIME_ENTRY_PAST_DAYS', oldValue: null, newValue: '0', areaId: 'area-1', role: null, changedBy: 'admin-1' },
+            ]);
+        });
+
+        it('exige un área o rol existente', async () => {
+            await expect(systemConfigService.setDateRestrictionOverrides({ futureDaysAllowed: 30 }, 'admin-1'))
+                .rejects.toThrow(ERROR_MESSAGES.CONFIG_OVERRIDE_SCOPE_REQUIRED);
+
+            prisma.area.findUnique.mockResolvedValue(null);
+            await expect(systemConfigService.setDateRestrictionOverrides({ areaId: 'area-9', futureDaysAllowed: 30 }, 'admin-1'))
+                .rejects.toThrow('Área no encontrada');
+            expect(prisma.systemConfigOverride.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('registro de configuraciones', () => {
+        it('lee valores tipados en caché hasta que se modifican', async () => {
+            globals.TIME_ENTRY_MAX_HOURS_PER_DAY = '12';
+            prisma.systemConfig.upsert.mockImplementation(async ({ update }) => update);
+
+            await expect(systemConfigService.getHourLimits()).resolves.toEqual({ minHoursPerEntry: 0.25, maxHoursPerDay: 12 });
+            await expect(systemConfigService.getValue('TIME_ENTRY_MAX_HOURS_PER_DAY')).resolves.toBe(12);
+            expect(prisma.systemConfig.findUnique).toHaveBeenCalledTimes(2);
+
+            await systemConfigService.setConfig('TIME_ENTRY_MAX_HOURS_PER_DAY', '10', undefined, 'admin-1');
+            globals.TIME_ENTRY_MAX_HOURS_PER_DAY = '10';
+            await expect(new SystemConfigService().getValue('TIME_ENTRY_MAX_HOURS_PER_DAY')).resolves.toBe(10);
+
+            delete globals.TIME_ENTRY_MAX_HOURS_PER_DAY;
+        });
+
+        it('normaliza los valores guardados y usa el valor por defecto si son inválidos', async () => {
+            globals.NON_WORKING_DAY_POLICY = 'block';
+            globals.WORKING_HOURS_PER_DAY = '30';
+
+            await expect(systemConfigService.getNonWorkingDayPolicy()).resolves.toBe('BLOCK');
+            await expect(systemConfigService.getWorkingHoursPerDay()).resolves.toBe(8);
+
+            delete globals.NON_WORKING_DAY_POLICY;
+            delete globals.WORKING_HOURS_PER_DAY;
+        });
+
+        it('acepta cada valor admitido y el valor por defecto de las claves enum', () => {
+            const enums = Object.entries(SYSTEM_CONFIG_REGISTRY).filter(([, definition]) => definition.type === 'enum');
+            expect(enums.length).toBeGreaterThan(0);
+
+            for (const [key, definition] of enums) {
+                for (const value of [...definition.values, definition.default]) {
+                    expect(systemConfigService.validateConfigValue(key, value)).toBe(value);
+                    expect(systemConfigService.validateConfigValue(key, value.toUpperCase())).toBe(value);
+                    expect(systemConfigService.validateConfigValue(key, value.toLowerCase())).toBe(value);
+                }
+            }
+
+            expect(() => systemConfigService.validateConfigValue('TIME_PERIOD_GENERATION_TYPE', 'daily'))
+                .toThrow('El valor de TIME_PERIOD_GENERATION_TYPE debe ser uno de: weekly, biweekly, monthly');
+        });
+
+        it('permite cambiar el calendario fiscal a 4-4-5 y volver al calendario natural', async () => {
+            prisma.systemConfig.upsert.mockImplementation(async ({ where, update }) => {
+                globals[where.key] = update.value;
+                return { key: where.key, value: update.value };
+            });
+
+            expect(systemConfigService.validateConfigValue('FISCAL_CALENDAR_TYPE', '4-4-5')).toBe(FISCAL_CALENDAR_TYPE.WEEKS_445);
+            expect(systemConfigService.validateConfigValue('FISCAL_CALENDAR_TYPE', 'calendar')).toBe(FISCAL_CALENDAR_TYPE.CALENDAR);
+
+            await systemConfigService.setConfig('FISCAL_CALENDAR_TYPE', '4-4-5', undefined, 'admin-1');
+            await expect(systemConfigService.getFiscalCalendar())
+                .resolves.toEqual({ type: FISCAL_CALENDAR_TYPE.WEEKS_445, startMonth: 1 });
+
+            await systemConfigService.setConfig('FISCAL_CALENDAR_TYPE', 'Calendar', undefined, 'admin-1');
+            await expect(systemConfigService.getFiscalCalendar())
+                .resolves.toEqual({ type: FISCAL_CALENDAR_TYPE.CALENDAR, startMonth: 1 });
+            expect(prisma.systemConfigHistory.create.mock.calls.map(([{ data }]) => [data.oldValue, data.newValue])).toEqual([
+                [null, '4-4-5'],
+                ['4-4-5', 'calendar'],
+            ]);
+
+            delete globals.FISCAL_CALENDAR_TYPE;
+        });
+
+        it('valida clave, tipo y rango antes de guardar', async () => {
+            await expect(systemConfigService.setConfig('CUSTOM_KEY', '1', undefined, 'admin-1'))
+                .rejects.toThrow(ERROR_MESSAGES.CONFIG_KEY_UNKNOWN);
+            await expect(systemConfigService.setConfig('TIME_ENTRY_PAST_DAYS', '7.5', undefined, 'admin-1'))
+                .rejects.toThrow('El valor de TIME_ENTRY_PAST_DAYS debe ser un entero entre 0 y 365');
+            await expect(systemConfigService.setConfig('OVERTIME_WEEKLY_ENABLED', 'si', undefined, 'admin-1'))
+                .rejects.toThrow('debe ser true o false');
+            await expect(systemConfigService.setConfig('TIME_ENTRY_MAX_HOURS_PER_DAY', '0.2', undefined, 'admin-1'))
+                .rejects.toThrow('un número entre 1 y 24');
+
+            globals.TIME_ENTRY_MIN_HOURS = '2';
+            await expect(systemConfigService.setConfig('TIME_ENTRY_MAX_HOURS_PER_DAY', '1', undefined, 'admin-1'))
+                .rejects.toThrow('Las horas mínimas por registro no pueden superar el máximo de horas por día');
+            delete globals.TIME_ENTRY_MIN_HOURS;
+
+            expect(prisma.systemConfig.upsert).not.toHaveBeenCalled();
+        });
+
+        it('inicializa el valor por defecto de cada clave registrada que no existe', async () => {
+            prisma.systemConfig.upsert.mockImplementation(async ({ create }) => create);
+
+            await systemConfigService.initializeDefaultConfigs('admin-1');
+
+            const seeded = prisma.systemConfig.upsert.mock.calls.map(([{ create }]) => [create.key, create.value]);
+            const missing = Object.entries(SYSTEM_CONFIG_REGISTRY)
+                .filter(([key]) => !globals[key])
+                .map(([key, definition]) => [key, String(definition.default)]);
+            expect(seeded).toEqual(missing);
+            expect(seeded).toEqual(expect.arrayContaining([
+                ['TIME_PERIOD_GENERATION_TYPE', 'weekly'],
+                ['FISCAL_CALENDAR_TYPE', 'calendar'],
+            ]));
+        });
+
+        it('una clave que falla al inicializarse no impide inicializar las siguientes', async () => {
+            prisma.systemConfig.upsert.mockImplementation(async ({ create }) => {
+                if (create.key === 'TIME_PERIOD_GENERATION_TYPE') {
+                    throw new Error('Fallo de escritura');
+                }
+                return create;
+            });
+
+            await expect(systemConfigService.initializeDefaultConfigs('admin-1'))
+                .rejects.toThrow('Error al inicializar configuraciones del sistema: TIME_PERIOD_GENERATION_TYPE');
+
+            const seededKeys = prisma.systemConfig.upsert.mock.calls.map(([{ create }]) => create.key);
+            expect(seededKeys).toContain('FISCAL_CALENDAR_TYPE');
+            expect(seededKeys.length).toBe(Object.keys(SYSTEM_CONFIG_REGISTRY).filter(key => !globals[key]).length);
+        });
+
+        it('registra en el historial quién cambió cada valor y de qué a qué', async () => {
+            await systemConfigService.setConfig('TIME_ENTRY_PAST_DAYS', ' 45 ', undefined, 'admin-1');
+
+            expect(prisma.systemConfig.upsert).toHaveBeenCalledWith(expect.objectContaining({
+                update: expect.objectContaining({ value: '45' }),
+                create: expect.objectContaining({ value: '45', description: 'Número de días en el pasado permitidos para registro de tiempo' }),
+            }));
+            expect(prisma.systemConfigHistory.create).toHaveBeenCalledWith({
+                data: { key: 'TIME_ENTRY_PAST_DAYS', oldValue: '30', newValue: '45', changedBy: 'admin-1' },
+            });
+
+            prisma.systemConfigHistory.create.mockClear();
+            await systemConfigService.setConfig('TIME_ENTRY_FUTURE_DAYS', '7', 'Sin cambio de valor', 'admin-1');
+            expect(prisma.systemConfigHistory.create).not.toHaveBeenCalled();
+
+            await expect(systemConfigService.deleteConfig('TIME_ENTRY_FUTURE_DAYS', 'admin-2')).resolves.toBe(true);
+            expect(prisma.systemConfigHistory.create).toHaveBeenCalledWith({
+                data: { key: 'TIME_ENTRY_FUTURE_DAYS', oldValue: '7', newValue: null, changedBy: 'admin-2' },
+            });
+        });
+    });
+});
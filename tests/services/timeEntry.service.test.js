@@ -1,9 +1,11 @@
 const TimeEntryService = require('../../src/services/timeEntry.service');
-const { USER_ROLES, LIMITS, ERROR_MESSAGES } = require('../../src/utils/constants');
+const { USER_ROLES, LIMITS, ERROR_MESSAGES, TIMESHEET_STATUS } = require('../../src/utils/constants');
 
 // Mock de repositorios y utilidades
 jest.mock('../../src/repositories/timeEntry.repository');
 jest.mock('../../src/repositories/task.repository');
+jest.mock('../../src/repositories/timePeriod.repository');
+jest.mock('../../src/repositories/timesheet.repository');
 jest.mock('../../src/utils/logger');
 jest.mock('../../src/utils/dateUtils', () => ({
     isSameDay: jest.fn(),
@@ -16,7 +18,10 @@ jest.mock('../../src/utils/dateUtils', () => ({
         const end = new Date(date);
         end.setHours(23, 59, 59, 999);
         return end;
-    })
+    }),
+    toDateKey: jest.requireActual('../../src/utils/dateUtils').toDateKey,
+    buildDateKeys: jest.requireActual('../../src/utils/dateUtils').buildDateKeys,
+    daysBetween: jest.requireActual('../../src/utils/dateUtils').daysBetween
 }));
 
 const TimeEntryRepository = require('../../src/repositories/timeEntry.repository');
@@ -44,7 +49,13 @@ describe('TimeEntryService', () => {
             getUserSummary: jest.fn(),
             getProjectReport: jest.fn(),
             getStats: jest.fn(),
-            getTotalHoursByUserAndDate: jest.fn()
+            getTotalHoursByUserAndDate: jest.fn(),
+            approve: jest.fn(),
+            reject: jest.fn(),
+            getPendingApproval: jest.fn(),
+            findByUserAndDates: jest.fn(),
+            findByUserAndDateRange: jest.fn(),
+            bulkSave: jest.fn()
         };
 
         mockTaskRepository = {
@@ -57,6 +68,18 @@ describe('TimeEntryService', () => {
 
         // Crear servicio
         timeEntryService = new TimeEntryService();
+
+        // Fechas hábiles por defecto; la política de días inhábiles se prueba en su propio bloque
+        jest.spyOn(timeEntryService, 'checkNonWorkingDay').mockResolvedValue(null);
+
+        // Límites de horas por defecto; la lectura de la configuración se prueba en systemConfig.service.test.js
+        jest.spyOn(timeEntryService.systemConfigService, 'getHourLimits').mockResolvedValue({ minHoursPerEntry: 0.25, maxHoursPerDay: 24 });
+
+        // Sin horas extra por defecto; las reglas se prueban en overtime.service.test.js
+        timeEntryService.overtimeService = {
+            evaluateDates: jest.fn().mockResolvedValue(new Map()),
+            buildWarning: jest.fn().mockReturnValue(null),
+        };
     });
 
     describe('createTimeEntry', () => {
@@ -107,11 +130,41 @@ describe('TimeEntryService', () => {
             expect(mockTimeEntryRepository.create).toHaveBeenCalledWith({
                 ...mockTimeEntryData,
                 createdBy: mockAdmin.userId
-            });
+            }, 'admin-1');
             expect(result).toEqual(mockTimeEntry);
             expect(logger.info).toHaveBeenCalled();
         });
 
+        it('debería impedir registrar horas en un período cerrado', async () => {
+            mockTaskRepository.findById.mockResolvedValue(mockTask);
+            timeEntryService.timePeriodRepository.findByDate.mockResolvedValue({ id: 'period-1', isClosed: true });
+
+            await expect(timeEntryService.createTimeEntry({ ...mockTimeEntryData, year: 2025, month: 1, day: 15 }, mockAdmin))
+                .rejects.toThrow(ERROR_MESSAGES.PERIOD_CLOSED);
+
+            expect(timeEntryService.timePeriodRepository.findByDate).toHaveBeenCalledWith('2025-01-15');
+            expect(mockTimeEntryRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('debería acumular horas y descripciones sobre el registro existente cuando se solicita', async () => {
+            const existingEntry = { id: 'entry-1', hours: 1.5, description: 'Mañana', isApproved: false };
+
+            mockTaskRepository.findById.mockResolvedValue(mockTask);
+            mockTimeEntryRepository.findDuplicate = jest.fn().mockResolvedValue(existingEntry);
+            mockTimeEntryRepository.update.mockResolvedValue({ ...existingEntry, hours: 4 });
+
+            await timeEntryService.createTimeEntry(
+                { ...mockTimeEntryData, year: 2025, month: 1, day: 15 },
+                mockAdmin,
+                { accumulate: true }
+            );
+
+            expect(mockTimeEntryRepository.update).toHaveBeenCalledWith('entry-1', {
+                hours: 4,
+                description: 'Mañana\nTest work'
+            }, 'admin-1');
+        });
+
         it('debería permitir al colaborador crear registros para sí mismo', async () => {
             const mockTimeEntry = { id: 'entry-1', ...mockTimeEntryData, createdBy: mockCollaborator.userId };
 
@@ -265,7 +318,7 @@ describe('TimeEntryService', () => {
                 ...mockTimeEntry,
                 ...mockUpdateData
             });
-            expect(mockTimeEntryRepository.update).toHaveBeenCalledWith('entry-1', mockUpdateData);
+            expect(mockTimeEntryRepository.update).toHaveBeenCalledWith('entry-1', mockUpdateData, 'admin-1');
             expect(result).toEqual(updatedTimeEntry);
             expect(logger.info).toHaveBeenCalled();
         });
@@ -307,6 +360,50 @@ describe('TimeEntryService', () => {
 
             expect(timeEntryService.validateTimeEntry).not.toHaveBeenCalled();
         });
+
+        it('debería impedir modificar registros de una hoja de tiempo enviada', async () => {
+            mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, timePeriodId: 'period-1' });
+            timeEntryService.timesheetRepository.findByUserAndPeriod.mockResolvedValue({ status: TIMESHEET_STATUS.SUBMITTED });
+
+            await expect(timeEntryService.updateTimeEntry('entry-1', mockUpdateData, mockCollaborator))
+                .rejects.toThrow(ERROR_MESSAGES.TIMESHEET_LOCKED);
+
+            expect(timeEntryService.timesheetRepository.findByUserAndPeriod).toHaveBeenCalledWith('user-1', 'period-1');
+            expect(mockTimeEntryRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('debería impedir modificar registros de un período cerrado aun siendo administrador', async () => {
+            mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, timePeriod: { id: 'period-1', isClosed: true } });
+
+            await expect(timeEntryService.updateTimeEntry('entry-1', mockUpdateData, mockAdmin))
+                .rejects.toThrow(ERROR_MESSAGES.PERIOD_CLOSED);
+
+            expect(mockTimeEntryRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('debería impedir modificar un registro aprobado', async () => {
+            mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, isApproved: true });
+
+            await expect(timeEntryService.updateTimeEntry('entry-1', mockUpdateData, mockAdmin))
+                .rejects.toThrow(ERROR_MESSAGES.CANNOT_MODIFY_APPROVED);
+
+            expect(mockTimeEntryRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('debería devolver a pendiente un registro rechazado al corregirlo', async () => {
+            const rejectedEntry = { ...mockTimeEntry, rejectedAt: new Date(), rejectionReason: 'Horas incorrectas' };
+            mockTimeEntryRepository.findById.mockResolvedValue(rejectedEntry);
+            mockTimeEntryRepository.update.mockResolvedValue({ ...rejectedEntry, ...mockUpdateData });
+
+            await timeEntryService.updateTimeEntry('entry-1', mockUpdateData, mockCollaborator);
+
+            expect(mockTimeEntryRepository.update).toHaveBeenCalledWith('entry-1', {
+                ...mockUpdateData,
+                rejectedBy: null,
+                rejectedAt: null,
+                rejectionReason: null
+            }, 'user-1');
+        });
     });
 
     describe('deleteTimeEntry', () => {
@@ -339,7 +436,7 @@ describe('TimeEntryService', () => {
             await timeEntryService.deleteTimeEntry('entry-1', mockAdmin);
 
             expect(mockTimeEntryRepository.findById).toHaveBeenCalledWith('entry-1');
-            expect(mockTimeEntryRepository.delete).toHaveBeenCalledWith('entry-1');
+            expect(mockTimeEntryRepository.delete).toHaveBeenCalledWith('entry-1', 'admin-1');
             expect(logger.info).toHaveBeenCalled();
         });
 
@@ -349,7 +446,7 @@ describe('TimeEntryService', () => {
 
             await timeEntryService.deleteTimeEntry('entry-1', mockCollaborator);
 
-            expect(mockTimeEntryRepository.delete).toHaveBeenCalledWith('entry-1');
+            expect(mockTimeEntryRepository.delete).toHaveBeenCalledWith('entry-1', 'user-1');
         });
 
         it('debería fallar si el registro no existe', async () => {
@@ -376,6 +473,504 @@ describe('TimeEntryService', () => {
 
             expect(logger.error).toHaveBeenCalled();
         });
+
+        it('debería impedir eliminar registros de un período cerrado', async () => {
+            mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, timePeriod: { id: 'period-1', isClosed: true } });
+
+            await expect(timeEntryService.deleteTimeEntry('entry-1', mockAdmin))
+                .rejects.toThrow(ERROR_MESSAGES.PERIOD_CLOSED);
+
+            expect(mockTimeEntryRepository.delete).not.toHaveBeenCalled();
+        });
+
+        it('debería impedir eliminar un registro aprobado', async () => {
+            mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, isApproved: true });
+
+            await expect(timeEntryService.deleteTimeEntry('entry-1', mockAdmin))
+                .rejects.toThrow(ERROR_MESSAGES.CANNOT_MODIFY_APPROVED);
+
+            expect(mockTimeEntryRepository.delete).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Historial de cambios', () => {
+        const mockCoordinator = {
+            userId: 'coord-1',
+            email: 'coord@test.com',
+            role: USER_ROLES.COORDINADOR,
+            areaId: 'area-1'
+        };
+
+        const mockCollaborator = {
+            userId: 'user-1',
+            email: 'user@test.com',
+            role: USER_ROLES.COLABORADOR,
+            areaId: 'area-1'
+        };
+
+        const historyRow = (overrides = {}) => ({
+            id: 'history-1',
+            timeEntryId: 'entry-1',
+            userId: 'user-1',
+            project: { id: 'project-1', name: 'Proyecto', areaId: 'area-1' },
+            action: 'DELETE',
+            oldHours: '2.50',
+            newHours: null,
+            performedBy: 'user-1',
+            ...overrides
+        });
+
+        beforeEach(() => {
+            mockTimeEntryRepository.findHistory = jest.fn().mockResolvedValue([]);
+        });
+
+        it('debería devolver el historial de un registro eliminado a su dueño', async () => {
+            const history = [historyRow(), historyRow({ id: 'history-0', action: 'CREATE', oldHours: null, newHours: '2.50' })];
+            mockTimeEntryRepository.findHistory.mockResolvedValue(history);
+
+            const result = await timeEntryService.getTimeEntryHistory('entry-1', mockCollaborator);
+
+            expect(mockTimeEntryRepository.findHistory).toHaveBeenCalledWith({ timeEntryId: 'entry-1' });
+            expect(mockTimeEntryRepository.findById).not.toHaveBeenCalled();
+            expect(result).toEqual(history);
+        });
+
+        it('debería impedir al coordinador ver el historial de registros de otra área', async () => {
+            mockTimeEntryRepository.findHistory.mockResolvedValue([
+                historyRow({ project: { id: 'project-2', name: 'Otro', areaId: 'area-2' } })
+            ]);
+
+            await expect(timeEntryService.getTimeEntryHistory('entry-1', mockCoordinator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+
+        it('debería fallar si el registro no existe ni tiene historial', async () => {
+            mockTimeEntryRepository.findById.mockResolvedValue(null);
+
+            await expect(timeEntryService.getTimeEntryHistory('entry-1', mockCollaborator))
+                .rejects.toThrow('Registro de tiempo no encontrado');
+        });
+
+        it('debería limitar la consulta general según el rol', async () => {
+            await timeEntryService.getTimeEntriesHistory({ action: 'DELETE', userId: 'user-2' }, mockCollaborator);
+            await timeEntryService.getTimeEntriesHistory({ action: 'DELETE' }, mockCoordinator);
+
+            expect(mockTimeEntryRepository.findHistory).toHaveBeenNthCalledWith(1, { action: 'DELETE', userId: 'user-1' });
+            expect(mockTimeEntryRepository.findHistory).toHaveBeenNthCalledWith(2, { action: 'DELETE', areaId: 'area-1' });
+        });
+    });
+
+    describe('bulkSaveTimeEntries', () => {
+        const mockCollaborator = {
+            userId: 'user-1',
+            email: 'user@test.com',
+            role: USER_ROLES.COLABORADOR,
+            areaId: 'area-1'
+        };
+
+        const mockTask = { id: 'task-1', projectId: 'project-1', project: { areaId: 'area-1' } };
+
+        const cell = (overrides = {}) => ({
+            projectId: 'project-1',
+            taskId: 'task-1',
+            year: 2025,
+            month: 1,
+            day: 13,
+            hours: 4,
+            description: 'Desarrollo',
+            ...overrides
+        });
+
+        const existingEntry = (overrides = {}) => ({
+            id: 'entry-1',
+            projectId: 'project-1',
+            taskId: 'task-1',
+            date: new Date('2025-01-13T00:00:00.000Z'),
+            hours: 2,
+            description: 'Desarrollo',
+            isApproved: false,
+            ...overrides
+        });
+
+        beforeEach(() => {
+            mockTaskRepository.findById.mockResolvedValue(mockTask);
+            timeEntryService.timePeriodRepository.findByDate.mockResolvedValue({ id: 'period-1', isClosed: false });
+            jest.spyOn(timeEntryService.systemConfigService, 'validateDateForTimeEntry').mockResolvedValue({ isValid: true });
+            mockTimeEntryRepository.bulkSave.mockImplementation(async ({ creates, updates, deletes }) => ({
+                created: creates,
+                updated: updates,
+                deleted: deletes
+            }));
+        });
+
+        it('debería crear, actualizar y eliminar celdas en una sola transacción', async () => {
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([
+                existingEntry(),
+                existingEntry({ id: 'entry-2', date: new Date('2025-01-14T00:00:00.000Z') })
+            ]);
+
+            const result = await timeEntryService.bulkSaveTimeEntries({
+                entries: [
+                    cell({ hours: 6 }),
+                    cell({ day: 14, hours: 0 }),
+                    cell({ day: 15, hours: 8 }),
+                    cell({ day: 16, hours: 0 })
+                ]
+            }, mockCollaborator);
+
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledTimes(1);
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [expect.objectContaining({ userId: 'user-1', date: '2025-01-15', hours: 8, timePeriodId: 'period-1' })],
+                updates: [{ id: 'entry-1', data: { hours: 6, description: 'Desarrollo' } }],
+                deletes: ['entry-2']
+            }, 'user-1');
+            expect(result.success).toBe(true);
+            expect(result.unchanged).toBe(1);
+        });
+
+        it('debería aplicar la política de días inhábiles solo a las celdas con horas', async () => {
+            timeEntryService.checkNonWorkingDay.mockImplementation(async (date) => {
+                if (date === '2025-01-18') {
+                    throw new Error('No se puede registrar tiempo en días inhábiles: 2025-01-18 es fin de semana');
+                }
+                return date === '2025-02-03' ? 'Registro en día inhábil: 2025-02-03 es día feriado (Día de la Constitución)' : null;
+            });
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([
+                existingEntry({ id: 'entry-3', date: new Date('2025-01-19T00:00:00.000Z') })
+            ]);
+
+            const blocked = await timeEntryService.bulkSaveTimeEntries({
+                entries: [cell({ day: 18 }), cell({ day: 19, hours: 0 })]
+            }, mockCollaborator);
+
+            expect(blocked.success).toBe(false);
+            expect(blocked.errors).toEqual([
+                expect.objectContaining({ index: 0, message: 'No se puede registrar tiempo en días inhábiles: 2025-01-18 es fin de semana' })
+            ]);
+            expect(timeEntryService.checkNonWorkingDay).not.toHaveBeenCalledWith('2025-01-19', 'user-1');
+
+            const warned = await timeEntryService.bulkSaveTimeEntries({
+                entries: [cell({ month: 2, day: 3 })]
+            }, mockCollaborator);
+
+            expect(warned.success).toBe(true);
+            expect(warned.warnings).toEqual(['Registro en día inhábil: 2025-02-03 es día feriado (Día de la Constitución)']);
+        });
+
+        it('debería validar el límite diario sobre el resultado combinado', async () => {
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([
+                existingEntry({ id: 'entry-9', projectId: 'project-9', hours: 10 })
+            ]);
+
+            const result = await timeEntryService.bulkSaveTimeEntries({
+                entries: [
+                    cell({ hours: 8 }),
+                    cell({ taskId: 'task-2', hours: 8 })
+                ]
+            }, mockCollaborator);
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toHaveLength(2);
+            expect(result.errors[0].message).toContain(`${LIMITS.MAX_HOURS_PER_DAY} horas por día`);
+            expect(mockTimeEntryRepository.bulkSave).not.toHaveBeenCalled();
+        });
+
+        it('debería reportar celdas duplicadas y registros aprobados sin guardar nada', async () => {
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([existingEntry({ isApproved: true })]);
+
+            const result = await timeEntryService.bulkSaveTimeEntries({
+                entries: [
+                    cell({ hours: 5 }),
+                    cell({ hours: 5 })
+                ]
+            }, mockCollaborator);
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual([
+                expect.objectContaining({ index: 0, message: ERROR_MESSAGES.CANNOT_MODIFY_APPROVED }),
+                expect.objectContaining({ index: 1, message: expect.stringContaining('Celda duplicada') })
+            ]);
+            expect(mockTimeEntryRepository.bulkSave).not.toHaveBeenCalled();
+        });
+
+        it('debería reportar fechas fuera de la ventana permitida', async () => {
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([]);
+            timeEntryService.systemConfigService.validateDateForTimeEntry.mockResolvedValue({
+                isValid: false,
+                reason: 'No se puede registrar tiempo más de 30 días en el pasado'
+            });
+
+            const result = await timeEntryService.bulkSaveTimeEntries({ entries: [cell()] }, mockCollaborator);
+
+            expect(result.errors).toEqual([
+                expect.objectContaining({ index: 0, date: '2025-01-13', message: 'No se puede registrar tiempo más de 30 días en el pasado' })
+            ]);
+        });
+    });
+
+    describe('copyTimeEntries', () => {
+        const mockCollaborator = {
+            userId: 'user-1',
+            email: 'user@test.com',
+            role: USER_ROLES.COLABORADOR,
+            areaId: 'area-1'
+        };
+
+        const sourcePeriod = {
+            id: 'period-1',
+            startDate: new Date('2025-01-06T00:00:00.000Z'),
+            endDate: new Date('2025-01-12T00:00:00.000Z')
+        };
+
+        const targetPeriod = {
+            id: 'period-2',
+            isActive: true,
+            isClosed: false,
+            startDate: new Date('2025-01-13T00:00:00.000Z'),
+            endDate: new Date('2025-01-19T00:00:00.000Z')
+        };
+
+        const sourceEntry = (overrides = {}) => ({
+            id: 'entry-1',
+            projectId: 'project-1',
+            taskId: 'task-1',
+            date: new Date('2025-01-07T00:00:00.000Z'),
+            hours: 3,
+            description: 'Desarrollo',
+            project: { id: 'project-1', name: 'Proyecto', status: 'ACTIVE', areaId: 'area-1' },
+            task: { id: 'task-1', title: 'Tarea', isActive: true },
+            ...overrides
+        });
+
+        beforeEach(() => {
+            timeEntryService.timePeriodRepository.findById.mockImplementation(async (id) => (
+                id === 'period-1' ? sourcePeriod : targetPeriod
+            ));
+            jest.spyOn(timeEntryService.systemConfigService, 'validateDateForTimeEntry').mockResolvedValue({ isValid: true });
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([]);
+            mockTimeEntryRepository.bulkSave.mockImplementation(async ({ creates }) => ({ created: creates }));
+        });
+
+        it('debería copiar una fila de 0 horas por combinación proyecto/tarea', async () => {
+            mockTimeEntryRepository.findByUserAndDateRange.mockResolvedValue([
+                sourceEntry(),
+                sourceEntry({ id: 'entry-2', date: new Date('2025-01-08T00:00:00.000Z') })
+            ]);
+
+            const result = await timeEntryService.copyTimeEntries({
+                sourceTimePeriodId: 'period-1',
+                targetTimePeriodId: 'period-2'
+            }, mockCollaborator);
+
+            expect(mockTimeEntryRepository.findByUserAndDateRange).toHaveBeenCalledWith('user-1', '2025-01-06', '2025-01-12');
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [{
+                    userId: 'user-1',
+                    projectId: 'project-1',
+                    taskId: 'task-1',
+                    date: '2025-01-13',
+                    hours: 0,
+                    description: null,
+                    timePeriodId: 'period-2'
+                }]
+            }, 'user-1');
+            expect(result.skipped).toEqual([]);
+        });
+
+        it('debería copiar horas al día equivalente y reportar lo omitido', async () => {
+            mockTimeEntryRepository.findByUserAndDateRange.mockResolvedValue([
+                sourceEntry(),
+                sourceEntry({ id: 'entry-2', taskId: 'task-2', task: { id: 'task-2', title: 'Inactiva', isActive: false } }),
+                sourceEntry({ id: 'entry-3', projectId: 'project-3', project: { id: 'project-3', status: 'COMPLETED', areaId: 'area-1' } }),
+                sourceEntry({ id: 'entry-4', date: new Date('2025-01-08T00:00:00.000Z') })
+            ]);
+            timeEntryService.systemConfigService.validateDateForTimeEntry.mockImplementation(async (date) => (
+                date === '2025-01-15'
+                    ? { isValid: false, reason: 'No se permite registrar tiempo en fines de semana' }
+                    : { isValid: true }
+            ));
+
+            const result = await timeEntryService.copyTimeEntries({
+                sourceTimePeriodId: 'period-1',
+                targetTimePeriodId: 'period-2',
+                includeHours: true
+            }, mockCollaborator);
+
+            expect(result.created).toEqual([
+                expect.objectContaining({ taskId: 'task-1', date: '2025-01-14', hours: 3, description: 'Desarrollo' })
+            ]);
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ taskId: 'task-2', reason: 'La tarea está inactiva' }),
+                expect.objectContaining({ projectId: 'project-3', reason: 'El proyecto está completado' }),
+                expect.objectContaining({ sourceDate: '2025-01-08', targetDate: '2025-01-15', reason: 'No se permite registrar tiempo en fines de semana' })
+            ]);
+        });
+
+        it('debería omitir filas que ya existen en el período destino', async () => {
+            mockTimeEntryRepository.findByUserAndDateRange.mockResolvedValue([sourceEntry()]);
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([
+                { projectId: 'project-1', taskId: 'task-1', date: new Date('2025-01-16T00:00:00.000Z'), hours: 2 }
+            ]);
+
+            const result = await timeEntryService.copyTimeEntries({
+                sourceTimePeriodId: 'period-1',
+                targetTimePeriodId: 'period-2'
+            }, mockCollaborator);
+
+            expect(mockTimeEntryRepository.bulkSave).not.toHaveBeenCalled();
+            expect(result.skipped[0].reason).toContain('ya existe');
+        });
+
+        it('debería rechazar un rango de origen que contiene el período destino', async () => {
+            await expect(timeEntryService.copyTimeEntries({
+                sourceStartDate: '2025-01-10',
+                sourceEndDate: '2025-01-25',
+                targetTimePeriodId: 'period-2'
+            }, mockCollaborator)).rejects.toThrow('El rango de origen no puede coincidir con el período destino');
+            expect(mockTimeEntryRepository.findByUserAndDateRange).not.toHaveBeenCalled();
+        });
+
+        it('debería impedir copiar hacia un período cerrado', async () => {
+            timeEntryService.timePeriodRepository.findById.mockResolvedValue({ ...targetPeriod, isClosed: true });
+
+            await expect(timeEntryService.copyTimeEntries({
+                sourceStartDate: '2025-01-06',
+                sourceEndDate: '2025-01-12',
+                targetTimePeriodId: 'period-2'
+            }, mockCollaborator)).rejects.toThrow(ERROR_MESSAGES.PERIOD_CLOSED);
+        });
+    });
+
+    describe('Aprobación de registros', () => {
+        const mockTimeEntry = {
+            id: 'entry-1',
+            hours: 4,
+            userId: 'user-1',
+            isApproved: false,
+            rejectedAt: null,
+            project: { area: { id: 'area-1' } }
+        };
+
+        const mockCoordinator = {
+            userId: 'coord-1',
+            email: 'coord@test.com',
+            role: USER_ROLES.COORDINADOR,
+            areaId: 'area-1'
+        };
+
+        const mockCollaborator = {
+            userId: 'user-1',
+            email: 'user@test.com',
+            role: USER_ROLES.COLABORADOR,
+            areaId: 'area-1'
+        };
+
+        describe('getPendingApprovals', () => {
+            it('debería limitar al coordinador a su área y excluir sus registros', async () => {
+                mockTimeEntryRepository.getPendingApproval.mockResolvedValue([mockTimeEntry]);
+
+                const result = await timeEntryService.getPendingApprovals({ areaId: 'area-2' }, mockCoordinator);
+
+                expect(mockTimeEntryRepository.getPendingApproval).toHaveBeenCalledWith({
+                    areaId: 'area-1',
+                    excludeUserId: 'coord-1'
+                });
+                expect(result).toEqual([mockTimeEntry]);
+            });
+
+            it('debería rechazar a colaboradores', async () => {
+                await expect(timeEntryService.getPendingApprovals({}, mockCollaborator))
+                    .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+            });
+        });
+
+        describe('reviewTimeEntry', () => {
+            it('debería aprobar un registro del área del coordinador', async () => {
+                mockTimeEntryRepository.findById.mockResolvedValue(mockTimeEntry);
+                mockTimeEntryRepository.approve.mockResolvedValue({ ...mockTimeEntry, isApproved: true });
+
+                const result = await timeEntryService.reviewTimeEntry('entry-1', { isApproved: true, comments: 'OK' }, mockCoordinator);
+
+                expect(mockTimeEntryRepository.approve).toHaveBeenCalledWith('entry-1', 'coord-1', 'OK', false);
+                expect(result.isApproved).toBe(true);
+            });
+
+            it('debería exigir autorización explícita para aprobar horas extra', async () => {
+                mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, isOvertime: true, overtimeAuthorizedAt: null });
+
+                await expect(timeEntryService.reviewTimeEntry('entry-1', { isApproved: true }, mockCoordinator))
+                    .rejects.toThrow(ERROR_MESSAGES.OVERTIME_AUTHORIZATION_REQUIRED);
+                expect(mockTimeEntryRepository.approve).not.toHaveBeenCalled();
+            });
+
+            it('debería autorizar las horas extra al aprobar con authorizeOvertime', async () => {
+                mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, isOvertime: true, overtimeAuthorizedAt: null });
+                mockTimeEntryRepository.approve.mockResolvedValue({ ...mockTimeEntry, isApproved: true });
+
+                await timeEntryService.reviewTimeEntry('entry-1', { isApproved: true, authorizeOvertime: true }, mockCoordinator);
+
+                expect(mockTimeEntryRepository.approve).toHaveBeenCalledWith('entry-1', 'coord-1', undefined, true);
+            });
+
+            it('debería rechazar un registro guardando el motivo', async () => {
+                mockTimeEntryRepository.findById.mockResolvedValue(mockTimeEntry);
+                mockTimeEntryRepository.reject.mockResolvedValue({ ...mockTimeEntry, rejectionReason: 'Horas duplicadas' });
+
+                await timeEntryService.reviewTimeEntry('entry-1', { isApproved: false, comments: ' Horas duplicadas ' }, mockCoordinator);
+
+                expect(mockTimeEntryRepository.reject).toHaveBeenCalledWith('entry-1', 'coord-1', 'Horas duplicadas');
+            });
+
+            it('debería exigir motivo al rechazar', async () => {
+                mockTimeEntryRepository.findById.mockResolvedValue(mockTimeEntry);
+
+                await expect(timeEntryService.reviewTimeEntry('entry-1', { isApproved: false }, mockCoordinator))
+                    .rejects.toThrow(ERROR_MESSAGES.REJECTION_REASON_REQUIRED);
+                expect(mockTimeEntryRepository.reject).not.toHaveBeenCalled();
+            });
+
+            it('debería impedir que el coordinador revise sus propios registros', async () => {
+                mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, userId: 'coord-1' });
+
+                await expect(timeEntryService.reviewTimeEntry('entry-1', { isApproved: true }, mockCoordinator))
+                    .rejects.toThrow(ERROR_MESSAGES.CANNOT_REVIEW_OWN_ENTRY);
+            });
+
+            it('debería impedir revisar registros de otra área', async () => {
+                mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, project: { area: { id: 'area-2' } } });
+
+                await expect(timeEntryService.reviewTimeEntry('entry-1', { isApproved: true }, mockCoordinator))
+                    .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+            });
+
+            it('debería fallar si el registro ya está aprobado', async () => {
+                mockTimeEntryRepository.findById.mockResolvedValue({ ...mockTimeEntry, isApproved: true });
+
+                await expect(timeEntryService.reviewTimeEntry('entry-1', { isApproved: true }, mockCoordinator))
+                    .rejects.toThrow(ERROR_MESSAGES.ALREADY_APPROVED);
+            });
+        });
+
+        describe('bulkReviewTimeEntries', () => {
+            it('debería procesar cada registro y reportar los errores individualmente', async () => {
+                mockTimeEntryRepository.findById.mockImplementation(async (id) => {
+                    if (id === 'missing') return null;
+                    return { ...mockTimeEntry, id };
+                });
+                mockTimeEntryRepository.approve.mockImplementation(async (id) => ({ ...mockTimeEntry, id, isApproved: true }));
+
+                const result = await timeEntryService.bulkReviewTimeEntries({
+                    timeEntryIds: ['entry-1', 'missing', 'entry-2', 'entry-1'],
+                    isApproved: true
+                }, mockCoordinator);
+
+                expect(result.processed).toEqual(['entry-1', 'entry-2']);
+                expect(result.errors).toEqual([
+                    { timeEntryId: 'missing', reason: 'Registro de tiempo no encontrado' }
+                ]);
+                expect(mockTimeEntryRepository.approve).toHaveBeenCalledTimes(2);
+            });
+        });
     });
 
     describe('getTimeEntriesByDate', () => {
@@ -483,6 +1078,56 @@ describe('TimeEntryService', () => {
         });
     });
 
+    describe('checkNonWorkingDay', () => {
+        beforeEach(() => {
+            timeEntryService.checkNonWorkingDay.mockRestore();
+            timeEntryService.systemConfigService.getNonWorkingDayPolicy = jest.fn();
+            timeEntryService.holidayService.checkNonWorkingDay = jest.fn().mockResolvedValue({
+                isNonWorking: true,
+                reason: '2025-09-16 es día feriado (Día de la Independencia)'
+            });
+            timeEntryService.absenceService.getAbsenceDates = jest.fn().mockResolvedValue(new Map());
+        });
+
+        it('no debería consultar el calendario con la política ALLOW', async () => {
+            timeEntryService.systemConfigService.getNonWorkingDayPolicy.mockResolvedValue('ALLOW');
+
+            await expect(timeEntryService.checkNonWorkingDay('2025-09-16', 'user-1')).resolves.toBeNull();
+            expect(timeEntryService.holidayService.checkNonWorkingDay).not.toHaveBeenCalled();
+        });
+
+        it('debería devolver una advertencia con la política WARN', async () => {
+            timeEntryService.systemConfigService.getNonWorkingDayPolicy.mockResolvedValue('WARN');
+
+            await expect(timeEntryService.checkNonWorkingDay('2025-09-16', 'user-1'))
+                .resolves.toBe('Registro en día inhábil: 2025-09-16 es día feriado (Día de la Independencia)');
+            expect(timeEntryService.holidayService.checkNonWorkingDay).toHaveBeenCalledWith('2025-09-16', 'user-1');
+        });
+
+        it('debería rechazar el registro con la política BLOCK', async () => {
+            timeEntryService.systemConfigService.getNonWorkingDayPolicy.mockResolvedValue('BLOCK');
+
+            await expect(timeEntryService.checkNonWorkingDay('2025-09-16', 'user-1'))
+                .rejects.toThrow('No se puede registrar tiempo en días inhábiles: 2025-09-16 es día feriado (Día de la Independencia)');
+        });
+
+        it('no debería advertir en días hábiles', async () => {
+            timeEntryService.systemConfigService.getNonWorkingDayPolicy.mockResolvedValue('BLOCK');
+            timeEntryService.holidayService.checkNonWorkingDay.mockResolvedValue({ isNonWorking: false });
+
+            await expect(timeEntryService.checkNonWorkingDay('2025-09-17', 'user-1')).resolves.toBeNull();
+        });
+
+        it('debería rechazar los días de ausencia aprobada con cualquier política', async () => {
+            timeEntryService.systemConfigService.getNonWorkingDayPolicy.mockResolvedValue('ALLOW');
+            timeEntryService.absenceService.getAbsenceDates.mockResolvedValue(new Map([['2025-09-17', 'Vacaciones']]));
+
+            await expect(timeEntryService.checkNonWorkingDay('2025-09-17', 'user-1'))
+                .rejects.toThrow('No se puede registrar tiempo en un día de ausencia aprobada (Vacaciones)');
+            expect(timeEntryService.absenceService.getAbsenceDates).toHaveBeenCalledWith('user-1', '2025-09-17', '2025-09-17');
+        });
+    });
+
     describe('Métodos de permisos', () => {
         const mockTask = { project: { areaId: 'area-1' } };
         const mockTimeEntry = {
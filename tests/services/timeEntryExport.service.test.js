@@ -0,0 +1,125 @@
+const ExcelJS = require('exceljs');
+const TimeEntryExportService = require('../../src/services/timeEntryExport.service');
+const { USER_ROLES } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/timeEntry.repository');
+jest.mock('../../src/repositories/task.repository');
+jest.mock('../../src/repositories/timePeriod.repository');
+jest.mock('../../src/repositories/timesheet.repository');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('TimeEntryExportService', () => {
+    let exportService;
+    let mockTimeEntryRepository;
+
+    const mockPeriod = {
+        id: 'period-1',
+        periodNumber: 2,
+        startDate: new Date('2025-01-13T00:00:00.000Z'),
+        endDate: new Date('2025-01-19T00:00:00.000Z'),
+        referenceHours: 40
+    };
+
+    const buildEntry = (overrides = {}) => ({
+        id: 'entry-1',
+        userId: 'user-1',
+        projectId: 'project-1',
+        taskId: 'task-1',
+        timePeriodId: 'period-1',
+        date: new Date('2025-01-13T00:00:00.000Z'),
+        hours: 8,
+        description: 'Desarrollo',
+        isApproved: false,
+        rejectedAt: null,
+        user: { id: 'user-1', firstName: 'Ana', lastName: 'López', email: 'ana@test.com', area: { name: 'Ingeniería' } },
+        project: { id: 'project-1', name: 'Proyecto A' },
+        task: { id: 'task-1', title: 'Desarrollo' },
+        timePeriod: mockPeriod,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        mockTimeEntryRepository = {
+            findForExport: jest.fn()
+        };
+
+        exportService = new TimeEntryExportService();
+        exportService.timeEntryRepository = mockTimeEntryRepository;
+    });
+
+    describe('exportTimeEntries', () => {
+        it('debería limitar al colaborador a sus propios registros', async () => {
+            mockTimeEntryRepository.findForExport.mockResolvedValue([]);
+
+            await exportService.exportTimeEntries(
+                { format: 'csv', userId: 'user-2' },
+                { userId: 'user-1', email: 'ana@test.com', role: USER_ROLES.COLABORADOR, areaId: 'area-1' }
+            );
+
+            expect(mockTimeEntryRepository.findForExport).toHaveBeenCalledWith({ userId: 'user-1' });
+        });
+
+        it('debería limitar al coordinador a su área', async () => {
+            mockTimeEntryRepository.findForExport.mockResolvedValue([]);
+
+            await exportService.exportTimeEntries(
+                { format: 'xlsx', approvalStatus: 'PENDING' },
+                { userId: 'coord-1', email: 'coord@test.com', role: USER_ROLES.COORDINADOR, areaId: 'area-1' }
+            );
+
+            expect(mockTimeEntryRepository.findForExport).toHaveBeenCalledWith({ approvalStatus: 'PENDING', areaId: 'area-1' });
+        });
+    });
+
+    describe('buildCsv', () => {
+        it('debería generar una línea por registro escapando comillas y fórmulas', () => {
+            const csv = exportService.buildCsv([
+                buildEntry({ description: 'Reunión, "kickoff"' }),
+                buildEntry({ id: 'entry-2', description: '=SUM(A1)', isApproved: true })
+            ]).toString('utf8');
+
+            const lines = csv.replace(/^﻿/, '').trim().split('\r\n');
+            expect(lines).toHaveLength(3);
+            expect(lines[0]).toBe('Fecha,Usuario,Email,Área,Proyecto,Tarea,Horas,Descripción,Estado,Período');
+            expect(lines[1]).toBe('2025-01-13,Ana López,ana@test.com,Ingeniería,Proyecto A,Desarrollo,8,"Reunión, ""kickoff""",Pendiente,2025-01-13 - 2025-01-19');
+            expect(lines[2]).toContain(',\'=SUM(A1),Aprobado,');
+        });
+    });
+
+    describe('buildWorkbook', () => {
+        it('debería crear una hoja por usuario con la cuadrícula y totales contra referencia', async () => {
+            const buffer = await exportService.buildWorkbook([
+                buildEntry(),
+                buildEntry({ id: 'entry-2', date: new Date('2025-01-14T00:00:00.000Z'), hours: 6 }),
+                buildEntry({ id: 'entry-3', taskId: 'task-2', task: { title: 'Pruebas' }, date: new Date('2025-01-14T00:00:00.000Z'), hours: 2 }),
+                buildEntry({
+                    id: 'entry-4',
+                    userId: 'user-2',
+                    user: { id: 'user-2', firstName: 'Luis', lastName: 'Pérez', email: 'luis@test.com' }
+                })
+            ]);
+
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(buffer);
+
+            expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Ana López', 'Luis Pérez']);
+
+            const sheet = workbook.getWorksheet('Ana López');
+            const rows = [];
+            sheet.eachRow(row => rows.push(row.values.slice(1)));
+
+            const header = rows.find(values => values[0] === 'Proyecto');
+            expect(header.slice(2, 4)).toEqual(['Lun 13/01', 'Mar 14/01']);
+
+            const total = rows.find(values => values[0] === 'Total');
+            expect(total[2]).toBe(8);
+            expect(total[3]).toBe(8);
+            expect(total[9]).toBe(16);
+
+            const difference = rows.find(values => values[0] === 'Diferencia');
+            expect(difference[9]).toBe(-24);
+        });
+    });
+});
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const TimeEntryImportService = require('../../src/services/timeEntryImport.service');
+const { USER_ROLES, ERROR_MESSAGES, NON_WORKING_DAY_POLICY } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/timeEntry.repository');
+jest.mock('../../src/repositories/task.repository');
+jest.mock('../../src/repositories/timePeriod.repository');
+jest.mock('../../src/repositories/timesheet.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/repositories/project.repository');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('TimeEntryImportService', () => {
+    let importService;
+    let mockTimeEntryRepository;
+    let mockTimePeriodRepository;
+    let mockUserRepository;
+    let mockProjectRepository;
+    let mockHolidayRepository;
+    let mockAbsenceRepository;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com', role: USER_ROLES.ADMINISTRADOR };
+
+    const users = {
+        'ana@test.com': { id: 'user-1', email: 'ana@test.com', isActive: true, areaId: 'area-1' },
+        'luis@test.com': { id: 'user-2', email: 'luis@test.com', isActive: true },
+    };
+
+    const projectA = {
+        id: 'project-1',
+        name: 'Proyecto A',
+        status: 'ACTIVE',
+        areaId: 'area-1',
+        tasks: [
+            { id: 'task-1', title: 'Desarrollo', isActive: true, assignedTo: null, projectId: 'project-1' },
+            { id: 'task-2', title: 'Pruebas', isActive: true, assignedTo: null, projectId: 'project-1' },
+        ],
+    };
+
+    const periods = {
+        january: { id: 'period-1', isClosed: false },
+        february: { id: 'period-2', isClosed: false },
+    };
+
+    const row = (rowNumber, overrides = {}) => ({
+        row: rowNumber,
+        data: {
+            email: 'ana@test.com',
+            project: 'Proyecto A',
+            task: 'Desarrollo',
+            date: '2025-01-15',
+            hours: 8,
+            ...overrides,
+        },
+    });
+
+    beforeEach(() => {
+        mockTimeEntryRepository = {
+            findByUserAndDates: jest.fn().mockResolvedValue([]),
+            bulkSave: jest.fn(({ creates }) => Promise.resolve({
+                created: creates.map((entry, index) => ({ id: `entry-${index + 1}`, ...entry })),
+                updated: [],
+                deleted: [],
+            })),
+        };
+        mockTimePeriodRepository = {
+            findByDate: jest.fn(date => Promise.resolve(date.startsWith('2025-02') ? periods.february : periods.january)),
+        };
+        mockUserRepository = {
+            findByEmail: jest.fn(email => Promise.resolve(users[email] || null)),
+        };
+        mockProjectRepository = {
+            findForImport: jest.fn(({ excelId, name }) => Promise.resolve(
+                excelId === '101' || name?.toLowerCase() === 'proyecto a' ? [projectA] : []
+            )),
+        };
+
+        importService = new TimeEntryImportService();
+        importService.timeEntryRepository = mockTimeEntryRepository;
+        importService.timePeriodRepository = mockTimePeriodRepository;
+        importService.userRepository = mockUserRepository;
+        importService.projectRepository = mockProjectRepository;
+        importService.timeEntryService.timesheetRepository = { findByUserAndPeriod: jest.fn().mockResolvedValue(null) };
+        importService.timeEntryService.overtimeService = { evaluateDates: jest.fn().mockResolvedValue(new Map()) };
+        importService.timeEntryService.systemConfigService = {
+            getHourLimits: jest.fn().mockResolvedValue({ minHoursPerEntry: 0.25, maxHoursPerDay: 24 }),
+            getNonWorkingDayPolicy: jest.fn().mockResolvedValue(NON_WORKING_DAY_POLICY.WARN),
+        };
+
+        mockHolidayRepository = { findInRange: jest.fn().mockResolvedValue([]) };
+        importService.timeEntryService.holidayService.holidayRepository = mockHolidayRepository;
+        mockAbsenceRepository = { findApprovedForUsers: jest.fn().mockResolvedValue([]) };
+        importService.timeEntryService.absenceService.absenceRepository = mockAbsenceRepository;
+    });
+
+    describe('processData', () => {
+        it('debería crear los registros válidos resolviendo proyecto por ID Excel y el período de cada fecha', async () => {
+            const result = await importService.processData([
+                row(2),
+                row(3, { email: 'LUIS@test.com', project: undefined, excelId: 101, task: 'pruebas', date: '2025-02-03', hours: 4.5 }),
+            ], admin);
+
+            expect(mockProjectRepository.findForImport).toHaveBeenCalledWith({ excelId: '101' });
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [
+                    {
+                        userId: 'user-1',
+                        projectId: 'project-1',
+                        taskId: 'task-1',
+                        date: '2025-01-15',
+                        hours: 8,
+                        description: null,
+                        timePeriodId: 'period-1',
+                    },
+                    {
+                        userId: 'user-2',
+                        projectId: 'project-1',
+                        taskId: 'task-2',
+                        date: '2025-02-03',
+                        hours: 4.5,
+                        description: null,
+                        timePeriodId: 'period-2',
+                    },
+                ],
+            }, 'admin-1');
+            expect(result.success).toBe(2);
+            expect(result.created).toHaveLength(2);
+            expect(result.errors).toEqual([]);
+        });
+
+        it('debería reportar las filas en días de ausencia aprobada y, con la política BLOCK, en días inhábiles', async () => {
+            mockAbsenceRepository.findApprovedForUsers.mockResolvedValue([
+                { userId: 'user-1', type: 'VACATION', startDate: new Date('2025-01-15T00:00:00.000Z'), endDate: new Date('2025-01-16T00:00:00.000Z') }
+            ]);
+            mockHolidayRepository.findInRange.mockResolvedValue([
+                { date: new Date('2025-01-13T00:00:00.000Z'), name: 'Feriado', areaId: null, isWorkingDay: false }
+            ]);
+
+            const rows = [
+                row(2),
+                row(3, { date: '2025-01-13' }),
+                row(4, { date: '2025-01-18' }),
+                row(5, { date: '2025-01-14' }),
+            ];
+
+            const warn = await importService.processData(rows, admin, true);
+            expect(warn.errors.map(error => [error.row, error.errorType, error.error])).toEqual([
+                [2, 'NON_WORKING_DAY', 'No se puede registrar tiempo el 2025-01-15: Ausencia aprobada (Vacaciones)'],
+            ]);
+            expect(mockAbsenceRepository.findApprovedForUsers).toHaveBeenCalledWith(['user-1'], '2025-01-13', '2025-01-18');
+
+            importService.timeEntryService.systemConfigService.getNonWorkingDayPolicy.mockResolvedValue(NON_WORKING_DAY_POLICY.BLOCK);
+            const block = await importService.processData(rows, admin, true);
+
+            expect(mockHolidayRepository.findInRange).toHaveBeenCalledWith('2025-01-13', '2025-01-18', 'area-1');
+            expect(block.errors.map(error => [error.row, error.error])).toEqual([
+                [2, 'No se puede registrar tiempo el 2025-01-15: Ausencia aprobada (Vacaciones)'],
+                [3, 'No se puede registrar tiempo el 2025-01-13: Día inhábil'],
+                [4, 'No se puede registrar tiempo el 2025-01-18: Fin de semana'],
+            ]);
+            expect(block.entries.map(entry => entry.row)).toEqual([5]);
+        });
+
+        it('no debería guardar nada en modo de simulación', async () => {
+            const result = await importService.processData([row(2), row(3, { task: 'Pruebas' })], admin, true);
+
+            expect(mockTimeEntryRepository.bulkSave).not.toHaveBeenCalled();
+            expect(result.dryRun).toBe(true);
+            expect(result.success).toBe(2);
+            expect(result.created).toEqual([]);
+            expect(result.entries.map(entry => entry.row)).toEqual([2, 3]);
+        });
+
+        it('debería reportar por fila los errores de referencia y de reglas sin detener la importación', async () => {
+            mockTimePeriodRepository.findByDate.mockImplementation(date => Promise.resolve(
+                date === '2025-03-03' ? { id: 'period-3', isClosed: true } : periods.january
+            ));
+
+            const result = await importService.processData([
+                row(2),
+                row(3, { email: 'nadie@test.com' }),
+                row(4, { task: 'Inexistente' }),
+                row(5, { date: '2025-03-03' }),
+                row(6, { hours: 30 }),
+                row(7, { date: '31/02/2025' }),
+                row(8, { project: undefined }),
+            ], admin);
+
+            expect(result.success).toBe(1);
+            expect(result.errors.map(error => [error.row, error.errorType])).toEqual([
+                [3, 'USER_NOT_FOUND'],
+                [4, 'TASK_NOT_FOUND'],
+                [5, 'PERIOD_CLOSED'],
+                [6, 'INVALID_HOURS'],
+                [7, 'INVALID_DATE'],
+                [8, 'MISSING_FIELDS'],
+            ]);
+            expect(result.errors[2].error).toBe(ERROR_MESSAGES.PERIOD_CLOSED);
+            expect(result.errors[5].details.missingFields).toEqual(['Proyecto o ID Excel Proyecto']);
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({ creates: [expect.objectContaining({ userId: 'user-1' })] }, 'admin-1');
+        });
+
+        it('debería rechazar filas de proyectos fuera del área del coordinador', async () => {
+            const coordinator = { userId: 'coord-1', email: 'coord@test.com', role: USER_ROLES.COORDINADOR, areaId: 'area-2' };
+
+            const result = await importService.processData([row(2)], coordinator);
+
+            expect(result.errors).toEqual([expect.objectContaining({ row: 2, errorType: 'FORBIDDEN' })]);
+            expect(mockTimeEntryRepository.bulkSave).not.toHaveBeenCalled();
+        });
+
+        it('debería omitir registros existentes, rechazar duplicados del archivo y respetar el límite diario', async () => {
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([
+                { projectId: 'project-1', taskId: 'task-1', date: new Date('2025-01-15T00:00:00.000Z'), hours: 8 },
+                { projectId: 'project-1', taskId: 'task-1', date: new Date('2025-01-16T00:00:00.000Z'), hours: 20 },
+            ]);
+
+            const result = await importService.processData([
+                row(2),
+                row(3, { task: 'Pruebas', date: '2025-01-16', hours: 6 }),
+                row(4, { task: 'Pruebas', date: '2025-01-17', hours: 2 }),
+                row(5, { task: 'Pruebas', date: '2025-01-17', hours: 3 }),
+            ], admin);
+
+            expect(result.warnings).toEqual([expect.objectContaining({ row: 2 })]);
+            expect(result.errors.map(error => [error.row, error.errorType])).toEqual([
+                [3, 'DAILY_LIMIT_EXCEEDED'],
+                [5, 'DUPLICATE_ROW'],
+            ]);
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [expect.objectContaining({ taskId: 'task-2', date: '2025-01-17', hours: 2 })],
+            }, 'admin-1');
+        });
+
+        it('debería aplicar los límites de horas configurados', async () => {
+            importService.timeEntryService.systemConfigService.getHourLimits.mockResolvedValue({ minHoursPerEntry: 0.5, maxHoursPerDay: 10 });
+
+            const result = await importService.processData([
+                row(2, { hours: 0.25 }),
+                row(3, { hours: 8 }),
+                row(4, { task: 'Pruebas', hours: 4 }),
+            ], admin);
+
+            expect(result.errors.map(error => [error.row, error.errorType, error.error])).toEqual([
+                [2, 'INVALID_HOURS', 'Las horas deben estar entre 0.5 y 10'],
+                [4, 'DAILY_LIMIT_EXCEEDED', 'No se pueden exceder 10 horas por día. Total resultante: 12h'],
+            ]);
+        });
+    });
+
+    describe('importFromFile', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'time-entry-import-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it('debería leer CSV con fechas DD/MM/AAAA y coma decimal, y generar el reporte de errores', async () => {
+            const filePath = path.join(tempDir, 'registros.csv');
+            fs.writeFileSync(filePath, [
+                'Email,Proyecto,Tarea,Fecha,Horas,Descripción',
+                'ana@test.com,Proyecto A,Desarrollo,15/01/2025,"7,5",Migración',
+                'ana@test.com,Proyecto B,Desarrollo,16/01/2025,8,',
+            ].join('\r\n'));
+
+            const result = await importService.importFromFile(filePath, admin, { originalName: 'registros.csv' });
+
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [expect.objectContaining({ date: '2025-01-15', hours: 7.5, description: 'Migración' })],
+            }, 'admin-1');
+            expect(result.errors).toEqual([expect.objectContaining({ row: 3, errorType: 'PROJECT_NOT_FOUND' })]);
+
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(result.errorReport.buffer);
+            expect(workbook.getWorksheet('Errores de Importación').getRow(2).getCell(2).value).toBe('PROJECT_NOT_FOUND');
+            expect(workbook.getWorksheet('Datos para Corrección').getRow(2).getCell(2).value).toBe('Proyecto B');
+        });
+
+        it('debería rechazar archivos sin las columnas requeridas', async () => {
+            const filePath = path.join(tempDir, 'registros.csv');
+            fs.writeFileSync(filePath, 'Email,Fecha\r\nana@test.com,2025-01-15\r\n');
+
+            await expect(importService.importFromFile(filePath, admin, { originalName: 'registros.csv' }))
+                .rejects.toThrow('El archivo no contiene las columnas requeridas: Tarea, Horas, Proyecto');
+        });
+    });
+});
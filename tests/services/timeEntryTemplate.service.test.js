@@ -0,0 +1,291 @@
+const TimeEntryTemplateService = require('../../src/services/timeEntryTemplate.service');
+const { USER_ROLES, LIMITS, ERROR_MESSAGES, TIMESHEET_STATUS, NON_WORKING_DAY_POLICY } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/timeEntryTemplate.repository');
+jest.mock('../../src/repositories/timeEntry.repository');
+jest.mock('../../src/repositories/timePeriod.repository');
+jest.mock('../../src/repositories/task.repository');
+jest.mock('../../src/repositories/timesheet.repository');
+jest.mock('../../src/utils/logger');
+
+describe('TimeEntryTemplateService', () => {
+    let templateService;
+    let mockTemplateRepository;
+    let mockTimeEntryRepository;
+    let mockTimePeriodRepository;
+    let mockTaskRepository;
+    let mockHolidayRepository;
+    let mockAbsenceRepository;
+
+    const mockUser = {
+        userId: 'user-1',
+        email: 'user@test.com',
+        role: USER_ROLES.COLABORADOR,
+        areaId: 'area-1'
+    };
+
+    // Semana del lunes 13 al domingo 19 de enero de 2025
+    const mockPeriod = {
+        id: 'period-1',
+        isActive: true,
+        isClosed: false,
+        startDate: new Date('2025-01-13T00:00:00.000Z'),
+        endDate: new Date('2025-01-19T00:00:00.000Z')
+    };
+
+    const buildTemplate = (overrides = {}) => ({
+        id: 'template-1',
+        userId: 'user-1',
+        projectId: 'project-1',
+        taskId: 'task-1',
+        hours: 2,
+        description: 'Organización',
+        weekdays: [1],
+        project: { id: 'project-1', status: 'ACTIVE', areaId: 'area-1' },
+        task: { id: 'task-1', isActive: true, assignedTo: null },
+        user: { id: 'user-1', role: USER_ROLES.COLABORADOR, areaId: 'area-1' },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        mockTemplateRepository = {
+            findById: jest.fn(),
+            findByUser: jest.fn(),
+            findActive: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn()
+        };
+
+        mockTimeEntryRepository = {
+            findByUserAndDates: jest.fn().mockResolvedValue([]),
+            bulkSave: jest.fn(async ({ creates }) => ({ created: creates }))
+        };
+
+        mockTimePeriodRepository = {
+            findById: jest.fn().mockResolvedValue(mockPeriod)
+        };
+
+        mockTaskRepository = {
+            findById: jest.fn()
+        };
+
+        templateService = new TimeEntryTemplateService();
+        templateService.templateRepository = mockTemplateRepository;
+        templateService.timeEntryRepository = mockTimeEntryRepository;
+        templateService.timePeriodRepository = mockTimePeriodRepository;
+        templateService.taskRepository = mockTaskRepository;
+
+        jest.spyOn(templateService.timeEntryService.systemConfigService, 'validateDateForTimeEntry')
+            .mockResolvedValue({ isValid: true });
+        jest.spyOn(templateService.timeEntryService.systemConfigService, 'getHourLimits')
+            .mockResolvedValue({ minHoursPerEntry: 0.25, maxHoursPerDay: 24 });
+        jest.spyOn(templateService.timeEntryService.systemConfigService, 'getNonWorkingDayPolicy')
+            .mockResolvedValue(NON_WORKING_DAY_POLICY.WARN);
+
+        mockHolidayRepository = {
+            findInRange: jest.fn().mockResolvedValue([])
+        };
+        templateService.timeEntryService.holidayService.holidayRepository = mockHolidayRepository;
+
+        mockAbsenceRepository = {
+            findApprovedForUsers: jest.fn().mockResolvedValue([])
+        };
+        templateService.timeEntryService.absenceService.absenceRepository = mockAbsenceRepository;
+        templateService.timeEntryService.overtimeService = {
+            evaluateDates: jest.fn().mockResolvedValue(new Map())
+        };
+    });
+
+    describe('createTemplate', () => {
+        it('debería crear la plantilla normalizando los días de la semana', async () => {
+            mockTaskRepository.findById.mockResolvedValue({ id: 'task-1', projectId: 'project-1', isActive: true, project: { areaId: 'area-1' } });
+            mockTemplateRepository.create.mockImplementation(async (data) => ({ id: 'template-1', ...data }));
+
+            const result = await templateService.createTemplate({
+                projectId: 'project-1',
+                taskId: 'task-1',
+                hours: 2,
+                weekdays: [3, 1, 3]
+            }, mockUser);
+
+            expect(mockTemplateRepository.create).toHaveBeenCalledWith({
+                userId: 'user-1',
+                projectId: 'project-1',
+                taskId: 'task-1',
+                hours: 2,
+                description: null,
+                weekdays: [1, 3]
+            });
+            expect(result.id).toBe('template-1');
+        });
+
+        it('debería rechazar tareas inactivas', async () => {
+            mockTaskRepository.findById.mockResolvedValue({ id: 'task-1', projectId: 'project-1', isActive: false, project: { areaId: 'area-1' } });
+
+            await expect(templateService.createTemplate({
+                projectId: 'project-1',
+                taskId: 'task-1',
+                hours: 2,
+                weekdays: [1]
+            }, mockUser)).rejects.toThrow('La tarea está inactiva');
+        });
+    });
+
+    describe('updateTemplate', () => {
+        it('debería impedir modificar plantillas de otro usuario', async () => {
+            mockTemplateRepository.findById.mockResolvedValue(buildTemplate({ userId: 'user-2' }));
+
+            await expect(templateService.updateTemplate('template-1', { hours: 3 }, mockUser))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+            expect(mockTemplateRepository.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('generateForPeriod', () => {
+        it('debería generar registros en los días indicados por la plantilla', async () => {
+            mockTemplateRepository.findActive.mockResolvedValue([buildTemplate({ weekdays: [1, 3] })]);
+
+            const result = await templateService.generateForPeriod('period-1');
+
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [
+                    expect.objectContaining({ userId: 'user-1', date: '2025-01-13', hours: 2, templateId: 'template-1', timePeriodId: 'period-1' }),
+                    expect.objectContaining({ date: '2025-01-15' })
+                ]
+            }, 'user-1');
+            expect(result.created).toHaveLength(2);
+            expect(result.skipped).toEqual([]);
+        });
+
+        it('debería omitir los feriados que aplican al área del usuario', async () => {
+            mockTemplateRepository.findActive.mockResolvedValue([buildTemplate({ weekdays: [1, 3] })]);
+            mockHolidayRepository.findInRange.mockResolvedValue([
+                { date: new Date('2025-01-13T00:00:00.000Z'), name: 'Feriado global', areaId: null, isWorkingDay: false },
+                { date: new Date('2025-01-15T00:00:00.000Z'), name: 'Feriado global', areaId: null, isWorkingDay: false },
+                { date: new Date('2025-01-15T00:00:00.000Z'), name: 'Se trabaja en el área', areaId: 'area-1', isWorkingDay: true }
+            ]);
+
+            const result = await templateService.generateForPeriod('period-1');
+
+            expect(mockHolidayRepository.findInRange).toHaveBeenCalledWith('2025-01-13', '2025-01-19', 'area-1');
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [expect.objectContaining({ date: '2025-01-15' })]
+            }, 'user-1');
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ date: '2025-01-13', reason: 'Día inhábil' })
+            ]);
+        });
+
+        it('debería generar en fin de semana solo si la política de días inhábiles no lo bloquea', async () => {
+            mockTemplateRepository.findActive.mockResolvedValue([buildTemplate({ weekdays: [1, 6, 0] })]);
+
+            await templateService.generateForPeriod('period-1');
+            expect(mockTimeEntryRepository.bulkSave.mock.calls[0][0].creates.map(entry => entry.date))
+                .toEqual(['2025-01-13', '2025-01-18', '2025-01-19']);
+
+            templateService.timeEntryService.systemConfigService.getNonWorkingDayPolicy.mockResolvedValue(NON_WORKING_DAY_POLICY.BLOCK);
+            const result = await templateService.generateForPeriod('period-1');
+
+            expect(mockTimeEntryRepository.bulkSave.mock.calls[1][0].creates.map(entry => entry.date)).toEqual(['2025-01-13']);
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ date: '2025-01-18', reason: 'Fin de semana' }),
+                expect.objectContaining({ date: '2025-01-19', reason: 'Fin de semana' })
+            ]);
+        });
+
+        it('debería omitir los días de ausencia aprobada del usuario', async () => {
+            mockTemplateRepository.findActive.mockResolvedValue([buildTemplate({ weekdays: [1, 3, 5] })]);
+            mockAbsenceRepository.findApprovedForUsers.mockResolvedValue([
+                { userId: 'user-1', type: 'VACATION', startDate: new Date('2025-01-10T00:00:00.000Z'), endDate: new Date('2025-01-15T00:00:00.000Z') }
+            ]);
+
+            const result = await templateService.generateForPeriod('period-1');
+
+            expect(mockAbsenceRepository.findApprovedForUsers).toHaveBeenCalledWith(['user-1'], '2025-01-13', '2025-01-19');
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [expect.objectContaining({ date: '2025-01-17' })]
+            }, 'user-1');
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ date: '2025-01-13', reason: 'Ausencia aprobada (Vacaciones)' }),
+                expect.objectContaining({ date: '2025-01-15', reason: 'Ausencia aprobada (Vacaciones)' })
+            ]);
+        });
+
+        it('nunca debería sobrescribir horas ya registradas', async () => {
+            mockTemplateRepository.findActive.mockResolvedValue([buildTemplate()]);
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([
+                { projectId: 'project-1', taskId: 'task-1', date: new Date('2025-01-13T00:00:00.000Z'), hours: 5 }
+            ]);
+
+            const result = await templateService.generateForPeriod('period-1');
+
+            expect(mockTimeEntryRepository.bulkSave).not.toHaveBeenCalled();
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ date: '2025-01-13', reason: expect.stringContaining('Ya existe') })
+            ]);
+        });
+
+        it('debería respetar la ventana de captura y el límite diario', async () => {
+            mockTemplateRepository.findActive.mockResolvedValue([buildTemplate({ weekdays: [1, 2], hours: 8 })]);
+            mockTimeEntryRepository.findByUserAndDates.mockResolvedValue([
+                { projectId: 'project-9', taskId: 'task-9', date: new Date('2025-01-14T00:00:00.000Z'), hours: LIMITS.MAX_HOURS_PER_DAY - 4 }
+            ]);
+            templateService.timeEntryService.systemConfigService.validateDateForTimeEntry.mockImplementation(async (date) => (
+                date === '2025-01-13'
+                    ? { isValid: false, reason: 'No se puede registrar tiempo más de 30 días en el pasado' }
+                    : { isValid: true }
+            ));
+
+            const result = await templateService.generateForPeriod('period-1');
+
+            expect(mockTimeEntryRepository.bulkSave).not.toHaveBeenCalled();
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ date: '2025-01-13', reason: 'No se puede registrar tiempo más de 30 días en el pasado' }),
+                expect.objectContaining({ date: '2025-01-14', reason: expect.stringContaining('horas por día') })
+            ]);
+        });
+
+        it('debería omitir las plantillas de tareas a las que el usuario ya no tiene acceso', async () => {
+            mockTemplateRepository.findActive.mockResolvedValue([
+                buildTemplate({ user: { id: 'user-1', role: USER_ROLES.COLABORADOR, areaId: 'area-2' } }),
+                buildTemplate({
+                    id: 'template-2',
+                    taskId: 'task-2',
+                    task: { id: 'task-2', isActive: true, assignedTo: 'user-1' },
+                    user: { id: 'user-1', role: USER_ROLES.COLABORADOR, areaId: 'area-2' }
+                })
+            ]);
+
+            const result = await templateService.generateForPeriod('period-1');
+
+            expect(result.skipped).toEqual([
+                { templateId: 'template-1', userId: 'user-1', date: null, reason: 'El usuario ya no tiene acceso a la tarea' }
+            ]);
+            expect(mockTimeEntryRepository.bulkSave).toHaveBeenCalledWith({
+                creates: [expect.objectContaining({ templateId: 'template-2', date: '2025-01-13' })]
+            }, 'user-1');
+        });
+
+        it('debería omitir usuarios con la hoja de tiempo ya enviada', async () => {
+            mockTemplateRepository.findActive.mockResolvedValue([buildTemplate()]);
+            templateService.timeEntryService.timesheetRepository.findByUserAndPeriod
+                .mockResolvedValue({ status: TIMESHEET_STATUS.SUBMITTED });
+
+            const result = await templateService.generateForPeriod('period-1');
+
+            expect(mockTimeEntryRepository.bulkSave).not.toHaveBeenCalled();
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ templateId: 'template-1', reason: ERROR_MESSAGES.TIMESHEET_LOCKED })
+            ]);
+        });
+
+        it('debería fallar si el período está cerrado', async () => {
+            mockTimePeriodRepository.findById.mockResolvedValue({ ...mockPeriod, isClosed: true });
+
+            await expect(templateService.generateForPeriod('period-1'))
+                .rejects.toThrow(ERROR_MESSAGES.PERIOD_CLOSED);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const TimeEntryUnlockService = require('../../src/services/timeEntryUnlock.service');
+const { USER_ROLES, TIME_ENTRY_UNLOCK_STATUS, ERROR_MESSAGES } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/timeEntryUnlock.repository');
+jest.mock('../../src/utils/logger');
+
+describe('TimeEntryUnlockService', () => {
+    let unlockService;
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString().split('T')[0];
+
+    const collaborator = { userId: 'user-1', email: 'colaborador@test.com', role: USER_ROLES.COLABORADOR, areaId: 'area-1' };
+    const coordinator = { userId: 'coord-1', email: 'coord@test.com', role: USER_ROLES.COORDINADOR, areaId: 'area-1' };
+
+    const unlock = (overrides = {}) => ({
+        id: 'unlock-1',
+        userId: 'user-1',
+        startDate: new Date(`${daysAgo(60)}T00:00:00.000Z`),
+        endDate: new Date(`${daysAgo(55)}T00:00:00.000Z`),
+        reason: 'Olvidé registrar la semana del cierre',
+        status: TIME_ENTRY_UNLOCK_STATUS.PENDING,
+        user: { id: 'user-1', areaId: 'area-1' },
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        unlockService = new TimeEntryUnlockService();
+        unlockService.timeEntryUnlockRepository = {
+            findById: jest.fn().mockResolvedValue(unlock()),
+            findMany: jest.fn().mockResolvedValue([]),
+            findOverlapping: jest.fn().mockResolvedValue([]),
+            create: jest.fn(data => Promise.resolve({ id: 'unlock-1', status: TIME_ENTRY_UNLOCK_STATUS.PENDING, ...data })),
+            update: jest.fn((id, data) => Promise.resolve({ ...unlock(), ...data })),
+        };
+        unlockService.systemConfigService = {
+            validateDateForTimeEntry: jest.fn().mockResolvedValue({
+                isValid: false,
+                reason: 'No se puede registrar tiempo más de 30 días en el pasado',
+            }),
+            getTimeEntryUnlockDays: jest.fn().mockResolvedValue(7),
+        };
+    });
+
+    describe('requestUnlock', () => {
+        it('registra la solicitud propia con su justificación', async () => {
+            const result = await unlockService.requestUnlock({
+                startDate: daysAgo(60),
+                endDate: daysAgo(55),
+                reason: '  Olvidé registrar la semana del cierre  ',
+            }, collaborator);
+
+            expect(unlockService.systemConfigService.validateDateForTimeEntry).toHaveBeenCalledWith(daysAgo(60), 'user-1');
+            expect(unlockService.timeEntryUnlockRepository.create).toHaveBeenCalledWith({
+                userId: 'user-1',
+                startDate: daysAgo(60),
+                endDate: daysAgo(55),
+                reason: 'Olvidé registrar la semana del cierre',
+            });
+            expect(result.status).toBe(TIME_ENTRY_UNLOCK_STATUS.PENDING);
+        });
+
+        it('rechaza fechas dentro de la ventana, futuras o ya solicitadas', async () => {
+            unlockService.systemConfigService.validateDateForTimeEntry.mockResolvedValueOnce({ isValid: true });
+            await expect(unlockService.requestUnlock({ startDate: daysAgo(5), endDate: daysAgo(2), reason: 'x'.repeat(10) }, collaborator))
+                .rejects.toThrow('no requieren desbloqueo');
+
+            await expect(unlockService.requestUnlock({ startDate: daysAgo(60), endDate: daysAgo(-1), reason: 'x'.repeat(10) }, collaborator))
+                .rejects.toThrow('Solo se pueden desbloquear fechas pasadas');
+
+            unlockService.timeEntryUnlockRepository.findOverlapping.mockResolvedValue([unlock()]);
+            await expect(unlockService.requestUnlock({ startDate: daysAgo(60), endDate: daysAgo(55), reason: 'x'.repeat(10) }, collaborator))
+                .rejects.toThrow(ERROR_MESSAGES.TIME_ENTRY_UNLOCK_OVERLAP);
+
+            expect(unlockService.timeEntryUnlockRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reviewUnlock', () => {
+        it('aprueba con el vencimiento configurado por defecto', async () => {
+            const before = Date.now();
+
+            const result = await unlockService.reviewUnlock('unlock-1', { isApproved: true }, coordinator);
+
+            const data = unlockService.timeEntryUnlockRepository.update.mock.calls[0][1];
+            expect(data).toMatchObject({ status: TIME_ENTRY_UNLOCK_STATUS.APPROVED, reviewedBy: 'coord-1', reviewComment: null });
+            expect(data.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 7 * DAY);
+            expect(data.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 7 * DAY);
+            expect(result.status).toBe(TIME_ENTRY_UNLOCK_STATUS.APPROVED);
+        });
+
+        it('solo revisan coordinadores del área del solicitante y exige motivo al rechazar', async () => {
+            await expect(unlockService.reviewUnlock('unlock-1', { isApproved: true }, { ...coordinator, areaId: 'area-2' }))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+            await expect(unlockService.reviewUnlock('unlock-1', { isApproved: true }, collaborator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+            await expect(unlockService.reviewUnlock('unlock-1', { isApproved: false, comments: ' ' }, coordinator))
+                .rejects.toThrow(ERROR_MESSAGES.REJECTION_REASON_REQUIRED);
+            await expect(unlockService.reviewUnlock('unlock-1', { isApproved: true, expiresAt: daysAgo(1) }, coordinator))
+                .rejects.toThrow('La fecha de vencimiento del desbloqueo debe ser futura');
+
+            unlockService.timeEntryUnlockRepository.findById.mockResolvedValue(unlock({ status: TIME_ENTRY_UNLOCK_STATUS.APPROVED }));
+            await expect(unlockService.reviewUnlock('unlock-1', { isApproved: true }, coordinator))
+                .rejects.toThrow(ERROR_MESSAGES.TIME_ENTRY_UNLOCK_NOT_PENDING);
+
+            expect(unlockService.timeEntryUnlockRepository.update).not.toHaveBeenCalled();
+        });
+    });
+
+    it('el dueño cancela pendientes y el coordinador revoca aprobados', async () => {
+        await unlockService.cancelUnlock('unlock-1', collaborator);
+        expect(unlockService.timeEntryUnlockRepository.update).toHaveBeenCalledWith('unlock-1', { status: TIME_ENTRY_UNLOCK_STATUS.CANCELLED });
+
+        unlockService.timeEntryUnlockRepository.findById.mockResolvedValue(unlock({ status: TIME_ENTRY_UNLOCK_STATUS.APPROVED }));
+        await expect(unlockService.cancelUnlock('unlock-1', collaborator)).rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        await expect(unlockService.cancelUnlock('unlock-1', coordinator)).resolves.toMatchObject({ status: TIME_ENTRY_UNLOCK_STATUS.CANCELLED });
+    });
+});
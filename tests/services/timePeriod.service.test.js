@@ -0,0 +1,201 @@
+const TimePeriodService = require('../../src/services/timePeriod.service');
+const { TIME_PERIOD_TYPE, WEEK_MONTH_RULE, FISCAL_CALENDAR_TYPE } = require('../../src/utils/constants');
+
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('TimePeriodService', () => {
+    let timePeriodService;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com' };
+    const dates = period => [period.month, period.periodNumber, period.startDate, period.endDate];
+
+    beforeEach(() => {
+        timePeriodService = new TimePeriodService();
+        timePeriodService.timePeriodRepository = {
+            findByMonths: jest.fn().mockResolvedValue([]),
+            findByDateRange: jest.fn().mockResolvedValue([]),
+            create: jest.fn(data => Promise.resolve({ id: `period-${data.month}-${data.periodNumber}`, ...data })),
+        };
+        timePeriodService.systemConfigService = {
+            getWeekMonthRule: jest.fn().mockResolvedValue(WEEK_MONTH_RULE.MAJORITY),
+        };
+        jest.spyOn(timePeriodService.fiscalCalendarService, 'getCalendar')
+            .mockResolvedValue({ type: FISCAL_CALENDAR_TYPE.CALENDAR, startMonth: 1 });
+        jest.spyOn(timePeriodService.holidayService, 'withReferenceHours')
+            .mockImplementation(period => Promise.resolve({ ...period, referenceHours: 40, isReferenceHoursManual: false }));
+    });
+
+    describe('buildYearPeriods', () => {
+        it('asigna las semanas que cruzan el cambio de mes según la regla', () => {
+            const build = weekRule => timePeriodService.buildYearPeriods({ year: 2025, type: TIME_PERIOD_TYPE.WEEKLY, weekRule });
+
+            // La semana del 30 de dic. 2024 al 5 de ene. 2025 tiene su jueves en enero
+            const majority = build(WEEK_MONTH_RULE.MAJORITY);
+            expect(majority).toHaveLength(52);
+            expect(dates(majority[0])).toEqual([1, 1, '2024-12-30', '2025-01-05']);
+            expect(dates(majority[majority.length - 1])).toEqual([12, 4, '2025-12-22', '2025-12-28']);
+
+            const start = build(WEEK_MONTH_RULE.START);
+            expect(dates(start[0])).toEqual([1, 1, '2025-01-06', '2025-01-12']);
+            expect(start[start.length - 1]).toMatchObject({ year: 2025, month: 12, periodNumber: 5, endDate: '2026-01-04' });
+
+            const split = build(WEEK_MONTH_RULE.SPLIT);
+            expect(dates(split[0])).toEqual([1, 1, '2025-01-01', '2025-01-05']);
+            expect(split.filter(period => period.month === 3).map(period => [period.startDate, period.endDate])).toEqual([
+                ['2025-03-01', '2025-03-02'],
+                ['2025-03-03', '2025-03-09'],
+                ['2025-03-10', '2025-03-16'],
+                ['2025-03-17', '2025-03-23'],
+                ['2025-03-24', '2025-03-30'],
+                ['2025-03-31', '2025-03-31'],
+            ]);
+            expect(split[split.length - 1]).toMatchObject({ month: 12, periodNumber: 5, startDate: '2025-12-29', endDate: '2025-12-31' });
+        });
+
+        it('genera quincenas y meses desde el inicio del año fiscal', () => {
+            const biweekly = timePeriodService.buildYearPeriods({ year: 2025, type: TIME_PERIOD_TYPE.BIWEEKLY, startMonth: 4 });
+            expect(biweekly).toHaveLength(24);
+            expect(biweekly[0]).toMatchObject({ year: 2025, month: 4, periodNumber: 1, startDate: '2025-04-01', endDate: '2025-04-15' });
+            expect(biweekly[biweekly.length - 1]).toMatchObject({
+                year: 2026,
+                month: 3,
+                periodNumber: 2,
+                startDate: '2026-03-16',
+                endDate: '2026-03-31',
+                description: 'Quincena 2 de marzo 2026',
+            });
+
+            const monthly = timePeriodService.buildYearPeriods({ year: 2024, type: TIME_PERIOD_TYPE.MONTHLY });
+            expect(monthly).toHaveLength(12);
+            expect(monthly[1]).toMatchObject({ month: 2, periodNumber: 1, startDate: '2024-02-01', endDate: '2024-02-29', type: TIME_PERIOD_TYPE.MONTHLY });
+        });
+
+        it('sigue las semanas de los meses fiscales con el calendario 4-4-5', () => {
+            const build = type => timePeriodService.buildYearPeriods({ year: 2025, type, calendarType: FISCAL_CALENDAR_TYPE.WEEKS_445 });
+
+            const weekly = build(TIME_PERIOD_TYPE.WEEKLY);
+            expect(weekly).toHaveLength(52);
+            expect(dates(weekly[0])).toEqual([1, 1, '2024-12-30', '2025-01-05']);
+            expect(weekly.filter(period => period.month === 3).map(period => period.periodNumber)).toEqual([1, 2, 3, 4, 5]);
+
+            const biweekly = build(TIME_PERIOD_TYPE.BIWEEKLY).filter(period => period.month === 3);
+            expect(biweekly.map(dates)).toEqual([
+                [3, 1, '2025-02-24', '2025-03-09'],
+                [3, 2, '2025-03-10', '2025-03-30'],
+            ]);
+
+            const monthly = build(TIME_PERIOD_TYPE.MONTHLY);
+            expect(dates(monthly[11])).toEqual([12, 1, '2025-11-24', '2025-12-28']);
+        });
+    });
+
+    describe('generateYear', () => {
+        it('crea los períodos con sus horas de referencia usando la regla configurada', async () => {
+            const result = await timePeriodService.generateYear({ year: 2025, type: TIME_PERIOD_TYPE.MONTHLY }, admin);
+
+            expect(timePeriodService.systemConfigService.getWeekMonthRule).toHaveBeenCalled();
+            expect(timePeriodService.timePeriodRepository.create).toHaveBeenCalledTimes(12);
+            expect(timePeriodService.timePeriodRepository.create.mock.calls[0][0]).toMatchObject({
+                year: 2025,
+                month: 1,
+                periodNumber: 1,
+                startDate: '2025-01-01',
+                endDate: '2025-01-31',
+                referenceHours: 40,
+                isReferenceHoursManual: false,
+            });
+            expect(result).toMatchObject({ weekRule: WEEK_MONTH_RULE.MAJORITY, dryRun: false, skipped: [], conflicts: [] });
+            expect(result.created).toHaveLength(12);
+        });
+
+        it('omite los períodos existentes y reporta los que chocan sin crearlos', async () => {
+            timePeriodService.timePeriodRepository.findByMonths.mockResolvedValue([
+                { id: 'jan', year: 2025, month: 1, periodNumber: 1, startDate: new Date('2025-01-01T00:00:00.000Z'), endDate: new Date('2025-01-31T00:00:00.000Z') },
+                { id: 'feb', year: 2025, month: 2, periodNumber: 1, startDate: new Date('2025-02-01T00:00:00.000Z'), endDate: new Date('2025-02-14T00:00:00.000Z') },
+            ]);
+            timePeriodService.timePeriodRepository.findByDateRange.mockResolvedValue([
+                { id: 'manual', year: 2025, month: 3, periodNumber: 7, startDate: new Date('2025-03-10T00:00:00.000Z'), endDate: new Date('2025-03-16T00:00:00.000Z') },
+            ]);
+
+            const result = await timePeriodService.generateYear({ year: 2025, type: TIME_PERIOD_TYPE.MONTHLY }, admin);
+
+            expect(result.skipped).toEqual([expect.objectContaining({ reason: 'Período ya existe' })]);
+            expect(result.conflicts).toEqual([
+                expect.objectContaining({ existingPeriodId: 'feb', reason: 'El período 2025-02 #1 ya existe con fechas 2025-02-01 a 2025-02-14' }),
+                expect.objectContaining({ existingPeriodId: 'manual', reason: 'Se traslapa con el período 2025-03 #7 (2025-03-10 a 2025-03-16)' }),
+            ]);
+            expect(result.created).toHaveLength(9);
+
+            // Un período creado por otro proceso entre la consulta y la creación también es un conflicto
+            timePeriodService.timePeriodRepository.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+            const retry = await timePeriodService.generateYear({ year: 2025, type: TIME_PERIOD_TYPE.MONTHLY }, admin);
+            expect(retry.conflicts[2]).toMatchObject({ reason: 'El período 2025-04 #1 ya existe' });
+        });
+
+        it('inicia el año en el mes fiscal configurado si no se indica', async () => {
+            timePeriodService.fiscalCalendarService.getCalendar.mockResolvedValue({ type: FISCAL_CALENDAR_TYPE.CALENDAR, startMonth: 4 });
+
+            const result = await timePeriodService.generateYear({ year: 2025, type: TIME_PERIOD_TYPE.MONTHLY, dryRun: true }, admin);
+
+            expect(result).toMatchObject({ startMonth: 4, calendarType: FISCAL_CALENDAR_TYPE.CALENDAR });
+            expect(result.created[0]).toMatchObject({ year: 2025, month: 4, startDate: '2025-04-01' });
+            expect(result.created[11]).toMatchObject({ year: 2026, month: 3, endDate: '2026-03-31' });
+        });
+
+        it('en dryRun calcula los períodos sin crearlos', async () => {
+            const result = await timePeriodService.generateYear({
+                year: 2025,
+                type: TIME_PERIOD_TYPE.WEEKLY,
+                weekRule: WEEK_MONTH_RULE.SPLIT,
+                dryRun: true,
+            }, admin);
+
+            expect(timePeriodService.systemConfigService.getWeekMonthRule).not.toHaveBeenCalled();
+            expect(timePeriodService.timePeriodRepository.create).not.toHaveBeenCalled();
+            expect(result.created).toHaveLength(62);
+            expect(result.created[0]).toMatchObject({ startDate: '2025-01-01', referenceHours: 40 });
+        });
+    });
+
+    it('aplica las plantillas a los períodos abiertos dentro de la mayor ventana de captura', async () => {
+        timePeriodService.systemConfigService.getFutureDaysAllowed = jest.fn().mockResolvedValue(7);
+        timePeriodService.systemConfigService.getDateRestrictionOverrides = jest.fn().mockResolvedValue([
+            { field: 'futureDaysAllowed', value: '30' },
+            { field: 'pastDaysAllowed', value: '90' },
+        ]);
+        timePeriodService.timePeriodRepository.findByDateRange.mockResolvedValue([
+            { id: 'period-1', isActive: true, isClosed: false },
+            { id: 'period-2', isActive: true, isClosed: true },
+            { id: 'period-3', isActive: true, isClosed: false },
+        ]);
+        timePeriodService.timeEntryTemplateService.generateForPeriod = jest.fn()
+            .mockResolvedValueOnce({ created: [{ id: 'entry-1' }, { id: 'entry-2' }], skipped: [{ date: '2025-03-31' }] })
+            .mockRejectedValueOnce(new Error('Hoja de tiempo enviada'));
+
+        const result = await timePeriodService.applyTemplatesToUpcomingPeriods();
+
+        const [from, to] = timePeriodService.timePeriodRepository.findByDateRange.mock.calls[0];
+        expect(from.toISOString().split('T')[0]).toBe(new Date().toISOString().split('T')[0]);
+        expect((to - from) / (24 * 60 * 60 * 1000)).toBe(30);
+        expect(timePeriodService.timeEntryTemplateService.generateForPeriod.mock.calls).toEqual([['period-1'], ['period-3']]);
+        expect(result).toEqual({ futureDays: 30, periods: 2, created: 2, skipped: 1, failed: 1 });
+    });
+
+    it('cierra los períodos vencidos como acción del sistema solo si está configurado', async () => {
+        timePeriodService.systemConfigService.getPeriodAutoCloseDays = jest.fn().mockResolvedValue(0);
+        timePeriodService.timePeriodRepository.findOpenEndedBefore = jest.fn().mockResolvedValue([{ id: 'period-1' }, { id: 'period-2' }]);
+        timePeriodService.timePeriodRepository.close = jest.fn().mockResolvedValue({});
+
+        await expect(timePeriodService.closeExpiredPeriods()).resolves.toMatchObject({ closed: 0 });
+        expect(timePeriodService.timePeriodRepository.findOpenEndedBefore).not.toHaveBeenCalled();
+
+        timePeriodService.systemConfigService.getPeriodAutoCloseDays.mockResolvedValue(5);
+        const result = await timePeriodService.closeExpiredPeriods();
+
+        const cutoff = timePeriodService.timePeriodRepository.findOpenEndedBefore.mock.calls[0][0];
+        expect(cutoff.toISOString().split('T')[0]).toBe(new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]);
+        expect(timePeriodService.timePeriodRepository.close).toHaveBeenCalledWith('period-2', null, 'Cierre automático 5 días después del fin del período');
+        expect(result).toEqual({ autoCloseDays: 5, closed: 2, periodIds: ['period-1', 'period-2'] });
+    });
+});
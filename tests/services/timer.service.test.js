@@ -0,0 +1,245 @@
+const TimerService = require('../../src/services/timer.service');
+const { USER_ROLES, TIMER_STATUS, ERROR_MESSAGES } = require('../../src/utils/constants');
+
+// Mock de repositorios y servicios
+jest.mock('../../src/repositories/timer.repository');
+jest.mock('../../src/repositories/task.repository');
+jest.mock('../../src/services/timeEntry.service');
+jest.mock('../../src/utils/logger');
+
+describe('TimerService', () => {
+    let timerService;
+    let mockTimerRepository;
+    let mockTaskRepository;
+    let mockTimeEntryService;
+
+    const now = new Date(2025, 0, 15, 17, 0, 0);
+
+    const mockUser = {
+        userId: 'user-1',
+        email: 'user@test.com',
+        role: USER_ROLES.COLABORADOR,
+        areaId: 'area-1'
+    };
+
+    const mockTask = {
+        id: 'task-1',
+        title: 'Desarrollo',
+        projectId: 'project-1'
+    };
+
+    const buildTimer = (overrides = {}) => ({
+        id: 'timer-1',
+        userId: 'user-1',
+        projectId: 'project-1',
+        taskId: 'task-1',
+        description: 'Trabajo con cronómetro',
+        status: TIMER_STATUS.RUNNING,
+        startedAt: new Date(2025, 0, 15, 15, 0, 0),
+        lastResumedAt: new Date(2025, 0, 15, 15, 0, 0),
+        accumulatedSeconds: 0,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+        mockTimerRepository = {
+            findById: jest.fn(),
+            findActiveByUser: jest.fn(),
+            findByUser: jest.fn(),
+            createIfNoneActive: jest.fn(),
+            update: jest.fn((id, data) => Promise.resolve({ ...buildTimer(), id, ...data }))
+        };
+
+        mockTaskRepository = {
+            findById: jest.fn()
+        };
+
+        mockTimeEntryService = {
+            canUserCreateTimeEntry: jest.fn().mockReturnValue(true),
+            createTimeEntry: jest.fn(),
+            systemConfigService: {
+                getHourLimits: jest.fn().mockResolvedValue({ minHoursPerEntry: 0.25, maxHoursPerDay: 24 })
+            }
+        };
+
+        timerService = new TimerService();
+        timerService.timerRepository = mockTimerRepository;
+        timerService.taskRepository = mockTaskRepository;
+        timerService.timeEntryService = mockTimeEntryService;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('startTimer', () => {
+        const timerData = { projectId: 'project-1', taskId: 'task-1', description: 'Nueva tarea' };
+
+        it('debería iniciar un temporizador cuando el usuario no tiene uno activo', async () => {
+            mockTimerRepository.findActiveByUser.mockResolvedValue(null);
+            mockTaskRepository.findById.mockResolvedValue(mockTask);
+            mockTimerRepository.createIfNoneActive.mockImplementation(data => Promise.resolve({ id: 'timer-2', ...data }));
+
+            const result = await timerService.startTimer(timerData, mockUser);
+
+            expect(mockTimerRepository.createIfNoneActive).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user-1',
+                status: TIMER_STATUS.RUNNING,
+                startedAt: now,
+                lastResumedAt: now
+            }));
+            expect(result.elapsedSeconds).toBe(0);
+        });
+
+        it('debería rechazar un segundo temporizador activo', async () => {
+            mockTimerRepository.findActiveByUser.mockResolvedValue(buildTimer());
+
+            await expect(timerService.startTimer(timerData, mockUser))
+                .rejects.toThrow(ERROR_MESSAGES.TIMER_ALREADY_ACTIVE);
+            expect(mockTimerRepository.createIfNoneActive).not.toHaveBeenCalled();
+        });
+
+        it('debería rechazar un temporizador iniciado en paralelo con otro', async () => {
+            mockTimerRepository.findActiveByUser.mockResolvedValue(null);
+            mockTaskRepository.findById.mockResolvedValue(mockTask);
+            mockTimerRepository.createIfNoneActive.mockResolvedValue(null);
+
+            await expect(timerService.startTimer(timerData, mockUser))
+                .rejects.toThrow(ERROR_MESSAGES.TIMER_ALREADY_ACTIVE);
+        });
+
+        it('debería marcar un temporizador que quedó corriendo de un día a otro y permitir iniciar uno nuevo', async () => {
+            mockTimerRepository.findActiveByUser.mockResolvedValue(buildTimer({
+                startedAt: new Date(2025, 0, 14, 18, 0, 0),
+                lastResumedAt: new Date(2025, 0, 14, 18, 0, 0)
+            }));
+            mockTaskRepository.findById.mockResolvedValue(mockTask);
+            mockTimerRepository.createIfNoneActive.mockImplementation(data => Promise.resolve({ id: 'timer-2', ...data }));
+
+            await timerService.startTimer(timerData, mockUser);
+
+            expect(mockTimerRepository.update).toHaveBeenCalledWith('timer-1', expect.objectContaining({
+                status: TIMER_STATUS.FLAGGED
+            }));
+            expect(mockTimeEntryService.createTimeEntry).not.toHaveBeenCalled();
+            expect(mockTimerRepository.createIfNoneActive).toHaveBeenCalled();
+        });
+    });
+
+    describe('pauseTimer y resumeTimer', () => {
+        it('debería acumular los segundos transcurridos al pausar', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer({ accumulatedSeconds: 600 }));
+
+            const result = await timerService.pauseTimer('timer-1', mockUser);
+
+            expect(mockTimerRepository.update).toHaveBeenCalledWith('timer-1', {
+                status: TIMER_STATUS.PAUSED,
+                accumulatedSeconds: 600 + 2 * 3600,
+                lastResumedAt: null
+            });
+            expect(result.elapsedSeconds).toBe(600 + 2 * 3600);
+        });
+
+        it('no debería reanudar un temporizador en curso', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer());
+
+            await expect(timerService.resumeTimer('timer-1', mockUser))
+                .rejects.toThrow(ERROR_MESSAGES.TIMER_NOT_PAUSED);
+        });
+
+        it('no debería permitir operar el temporizador de otro usuario', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer({ userId: 'user-2' }));
+
+            await expect(timerService.pauseTimer('timer-1', mockUser))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+    });
+
+    describe('stopTimer', () => {
+        it('debería crear un registro de tiempo para el día en que inició el temporizador', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer());
+            mockTimeEntryService.createTimeEntry.mockResolvedValue({ id: 'entry-1', hours: 2 });
+
+            const result = await timerService.stopTimer('timer-1', {}, mockUser);
+
+            expect(mockTimeEntryService.createTimeEntry).toHaveBeenCalledWith({
+                userId: 'user-1',
+                projectId: 'project-1',
+                taskId: 'task-1',
+                year: 2025,
+                month: 1,
+                day: 15,
+                hours: 2,
+                description: 'Trabajo con cronómetro'
+            }, mockUser, { accumulate: true });
+            expect(mockTimerRepository.update).toHaveBeenCalledWith('timer-1', expect.objectContaining({
+                status: TIMER_STATUS.STOPPED,
+                timeEntryId: 'entry-1'
+            }));
+            expect(result.timeEntry).toEqual({ id: 'entry-1', hours: 2 });
+        });
+
+        it('debería descartar temporizadores más cortos que el registro mínimo', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer({
+                lastResumedAt: new Date(2025, 0, 15, 16, 55, 0)
+            }));
+
+            const result = await timerService.stopTimer('timer-1', {}, mockUser);
+
+            expect(mockTimeEntryService.createTimeEntry).not.toHaveBeenCalled();
+            expect(result.timer.status).toBe(TIMER_STATUS.DISCARDED);
+            expect(result.timeEntry).toBeNull();
+        });
+
+        it('debería marcar en lugar de detener un temporizador que excede el límite', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer({
+                startedAt: new Date(2025, 0, 15, 3, 0, 0),
+                lastResumedAt: new Date(2025, 0, 15, 3, 0, 0)
+            }));
+
+            const result = await timerService.stopTimer('timer-1', {}, mockUser);
+
+            expect(mockTimeEntryService.createTimeEntry).not.toHaveBeenCalled();
+            expect(result.timer.status).toBe(TIMER_STATUS.FLAGGED);
+            expect(result.timeEntry).toBeNull();
+        });
+    });
+
+    describe('resolveFlaggedTimer', () => {
+        it('debería registrar las horas confirmadas por el usuario', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer({
+                status: TIMER_STATUS.FLAGGED,
+                startedAt: new Date(2025, 0, 14, 9, 0, 0),
+                lastResumedAt: null,
+                accumulatedSeconds: 32 * 3600
+            }));
+            mockTimeEntryService.createTimeEntry.mockResolvedValue({ id: 'entry-1' });
+
+            await timerService.resolveFlaggedTimer('timer-1', { hours: 8 }, mockUser);
+
+            expect(mockTimeEntryService.createTimeEntry).toHaveBeenCalledWith(
+                expect.objectContaining({ day: 14, hours: 8 }),
+                mockUser,
+                { accumulate: true }
+            );
+        });
+
+        it('debería descartar un temporizador marcado sin crear un registro', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer({ status: TIMER_STATUS.FLAGGED }));
+
+            const result = await timerService.resolveFlaggedTimer('timer-1', { discard: true }, mockUser);
+
+            expect(mockTimeEntryService.createTimeEntry).not.toHaveBeenCalled();
+            expect(result.timer.status).toBe(TIMER_STATUS.DISCARDED);
+        });
+
+        it('debería rechazar temporizadores que no están marcados', async () => {
+            mockTimerRepository.findById.mockResolvedValue(buildTimer());
+
+            await expect(timerService.resolveFlaggedTimer('timer-1', { hours: 2 }, mockUser))
+                .rejects.toThrow(ERROR_MESSAGES.TIMER_NOT_FLAGGED);
+        });
+    });
+});
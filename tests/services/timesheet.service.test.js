@@ -0,0 +1,233 @@
+const TimesheetService = require('../../src/services/timesheet.service');
+const { USER_ROLES, TIMESHEET_STATUS, ERROR_MESSAGES } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/timesheet.repository');
+jest.mock('../../src/repositories/timePeriod.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/utils/logger');
+
+describe('TimesheetService', () => {
+    let timesheetService;
+    let mockTimesheetRepository;
+    let mockTimePeriodRepository;
+    let mockUserRepository;
+
+    const mockPeriod = {
+        id: 'period-1',
+        isActive: true,
+        referenceHours: 40
+    };
+
+    const mockCollaborator = {
+        userId: 'user-1',
+        email: 'user@test.com',
+        role: USER_ROLES.COLABORADOR,
+        areaId: 'area-1'
+    };
+
+    const mockCoordinator = {
+        userId: 'coord-1',
+        email: 'coord@test.com',
+        role: USER_ROLES.COORDINADOR,
+        areaId: 'area-1'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockTimesheetRepository = {
+            findById: jest.fn(),
+            findByUserAndPeriod: jest.fn(),
+            findMany: jest.fn(),
+            submit: jest.fn(),
+            approve: jest.fn(),
+            reject: jest.fn(),
+            countUnauthorizedOvertime: jest.fn().mockResolvedValue(0)
+        };
+
+        mockTimePeriodRepository = {
+            findById: jest.fn(),
+            getComparison: jest.fn()
+        };
+
+        mockUserRepository = {
+            findById: jest.fn()
+        };
+
+        timesheetService = new TimesheetService();
+        timesheetService.timesheetRepository = mockTimesheetRepository;
+        timesheetService.timePeriodRepository = mockTimePeriodRepository;
+        timesheetService.userRepository = mockUserRepository;
+        timesheetService.workScheduleService = {
+            getExpectedHoursForPeriod: jest.fn().mockResolvedValue(new Map([['user-1', 40]]))
+        };
+    });
+
+    describe('submitTimesheet', () => {
+        it('debería enviar la hoja y advertir si no alcanza las horas de referencia', async () => {
+            const submitted = { id: 'sheet-1', status: TIMESHEET_STATUS.SUBMITTED };
+            mockTimePeriodRepository.findById.mockResolvedValue(mockPeriod);
+            mockTimesheetRepository.findByUserAndPeriod.mockResolvedValue(null);
+            mockTimePeriodRepository.getComparison.mockResolvedValue({ referenceHours: 40, actualHours: 32 });
+            mockTimesheetRepository.submit.mockResolvedValue(submitted);
+
+            const result = await timesheetService.submitTimesheet('period-1', mockCollaborator);
+
+            expect(mockTimesheetRepository.submit).toHaveBeenCalledWith('user-1', 'period-1', 32);
+            expect(result.timesheet).toEqual(submitted);
+            expect(result.warnings).toHaveLength(1);
+            expect(result.warnings[0]).toContain('por debajo');
+        });
+
+        it('debería enviar sin advertencias si se cumplen las horas de referencia', async () => {
+            mockTimePeriodRepository.findById.mockResolvedValue(mockPeriod);
+            mockTimesheetRepository.findByUserAndPeriod.mockResolvedValue({ status: TIMESHEET_STATUS.REJECTED });
+            mockTimePeriodRepository.getComparison.mockResolvedValue({ referenceHours: 40, actualHours: 40 });
+            mockTimesheetRepository.submit.mockResolvedValue({ id: 'sheet-1' });
+
+            const result = await timesheetService.submitTimesheet('period-1', mockCollaborator);
+
+            expect(result.warnings).toEqual([]);
+        });
+
+        it('debería comparar contra las horas esperadas del usuario descontando sus ausencias', async () => {
+            mockTimePeriodRepository.findById.mockResolvedValue(mockPeriod);
+            mockTimesheetRepository.findByUserAndPeriod.mockResolvedValue(null);
+            timesheetService.workScheduleService.getExpectedHoursForPeriod.mockResolvedValue(new Map([['user-1', 24]]));
+            mockTimePeriodRepository.getComparison.mockResolvedValue({ referenceHours: 40, expectedHours: 24, actualHours: 24 });
+            mockTimesheetRepository.submit.mockResolvedValue({ id: 'sheet-1' });
+
+            const result = await timesheetService.submitTimesheet('period-1', mockCollaborator);
+
+            expect(timesheetService.workScheduleService.getExpectedHoursForPeriod).toHaveBeenCalledWith(mockPeriod, 'user-1');
+            expect(mockTimePeriodRepository.getComparison).toHaveBeenCalledWith('period-1', 'user-1', new Map([['user-1', 24]]));
+            expect(result.warnings).toEqual([]);
+        });
+
+        it('debería fallar si la hoja ya fue enviada', async () => {
+            mockTimePeriodRepository.findById.mockResolvedValue(mockPeriod);
+            mockTimesheetRepository.findByUserAndPeriod.mockResolvedValue({ status: TIMESHEET_STATUS.SUBMITTED });
+
+            await expect(timesheetService.submitTimesheet('period-1', mockCollaborator))
+                .rejects.toThrow(ERROR_MESSAGES.TIMESHEET_ALREADY_SUBMITTED);
+            expect(mockTimesheetRepository.submit).not.toHaveBeenCalled();
+        });
+
+        it('debería fallar si el período está cerrado', async () => {
+            mockTimePeriodRepository.findById.mockResolvedValue({ ...mockPeriod, isClosed: true });
+
+            await expect(timesheetService.submitTimesheet('period-1', mockCollaborator))
+                .rejects.toThrow(ERROR_MESSAGES.PERIOD_CLOSED);
+        });
+
+        it('debería fallar si no hay horas registradas', async () => {
+            mockTimePeriodRepository.findById.mockResolvedValue(mockPeriod);
+            mockTimesheetRepository.findByUserAndPeriod.mockResolvedValue(null);
+            mockTimePeriodRepository.getComparison.mockResolvedValue({ referenceHours: 40, actualHours: 0 });
+
+            await expect(timesheetService.submitTimesheet('period-1', mockCollaborator))
+                .rejects.toThrow(ERROR_MESSAGES.TIMESHEET_EMPTY);
+        });
+    });
+
+    describe('reviewTimesheet', () => {
+        const submittedSheet = {
+            id: 'sheet-1',
+            userId: 'user-1',
+            timePeriodId: 'period-1',
+            status: TIMESHEET_STATUS.SUBMITTED,
+            user: { areaId: 'area-1' }
+        };
+
+        it('debería aprobar una hoja enviada del área del coordinador', async () => {
+            mockTimesheetRepository.findById.mockResolvedValue(submittedSheet);
+            mockTimesheetRepository.approve.mockResolvedValue({ ...submittedSheet, status: TIMESHEET_STATUS.APPROVED });
+
+            const result = await timesheetService.reviewTimesheet('sheet-1', { isApproved: true }, mockCoordinator);
+
+            expect(mockTimesheetRepository.approve).toHaveBeenCalledWith(submittedSheet, 'coord-1', undefined, false);
+            expect(result.status).toBe(TIMESHEET_STATUS.APPROVED);
+        });
+
+        it('debería dejar pendientes las horas extra sin autorizar y advertirlo', async () => {
+            mockTimesheetRepository.findById.mockResolvedValue(submittedSheet);
+            mockTimesheetRepository.countUnauthorizedOvertime.mockResolvedValue(2);
+            mockTimesheetRepository.approve.mockResolvedValue({ ...submittedSheet, status: TIMESHEET_STATUS.APPROVED });
+
+            const result = await timesheetService.reviewTimesheet('sheet-1', { isApproved: true }, mockCoordinator);
+
+            expect(mockTimesheetRepository.countUnauthorizedOvertime).toHaveBeenCalledWith('user-1', 'period-1');
+            expect(result.warnings).toEqual(['2 registro(s) con horas extra sin autorizar quedaron pendientes de aprobación']);
+        });
+
+        it('debería autorizar las horas extra al aprobar con authorizeOvertime', async () => {
+            mockTimesheetRepository.findById.mockResolvedValue(submittedSheet);
+            mockTimesheetRepository.approve.mockResolvedValue({ ...submittedSheet, status: TIMESHEET_STATUS.APPROVED });
+
+            const result = await timesheetService.reviewTimesheet('sheet-1', { isApproved: true, authorizeOvertime: true }, mockCoordinator);
+
+            expect(mockTimesheetRepository.countUnauthorizedOvertime).not.toHaveBeenCalled();
+            expect(mockTimesheetRepository.approve).toHaveBeenCalledWith(submittedSheet, 'coord-1', undefined, true);
+            expect(result.warnings).toBeUndefined();
+        });
+
+        it('debería devolver una hoja con comentarios', async () => {
+            mockTimesheetRepository.findById.mockResolvedValue(submittedSheet);
+            mockTimesheetRepository.reject.mockResolvedValue({ ...submittedSheet, status: TIMESHEET_STATUS.REJECTED });
+
+            await timesheetService.reviewTimesheet('sheet-1', { isApproved: false, comments: 'Faltan horas del viernes' }, mockCoordinator);
+
+            expect(mockTimesheetRepository.reject).toHaveBeenCalledWith('sheet-1', 'coord-1', 'Faltan horas del viernes');
+        });
+
+        it('debería fallar si la hoja no está enviada', async () => {
+            mockTimesheetRepository.findById.mockResolvedValue({ ...submittedSheet, status: TIMESHEET_STATUS.DRAFT });
+
+            await expect(timesheetService.reviewTimesheet('sheet-1', { isApproved: true }, mockCoordinator))
+                .rejects.toThrow(ERROR_MESSAGES.TIMESHEET_NOT_SUBMITTED);
+        });
+
+        it('debería impedir que un colaborador revise hojas', async () => {
+            mockTimesheetRepository.findById.mockResolvedValue(submittedSheet);
+
+            await expect(timesheetService.reviewTimesheet('sheet-1', { isApproved: true }, mockCollaborator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+    });
+
+    describe('getTimesheet', () => {
+        it('debería devolver un borrador cuando la hoja no se ha enviado', async () => {
+            mockUserRepository.findById.mockResolvedValue({ id: 'user-1', areaId: 'area-1' });
+            mockTimePeriodRepository.findById.mockResolvedValue(mockPeriod);
+            mockTimesheetRepository.findByUserAndPeriod.mockResolvedValue(null);
+            mockTimePeriodRepository.getComparison.mockResolvedValue({ referenceHours: 40, actualHours: 16 });
+
+            const result = await timesheetService.getTimesheet('user-1', 'period-1', mockCoordinator);
+
+            expect(result.timesheet.status).toBe(TIMESHEET_STATUS.DRAFT);
+            expect(result.warnings).toHaveLength(1);
+        });
+
+        it('debería comparar el borrador contra las mismas horas esperadas que el envío', async () => {
+            mockUserRepository.findById.mockResolvedValue({ id: 'user-1', areaId: 'area-1' });
+            mockTimePeriodRepository.findById.mockResolvedValue(mockPeriod);
+            mockTimesheetRepository.findByUserAndPeriod.mockResolvedValue(null);
+            timesheetService.workScheduleService.getExpectedHoursForPeriod.mockResolvedValue(new Map([['user-1', 20]]));
+            mockTimePeriodRepository.getComparison.mockResolvedValue({ referenceHours: 40, expectedHours: 20, actualHours: 20 });
+
+            const result = await timesheetService.getTimesheet('user-1', 'period-1', mockCoordinator);
+
+            expect(timesheetService.workScheduleService.getExpectedHoursForPeriod).toHaveBeenCalledWith(mockPeriod, 'user-1');
+            expect(mockTimePeriodRepository.getComparison).toHaveBeenCalledWith('period-1', 'user-1', new Map([['user-1', 20]]));
+            expect(result.warnings).toEqual([]);
+        });
+
+        it('debería impedir ver hojas de otros colaboradores', async () => {
+            mockUserRepository.findById.mockResolvedValue({ id: 'user-2', areaId: 'area-1' });
+
+            await expect(timesheetService.getTimesheet('user-2', 'period-1', mockCollaborator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+    });
+});
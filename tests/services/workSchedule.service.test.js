@@ -0,0 +1,178 @@
+const WorkScheduleService = require('../../src/services/workSchedule.service');
+const { USER_ROLES, ERROR_MESSAGES } = require('../../src/utils/constants');
+
+// Mock de repositorios y utilidades
+jest.mock('../../src/repositories/workSchedule.repository');
+jest.mock('../../src/repositories/user.repository');
+jest.mock('../../src/repositories/absence.repository');
+jest.mock('../../src/services/systemConfig.service', () => jest.fn());
+jest.mock('../../src/utils/logger');
+
+describe('WorkScheduleService', () => {
+    let workScheduleService;
+
+    const admin = { userId: 'admin-1', email: 'admin@test.com', role: USER_ROLES.ADMINISTRADOR };
+    const coordinator = { userId: 'coord-1', email: 'coord@test.com', role: USER_ROLES.COORDINADOR, areaId: 'area-1' };
+
+    // Semana del 15 al 21 de septiembre de 2025 (el 16 es feriado)
+    const period = {
+        id: 'period-1',
+        startDate: new Date('2025-09-15T00:00:00.000Z'),
+        endDate: new Date('2025-09-21T00:00:00.000Z'),
+        referenceHours: 32,
+    };
+
+    const schedule = (overrides = {}) => ({
+        id: 'schedule-1',
+        userId: 'user-1',
+        effectiveFrom: new Date('2025-01-01T00:00:00.000Z'),
+        effectiveTo: null,
+        mondayHours: 8,
+        tuesdayHours: 8,
+        wednesdayHours: 8,
+        thursdayHours: 8,
+        fridayHours: 8,
+        saturdayHours: 0,
+        sundayHours: 0,
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        workScheduleService = new WorkScheduleService();
+        workScheduleService.workScheduleRepository = {
+            findById: jest.fn(),
+            findMany: jest.fn().mockResolvedValue([]),
+            findOverlapping: jest.fn().mockResolvedValue([]),
+            findByUsers: jest.fn().mockResolvedValue([]),
+            create: jest.fn(data => Promise.resolve({ id: 'schedule-1', ...data })),
+            update: jest.fn(),
+            delete: jest.fn(),
+        };
+        workScheduleService.userRepository = {
+            findById: jest.fn(id => Promise.resolve({ id, areaId: id === 'user-9' ? 'area-2' : 'area-1' })),
+            findActiveTimeTrackers: jest.fn(),
+        };
+        workScheduleService.absenceRepository = {
+            findApprovedForUsers: jest.fn().mockResolvedValue([]),
+        };
+        workScheduleService.systemConfigService = {
+            getWorkingHoursPerDay: jest.fn().mockResolvedValue(8),
+        };
+        workScheduleService.holidayService.holidayRepository = {
+            findInRange: jest.fn().mockResolvedValue([
+                { date: new Date('2025-09-16T00:00:00.000Z'), name: 'Día de la Independencia', areaId: null, isWorkingDay: false },
+            ]),
+        };
+    });
+
+    describe('getExpectedHoursByUser', () => {
+        it('debería calcular las horas con la jornada vigente de cada día sin contar feriados', async () => {
+            workScheduleService.workScheduleRepository.findByUsers.mockResolvedValue([
+                // Medio tiempo
+                schedule({ userId: 'user-1', mondayHours: 4, tuesdayHours: 4, wednesdayHours: 4, thursdayHours: 4, fridayHours: 4 }),
+                // Ingresa el jueves 18
+                schedule({ id: 'schedule-2', userId: 'user-2', effectiveFrom: new Date('2025-09-18T00:00:00.000Z') }),
+                // Cambia a jornada de 6 horas a partir del miércoles 17
+                schedule({ id: 'schedule-3', userId: 'user-3', effectiveTo: new Date('2025-09-16T00:00:00.000Z') }),
+                schedule({ id: 'schedule-4', userId: 'user-3', effectiveFrom: new Date('2025-09-17T00:00:00.000Z'), mondayHours: 6, tuesdayHours: 6, wednesdayHours: 6, thursdayHours: 6, fridayHours: 6, saturdayHours: 4 }),
+            ]);
+            const users = [
+                { id: 'user-1', areaId: 'area-1' },
+                { id: 'user-2', areaId: 'area-1' },
+                { id: 'user-3', areaId: 'area-2' },
+                { id: 'user-4', areaId: 'area-1' },
+            ];
+
+            const expected = await workScheduleService.getExpectedHoursByUser(users, period);
+
+            expect(workScheduleService.workScheduleRepository.findByUsers).toHaveBeenCalledWith(['user-1', 'user-2', 'user-3', 'user-4']);
+            expect([...expected]).toEqual([
+                ['user-1', 16],
+                ['user-2', 16],
+                ['user-3', 30],
+                // Sin jornada registrada conserva las horas de referencia del período
+                ['user-4', 32],
+            ]);
+            // Los feriados se consultan una vez por área
+            expect(workScheduleService.holidayService.holidayRepository.findInRange).toHaveBeenCalledTimes(2);
+        });
+
+        it('debería descontar los días de ausencia aprobada', async () => {
+            workScheduleService.workScheduleRepository.findByUsers.mockResolvedValue([
+                schedule({ userId: 'user-1', fridayHours: 4 }),
+            ]);
+            workScheduleService.absenceRepository.findApprovedForUsers.mockResolvedValue([
+                // Vacaciones de jueves a viernes
+                { userId: 'user-1', type: 'VACATION', startDate: new Date('2025-09-18T00:00:00.000Z'), endDate: new Date('2025-09-22T00:00:00.000Z') },
+                // Sin jornada: el feriado del 16 no se descuenta dos veces
+                { userId: 'user-2', type: 'SICK_LEAVE', startDate: new Date('2025-09-15T00:00:00.000Z'), endDate: new Date('2025-09-16T00:00:00.000Z') },
+            ]);
+
+            const expected = await workScheduleService.getExpectedHoursByUser([
+                { id: 'user-1', areaId: 'area-1' },
+                { id: 'user-2', areaId: 'area-1' },
+            ], period);
+
+            expect(workScheduleService.absenceRepository.findApprovedForUsers).toHaveBeenCalledWith(['user-1', 'user-2'], period.startDate, period.endDate);
+            expect([...expected]).toEqual([
+                ['user-1', 16],
+                ['user-2', 24],
+            ]);
+        });
+
+        it('debería usar las horas de referencia sin consultar feriados si nadie tiene jornada', async () => {
+            const expected = await workScheduleService.getExpectedHoursByUser([{ id: 'user-1', areaId: 'area-1' }], period);
+
+            expect([...expected]).toEqual([['user-1', 32]]);
+            expect(workScheduleService.holidayService.holidayRepository.findInRange).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('createSchedule', () => {
+        const scheduleData = {
+            userId: 'user-1',
+            effectiveFrom: new Date('2025-09-01T00:00:00.000Z'),
+            effectiveTo: null,
+            mondayHours: 4,
+        };
+
+        it('debería registrar la jornada con la vigencia en formato YYYY-MM-DD', async () => {
+            await workScheduleService.createSchedule(scheduleData, coordinator);
+
+            expect(workScheduleService.workScheduleRepository.findOverlapping).toHaveBeenCalledWith('user-1', '2025-09-01', null, null);
+            expect(workScheduleService.workScheduleRepository.create).toHaveBeenCalledWith({
+                userId: 'user-1',
+                effectiveFrom: '2025-09-01',
+                effectiveTo: null,
+                mondayHours: 4,
+                createdBy: 'coord-1',
+            });
+        });
+
+        it('debería rechazar vigencias que se cruzan con otra jornada del usuario', async () => {
+            workScheduleService.workScheduleRepository.findOverlapping.mockResolvedValue([schedule()]);
+
+            await expect(workScheduleService.createSchedule(scheduleData, admin))
+                .rejects.toThrow(ERROR_MESSAGES.WORK_SCHEDULE_OVERLAP);
+            expect(workScheduleService.workScheduleRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('debería impedir que un coordinador gestione usuarios de otra área', async () => {
+            await expect(workScheduleService.createSchedule({ ...scheduleData, userId: 'user-9' }, coordinator))
+                .rejects.toThrow(ERROR_MESSAGES.FORBIDDEN);
+        });
+    });
+
+    describe('updateSchedule', () => {
+        it('debería validar la vigencia combinada con la jornada actual', async () => {
+            workScheduleService.workScheduleRepository.findById.mockResolvedValue(schedule({ effectiveFrom: new Date('2025-09-01T00:00:00.000Z') }));
+
+            await expect(workScheduleService.updateSchedule('schedule-1', { effectiveTo: new Date('2025-08-31T00:00:00.000Z') }, admin))
+                .rejects.toThrow('La fecha de fin de vigencia debe ser posterior a la de inicio');
+
+            await workScheduleService.updateSchedule('schedule-1', { effectiveTo: new Date('2025-12-31T00:00:00.000Z') }, admin);
+            expect(workScheduleService.workScheduleRepository.findOverlapping).toHaveBeenCalledWith('user-1', '2025-09-01', '2025-12-31', 'schedule-1');
+            expect(workScheduleService.workScheduleRepository.update).toHaveBeenCalledWith('schedule-1', { effectiveTo: '2025-12-31' });
+        });
+    });
+});